@@ -0,0 +1,298 @@
+// ========================================
+// THERMASCAN - Alarm Event Log
+// Raise/Clear Events, Acknowledge, Shelve & Notes
+// ========================================
+
+// An alarm is one occurrence of a rule firing on a cell, a pack or a thermal
+// cluster, from raise to clear:
+// { id, vehicle, cell, rule, description, severity, value,
+//   raisedAt, clearedAt, acknowledgedAt, shelvedUntil, note }
+
+const ALARM_SORT_KEYS = {
+    time: (a, b) => a.raisedAt - b.raisedAt,
+    vehicle: (a, b) => a.vehicle.localeCompare(b.vehicle),
+    cell: (a, b) => (a.cell || '').localeCompare(b.cell || ''),
+    rule: (a, b) => a.rule.localeCompare(b.rule),
+    severity: (a, b) => STATUS_RANK[a.severity] - STATUS_RANK[b.severity],
+    state: (a, b) => getAlarmStateRank(a) - getAlarmStateRank(b)
+};
+
+// ========================================
+// ALARM LOG
+// ========================================
+// A replay keeps its own log, rebuilt on every seek and never persisted
+function getAlarmLog() {
+    return replaySession ? replaySession.alarms : alarmLog;
+}
+
+function isAlarmShelved(alarm, now = Date.now()) {
+    return alarm.shelvedUntil !== null && alarm.shelvedUntil > now;
+}
+
+function getAlarmState(alarm) {
+    const condition = alarm.clearedAt === null ? 'ACTIVE' : 'CLEARED';
+    return alarm.acknowledgedAt === null ? `${condition} · UNACK` : condition;
+}
+
+// Unacknowledged active alarms first, acknowledged cleared alarms last
+function getAlarmStateRank(alarm) {
+    return (alarm.clearedAt === null ? 2 : 0) + (alarm.acknowledgedAt === null ? 1 : 0);
+}
+
+// Record raise and clear events; new events get an id and the operator
+// workflow fields
+function updateAlarms(now) {
+    const log = getAlarmLog();
+    const { raised, cleared } = updateAnomalyEvents(log, fleet, now);
+    recordSessionAnomalies(fleet, raised);
+
+    raised.forEach(alarm => Object.assign(alarm, {
+        id: nextAlarmId++,
+        acknowledgedAt: null,
+        shelvedUntil: null,
+        note: ''
+    }));
+
+    if (raised.length > 0 || cleared.length > 0) {
+        trimAlarmLog(log);
+        saveAlarmLog();
+    }
+
+    // A replay re-raises recorded alarms on every seek; only live ones go out
+    if (!replaySession) notifyAlarmEvents(raised, cleared);
+}
+
+// Drop the oldest closed alarms (cleared and acknowledged) first
+function trimAlarmLog(log) {
+    let excess = log.length - CONFIG.ALARMS.MAX_EVENTS;
+
+    for (let i = 0; i < log.length && excess > 0; i++) {
+        if (log[i].clearedAt !== null && log[i].acknowledgedAt !== null) {
+            log.splice(i--, 1);
+            excess--;
+        }
+    }
+    if (excess > 0) log.splice(0, excess);
+}
+
+// ========================================
+// OPERATOR ACTIONS
+// ========================================
+function findAlarm(id) {
+    return getAlarmLog().find(alarm => alarm.id === id);
+}
+
+function acknowledgeAlarm(id) {
+    const alarm = findAlarm(id);
+    if (!alarm || alarm.acknowledgedAt !== null) return;
+
+    alarm.acknowledgedAt = Date.now();
+    saveAlarmLog();
+    console.log(`✔️ Alarm ${alarm.rule} on ${alarm.vehicle} ${alarm.cell || 'pack'} acknowledged`);
+}
+
+function acknowledgeAllAlarms() {
+    const now = Date.now();
+    getVisibleAlarms().forEach(alarm => {
+        if (alarm.acknowledgedAt === null) alarm.acknowledgedAt = now;
+    });
+    saveAlarmLog();
+}
+
+function toggleShelveAlarm(id) {
+    const alarm = findAlarm(id);
+    if (!alarm) return;
+
+    alarm.shelvedUntil = isAlarmShelved(alarm) ? null : Date.now() + CONFIG.ALARMS.SHELVE_DURATION;
+    saveAlarmLog();
+    console.log(`🔕 Alarm ${alarm.rule} on ${alarm.vehicle} ${alarm.shelvedUntil ? 'shelved' : 'unshelved'}`);
+}
+
+function editAlarmNote(id) {
+    const alarm = findAlarm(id);
+    if (!alarm) return;
+
+    const note = prompt(`Note for ${alarm.rule} on ${alarm.vehicle} ${alarm.cell || 'pack'}:`, alarm.note);
+    if (note === null) return;
+
+    alarm.note = note.trim();
+    saveAlarmLog();
+}
+
+// ========================================
+// PERSISTENCE & EXPORT
+// ========================================
+// An alarm storm changes the log every tick and each write serializes all
+// of it, so changes are batched into one write per SAVE_DELAY
+function saveAlarmLog() {
+    if (replaySession || alarmSaveTimer !== null) return;
+    alarmSaveTimer = setTimeout(writeAlarmLog, CONFIG.ALARMS.SAVE_DELAY);
+}
+
+function writeAlarmLog() {
+    clearTimeout(alarmSaveTimer);
+    alarmSaveTimer = null;
+
+    try {
+        localStorage.setItem(CONFIG.ALARMS.STORAGE_KEY, JSON.stringify(alarmLog));
+    } catch (error) {
+        console.warn(`⚠️ Could not save alarm log: ${error.message}`);
+    }
+}
+
+function loadAlarmLog() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CONFIG.ALARMS.STORAGE_KEY) || '[]');
+        alarmLog = Array.isArray(saved) ? saved : [];
+    } catch (error) {
+        console.warn(`⚠️ Could not read saved alarm log: ${error.message}`);
+        alarmLog = [];
+    }
+
+    nextAlarmId = alarmLog.reduce((max, alarm) => Math.max(max, alarm.id), 0) + 1;
+    if (alarmLog.length > 0) {
+        console.log(`🔔 Restored ${alarmLog.length} alarm events`);
+    }
+}
+
+function formatAlarmTime(timestamp) {
+    return timestamp === null ? '' : new Date(timestamp).toISOString();
+}
+
+function alarmsToCsv(alarms) {
+    const header = 'id,vehicle,cell,rule,severity,value,raised,cleared,acknowledged,description,note';
+    const rows = alarms.map(alarm => [
+        alarm.id,
+        alarm.vehicle,
+        alarm.cell,
+        alarm.rule,
+        alarm.severity,
+        alarm.value,
+        formatAlarmTime(alarm.raisedAt),
+        formatAlarmTime(alarm.clearedAt),
+        formatAlarmTime(alarm.acknowledgedAt),
+        alarm.description,
+        alarm.note
+    ].map(toCsvValue).join(','));
+
+    return [header, ...rows].join('\n');
+}
+
+function downloadFile(name, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type: type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+function exportAlarmLog(format) {
+    const alarms = getAlarmLog();
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+    if (format === 'json') {
+        downloadFile(`thermascan-alarms-${stamp}.json`, JSON.stringify(alarms, null, 2), 'application/json');
+    } else {
+        downloadFile(`thermascan-alarms-${stamp}.csv`, alarmsToCsv(alarms), 'text/csv');
+    }
+    console.log(`💾 Exported ${alarms.length} alarm events as ${format.toUpperCase()}`);
+}
+
+// ========================================
+// ALARM PANEL
+// ========================================
+// Alarms for the vehicles in scope that pass the panel filter
+function getVisibleAlarms() {
+    const filter = document.getElementById('alarmFilter').value;
+    const vehicleIds = new Set(getScopeVehicles().map(vehicle => vehicle.id));
+    const now = Date.now();
+
+    return getAlarmLog().filter(alarm => {
+        if (!vehicleIds.has(alarm.vehicle)) return false;
+        if (filter === 'shelved') return isAlarmShelved(alarm, now);
+        if (filter === 'open') {
+            return !isAlarmShelved(alarm, now) && (alarm.clearedAt === null || alarm.acknowledgedAt === null);
+        }
+        return true;
+    });
+}
+
+function formatAlarmValue(value) {
+    return Math.abs(value) < 1 ? value.toFixed(3) : value.toFixed(1);
+}
+
+function updateAlarmPanel() {
+    const { key, direction } = alarmSort;
+    const sign = direction === 'asc' ? 1 : -1;
+    const alarms = getVisibleAlarms()
+        .sort((a, b) => ALARM_SORT_KEYS[key](a, b) * sign || b.raisedAt - a.raisedAt);
+    const now = Date.now();
+
+    const unacknowledged = getAlarmLog().filter(alarm => alarm.acknowledgedAt === null).length;
+    document.getElementById('alarmSummary').textContent =
+        `${alarms.length} shown · ${unacknowledged} unacknowledged`;
+
+    document.getElementById('alarmTableBody').innerHTML = alarms.slice(0, CONFIG.ALARMS.PANEL_ROWS).map(alarm => `
+        <tr class="alarm-row severity-${escapeHtml(alarm.severity.toLowerCase())}${alarm.clearedAt === null ? ' active' : ''}${alarm.acknowledgedAt === null ? ' unacknowledged' : ''}" data-alarm="${escapeHtml(alarm.id)}">
+            <td>${new Date(alarm.raisedAt).toLocaleTimeString()}</td>
+            <td>${escapeHtml(alarm.vehicle)}</td>
+            <td>${escapeHtml(alarm.cell || 'Pack')}</td>
+            <td title="${escapeHtml(alarm.description)}">${escapeHtml(alarm.rule)}</td>
+            <td>${formatAlarmValue(alarm.value)}</td>
+            <td><span class="alarm-severity">${escapeHtml(alarm.severity)}</span></td>
+            <td>${getAlarmState(alarm)}${alarm.clearedAt !== null ? ` · ${new Date(alarm.clearedAt).toLocaleTimeString()}` : ''}</td>
+            <td class="alarm-note">${escapeHtml(alarm.note)}</td>
+            <td class="alarm-actions">
+                <button data-action="ack"${alarm.acknowledgedAt !== null ? ' disabled' : ''}>Ack</button>
+                <button data-action="shelve">${isAlarmShelved(alarm, now) ? 'Unshelve' : 'Shelve'}</button>
+                <button data-action="note">Note</button>
+            </td>
+        </tr>
+    `).join('');
+
+    document.querySelectorAll('.alarm-table th[data-sort]').forEach(th => {
+        th.classList.toggle('sorted', th.dataset.sort === alarmSort.key);
+        th.dataset.direction = th.dataset.sort === alarmSort.key ? alarmSort.direction : '';
+    });
+}
+
+function setAlarmSort(key) {
+    if (alarmSort.key === key) {
+        alarmSort.direction = alarmSort.direction === 'asc' ? 'desc' : 'asc';
+    } else {
+        alarmSort = { key: key, direction: key === 'time' || key === 'severity' || key === 'state' ? 'desc' : 'asc' };
+    }
+    updateAlarmPanel();
+}
+
+function setupAlarmControls() {
+    document.querySelectorAll('.alarm-table th[data-sort]').forEach(th => {
+        th.addEventListener('click', () => setAlarmSort(th.dataset.sort));
+    });
+
+    document.getElementById('alarmFilter').addEventListener('change', updateAlarmPanel);
+
+    document.getElementById('alarmTableBody').addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        const id = Number(button.closest('.alarm-row').dataset.alarm);
+        if (button.dataset.action === 'ack') acknowledgeAlarm(id);
+        else if (button.dataset.action === 'shelve') toggleShelveAlarm(id);
+        else if (button.dataset.action === 'note') editAlarmNote(id);
+        updateAlarmPanel();
+    });
+
+    document.getElementById('alarmAckAll').addEventListener('click', () => {
+        acknowledgeAllAlarms();
+        updateAlarmPanel();
+    });
+    document.getElementById('alarmExportCsv').addEventListener('click', () => exportAlarmLog('csv'));
+    document.getElementById('alarmExportJson').addEventListener('click', () => exportAlarmLog('json'));
+
+    // Flush a pending save before the page goes away
+    window.addEventListener('pagehide', () => {
+        if (alarmSaveTimer !== null) writeAlarmLog();
+    });
+}
@@ -0,0 +1,218 @@
+// ========================================
+// THERMASCAN - Cell Balancing
+// Imbalance Analysis, Balancing Plans & Passive/Active Balancer Simulation
+// ========================================
+
+const BALANCING_MODES = {
+    off: 'Off',
+    passive: 'Passive (bleed)',
+    active: 'Active (transfer)'
+};
+
+// SoC deviation bins (percentage points from the pack mean) for the histogram
+const BALANCE_BINS = [
+    { label: '<-10', max: -10 },
+    { label: '-10', max: -5 },
+    { label: '-5', max: -2 },
+    { label: '-2', max: -0.5 },
+    { label: '±0.5', max: 0.5 },
+    { label: '+2', max: 2 },
+    { label: '+5', max: 5 },
+    { label: '+10', max: 10 },
+    { label: '>10', max: Infinity }
+];
+
+// ========================================
+// IMBALANCE ANALYSIS
+// ========================================
+// Spread statistics and, for each balancing strategy, which cells it would
+// bleed or charge and how long and how much energy it would take. Balancing
+// works on SoC: terminal voltage also carries each cell's IR drop under load.
+// Cells that do not report SoC have a NaN deviation and no action.
+function analyzeBalance(vehicle) {
+    const cells = vehicle.cells;
+    const socs = getReportedValues(cells, 'soc');
+    const voltages = getReportedValues(cells, 'voltage');
+    const meanSoc = getMean(socs);
+    const minSoc = getMin(socs);
+
+    const deviations = cells.map(cell => cell.soc - meanSoc);
+    const reported = deviations.filter(Number.isFinite);
+    const histogram = BALANCE_BINS.map(() => 0);
+    reported.forEach(deviation => {
+        histogram[BALANCE_BINS.findIndex(bin => deviation < bin.max)]++;
+    });
+
+    return {
+        socSpread: getMax(socs) - minSoc,
+        socStd: Math.sqrt(getMean(reported.map(d => d * d))),
+        voltageSpread: getMax(voltages) - getMin(voltages),
+        meanSoc: meanSoc,
+        deviations: deviations,
+        histogram: histogram,
+        passive: planPassiveBalancing(cells, minSoc),
+        active: planActiveBalancing(cells, meanSoc)
+    };
+}
+
+// Passive balancing bleeds every cell above the weakest one through a resistor
+function planPassiveBalancing(cells, targetSoc) {
+    const { TOLERANCE, PASSIVE_CURRENT } = CONFIG.BALANCING;
+    const actions = cells.map(cell => (cell.soc - targetSoc > TOLERANCE ? 'bleed' : null));
+    const excessAh = cells.map((cell, i) =>
+        actions[i] ? (cell.soc - targetSoc) / 100 * getCellCapacityAh(cell) : 0);
+
+    return {
+        targetSoc: targetSoc,
+        actions: actions,
+        hours: Math.max(...excessAh) / PASSIVE_CURRENT,
+        // Bled charge is dissipated as heat
+        energyWh: excessAh.reduce((sum, ah, i) => sum + ah * cells[i].voltage, 0)
+    };
+}
+
+// Active balancing moves charge from cells above the mean to cells below it
+function planActiveBalancing(cells, targetSoc) {
+    const { TOLERANCE, ACTIVE_CURRENT, ACTIVE_EFFICIENCY } = CONFIG.BALANCING;
+    const actions = cells.map(cell => {
+        if (cell.soc - targetSoc > TOLERANCE) return 'bleed';
+        if (targetSoc - cell.soc > TOLERANCE) return 'charge';
+        return null;
+    });
+    const chargeAh = cells.map((cell, i) =>
+        actions[i] ? Math.abs(cell.soc - targetSoc) / 100 * getCellCapacityAh(cell) : 0);
+    const movedWh = chargeAh.reduce((sum, ah, i) =>
+        actions[i] === 'bleed' ? sum + ah * cells[i].voltage : sum, 0);
+
+    return {
+        targetSoc: targetSoc,
+        actions: actions,
+        // Receiving cells are charged at most at the balancer current, after conversion losses
+        hours: Math.max(...chargeAh.map((ah, i) =>
+            actions[i] === 'charge' ? ah / ACTIVE_EFFICIENCY : ah)) / ACTIVE_CURRENT,
+        energyWh: movedWh,
+        lossWh: movedWh * (1 - ACTIVE_EFFICIENCY)
+    };
+}
+
+// ========================================
+// BALANCER SIMULATION
+// ========================================
+// Balancing current for each cell of a pack (A, positive = drawn from the
+// cell), applied by BatteryCell.update() on top of the pack current
+function getBalancingCurrents(vehicle) {
+    const cells = vehicle.cells;
+    const { TOLERANCE, PASSIVE_CURRENT, ACTIVE_CURRENT, ACTIVE_EFFICIENCY, TIME_FACTOR } = CONFIG.BALANCING;
+    const currents = new Array(cells.length).fill(0);
+
+    cells.forEach(cell => { cell.balancing = null; });
+    if (vehicle.balancing === 'off') return currents;
+
+    const socs = cells.map(cell => cell.soc);
+
+    if (vehicle.balancing === 'passive') {
+        const target = Math.min(...socs);
+        cells.forEach((cell, i) => {
+            if (cell.soc - target > TOLERANCE) {
+                currents[i] = PASSIVE_CURRENT * TIME_FACTOR;
+                cell.balancing = 'bleed';
+            }
+        });
+        return currents;
+    }
+
+    const target = socs.reduce((a, b) => a + b, 0) / socs.length;
+    const donors = cells.filter(cell => cell.soc - target > TOLERANCE);
+    const receivers = cells.filter(cell => target - cell.soc > TOLERANCE);
+    if (donors.length === 0 || receivers.length === 0) return currents;
+
+    // Charge delivered is limited by whichever side saturates first
+    const delivered = Math.min(receivers.length * ACTIVE_CURRENT, donors.length * ACTIVE_CURRENT * ACTIVE_EFFICIENCY);
+    cells.forEach((cell, i) => {
+        if (cell.soc - target > TOLERANCE) {
+            currents[i] = delivered / ACTIVE_EFFICIENCY / donors.length * TIME_FACTOR;
+            cell.balancing = 'bleed';
+        } else if (target - cell.soc > TOLERANCE) {
+            currents[i] = -delivered / receivers.length * TIME_FACTOR;
+            cell.balancing = 'charge';
+        }
+    });
+    return currents;
+}
+
+function setBalancingMode(vehicle, mode) {
+    vehicle.balancing = mode;
+    vehicle.cells.forEach(cell => { cell.balancing = null; });
+    console.log(`⚖️ ${vehicle.id} balancing: ${BALANCING_MODES[mode]}`);
+}
+
+// Blue for cells below the pack mean, orange for cells above it
+function getBalanceColor(deviation) {
+    const strength = Math.min(1, Math.abs(deviation) / 10);
+    const hue = deviation < 0 ? 210 : 30;
+    return `hsl(${hue}, ${Math.round(20 + 70 * strength)}%, ${Math.round(60 - 15 * strength)}%)`;
+}
+
+// ========================================
+// BALANCING PANEL
+// ========================================
+function formatBalanceHours(hours) {
+    if (hours === 0) return 'Balanced';
+    return hours < 1 ? `${Math.round(hours * 60)} min` : `${hours.toFixed(1)} h`;
+}
+
+function updateBalancePanel() {
+    if (viewScope !== 'vehicle') return;
+
+    const vehicle = selectedVehicle;
+    const analysis = analyzeBalance(vehicle);
+    const { passive, active } = analysis;
+
+    document.getElementById('balanceSocSpread').textContent = formatReading(analysis.socSpread, 1, '%');
+    document.getElementById('balanceSocStd').textContent = formatReading(analysis.socStd, 2, '%');
+    document.getElementById('balanceVoltageSpread').textContent = formatReading(analysis.voltageSpread * 1000, 0, ' mV');
+    document.getElementById('balancePassive').textContent =
+        `${formatBalanceHours(passive.hours)} · ${formatReading(passive.energyWh, 0, ' Wh')} bled`;
+    document.getElementById('balanceActive').textContent =
+        `${formatBalanceHours(active.hours)} · ${formatReading(active.energyWh, 0, ' Wh')} moved, ${formatReading(active.lossWh, 0, ' Wh')} lost`;
+
+    // Only the simulator has a balancer to drive
+    const modeSelect = document.getElementById('balancingMode');
+    modeSelect.value = vehicle.balancing;
+    modeSelect.disabled = Boolean(replaySession) || !(telemetrySource instanceof SimulatorSource);
+
+    // Cells furthest from the mean, with what the selected (or passive) plan does to them
+    const plan = vehicle.balancing === 'active' ? active : passive;
+    const ranked = vehicle.cells
+        .map((cell, i) => ({ cell: cell, deviation: analysis.deviations[i], action: plan.actions[i] }))
+        .filter(({ deviation }) => Number.isFinite(deviation))
+        .sort((a, b) => Math.abs(b.deviation) - Math.abs(a.deviation))
+        .slice(0, CONFIG.BALANCING.RANKED_CELLS);
+
+    document.getElementById('balanceTableBody').innerHTML = ranked.map(({ cell, deviation, action }) => `
+        <tr class="${cell.balancing ? 'balancing' : ''}">
+            <td>${escapeHtml(cell.id)}</td>
+            <td>${cell.soc.toFixed(1)}%</td>
+            <td>${deviation >= 0 ? '+' : ''}${deviation.toFixed(1)}%</td>
+            <td>${formatReading(cell.voltage, 3, 'V')}</td>
+            <td><span class="balance-action ${action || 'none'}">${action ? action.toUpperCase() : 'OK'}</span></td>
+        </tr>
+    `).join('');
+
+    const chart = charts.balanceChart;
+    chart.data.datasets[0].data = analysis.histogram;
+    chart.update('none');
+}
+
+function setupBalanceControls() {
+    const modeSelect = document.getElementById('balancingMode');
+    modeSelect.innerHTML = Object.entries(BALANCING_MODES)
+        .map(([key, label]) => `<option value="${key}">${label}</option>`)
+        .join('');
+
+    modeSelect.addEventListener('change', () => {
+        if (!selectedVehicle) return;
+        setBalancingMode(selectedVehicle, modeSelect.value);
+        updateBalancePanel();
+    });
+}
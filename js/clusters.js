@@ -0,0 +1,66 @@
+// ========================================
+// THERMASCAN - Thermal Cluster Display
+// Grid Outlines & Cluster Panel
+// ========================================
+
+// ========================================
+// CLUSTER DISPLAY
+// ========================================
+function formatClusterPosition(centroid) {
+    return `R${(centroid.row + 1).toFixed(1)} C${(centroid.col + 1).toFixed(1)}`;
+}
+
+// Bounding-box outlines over the pack grid, one per cluster
+function renderClusterOutlines(vehicle) {
+    const gridContainer = document.getElementById('batteryGrid');
+    gridContainer.querySelectorAll('.cluster-outline').forEach(element => element.remove());
+
+    vehicle.clusters.forEach(cluster => {
+        const rows = cluster.cells.map(index => vehicle.cells[index].row);
+        const cols = cluster.cells.map(index => vehicle.cells[index].col);
+
+        const outline = document.createElement('div');
+        outline.className = `cluster-outline${cluster.escalation ? ' escalated' : ''}`;
+        outline.style.gridRow = `${Math.min(...rows) + 1} / ${Math.max(...rows) + 2}`;
+        outline.style.gridColumn = `${Math.min(...cols) + 1} / ${Math.max(...cols) + 2}`;
+        outline.innerHTML = `<span class="cluster-outline-label">${cluster.id} · ${cluster.size}</span>`;
+        gridContainer.appendChild(outline);
+    });
+}
+
+function updateClusterPanel() {
+    const list = document.getElementById('clusterList');
+    const entries = getScopeVehicles().flatMap(vehicle =>
+        vehicle.clusters.map(cluster => ({ vehicle: vehicle, cluster: cluster })));
+
+    entries.sort((a, b) =>
+        (b.cluster.escalation ? 1 : 0) - (a.cluster.escalation ? 1 : 0) || b.cluster.size - a.cluster.size);
+
+    document.getElementById('clusterCount').textContent = entries.length;
+
+    if (entries.length === 0) {
+        list.innerHTML = '<div class="cluster-empty">No active thermal clusters</div>';
+        return;
+    }
+
+    list.innerHTML = entries.map(({ vehicle, cluster }) => `
+        <div class="cluster-item${cluster.escalation ? ' escalated' : ''}" data-vehicle="${escapeHtml(vehicle.id)}">
+            <div class="cluster-item-header">
+                <span>${escapeHtml(vehicle.id)} · ${escapeHtml(cluster.id)}</span>
+                <span>${cluster.size} cells</span>
+            </div>
+            <div class="cluster-item-stats">
+                Peak ${cluster.peakTemp.toFixed(1)}°C · Mean ${cluster.meanTemp.toFixed(1)}°C<br>
+                Centroid ${formatClusterPosition(cluster.centroid)} · ${cluster.growthRate >= 0 ? '+' : ''}${cluster.growthRate.toFixed(1)} cells/min
+            </div>
+            ${cluster.escalation ? `<div class="cluster-item-escalation">▲ ${escapeHtml(cluster.escalation.reason)}</div>` : ''}
+        </div>
+    `).join('');
+}
+
+function setupClusterPanel() {
+    document.getElementById('clusterList').addEventListener('click', (e) => {
+        const item = e.target.closest('.cluster-item');
+        if (item) openVehicle(item.dataset.vehicle);
+    });
+}
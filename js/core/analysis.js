@@ -0,0 +1,278 @@
+// ========================================
+// THERMASCAN - Analysis
+// Detection Passes, Anomaly Events, Metrics & Batch Log Analysis
+// ========================================
+
+// The files in js/core/ hold the DOM-free analytics: the dashboard loads them
+// as plain scripts before its own, and js/core/index.js loads the same files
+// for Node (the CLI in tools/ and the tests in test/). Nothing here reads the
+// page, the data source or the clock; callers pass the time in.
+
+// Build the pack layout and the anomaly rules the core works against
+function initializeCore(definition = DEFAULT_PACK_DEFINITION) {
+    packTopology = buildPackTopology(definition);
+    anomalyRules = buildAnomalyRules();
+}
+
+// ========================================
+// DETECTION
+// ========================================
+// Track thermal clusters, evaluate the anomaly rules, diagnose the faults
+// behind them and estimate the pack state of one pack at time now (ms);
+// timeScale is seconds of cell time per second of timestamps
+function analyzePack(vehicle, now, timeScale) {
+    trackClusters(vehicle, now, timeScale);
+    evaluatePackRules(vehicle, now, timeScale);
+    vehicle.diagnoses = diagnosePack(vehicle, now);
+    vehicle.packState = estimatePackState(vehicle.cells);
+}
+
+// ========================================
+// ANOMALY EVENTS
+// ========================================
+// An anomaly event is one occurrence of a rule firing on a cell, a pack or a
+// thermal cluster, from raise to clear:
+// { vehicle, cell, rule, description, severity, value, raisedAt, clearedAt }
+
+function getAlarmKey(vehicleId, cellId, ruleId) {
+    return `${vehicleId}|${cellId || 'PACK'}|${ruleId}`;
+}
+
+// Record raise and clear events by comparing the rules firing now with the
+// events still open in the log. Returns the events raised and cleared.
+function updateAnomalyEvents(log, vehicles, now) {
+    const open = new Map(log
+        .filter(event => event.clearedAt === null)
+        .map(event => [getAlarmKey(event.vehicle, event.cell, event.rule), event]));
+    const raised = [];
+
+    const raise = (vehicle, cell, rule) => {
+        const key = getAlarmKey(vehicle.id, cell && cell.id, rule.id);
+        if (open.delete(key)) return;
+
+        const event = {
+            vehicle: vehicle.id,
+            cell: cell ? cell.id : null,
+            rule: rule.id,
+            description: rule.description,
+            severity: rule.severity,
+            value: rule.value,
+            raisedAt: now,
+            clearedAt: null
+        };
+        log.push(event);
+        raised.push(event);
+    };
+
+    vehicles.forEach(vehicle => {
+        vehicle.cells.forEach(cell => cell.activeRules.forEach(rule => raise(vehicle, cell, rule)));
+        vehicle.activeRules.forEach(rule => raise(vehicle, null, rule));
+        vehicle.clusters.forEach(cluster => {
+            getClusterAlarms(cluster).forEach(alarm => raise(vehicle, { id: `Cluster ${cluster.id}` }, alarm));
+        });
+    });
+
+    // Whatever is still open no longer fires
+    const cleared = [...open.values()];
+    cleared.forEach(event => { event.clearedAt = now; });
+
+    return { raised: raised, cleared: cleared };
+}
+
+// ========================================
+// METRICS
+// ========================================
+// Cells no source has reported are left out, and so is any quantity none of
+// them reports: its figures are NaN
+function calculatePackStats(cells, now) {
+    const reported = cells.filter(cell => cell.reported);
+    const temps = getReportedValues(reported, 'temperature');
+
+    return {
+        avgTemp: getMean(temps),
+        maxTemp: getMax(temps),
+        minTemp: getMin(temps),
+        avgSoc: getMean(getReportedValues(reported, 'soc')),
+        avgSoh: getMean(getReportedValues(reported, 'soh')),
+        warningCells: reported.filter(cell => cell.anomalyStatus === 'WARNING').length,
+        faultyCells: reported.filter(cell => cell.anomalyStatus === 'CRITICAL').length,
+        staleCells: reported.filter(cell => cell.isStale(now)).length,
+        reportedCells: reported.length
+    };
+}
+
+// Cell statistics across the given vehicles, with pack voltage and current
+// averaged over the packs that report them and the number of packs in
+// critical state
+function calculateVehicleMetrics(vehicles, now) {
+    const stats = calculatePackStats(vehicles.flatMap(vehicle => vehicle.cells), now);
+
+    const electrical = vehicles.map(vehicle => getPackElectrical(vehicle.cells));
+    stats.packVoltage = getMean(electrical.map(e => e.voltage).filter(Number.isFinite));
+    stats.packCurrent = getMean(electrical.map(e => e.current).filter(Number.isFinite));
+    stats.vehiclesCritical = vehicles.filter(vehicle => vehicle.getSummary(now).status === 'CRITICAL').length;
+
+    return stats;
+}
+
+// ========================================
+// CORRELATION
+// ========================================
+// Means and sums of squared deviations of paired samples
+function getPairedMoments(xs, ys) {
+    const n = xs.length;
+    const meanX = xs.reduce((a, b) => a + b, 0) / n;
+    const meanY = ys.reduce((a, b) => a + b, 0) / n;
+    let sxx = 0;
+    let syy = 0;
+    let sxy = 0;
+    for (let i = 0; i < n; i++) {
+        sxx += (xs[i] - meanX) ** 2;
+        syy += (ys[i] - meanY) ** 2;
+        sxy += (xs[i] - meanX) * (ys[i] - meanY);
+    }
+    return { n, meanX, meanY, sxx, syy, sxy };
+}
+
+// Pearson correlation coefficient, or null when either side has no variance
+function getCorrelation(xs, ys) {
+    if (xs.length < 2) return null;
+    const { sxx, syy, sxy } = getPairedMoments(xs, ys);
+    return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null;
+}
+
+// Least-squares line y = intercept + slope · x, with each sample's residual
+// in units of the residual standard deviation. Null below 3 samples or when
+// x has no variance.
+function fitLinearRegression(xs, ys) {
+    if (xs.length < 3) return null;
+    const { n, meanX, meanY, sxx, syy, sxy } = getPairedMoments(xs, ys);
+    if (sxx === 0) return null;
+
+    const slope = sxy / sxx;
+    const intercept = meanY - slope * meanX;
+    const residuals = xs.map((x, i) => ys[i] - (intercept + slope * x));
+    const sse = residuals.reduce((sum, r) => sum + r * r, 0);
+    const residualStd = Math.sqrt(sse / (n - 2));
+
+    return {
+        slope: slope,
+        intercept: intercept,
+        r2: syy > 0 ? 1 - sse / syy : 1,
+        residualStd: residualStd,
+        standardized: residuals.map(r => residualStd > 0 ? r / residualStd : 0)
+    };
+}
+
+// ========================================
+// LOG ANALYSIS
+// ========================================
+// A fleet rebuilt from the vehicle ids a log names, its cells holding only
+// what the log reports, and the log's readings for cells of that fleet
+// grouped into frames
+function buildLogFleet(readings) {
+    if (readings.length === 0) throw new Error('Log contains no cell readings');
+
+    readings.forEach(reading => {
+        if (!reading.vehicle) reading.vehicle = REPLAY_DEFAULT_VEHICLE;
+    });
+
+    const vehicleIds = [...new Set(readings.map(reading => reading.vehicle))].sort();
+    const vehicles = vehicleIds.map(createUnreportedVehicle);
+
+    const known = readings.filter(reading => {
+        const vehicle = vehicles.find(v => v.id === reading.vehicle);
+        return vehicle.getCell(reading.id);
+    });
+    if (known.length === 0) {
+        throw new Error(`None of the ${readings.length} log readings match cells of the pack layout`);
+    }
+
+    return {
+        vehicles: vehicles,
+        frames: buildReplayFrames(known),
+        readings: known.length,
+        skipped: readings.length - known.length
+    };
+}
+
+// Thermal clusters seen over a whole log, one entry per tracked cluster id
+function recordClusterSightings(sightings, vehicle, now) {
+    vehicle.clusters.forEach(cluster => {
+        const key = `${vehicle.id}|${cluster.id}`;
+        let sighting = sightings.get(key);
+        if (!sighting) {
+            sighting = {
+                vehicle: vehicle.id, id: cluster.id, firstSeen: now, lastSeen: now,
+                maxSize: 0, peakTemp: -Infinity, cells: [], escalations: []
+            };
+            sightings.set(key, sighting);
+        }
+
+        sighting.lastSeen = now;
+        sighting.peakTemp = Math.max(sighting.peakTemp, cluster.peakTemp);
+        if (cluster.size > sighting.maxSize) {
+            sighting.maxSize = cluster.size;
+            sighting.cells = cluster.cells.map(index => vehicle.cells[index].id);
+        }
+        if (cluster.escalation && cluster.escalation.at === now) {
+            sighting.escalations.push({ at: now, reason: cluster.escalation.reason });
+        }
+    });
+}
+
+// Replay a log's readings through detection frame by frame, as the dashboard's
+// replay does, and collect the anomaly events, the thermal clusters, the
+// charge sessions, and the fault diagnoses and metrics at the end of the log.
+// Recorded logs run in real time (timeScale 1). Figures the log does not
+// give (a pack state without SoC, SoH, resistance and temperature for every
+// series group, cycles without pack current) are NaN.
+function analyzeReadings(readings) {
+    const { vehicles, frames, readings: used, skipped } = buildLogFleet(readings);
+    const events = [];
+    const sightings = new Map();
+
+    frames.forEach(frame => {
+        frame.readings.forEach(reading => {
+            const cell = vehicles.find(v => v.id === reading.vehicle).getCell(reading.id);
+            applyReading(cell, reading, frame.timestamp);
+        });
+
+        vehicles.forEach(vehicle => {
+            trackSession(vehicle, frame.timestamp, 1);
+            analyzePack(vehicle, frame.timestamp, 1);
+            recordClusterSightings(sightings, vehicle, frame.timestamp);
+        });
+        recordSessionAnomalies(vehicles, updateAnomalyEvents(events, vehicles, frame.timestamp).raised);
+    });
+
+    const end = frames[frames.length - 1].timestamp;
+
+    return {
+        start: frames[0].timestamp,
+        end: end,
+        frames: frames.length,
+        readings: used,
+        skipped: skipped,
+        events: events,
+        clusters: [...sightings.values()],
+        sessions: vehicles.flatMap(getVehicleSessions),
+        diagnoses: vehicles.flatMap(vehicle => vehicle.diagnoses),
+        fleet: calculateVehicleMetrics(vehicles, end),
+        packs: vehicles.map(vehicle => {
+            const state = vehicle.packState;
+            return Object.assign(
+                { vehicle: vehicle.id, status: vehicle.getSummary(end).status, cells: vehicle.cells.length },
+                calculatePackStats(vehicle.cells, end),
+                getPackElectrical(vehicle.cells),
+                {
+                    usableSoc: state ? state.usableSoc : NaN,
+                    energyKwh: state ? state.energyKwh : NaN,
+                    dischargeCurrent: state ? state.dischargeCurrent : NaN,
+                    chargeCurrent: state ? state.chargeCurrent : NaN,
+                    cycles: vehicle.session ? vehicle.cycles : NaN
+                }
+            );
+        })
+    };
+}
@@ -0,0 +1,145 @@
+// ========================================
+// THERMASCAN - Rolling Baselines & Runaway Risk
+// Temperature Rise Rate, Pack Outliers & Thermal Runaway Precursors
+// ========================================
+
+// Quantities compared against the rest of the pack
+const OUTLIER_FIELDS = ['temperature', 'voltage', 'resistance'];
+
+// ========================================
+// PACK STATISTICS
+// ========================================
+function getMedian(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Mean/standard deviation and median/median-absolute-deviation of one
+// quantity across a pack
+function computeBaseline(values) {
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / values.length;
+    const median = getMedian(values);
+
+    return {
+        mean: mean,
+        std: Math.sqrt(variance),
+        median: median,
+        mad: getMedian(values.map(value => Math.abs(value - median)))
+    };
+}
+
+// Over the cells that report each quantity; NaN throughout for one none does
+function computePackBaselines(cells) {
+    const baselines = {};
+    OUTLIER_FIELDS.forEach(field => {
+        baselines[field] = computeBaseline(getReportedValues(cells, field));
+    });
+    return baselines;
+}
+
+// Deviation of one value from its pack baseline. 'mean' is the relative
+// deviation from the pack average, 'zscore' the classic standard score and
+// 'mad' the modified z-score (0.6745 × deviation / MAD), which a few hot
+// cells cannot drag along the way they drag the mean.
+function getOutlierScore(value, baseline, method, field) {
+    if (method === 'mean') {
+        return Math.abs(value - baseline.mean) / baseline.mean;
+    }
+    if (method === 'zscore') {
+        return Math.abs(value - baseline.mean) / Math.max(baseline.std, CONFIG.DETECTION.SPREAD_FLOOR[field]);
+    }
+
+    // A tightly matched pack has a MAD near zero; the floor keeps sensor
+    // noise from counting as an outlier
+    return 0.6745 * Math.abs(value - baseline.median) / Math.max(baseline.mad, CONFIG.DETECTION.SPREAD_FLOOR[field]);
+}
+
+// ========================================
+// PER-CELL ROLLING BASELINE
+// ========================================
+// Least-squares slope of the cell's recent temperatures, in °C per minute
+// of cell time; timeScale is seconds of cell time per second of timestamps
+function getRiseRate(samples, timeScale) {
+    if (samples.length < 2) return 0;
+
+    const span = samples[samples.length - 1].time - samples[0].time;
+    if (span < CONFIG.DETECTION.RATE_MIN_SPAN) return 0;
+
+    const t0 = samples[0].time;
+    const meanT = samples.reduce((sum, s) => sum + (s.time - t0), 0) / samples.length;
+    const meanY = samples.reduce((sum, s) => sum + s.temperature, 0) / samples.length;
+    let numerator = 0;
+    let denominator = 0;
+    samples.forEach(s => {
+        numerator += (s.time - t0 - meanT) * (s.temperature - meanY);
+        denominator += (s.time - t0 - meanT) * (s.time - t0 - meanT);
+    });
+
+    return denominator > 0 ? numerator / denominator * 60000 / timeScale : 0;
+}
+
+function recordTemperatureSample(cell, now) {
+    const samples = cell.tempSamples;
+    if (!Number.isFinite(cell.temperature)) return;
+
+    // Several evaluations at the same instant keep only the latest value
+    if (samples.length > 0 && samples[samples.length - 1].time === now) {
+        samples.pop();
+    }
+    samples.push({ time: now, temperature: cell.temperature });
+
+    while (samples.length > 0 && now - samples[0].time > CONFIG.DETECTION.RATE_WINDOW) {
+        samples.shift();
+    }
+}
+
+// ========================================
+// RUNAWAY RISK
+// ========================================
+// Weighted blend of the precursors, each scaled to 0..1, as a 0-100 score.
+// A precursor the cell does not report adds nothing.
+function computeRunawayRisk(cell) {
+    const { RISK_WEIGHTS, RATE_CRITICAL, OUTLIER_SCALE } = CONFIG.DETECTION;
+    const { NORMAL_MAX, CRITICAL } = CONFIG.TEMP_THRESHOLDS;
+    const clamp = (value) => Number.isFinite(value) ? Math.max(0, Math.min(1, value)) : 0;
+
+    const components = {
+        riseRate: clamp(cell.riseRate / RATE_CRITICAL),
+        temperature: clamp((cell.temperature - NORMAL_MAX) / (CRITICAL - NORMAL_MAX)),
+        temperatureOutlier: clamp(cell.outliers.temperature / OUTLIER_SCALE),
+        resistanceOutlier: clamp(cell.outliers.resistance / OUTLIER_SCALE),
+        voltageOutlier: clamp(cell.outliers.voltage / OUTLIER_SCALE)
+    };
+
+    return 100 * Object.keys(RISK_WEIGHTS)
+        .reduce((sum, key) => sum + RISK_WEIGHTS[key] * components[key], 0);
+}
+
+// Refresh rise rate, outlier scores and risk for every cell of a pack
+function updateCellBaselines(cells, baselines, now, timeScale) {
+    cells.forEach(cell => {
+        recordTemperatureSample(cell, now);
+        cell.riseRate = getRiseRate(cell.tempSamples, timeScale);
+
+        cell.outliers = {};
+        OUTLIER_FIELDS.forEach(field => {
+            cell.outliers[field] = getOutlierScore(cell[field], baselines[field], CONFIG.DETECTION.OUTLIER_METHOD, field);
+        });
+
+        cell.riskScore = computeRunawayRisk(cell);
+    });
+}
+
+function resetCellBaseline(cell) {
+    cell.tempSamples = [];
+    cell.riseRate = 0;
+    cell.riskScore = 0;
+}
+
+// Green (no risk) through yellow to red (imminent)
+function getRiskColor(score) {
+    const hue = 120 * (1 - Math.max(0, Math.min(100, score)) / 100);
+    return `hsl(${hue}, 85%, 45%)`;
+}
@@ -0,0 +1,155 @@
+// ========================================
+// THERMASCAN - Chemistry Profiles
+// Voltage Window, OCV Curve, Temperature Limits & Detection Thresholds
+// ========================================
+
+// Each profile sets the limits CONFIG would otherwise hardcode for one cell
+// chemistry: the terminal voltage window, the open-circuit voltage against
+// SoC (%), temperature class boundaries (°C; a cell is warned above
+// ELEVATED_MAX and critical above CRITICAL), the voltage deviation and SoH
+// thresholds, current derating against temperature, and the color scales of
+// the temperature and voltage heatmap layers.
+const CHEMISTRY_PROFILES = {
+    NMC: {
+        label: 'NMC',
+        MIN_VOLTAGE: 3.0,
+        MAX_VOLTAGE: 4.2,
+        COOL_MAX: 28,
+        NORMAL_MAX: 40,
+        ELEVATED_MAX: 45,
+        CRITICAL: 55,
+        VOLTAGE_DEVIATION: 0.1,
+        SOH_CRITICAL: 70,
+        OCV_CURVE: [
+            [0, 3.00], [5, 3.30], [10, 3.45], [20, 3.55], [30, 3.62], [40, 3.67],
+            [50, 3.72], [60, 3.79], [70, 3.87], [80, 3.95], [90, 4.06], [100, 4.20]
+        ],
+        DISCHARGE_DERATING: [[-20, 0.3], [0, 0.7], [10, 1], [45, 1], [55, 0.4], [60, 0]],
+        CHARGE_DERATING: [[0, 0], [10, 0.5], [15, 1], [45, 1], [50, 0.4], [55, 0]],
+        TEMP_RANGE: [20, 60],
+        VOLTAGE_RANGE: 100      // mV either side of the pack mean
+    },
+    // Flat OCV plateau: voltage says little about SoC between 20 and 90%, so
+    // a much smaller deviation already means a problem. More heat tolerant.
+    LFP: {
+        label: 'LFP',
+        MIN_VOLTAGE: 2.5,
+        MAX_VOLTAGE: 3.65,
+        COOL_MAX: 28,
+        NORMAL_MAX: 45,
+        ELEVATED_MAX: 50,
+        CRITICAL: 60,
+        VOLTAGE_DEVIATION: 0.03,
+        SOH_CRITICAL: 70,
+        OCV_CURVE: [
+            [0, 2.50], [5, 3.00], [10, 3.20], [20, 3.25], [30, 3.28], [40, 3.29],
+            [50, 3.30], [60, 3.31], [70, 3.32], [80, 3.33], [90, 3.35], [100, 3.65]
+        ],
+        DISCHARGE_DERATING: [[-20, 0.3], [0, 0.7], [10, 1], [50, 1], [60, 0.4], [65, 0]],
+        CHARGE_DERATING: [[0, 0], [10, 0.5], [15, 1], [50, 1], [55, 0.4], [60, 0]],
+        TEMP_RANGE: [20, 65],
+        VOLTAGE_RANGE: 30
+    },
+    // Close to NMC electrically, with less thermal margin
+    NCA: {
+        label: 'NCA',
+        MIN_VOLTAGE: 2.7,
+        MAX_VOLTAGE: 4.2,
+        COOL_MAX: 28,
+        NORMAL_MAX: 38,
+        ELEVATED_MAX: 43,
+        CRITICAL: 50,
+        VOLTAGE_DEVIATION: 0.1,
+        SOH_CRITICAL: 70,
+        OCV_CURVE: [
+            [0, 2.70], [5, 3.20], [10, 3.38], [20, 3.50], [30, 3.58], [40, 3.64],
+            [50, 3.70], [60, 3.78], [70, 3.86], [80, 3.95], [90, 4.06], [100, 4.20]
+        ],
+        DISCHARGE_DERATING: [[-20, 0.3], [0, 0.7], [10, 1], [43, 1], [50, 0.4], [55, 0]],
+        CHARGE_DERATING: [[0, 0], [10, 0.5], [15, 1], [40, 1], [45, 0.4], [50, 0]],
+        TEMP_RANGE: [20, 55],
+        VOLTAGE_RANGE: 100
+    }
+};
+
+// The limits a custom profile may change; the rest comes from its base
+const CHEMISTRY_LIMITS = [
+    'MIN_VOLTAGE', 'MAX_VOLTAGE', 'COOL_MAX', 'NORMAL_MAX', 'ELEVATED_MAX', 'CRITICAL',
+    'VOLTAGE_DEVIATION', 'SOH_CRITICAL'
+];
+
+// ========================================
+// PROFILES
+// ========================================
+// A built-in profile, or with name 'CUSTOM' the given limits over the
+// profile named by custom.base
+function getChemistryProfile(name, custom = {}) {
+    if (name !== 'CUSTOM') {
+        if (!CHEMISTRY_PROFILES[name]) throw new Error(`Unknown chemistry: ${name}`);
+        return CHEMISTRY_PROFILES[name];
+    }
+
+    const base = CHEMISTRY_PROFILES[custom.base] || CHEMISTRY_PROFILES.NMC;
+    const profile = Object.assign({}, base, { label: `Custom (${base.label})` });
+    CHEMISTRY_LIMITS.forEach(key => {
+        if (custom[key] !== undefined) profile[key] = custom[key];
+    });
+    return profile;
+}
+
+// Problems with a set of limits, as messages; empty when they can be used
+function validateChemistryLimits(limits) {
+    const errors = [];
+    const invalid = CHEMISTRY_LIMITS.filter(key => typeof limits[key] !== 'number' || !isFinite(limits[key]));
+    if (invalid.length > 0) return invalid.map(key => `${key} must be a number`);
+
+    if (limits.MIN_VOLTAGE < 1.5 || limits.MAX_VOLTAGE > 5) {
+        errors.push('Voltage limits must lie within 1.5–5 V');
+    }
+    if (limits.MIN_VOLTAGE >= limits.MAX_VOLTAGE) {
+        errors.push('Min voltage must be below max voltage');
+    }
+    if (!(limits.COOL_MAX < limits.NORMAL_MAX && limits.NORMAL_MAX < limits.ELEVATED_MAX &&
+        limits.ELEVATED_MAX < limits.CRITICAL)) {
+        errors.push('Temperature thresholds must rise: cool < normal < warning < critical');
+    }
+    if (limits.COOL_MAX < -20 || limits.CRITICAL > 100) {
+        errors.push('Temperature thresholds must lie within -20–100°C');
+    }
+    if (limits.VOLTAGE_DEVIATION <= 0 || limits.VOLTAGE_DEVIATION > 0.5) {
+        errors.push('Voltage deviation must be above 0 and at most 50%');
+    }
+    if (limits.SOH_CRITICAL < 0 || limits.SOH_CRITICAL >= 100) {
+        errors.push('SoH end of life must be from 0 to below 100%');
+    }
+
+    return errors;
+}
+
+// Copy a profile's limits into CONFIG. Anomaly rules capture their
+// thresholds when built, so callers switching at runtime use setChemistry().
+function applyChemistry(name, profile) {
+    CONFIG.CHEMISTRY = name;
+    CONFIG.VOLTAGE_LIMITS = { MIN: profile.MIN_VOLTAGE, MAX: profile.MAX_VOLTAGE };
+    CONFIG.TEMP_THRESHOLDS = {
+        COOL_MAX: profile.COOL_MAX,
+        NORMAL_MAX: profile.NORMAL_MAX,
+        ELEVATED_MAX: profile.ELEVATED_MAX,
+        WARNING_MAX: profile.CRITICAL,
+        CRITICAL: profile.CRITICAL
+    };
+    CONFIG.VOLTAGE_DEVIATION = profile.VOLTAGE_DEVIATION;
+    CONFIG.SOH_CRITICAL = profile.SOH_CRITICAL;
+    CONFIG.OCV_CURVE = profile.OCV_CURVE;
+    CONFIG.ESTIMATION.DISCHARGE_DERATING = profile.DISCHARGE_DERATING;
+    CONFIG.ESTIMATION.CHARGE_DERATING = profile.CHARGE_DERATING;
+    CONFIG.COLOR_SCALES = { TEMPERATURE: profile.TEMP_RANGE, VOLTAGE_DEVIATION: profile.VOLTAGE_RANGE };
+}
+
+function setChemistry(name, custom) {
+    applyChemistry(name, getChemistryProfile(name, custom));
+    anomalyRules = buildAnomalyRules();
+}
+
+// CONFIG starts out with the limits of its default chemistry
+applyChemistry(CONFIG.CHEMISTRY, getChemistryProfile(CONFIG.CHEMISTRY));
@@ -0,0 +1,173 @@
+// ========================================
+// THERMASCAN - Thermal Cluster Tracking
+// Connected-Component Labeling, Stable Ids & Escalation
+// ========================================
+
+// A tracked cluster:
+// { id, cells (indices), size, peakTemp, meanTemp, centroid: { row, col },
+//   growthRate (cells/min), firstSeen, sizeHistory, escalationSize, escalation }
+
+// ========================================
+// CONNECTED-COMPONENT LABELING
+// ========================================
+// Hot cells joined through physically adjacent positions (8-connectivity)
+function labelHotRegions(cells) {
+    const hot = cells.map(cell => cell.temperature >= CONFIG.TEMP_THRESHOLDS.ELEVATED_MAX);
+    const visited = new Array(cells.length).fill(false);
+    const regions = [];
+
+    cells.forEach((_, start) => {
+        if (!hot[start] || visited[start]) return;
+
+        const region = [];
+        const stack = [start];
+        visited[start] = true;
+
+        while (stack.length > 0) {
+            const index = stack.pop();
+            region.push(index);
+            getNeighbors(index).forEach(n => {
+                if (hot[n] && !visited[n]) {
+                    visited[n] = true;
+                    stack.push(n);
+                }
+            });
+        }
+
+        regions.push(region.sort((a, b) => a - b));
+    });
+
+    return regions;
+}
+
+// ========================================
+// TRACKING ACROSS TICKS
+// ========================================
+function createCluster(vehicle, now) {
+    return {
+        id: `C${vehicle.nextClusterId++}`,
+        cells: [],
+        size: 0,
+        firstSeen: now,
+        sizeHistory: [],
+        escalationSize: 0,
+        escalation: null
+    };
+}
+
+function updateClusterStats(cluster, cells, indices, now, timeScale) {
+    const temps = indices.map(index => cells[index].temperature);
+    const { GROWTH_WINDOW } = CONFIG.CLUSTERS;
+
+    cluster.cells = indices;
+    cluster.size = indices.length;
+    cluster.peakTemp = Math.max(...temps);
+    cluster.meanTemp = temps.reduce((a, b) => a + b, 0) / temps.length;
+    cluster.centroid = {
+        row: indices.reduce((sum, index) => sum + cells[index].row, 0) / indices.length,
+        col: indices.reduce((sum, index) => sum + cells[index].col, 0) / indices.length
+    };
+
+    // Growth in cells per minute of cell time over the recent window
+    cluster.sizeHistory.push({ time: now, size: cluster.size });
+    while (now - cluster.sizeHistory[0].time > GROWTH_WINDOW) {
+        cluster.sizeHistory.shift();
+    }
+    const oldest = cluster.sizeHistory[0];
+    const minutes = (now - oldest.time) / 60000 * timeScale;
+    cluster.growthRate = minutes > 0 ? (cluster.size - oldest.size) / minutes : 0;
+}
+
+function escalateCluster(cluster, reason, now) {
+    cluster.escalation = { reason: reason, at: now };
+    cluster.escalationSize = cluster.size;
+    console.log(`🔥 Thermal cluster ${cluster.id} escalated: ${reason}`);
+}
+
+// Label this tick's hot regions and match them to the previous tick's clusters
+// by shared cells. A region continues the largest cluster it overlaps; if it
+// overlaps several, they merged. A cluster that split continues in the region
+// holding most of its cells, and the rest become new clusters.
+function trackClusters(vehicle, now, timeScale) {
+    const cells = vehicle.cells;
+    const regions = labelHotRegions(cells).filter(region => region.length >= CONFIG.CLUSTERS.MIN_SIZE);
+
+    const owner = new Map();
+    vehicle.clusters.forEach(cluster => cluster.cells.forEach(index => owner.set(index, cluster)));
+
+    const candidates = regions.map(region => {
+        const overlaps = new Map();
+        region.forEach(index => {
+            const previous = owner.get(index);
+            if (previous) overlaps.set(previous, (overlaps.get(previous) || 0) + 1);
+        });
+        return { region: region, overlaps: overlaps };
+    });
+
+    // Each previous cluster is claimed by the region sharing most of its cells
+    const claimedBy = new Map();
+    candidates.forEach(candidate => {
+        candidate.overlaps.forEach((count, previous) => {
+            const current = claimedBy.get(previous);
+            if (!current || count > current.overlaps.get(previous)) claimedBy.set(previous, candidate);
+        });
+    });
+
+    vehicle.clusters = candidates.map(candidate => {
+        const inherited = [...candidate.overlaps.keys()]
+            .filter(previous => claimedBy.get(previous) === candidate)
+            .sort((a, b) => b.size - a.size || a.firstSeen - b.firstSeen);
+
+        const cluster = inherited[0] || createCluster(vehicle, now);
+        const isNew = inherited.length === 0;
+        updateClusterStats(cluster, cells, candidate.region, now, timeScale);
+
+        if (isNew) {
+            cluster.escalationSize = cluster.size;
+        } else if (inherited.length > 1) {
+            escalateCluster(cluster, `merged ${inherited.map(previous => previous.id).join(' + ')}`, now);
+        } else if (cluster.size >= cluster.escalationSize + CONFIG.CLUSTERS.ESCALATE_GROWTH) {
+            escalateCluster(cluster, `grew from ${cluster.escalationSize} to ${cluster.size} cells`, now);
+        } else if (cluster.escalation && now - cluster.escalation.at >= CONFIG.CLUSTERS.GROWTH_WINDOW &&
+                   cluster.growthRate <= 0) {
+            // A cluster that has not grown for a whole growth window is no
+            // longer escalating; further growth past escalationSize escalates it again
+            cluster.escalation = null;
+            console.log(`🧊 Thermal cluster ${cluster.id} stopped escalating`);
+        }
+
+        return cluster;
+    });
+
+    cells.forEach(cell => { cell.clusterId = null; });
+    vehicle.clusters.forEach(cluster => {
+        cluster.cells.forEach(index => { cells[index].clusterId = cluster.id; });
+    });
+}
+
+function resetClusters(vehicle) {
+    vehicle.clusters = [];
+    vehicle.nextClusterId = 1;
+    vehicle.cells.forEach(cell => { cell.clusterId = null; });
+}
+
+// Alarm entries for a vehicle's clusters, in the same shape as firing rules
+function getClusterAlarms(cluster) {
+    const alarms = [{
+        id: 'THERMAL_CLUSTER',
+        description: `${cluster.size} connected cells ≥ ${CONFIG.TEMP_THRESHOLDS.ELEVATED_MAX}°C`,
+        severity: 'CRITICAL',
+        value: cluster.size
+    }];
+
+    if (cluster.escalation) {
+        alarms.push({
+            id: 'CLUSTER_ESCALATION',
+            description: `Cluster ${cluster.escalation.reason}`,
+            severity: 'CRITICAL',
+            value: cluster.size
+        });
+    }
+
+    return alarms;
+}
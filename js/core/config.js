@@ -0,0 +1,167 @@
+// ========================================
+// THERMASCAN - Configuration
+// Thresholds & Settings Shared by the Dashboard and the CLI
+// ========================================
+
+const CONFIG = {
+    FLEET_SIZE: 12,             // Number of vehicles in the fleet
+    SEED: null,                 // Simulation seed; null picks a new one every session
+    UPDATE_INTERVAL: 2000,      // Update charts every 2 seconds
+    FAULT_INTERVAL: 3000,       // Simulate fault every 3 seconds
+    // Cell chemistry (see js/core/chemistry.js). Its profile fills in
+    // VOLTAGE_LIMITS, TEMP_THRESHOLDS, VOLTAGE_DEVIATION, SOH_CRITICAL,
+    // OCV_CURVE, COLOR_SCALES and ESTIMATION's current derating
+    CHEMISTRY: 'NMC',
+    DETECTION: {
+        RATE_WINDOW: 10000,     // Rise rate is fitted over the last 10 seconds
+        RATE_MIN_SPAN: 4000,    // ...once at least 4 seconds of samples exist
+        RATE_WARNING: 10,       // °C/min
+        RATE_CRITICAL: 30,      // °C/min, full weight in the risk score
+        OUTLIER_METHOD: 'mad',  // 'mad' (robust) or 'zscore'
+        OUTLIER_THRESHOLD: 3.5, // Modified z-score above which a cell is an outlier
+        OUTLIER_SCALE: 7,       // Outlier score given full weight in the risk score
+        SPREAD_FLOOR: { temperature: 0.5, voltage: 0.05, resistance: 0.2 }, // Smallest spread used for scores
+        RISK_WEIGHTS: {
+            riseRate: 0.35,
+            temperature: 0.25,
+            temperatureOutlier: 0.2,
+            resistanceOutlier: 0.1,
+            voltageOutlier: 0.1
+        },
+        RISK_WARNING: 40,       // Runaway risk scores that raise a warning...
+        RISK_CRITICAL: 60       // ...and a critical alarm
+    },
+    CLUSTERS: {
+        MIN_SIZE: 3,            // Connected hot cells that make a thermal cluster
+        GROWTH_WINDOW: 30000,   // Growth rate is measured over the last 30 seconds
+        ESCALATE_GROWTH: 2      // Cells a cluster must gain to escalate again
+    },
+    DIAGNOSTICS: {
+        SENSOR_RANGE: { temperature: [-40, 125], voltage: [0, 5] }, // Readings a sensor can plausibly report
+        STUCK_WINDOW: 30000,    // A reading unchanged for 30 seconds...
+        STUCK_PACK_CHANGE: { temperature: 0.2, voltage: 0.005 }, // ...while the typical cell moved this much is stuck
+        SOC_IMBALANCE: 10,      // SoC points off the pack median that explain a voltage outlier
+        ISOLATED_MARGIN: 3,     // °C the hottest cell of a warm region must lead the next by to be its only source
+        COOLING_OFFSET: 3,      // °C above the pack median that counts as warm along a cooling channel
+        COOLING_SHARE: 0.75,    // Share of a row, column or module that must run warm
+        PANEL_ROWS: 20          // Diagnoses listed in the panel
+    },
+    DEGRADATION: {
+        CYCLE_FADE: 0.01,       // SoH lost per equivalent full cycle at 25°C, in %
+        CALENDAR_FADE: 0.005,   // SoH lost per day at rest at 25°C, in %
+        ACTIVATION_TEMP: 3700,  // Arrhenius Ea/R in K: fade doubles about every 15°C
+        DOD_STRESS: 1.5,        // Extra fade for charge moved at low SoC
+        RESISTANCE_GROWTH: 3,   // Resistance rise in % per 1% of capacity lost
+        AGING_FACTOR: 50        // Simulated cells age 50x faster so fade shows within a session
+    },
+    PROGNOSTICS: {
+        SAMPLE_INTERVAL: 10000, // SoH is sampled for trends every 10 seconds
+        HISTORY_SAMPLES: 120,   // ...keeping the last 120 samples per cell
+        MIN_SAMPLES: 6,         // Samples needed before the trend replaces the model
+        MIN_CYCLE_SPAN: 1,      // ...spanning at least one equivalent full cycle
+        MODEL_UNCERTAINTY: 0.3, // ±30% band on model-based estimates
+        PROJECTION_POINTS: 25,  // Points in the projected SoH chart
+        LIMITING_CELLS: 5       // Life-limiting cells listed in the panel
+    },
+    BALANCING: {
+        TOLERANCE: 0.5,         // SoC deviation (%) a balancer leaves alone
+        PASSIVE_CURRENT: 0.5,   // Bleed current per cell in A
+        ACTIVE_CURRENT: 5,      // Transfer current per cell in A
+        ACTIVE_EFFICIENCY: 0.9, // Share of transferred charge that reaches the receiving cell
+        TIME_FACTOR: 20,        // Simulated balancers run 20x faster so convergence shows within minutes
+        RANKED_CELLS: 10        // Cells listed in the balancing panel
+    },
+    HISTORY: {
+        DB_NAME: 'thermascan-history',
+        DB_VERSION: 1,
+        // Each tier downsamples to its resolution (0 = every sample) and keeps
+        // data for its retention period
+        TIERS: [
+            { name: 'raw', resolution: 0, retention: 15 * 60000 },
+            { name: '10s', resolution: 10000, retention: 2 * 3600000 },
+            { name: '1m', resolution: 60000, retention: 24 * 3600000 },
+            { name: '10m', resolution: 600000, retention: 7 * 86400000 }
+        ],
+        RANGES: { '5m': 5 * 60000, '1h': 3600000, '24h': 24 * 3600000 },
+        MAX_POINTS: 1500,       // Points drawn per chart series
+        MIN_SPAN: 20000,        // Narrowest zoom window
+        PRUNE_INTERVAL: 60000   // Expired records are deleted once a minute
+    },
+    INSPECTOR: {
+        MAX_PINNED: 4,          // Cells pinned side by side; pinning another drops the oldest
+        EVENTS: 8               // Anomaly events listed per pinned cell
+    },
+    RENDER: {
+        RENDERER: 'auto',       // Pack grid: 'dom', 'canvas' or 'auto' by cell count
+        CANVAS_THRESHOLD: 400,  // 'auto' draws packs with more cells than this on canvas
+        MAX_PITCH: 64,          // Largest canvas cell spacing in px
+        MIN_PITCH: 6,           // Fleet map packs wrap to keep cells at least this far apart
+        TILE_GAP: 14            // Space between packs on the fleet map in px
+    },
+    CORRELATION: {
+        OUTLIER_RESIDUAL: 2.5,  // Cells further than 2.5σ from the trend line are listed
+        MAX_OUTLIERS: 8         // Off-trend cells listed under the correlation matrix
+    },
+    TELEMETRY: {
+        STALE_AFTER: 10000,     // Cell data older than 10 seconds is stale
+        RECONNECT_BASE: 1000,   // First reconnect attempt after 1 second
+        RECONNECT_MAX: 30000,   // Backoff is capped at 30 seconds
+        MAX_QUEUE: 50000        // Readings buffered between update ticks
+    },
+    REPLAY: {
+        FRAME_WINDOW: 500,      // Readings within 500ms are replayed as one frame
+        MAX_FRAME_DELAY: 5000,  // Long gaps in a log wait at most 5 seconds
+        SCRUB_INTERVAL: 250,    // Seeks while dragging the scrubber run at most every 250ms
+        SPEEDS: [1, 2, 5, 10, 25, 50]
+    },
+    ALARMS: {
+        MAX_EVENTS: 2000,       // Alarm events kept in the log
+        PANEL_ROWS: 200,        // Rows rendered in the alarm panel
+        SHELVE_DURATION: 3600000, // Shelved alarms are hidden for 1 hour
+        SAVE_DELAY: 2000,       // Alarm log changes are written at most every 2 seconds
+        STORAGE_KEY: 'thermascan.alarms'
+    },
+    SETTINGS: {
+        MIN_UPDATE_INTERVAL: 100,   // Update loop bounds in the settings panel, ms (10 Hz at most)
+        MAX_UPDATE_INTERVAL: 60000,
+        MIN_FAULT_INTERVAL: 1000,   // Random fault interval bounds, ms
+        MAX_FAULT_INTERVAL: 600000,
+        STORAGE_KEY: 'thermascan.settings'
+    },
+    NOTIFICATIONS: {
+        DEDUP_WINDOW: 300000,   // An alarm re-raised within 5 minutes is not sent again
+        RATE_LIMIT: 10,         // Messages per channel per window; the rest are counted as suppressed
+        RATE_WINDOW: 60000,
+        MQTT_KEEPALIVE: 60,     // Seconds; the publisher pings at half this interval
+        MAX_QUEUE: 100,         // MQTT messages held while the broker is unreachable
+        STORAGE_KEY: 'thermascan.notifications'
+    },
+    SESSIONS: {
+        REST_C_RATE: 0.05,      // Pack current within ±0.05C is rest
+        MIN_DURATION: 120,      // Seconds of cell time a new state must last to open a session
+        MAX_SESSIONS: 50,       // Finished sessions kept per vehicle
+        PANEL_ROWS: 30          // Sessions listed in the panel
+    },
+    ESTIMATION: {
+        MIN_SOC: 5,             // Usable window: discharge ends when the emptiest series group reaches 5%...
+        MAX_SOC: 100,           // ...and charge when the fullest reaches 100%
+        MAX_DISCHARGE_C: 3,     // Cell current caps as multiples of capacity
+        MAX_CHARGE_C: 1,
+        ENERGY_STEPS: 10,       // OCV samples when integrating the remaining energy
+        CONSUMPTION: 180        // Wh/km for the range estimate
+    },
+    PHYSICS: {
+        TIME_SCALE: 10,         // Simulated seconds per real second
+        SUBSTEP: 5,             // Integration step in simulated seconds
+        CELL_CAPACITY_AH: 50,   // Nominal cell capacity at 100% SoH
+        THERMAL_MASS: 1000,     // Cell heat capacity in J/K
+        COOLING_COEFF: 2.0,     // Heat transfer to coolant in W/K
+        CONDUCTANCE: 0.5,       // Heat transfer to each neighbor in W/K
+        MODULE_CONDUCTANCE: 0.1,// Heat transfer to a neighbor across a module wall
+        COOLANT_TEMP: 30,       // Coolant inlet temperature in °C
+        SOC_CUTOFF: 5,          // Discharge stops when the weakest cell reaches 5%
+        RECHARGE_C_RATE: 0.5,   // Slow recharge after a discharge cutoff
+        RECHARGE_TARGET: 90,    // Resume the load profile at 90% SoC
+        DEFAULT_PROFILE: 'drive'
+    }
+};
@@ -0,0 +1,399 @@
+// ========================================
+// THERMASCAN - Fault Diagnostics
+// Fault Classification & Root-Cause Hints
+// ========================================
+
+// The rules tell that a cell or pack is abnormal; a diagnosis tells what is
+// most likely wrong, from the pattern of abnormal cells, their neighbors and
+// their recent readings:
+// { vehicle, type, region, cells (ids), confidence (0..1), severity,
+//   evidence, action }
+//
+// Each cell is explained by one diagnosis at most. The types claim cells in
+// the order below, so a hot cell whose sensor is stuck is a sensor fault, and
+// the cells of a warm cooling channel are not reported as a cluster as well.
+const FAULT_TYPES = {
+    SENSOR_FAULT: { label: 'Suspected sensor fault' },
+    COOLING_CHANNEL: { label: 'Cooling channel issue' },
+    PROPAGATING_CLUSTER: { label: 'Propagating thermal cluster' },
+    ISOLATED_OVERHEAT: { label: 'Isolated overheating' },
+    HIGH_RESISTANCE: { label: 'High internal resistance' },
+    VOLTAGE_IMBALANCE: { label: 'Voltage imbalance' }
+};
+
+const SENSOR_FIELDS = {
+    temperature: { label: 'Temperature', format: (value) => `${value.toFixed(1)}°C` },
+    voltage: { label: 'Voltage', format: (value) => `${value.toFixed(3)} V` }
+};
+
+function clampUnit(value) {
+    return Math.max(0, Math.min(1, value));
+}
+
+// ========================================
+// SENSOR SAMPLES
+// ========================================
+// The cell's readings over the stuck-sensor window. The oldest sample kept is
+// the newest one at least STUCK_WINDOW old, so a full history spans the window.
+function recordSensorSample(cell, now) {
+    const samples = cell.sensorSamples;
+
+    if (samples.length > 0 && samples[samples.length - 1].time === now) {
+        samples.pop();
+    }
+    samples.push({ time: now, temperature: cell.temperature, voltage: cell.voltage });
+
+    while (samples.length > 1 && now - samples[1].time >= CONFIG.DIAGNOSTICS.STUCK_WINDOW) {
+        samples.shift();
+    }
+}
+
+// How far each reading moved over the window, or null until the cell has
+// been sampled for a whole window
+function getSensorMovement(cell, now) {
+    const samples = cell.sensorSamples;
+    if (samples.length < 2 || now - samples[0].time < CONFIG.DIAGNOSTICS.STUCK_WINDOW) return null;
+
+    const movement = {};
+    Object.keys(SENSOR_FIELDS).forEach(field => {
+        const values = samples.map(sample => sample[field]);
+        movement[field] = Math.max(...values) - Math.min(...values);
+    });
+    return movement;
+}
+
+function resetCellDiagnostics(cell) {
+    cell.sensorSamples = [];
+}
+
+// ========================================
+// CLASSIFIERS
+// ========================================
+// Each returns { confidence, severity, evidence, action }, or null when the
+// pattern does not fit
+
+// A reading that stopped, froze or cannot be physical. pack.movement is how
+// far the typical fresh cell moved over the stuck window.
+function diagnoseSensorFault(cell, pack, now) {
+    const { SENSOR_RANGE, STUCK_PACK_CHANGE } = CONFIG.DIAGNOSTICS;
+
+    if (cell.isStale(now)) {
+        if (!pack.anyFresh) return null;
+        const silence = cell.lastUpdate === null
+            ? 'No reading yet'
+            : `No reading for ${Math.round((now - cell.lastUpdate) / 1000)} s`;
+        return {
+            confidence: 0.8,
+            severity: 'WARNING',
+            evidence: `${silence} while the rest of the pack reports`,
+            action: 'Check the sensor harness and the link to the monitoring board'
+        };
+    }
+
+    // A field the cell does not report is NaN and has nothing to judge
+    const implausible = Object.keys(SENSOR_FIELDS).find(field => {
+        const [min, max] = SENSOR_RANGE[field];
+        return cell[field] < min || cell[field] > max;
+    });
+    if (implausible) {
+        const { label, format } = SENSOR_FIELDS[implausible];
+        const value = format(cell[implausible]);
+        return {
+            confidence: 0.95,
+            severity: 'WARNING',
+            evidence: `${label} reads ${value}, outside the range a sensor can report`,
+            action: 'Replace or recalibrate the sensor; treat the cell as unmonitored until then'
+        };
+    }
+
+    const movement = getSensorMovement(cell, now);
+    if (!movement || !pack.movement) return null;
+
+    const stuck = Object.keys(SENSOR_FIELDS).find(field =>
+        Number.isFinite(cell[field]) && movement[field] === 0 && pack.movement[field] >= STUCK_PACK_CHANGE[field]);
+    if (!stuck) return null;
+
+    const { label, format } = SENSOR_FIELDS[stuck];
+    const packChange = pack.movement[stuck] / STUCK_PACK_CHANGE[stuck];
+    return {
+        confidence: Math.min(0.9, 0.5 + 0.1 * packChange),
+        severity: 'WARNING',
+        evidence: `${label} has read ${format(cell[stuck])} for ${CONFIG.DIAGNOSTICS.STUCK_WINDOW / 1000} s ` +
+            `while the typical cell moved ${format(pack.movement[stuck])}`,
+        action: 'Replace or recalibrate the sensor; treat the cell as unmonitored until then'
+    };
+}
+
+// Rows, columns and modules where most cells run warm against the pack, as a
+// blocked or starved coolant channel along a row or column, or a module's
+// failed cold plate, leaves them. A channel holds its warm cells.
+const COOLING_LINES = [
+    { key: 'row', name: (row) => `Row ${row + 1}`, where: (row) => `along row ${row + 1}` },
+    { key: 'col', name: (col) => `Column ${col + 1}`, where: (col) => `along column ${col + 1}` },
+    { key: 'module', name: (module) => `Module ${module}`, where: (module) => `in module ${module}` }
+];
+
+function findCoolingChannels(cells, candidates, median) {
+    const { COOLING_OFFSET, COOLING_SHARE } = CONFIG.DIAGNOSTICS;
+    const channels = [];
+
+    COOLING_LINES.forEach(line => {
+        const groups = new Map();
+        candidates.forEach(index => {
+            const position = cells[index][line.key];
+            if (!groups.has(position)) groups.set(position, []);
+            groups.get(position).push(index);
+        });
+
+        groups.forEach((indices, position) => {
+            indices = indices.filter(index => Number.isFinite(cells[index].temperature));
+            if (indices.length < 3) return;
+            const warm = indices.filter(index => cells[index].temperature >= median + COOLING_OFFSET);
+            const share = warm.length / indices.length;
+            if (share < COOLING_SHARE) return;
+
+            channels.push({
+                name: line.name(position),
+                where: line.where(position),
+                cells: warm,
+                size: indices.length,
+                share: share,
+                offset: getMedian(indices.map(index => cells[index].temperature)) - median
+            });
+        });
+    });
+
+    return channels;
+}
+
+function diagnoseCoolingChannel(channel, cells) {
+    const { COOLING_OFFSET, COOLING_SHARE } = CONFIG.DIAGNOSTICS;
+    const peak = Math.max(...channel.cells.map(index => cells[index].temperature));
+
+    return {
+        confidence: Math.min(0.95, 0.4 + 0.4 * channel.share +
+            0.1 * clampUnit((channel.share - COOLING_SHARE) / (1 - COOLING_SHARE)) +
+            0.1 * clampUnit((channel.offset - COOLING_OFFSET) / COOLING_OFFSET)),
+        severity: peak >= CONFIG.TEMP_THRESHOLDS.CRITICAL ? 'CRITICAL' : 'WARNING',
+        evidence: `${channel.name} runs ${channel.offset.toFixed(1)}°C above the pack median, ` +
+            `${channel.cells.length} of ${channel.size} cells warm`,
+        action: `Check coolant flow, blockages and thermal pad contact ${channel.where}`
+    };
+}
+
+// Connected hot cells: heat spreading from cell to cell, the pattern that
+// precedes thermal runaway of a module
+function diagnoseCluster(cluster, cells) {
+    const { MIN_SIZE } = CONFIG.CLUSTERS;
+    const rising = cluster.cells.some(index => cells[index].riseRate >= CONFIG.DETECTION.RATE_WARNING);
+    const growing = cluster.growthRate > 0 || Boolean(cluster.escalation);
+
+    let evidence = `${cluster.size} connected cells ≥ ${CONFIG.TEMP_THRESHOLDS.ELEVATED_MAX}°C, peak ${cluster.peakTemp.toFixed(1)}°C`;
+    if (cluster.growthRate > 0) evidence += `, growing ${cluster.growthRate.toFixed(1)} cells/min`;
+    if (rising) evidence += ', still heating';
+
+    return {
+        confidence: Math.min(0.95, 0.7 + Math.min(0.1, 0.05 * (cluster.size - MIN_SIZE)) +
+            (growing ? 0.1 : 0) + (rising ? 0.05 : 0)),
+        severity: 'CRITICAL',
+        evidence: evidence,
+        action: 'Stop charging and cut the load, then check coolant flow to the area and prepare the thermal event response'
+    };
+}
+
+// Hot cells outside the tracked clusters, joined through adjacent positions
+// like cluster cells. Below the cluster threshold a cell counts as hot when
+// it stands out from the rest of the pack. Each region is sorted hottest
+// first.
+function labelWarmRegions(cells, candidates, pack) {
+    const median = pack.baselines.temperature.median;
+    const hot = new Set(candidates.filter(index => {
+        const cell = cells[index];
+        return cell.temperature >= CONFIG.TEMP_THRESHOLDS.ELEVATED_MAX ||
+            (cell.outliers.temperature > CONFIG.DETECTION.OUTLIER_THRESHOLD && cell.temperature > median);
+    }));
+    const regions = [];
+
+    hot.forEach(start => {
+        const region = [start];
+        hot.delete(start);
+        for (let i = 0; i < region.length; i++) {
+            getNeighbors(region[i]).forEach(n => {
+                if (hot.delete(n)) region.push(n);
+            });
+        }
+        regions.push(region.sort((a, b) => cells[b].temperature - cells[a].temperature));
+    });
+
+    return regions;
+}
+
+// One cell well ahead of the rest of its region is the source of the heat,
+// typically an internal short or a poor tab connection, and the cells around
+// it are only warmed by it
+function diagnoseIsolatedOverheat(region, cells) {
+    const { ELEVATED_MAX, CRITICAL } = CONFIG.TEMP_THRESHOLDS;
+    const cell = cells[region[0]];
+    const neighbors = getNeighbors(region[0]).map(n => cells[n])
+        .filter(neighbor => Number.isFinite(neighbor.temperature));
+    const surrounding = neighbors.length > 0
+        ? neighbors.reduce((sum, neighbor) => sum + neighbor.temperature, 0) / neighbors.length
+        : cell.temperature;
+    const gap = cell.temperature - surrounding;
+
+    // A neighbor about as hot leaves the source in doubt
+    const rivals = region.slice(1)
+        .filter(index => cell.temperature - cells[index].temperature < CONFIG.DIAGNOSTICS.ISOLATED_MARGIN).length;
+    const warmed = region.length - 1;
+
+    let evidence = `${cell.temperature.toFixed(1)}°C, ${gap.toFixed(1)}°C above its neighbors`;
+    if (cell.riseRate >= CONFIG.DETECTION.RATE_WARNING) evidence += `, rising ${cell.riseRate.toFixed(1)}°C/min`;
+    if (warmed > 0) evidence += `, warming ${warmed} neighbor${warmed > 1 ? 's' : ''}`;
+
+    return {
+        confidence: Math.max(0.3, 0.5 + 0.4 * clampUnit(gap / 15) - 0.15 * Math.min(2, rivals)),
+        severity: cell.temperature >= CRITICAL ? 'CRITICAL' : 'WARNING',
+        evidence: evidence,
+        action: cell.temperature >= ELEVATED_MAX
+            ? 'Reduce the load and inspect the cell for an internal short or a loose tab connection'
+            : 'Watch the cell under load and check it for an internal short or a loose tab connection'
+    };
+}
+
+// Several comparably hot cells below the cluster threshold: heat spreading
+// that has not yet formed a cluster, or one that is cooling off
+function diagnoseWarmRegion(region, cells, pack) {
+    const peak = cells[region[0]];
+    const offset = peak.temperature - pack.baselines.temperature.median;
+    const rising = region.some(index => cells[index].riseRate >= CONFIG.DETECTION.RATE_WARNING);
+
+    let evidence = `${region.length} connected cells up to ${peak.temperature.toFixed(1)}°C, ` +
+        `${offset.toFixed(1)}°C above the pack median`;
+    if (rising) evidence += ', still heating';
+
+    return {
+        confidence: 0.55 + Math.min(0.15, 0.05 * (region.length - CONFIG.CLUSTERS.MIN_SIZE)) + (rising ? 0.15 : 0),
+        severity: peak.temperature >= CONFIG.TEMP_THRESHOLDS.CRITICAL ? 'CRITICAL' : 'WARNING',
+        evidence: evidence,
+        action: 'Reduce the load and check coolant flow to the area; a growing region becomes a thermal cluster'
+    };
+}
+
+function diagnoseHighResistance(cell, pack) {
+    const threshold = CONFIG.DETECTION.OUTLIER_THRESHOLD;
+    const median = pack.baselines.resistance.median;
+    if (!(cell.outliers.resistance > threshold && cell.resistance > median)) return null;
+
+    return {
+        confidence: 0.5 + 0.4 * clampUnit((cell.outliers.resistance - threshold) / threshold),
+        severity: 'WARNING',
+        evidence: `${cell.resistance.toFixed(2)} mΩ against a pack median of ${median.toFixed(2)} mΩ`,
+        action: 'Check the welds and busbar connections of the cell, then schedule an impedance test'
+    };
+}
+
+// A voltage apart from the pack with a normal resistance is no IR drop; a
+// matching SoC gap points at charge the cell gained or lost on its own
+function diagnoseVoltageImbalance(cell, pack) {
+    const threshold = CONFIG.DETECTION.OUTLIER_THRESHOLD;
+    const { voltage } = pack.baselines;
+    const deviation = Math.abs(cell.voltage - voltage.mean) / voltage.mean;
+    if (!(cell.outliers.voltage > threshold || deviation > CONFIG.VOLTAGE_DEVIATION)) return null;
+
+    // Without SoC readings the gap is NaN and neither adds confidence nor evidence
+    const socGap = cell.soc - pack.socMedian;
+    const low = cell.voltage < voltage.median;
+
+    let evidence = `${cell.voltage.toFixed(3)} V against a pack median of ${voltage.median.toFixed(3)} V`;
+    if (Number.isFinite(socGap)) evidence += `, SoC ${cell.soc.toFixed(1)}% against ${pack.socMedian.toFixed(1)}%`;
+
+    return {
+        confidence: 0.5 + (Math.abs(socGap) >= CONFIG.DIAGNOSTICS.SOC_IMBALANCE ? 0.25 : 0) +
+            0.2 * clampUnit((cell.outliers.voltage - threshold) / threshold),
+        severity: 'WARNING',
+        evidence: evidence,
+        action: low
+            ? 'Balance the pack and watch the cell for self-discharge'
+            : 'Balance the pack and check the balancing circuit of the cell'
+    };
+}
+
+// ========================================
+// PACK DIAGNOSIS
+// ========================================
+// Classify the abnormal cells and regions of one pack at time now (ms), most
+// severe and most certain first. Runs after the rules, whose outlier scores
+// and clusters it reads. Cells no source has reported are not diagnosed.
+function diagnosePack(vehicle, now) {
+    const cells = vehicle.cells;
+    const claimed = new Set();
+    const diagnoses = [];
+
+    const add = (type, region, indices, finding) => {
+        indices.forEach(index => claimed.add(index));
+        diagnoses.push(Object.assign({
+            vehicle: vehicle.id,
+            type: type,
+            region: region,
+            cells: indices.map(index => cells[index].id)
+        }, finding));
+    };
+
+    const unclaimed = () => cells.map((_, index) => index)
+        .filter(index => cells[index].reported && !claimed.has(index));
+
+    cells.forEach(cell => recordSensorSample(cell, now));
+
+    const fresh = cells.filter(cell => cell.reported && !cell.isStale(now));
+    const movements = fresh.map(cell => getSensorMovement(cell, now)).filter(Boolean);
+    const pack = {
+        baselines: computePackBaselines(cells),
+        socMedian: getMedian(getReportedValues(cells, 'soc')),
+        anyFresh: fresh.length > 0,
+        movement: movements.length > 0 ? {
+            temperature: getMedian(movements.map(m => m.temperature)),
+            voltage: getMedian(movements.map(m => m.voltage))
+        } : null
+    };
+
+    unclaimed().forEach(index => {
+        const finding = diagnoseSensorFault(cells[index], pack, now);
+        if (finding) add('SENSOR_FAULT', cells[index].id, [index], finding);
+    });
+
+    const candidates = unclaimed();
+    if (candidates.length === 0) return diagnoses;
+    const median = getMedian(getReportedValues(candidates.map(index => cells[index]), 'temperature'));
+
+    findCoolingChannels(cells, candidates, median).forEach(channel => {
+        const indices = channel.cells.filter(index => !claimed.has(index));
+        if (indices.length > 0) add('COOLING_CHANNEL', channel.name, indices, diagnoseCoolingChannel(channel, cells));
+    });
+
+    vehicle.clusters.forEach(cluster => {
+        const indices = cluster.cells.filter(index => !claimed.has(index));
+        if (indices.length > 0) add('PROPAGATING_CLUSTER', `Cluster ${cluster.id}`, indices, diagnoseCluster(cluster, cells));
+    });
+
+    labelWarmRegions(cells, unclaimed(), pack).forEach(region => {
+        const [first, second] = region.map(index => cells[index].temperature);
+        if (region.length >= CONFIG.CLUSTERS.MIN_SIZE && first - second < CONFIG.DIAGNOSTICS.ISOLATED_MARGIN) {
+            add('PROPAGATING_CLUSTER', `Around ${cells[region[0]].id}`, region, diagnoseWarmRegion(region, cells, pack));
+        } else {
+            // The warmed cells around the source are explained by it
+            add('ISOLATED_OVERHEAT', cells[region[0]].id, [region[0]], diagnoseIsolatedOverheat(region, cells));
+            region.forEach(index => claimed.add(index));
+        }
+    });
+
+    unclaimed().forEach(index => {
+        const cell = cells[index];
+        const resistance = diagnoseHighResistance(cell, pack);
+        if (resistance) return add('HIGH_RESISTANCE', cell.id, [index], resistance);
+        const imbalance = diagnoseVoltageImbalance(cell, pack);
+        if (imbalance) add('VOLTAGE_IMBALANCE', cell.id, [index], imbalance);
+    });
+
+    return diagnoses.sort((a, b) =>
+        STATUS_RANK[b.severity] - STATUS_RANK[a.severity] || b.confidence - a.confidence);
+}
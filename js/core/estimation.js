@@ -0,0 +1,172 @@
+// ========================================
+// THERMASCAN - Pack State Estimation
+// Usable SoC, Remaining Energy & State of Power
+// ========================================
+
+// Series groups carry the same current, so a pack can only discharge until
+// its emptiest group reaches the lower SoC limit and only charge until its
+// fullest group reaches the upper one. Usable SoC, energy and the current
+// limits all come from the groups (and cells) that get there first.
+
+// Readings a cell needs to take part in the estimate
+const ESTIMATION_FIELDS = ['soc', 'soh', 'resistance', 'temperature'];
+
+// ========================================
+// GROUP STATE
+// ========================================
+function isEstimable(cell) {
+    return ESTIMATION_FIELDS.every(field => Number.isFinite(cell[field]));
+}
+
+// Parallel cells share a voltage: a group behaves like one cell with the
+// combined capacity and conductance of those that report what the estimate
+// needs
+function getGroupStates(cells) {
+    return packTopology.groups.map((group, index) => {
+        const members = group.map(i => cells[i]).filter(isEstimable);
+        const capacity = members.reduce((sum, cell) => sum + getCellCapacityAh(cell), 0);
+        const charge = members.reduce((sum, cell) => sum + getCellCapacityAh(cell) * cell.soc / 100, 0);
+        const conductance = members.reduce((sum, cell) => sum + 1000 / cell.resistance, 0);
+
+        return {
+            index: index,
+            cells: members,
+            capacity: capacity,
+            soc: capacity > 0 ? charge / capacity * 100 : 0,
+            resistance: 1 / conductance,            // Ω
+            conductance: conductance
+        };
+    });
+}
+
+// Mean open-circuit voltage while a group goes from one SoC to another
+function getMeanOcv(fromSoc, toSoc) {
+    const steps = CONFIG.ESTIMATION.ENERGY_STEPS;
+    let sum = 0;
+    for (let i = 0; i < steps; i++) {
+        sum += getOpenCircuitVoltage(fromSoc + (toSoc - fromSoc) * (i + 0.5) / steps);
+    }
+    return sum / steps;
+}
+
+// ========================================
+// CURRENT LIMITS
+// ========================================
+// Linear interpolation in a [[x, y], ...] table, flat beyond its ends
+function interpolateTable(table, x) {
+    if (x <= table[0][0]) return table[0][1];
+    for (let i = 1; i < table.length; i++) {
+        const [x1, y1] = table[i];
+        if (x <= x1) {
+            const [x0, y0] = table[i - 1];
+            return y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+        }
+    }
+    return table[table.length - 1][1];
+}
+
+// Largest current (A) a cell takes before its terminal voltage leaves the
+// allowed window, capped by C-rate and derated by temperature
+function getCellCurrentLimits(cell) {
+    const limits = CONFIG.ESTIMATION;
+    const ocv = getOpenCircuitVoltage(cell.soc);
+    const resistance = cell.resistance / 1000;
+    const capacity = getCellCapacityAh(cell);
+
+    const { MIN, MAX } = CONFIG.VOLTAGE_LIMITS;
+
+    const discharge = Math.min((ocv - MIN) / resistance, limits.MAX_DISCHARGE_C * capacity) *
+        interpolateTable(limits.DISCHARGE_DERATING, cell.temperature);
+    const charge = Math.min((MAX - ocv) / resistance, limits.MAX_CHARGE_C * capacity) *
+        interpolateTable(limits.CHARGE_DERATING, cell.temperature);
+
+    return { discharge: Math.max(0, discharge), charge: Math.max(0, charge) };
+}
+
+// A group's current splits by conductance, so the group is limited by the
+// cell that reaches its own limit first
+function getGroupCurrentLimit(group, direction) {
+    let limit = Infinity;
+    let limitingCell = group.cells[0];
+
+    group.cells.forEach(cell => {
+        const share = (1000 / cell.resistance) / group.conductance;
+        const groupCurrent = getCellCurrentLimits(cell)[direction] / share;
+        if (groupCurrent < limit) {
+            limit = groupCurrent;
+            limitingCell = cell;
+        }
+    });
+
+    return { limit: limit, cell: limitingCell };
+}
+
+// ========================================
+// PACK STATE
+// ========================================
+function findLimitingGroup(groups, value) {
+    return groups.reduce((worst, group) => value(group) < value(worst) ? group : worst);
+}
+
+// The pack's usable SoC (%), dischargeable and chargeable charge (Ah),
+// remaining energy (kWh), current (A) and power (kW) limits, and the cells
+// behind each limit. Null when a series group has no cell reporting SoC,
+// SoH, resistance and temperature, as the pack is only as good as that group.
+function estimatePackState(cells) {
+    const { MIN_SOC, MAX_SOC } = CONFIG.ESTIMATION;
+    const groups = getGroupStates(cells);
+    if (groups.some(group => group.cells.length === 0)) return null;
+    const dischargeable = group => Math.max(0, (group.soc - MIN_SOC) / 100 * group.capacity);
+    const chargeable = group => Math.max(0, (MAX_SOC - group.soc) / 100 * group.capacity);
+
+    const emptiest = findLimitingGroup(groups, dischargeable);
+    const fullest = findLimitingGroup(groups, chargeable);
+    const dischargeAh = dischargeable(emptiest);
+    const chargeAh = chargeable(fullest);
+
+    // Usable SoC is against the full window of the smallest group, so
+    // imbalance shows up as lost SoC rather than a narrower window
+    const windowAh = Math.min(...groups.map(group => group.capacity)) * (MAX_SOC - MIN_SOC) / 100;
+
+    // Every group gives up the same charge; each at its own voltage
+    const energyWh = dischargeAh * groups.reduce((sum, group) => {
+        const endSoc = group.soc - dischargeAh / group.capacity * 100;
+        return sum + getMeanOcv(group.soc, endSoc);
+    }, 0);
+
+    const dischargeLimits = groups.map(group => getGroupCurrentLimit(group, 'discharge'));
+    const chargeLimits = groups.map(group => getGroupCurrentLimit(group, 'charge'));
+    const dischargeLimit = dischargeLimits.reduce((worst, l) => l.limit < worst.limit ? l : worst);
+    const chargeLimit = chargeLimits.reduce((worst, l) => l.limit < worst.limit ? l : worst);
+
+    // Terminal voltage at the limit current: OCV minus (or plus) the IR drop
+    const ocvSum = groups.reduce((sum, group) => sum + getOpenCircuitVoltage(group.soc), 0);
+    const resistanceSum = groups.reduce((sum, group) => sum + group.resistance, 0);
+    const dischargePower = dischargeLimit.limit * (ocvSum - dischargeLimit.limit * resistanceSum) / 1000;
+    const chargePower = chargeLimit.limit * (ocvSum + chargeLimit.limit * resistanceSum) / 1000;
+
+    const lowestCell = group => group.cells.reduce((a, b) => b.soc < a.soc ? b : a).id;
+    const highestCell = group => group.cells.reduce((a, b) => b.soc > a.soc ? b : a).id;
+
+    return {
+        usableSoc: windowAh > 0 ? Math.min(100, dischargeAh / windowAh * 100) : 0,
+        dischargeAh: dischargeAh,
+        chargeAh: chargeAh,
+        energyKwh: energyWh / 1000,
+        dischargeCurrent: dischargeLimit.limit,
+        chargeCurrent: chargeLimit.limit,
+        dischargePower: Math.max(0, dischargePower),
+        chargePower: chargePower,
+        limits: {
+            dischargeEnergy: { group: emptiest.index, cell: lowestCell(emptiest) },
+            chargeEnergy: { group: fullest.index, cell: highestCell(fullest) },
+            dischargePower: { group: dischargeLimits.indexOf(dischargeLimit), cell: dischargeLimit.cell.id },
+            chargePower: { group: chargeLimits.indexOf(chargeLimit), cell: chargeLimit.cell.id }
+        }
+    };
+}
+
+// Range in km for the remaining energy at the configured consumption
+function getEstimatedRange(energyKwh) {
+    return energyKwh * 1000 / CONFIG.ESTIMATION.CONSUMPTION;
+}
@@ -0,0 +1,59 @@
+// ========================================
+// THERMASCAN - Analytics Core for Node
+// Loads the js/core/ Scripts the Dashboard Runs in the Browser
+// ========================================
+//
+// The core files are plain browser scripts sharing one global scope, so Node
+// compiles them together into one function instead of requiring them one by
+// one. Every loadCore() call returns a fresh copy with its own pack layout,
+// rules and random generator:
+//
+//   const { loadCore } = require('./js/core');
+//   const core = loadCore();
+//   core.initializeCore(definition);
+//   const result = core.analyzeReadings(core.parseLogFile(name, text));
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// In dependency order, as in the script tags of index.html
+const CORE_FILES = [
+    'config.js', 'chemistry.js', 'topology.js', 'model.js', 'logs.js',
+    'baselines.js', 'rules.js', 'clusters.js', 'estimation.js', 'sessions.js',
+    'diagnostics.js', 'analysis.js'
+];
+
+const CORE_EXPORTS = [
+    'CONFIG', 'STATUS_RANK', 'CHEMISTRY_PROFILES', 'DEFAULT_PACK_DEFINITION', 'TELEMETRY_FIELDS',
+    'BatteryCell', 'Vehicle', 'createUnreportedVehicle',
+    'initializeCore', 'buildPackTopology', 'getNeighbors', 'getPackElectrical',
+    'getChemistryProfile', 'validateChemistryLimits', 'setChemistry',
+    'seedRandom', 'getOpenCircuitVoltage', 'getCellCapacityAh', 'getCycleFadeRate', 'applyCellAging',
+    'parseTelemetryMessage', 'parseLogFile', 'applyReading', 'buildLogFleet', 'toCsvValue', 'escapeHtml',
+    'computePackBaselines', 'getOutlierScore', 'getRiseRate',
+    'buildAnomalyRules', 'evaluateRule', 'evaluatePackRules', 'describeRule',
+    'labelHotRegions', 'trackClusters', 'analyzePack',
+    'updateAnomalyEvents', 'calculatePackStats', 'calculateVehicleMetrics', 'analyzeReadings',
+    'getCorrelation', 'fitLinearRegression',
+    'estimatePackState', 'getCellCurrentLimits', 'getEstimatedRange',
+    'trackSession', 'recordSessionAnomalies', 'getVehicleSessions', 'resetSessions',
+    'FAULT_TYPES', 'diagnosePack', 'resetCellDiagnostics'
+];
+
+// options.console receives the core's log output (cluster escalations)
+function loadCore(options = {}) {
+    const source = CORE_FILES
+        .map(file => fs.readFileSync(path.join(__dirname, file), 'utf8'))
+        .join('\n');
+
+    const factory = vm.compileFunction(
+        `${source}\nreturn { ${CORE_EXPORTS.join(', ')}, getPackTopology: () => packTopology };`,
+        ['console'],
+        { filename: path.join(__dirname, 'index.js (core files)') }
+    );
+
+    return factory(options.console || console);
+}
+
+module.exports = { loadCore, CORE_FILES };
@@ -0,0 +1,169 @@
+// ========================================
+// THERMASCAN - Telemetry Readings & Logs
+// Message Parsing, CSV/JSON Log Files & Replay Frames
+// ========================================
+
+// Numeric fields accepted from a per-cell telemetry message
+const TELEMETRY_FIELDS = ['temperature', 'voltage', 'current', 'soc', 'soh', 'resistance', 'cycles'];
+
+// Vehicle id for log readings that do not name one
+const REPLAY_DEFAULT_VEHICLE = 'LOG-001';
+
+// ========================================
+// MESSAGE PARSING
+// ========================================
+function parseTimestamp(value) {
+    if (typeof value === 'number' && isFinite(value)) return value;
+    if (typeof value === 'string' && /^\d+(\.\d+)?$/.test(value.trim())) return Number(value);
+    if (typeof value === 'string') {
+        const parsed = Date.parse(value);
+        if (!isNaN(parsed)) return parsed;
+    }
+    return Date.now();
+}
+
+function parseTelemetryMessage(data) {
+    const message = typeof data === 'string' ? JSON.parse(data) : data;
+    const entries = Array.isArray(message) ? message : (message.cells || [message]);
+
+    return entries
+        .filter(entry => entry && typeof entry.id === 'string')
+        .map(entry => {
+            const reading = {
+                vehicle: typeof entry.vehicle === 'string' ? entry.vehicle : null,
+                id: entry.id,
+                timestamp: parseTimestamp(entry.timestamp)
+            };
+
+            // Partial readings are allowed; only valid numbers are applied
+            TELEMETRY_FIELDS.forEach(field => {
+                const value = Number(entry[field]);
+                if (entry[field] !== undefined && entry[field] !== null && isFinite(value)) {
+                    reading[field] = value;
+                }
+            });
+
+            return reading;
+        });
+}
+
+function cellToReading(vehicle, cell, timestamp) {
+    const reading = { vehicle: vehicle.id, id: cell.id, timestamp: timestamp };
+    TELEMETRY_FIELDS.forEach(field => {
+        reading[field] = cell[field];
+    });
+    return reading;
+}
+
+// Write one reading's fields onto its cell
+function applyReading(cell, reading, receivedAt) {
+    TELEMETRY_FIELDS.forEach(field => {
+        if (reading[field] !== undefined) cell[field] = reading[field];
+    });
+    cell.timestamp = reading.timestamp;
+    cell.lastUpdate = receivedAt;
+    cell.reported = true;
+}
+
+// ========================================
+// LOG PARSING
+// ========================================
+function parseCsvLine(line) {
+    const values = [];
+    let value = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            values.push(value.trim());
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+
+    values.push(value.trim());
+    return values;
+}
+
+// Vehicle and cell ids come from live feeds and imported files, so every
+// panel escapes them before putting them into markup
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+function toCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function parseCsvLog(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length < 2) throw new Error('CSV log has no data rows');
+
+    const headers = parseCsvLine(lines[0]).map(header => header.toLowerCase());
+    if (!headers.includes('id')) throw new Error('CSV log needs an "id" column');
+
+    const entries = lines.slice(1).map(line => {
+        const values = parseCsvLine(line);
+        const entry = {};
+        headers.forEach((header, i) => {
+            if (values[i] !== undefined && values[i] !== '') entry[header] = values[i];
+        });
+        return entry;
+    });
+
+    return parseTelemetryMessage(entries);
+}
+
+function parseJsonLog(text) {
+    const trimmed = text.trim();
+
+    // A JSON document, or newline-delimited JSON with one message per line
+    try {
+        return parseTelemetryMessage(JSON.parse(trimmed));
+    } catch (error) {
+        return trimmed.split(/\r?\n/)
+            .filter(line => line.trim() !== '')
+            .flatMap(line => parseTelemetryMessage(line));
+    }
+}
+
+function parseLogFile(name, text) {
+    return /\.csv$/i.test(name) ? parseCsvLog(text) : parseJsonLog(text);
+}
+
+// Group readings into frames so a log with staggered per-cell timestamps
+// advances the whole pack together
+function buildReplayFrames(readings) {
+    const sorted = readings.slice().sort((a, b) => a.timestamp - b.timestamp);
+    const frames = [];
+    let frame = null;
+
+    sorted.forEach(reading => {
+        if (!frame || reading.timestamp - frame.startTime > CONFIG.REPLAY.FRAME_WINDOW) {
+            frame = { startTime: reading.timestamp, timestamp: reading.timestamp, readings: [] };
+            frames.push(frame);
+        }
+        frame.timestamp = reading.timestamp;
+        frame.readings.push(reading);
+    });
+
+    return frames;
+}
@@ -0,0 +1,301 @@
+// ========================================
+// THERMASCAN - Cell Model
+// Battery Cells, Aging, Vehicles & the Seeded Random Generator
+// ========================================
+
+// ========================================
+// SEEDED RANDOMNESS
+// ========================================
+// Every random draw of the simulation (initial cell spread, pack age, random
+// faults) comes from this generator, so one seed reproduces a whole run
+let simulationSeed = 0;         // Seed of the random generator
+let randomState = 0;
+
+function seedRandom(seed) {
+    simulationSeed = seed >>> 0;
+    randomState = simulationSeed;
+}
+
+// A seed for runs that did not ask for one, shown so the run can be repeated
+function pickRandomSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+}
+
+// mulberry32: uniform in [0, 1)
+function seededRandom() {
+    randomState = (randomState + 0x6D2B79F5) >>> 0;
+    let t = randomState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+}
+
+// ========================================
+// CELL MODEL HELPERS
+// ========================================
+// Open-circuit voltage (V) at a State of Charge (%) on the chemistry's curve
+function getOpenCircuitVoltage(soc) {
+    const curve = CONFIG.OCV_CURVE;
+    const clamped = Math.max(0, Math.min(100, soc));
+
+    for (let i = 1; i < curve.length; i++) {
+        const [soc1, v1] = curve[i];
+        if (clamped <= soc1) {
+            const [soc0, v0] = curve[i - 1];
+            return v0 + (v1 - v0) * (clamped - soc0) / (soc1 - soc0);
+        }
+    }
+
+    return curve[curve.length - 1][1];
+}
+
+// Present capacity: the nominal capacity scaled by State of Health
+function getCellCapacityAh(cell) {
+    return CONFIG.PHYSICS.CELL_CAPACITY_AH * cell.soh / 100;
+}
+
+// ========================================
+// AGING MODEL
+// ========================================
+const KELVIN = 273.15;
+
+// Arrhenius acceleration relative to 25°C: warm cells age faster
+function getAgingTemperatureFactor(temperature) {
+    const { ACTIVATION_TEMP } = CONFIG.DEGRADATION;
+    return Math.exp(ACTIVATION_TEMP * (1 / (25 + KELVIN) - 1 / (temperature + KELVIN)));
+}
+
+// Charge moved at a low State of Charge (deep discharge) stresses the cell more
+function getDepthOfDischargeFactor(soc) {
+    const depth = 1 - Math.max(0, Math.min(100, soc)) / 100;
+    return 1 + CONFIG.DEGRADATION.DOD_STRESS * depth * depth;
+}
+
+// Capacity fade in SoH percentage points per equivalent full cycle
+function getCycleFadeRate(temperature, soc) {
+    return CONFIG.DEGRADATION.CYCLE_FADE * getAgingTemperatureFactor(temperature) * getDepthOfDischargeFactor(soc);
+}
+
+// Age one cell by dt simulated seconds at the given current. Equivalent full
+// cycles count charge throughput (a full discharge plus a full charge is one
+// cycle); AGING_FACTOR ages the cell as if each second lasted that many.
+function applyCellAging(cell, current, dt) {
+    const { CALENDAR_FADE, AGING_FACTOR, RESISTANCE_GROWTH } = CONFIG.DEGRADATION;
+    const capacityAh = CONFIG.PHYSICS.CELL_CAPACITY_AH * cell.soh / 100;
+    const agedSeconds = dt * AGING_FACTOR;
+
+    const equivalentCycles = Math.abs(current) * agedSeconds / 3600 / (2 * capacityAh);
+    const cycleFade = getCycleFadeRate(cell.temperature, cell.soc) * equivalentCycles;
+    const calendarFade = CALENDAR_FADE * getAgingTemperatureFactor(cell.temperature) * agedSeconds / 86400;
+    const fade = cycleFade + calendarFade;
+
+    cell.cycles += equivalentCycles;
+    cell.soh = Math.max(0, cell.soh - fade);
+    // Resistance rises in proportion to the capacity lost
+    cell.resistance *= 1 + RESISTANCE_GROWTH * fade / 100;
+}
+
+// ========================================
+// BATTERY CELL DATA CLASS
+// ========================================
+class BatteryCell {
+    constructor(id, row, col, group, module) {
+        this.id = id;
+        this.row = row;
+        this.col = col;
+        this.group = group;             // Series group index
+        this.module = module;           // Module id
+        this.temperature = this.randomInRange(25, 35);
+        this.soc = this.randomInRange(78, 82);
+        this.voltage = getOpenCircuitVoltage(this.soc);
+        this.current = 0;
+        this.soh = this.randomInRange(80, 100);
+        this.resistance = this.randomInRange(1, 5);
+        this.cycles = Math.floor(this.randomInRange(200, 1200)); // Equivalent full cycles
+        this.sohHistory = [];           // Sparse SoH samples for the fade trend
+        this.anomalyStatus = 'NORMAL';  // Worst severity among the firing rules
+        this.activeRules = [];          // Rules currently firing on this cell
+        this.ruleState = {};            // Persistence/hysteresis state per rule
+        this.tempSamples = [];          // Recent temperatures for the rise rate
+        this.sensorSamples = [];        // Recent readings for stuck-sensor diagnosis
+        this.riseRate = 0;              // °C/min
+        this.outliers = { temperature: 0, voltage: 0, resistance: 0 };
+        this.riskScore = 0;             // Thermal runaway risk, 0-100
+        this.clusterId = null;          // Thermal cluster this cell belongs to
+        this.balancing = null;          // 'bleed' or 'charge' while the balancer works on it
+        // Faults injected by a scenario: internal short current (A), share of
+        // coolant cooling lost, and whether the cell's sensor has dropped out
+        this.injected = { shortCurrent: 0, coolingLoss: 0, dropout: false };
+        this.timestamp = Date.now();    // Time of the reading, as reported by the source
+        this.lastUpdate = Date.now();   // Time the reading was received
+        this.reported = true;           // False until a source reports the cell, see clearReadings()
+    }
+
+    // Forget the simulated starting values: a cell of a log or a live source
+    // holds only what its readings report, and every field none has set
+    // stays NaN
+    clearReadings() {
+        TELEMETRY_FIELDS.forEach(field => { this[field] = NaN; });
+        this.reported = false;
+        this.lastUpdate = null;
+    }
+
+    randomInRange(min, max) {
+        return seededRandom() * (max - min) + min;
+    }
+
+    // Advance the electro-thermal model by dt seconds at the given current
+    // (A, positive = discharge) with conductionHeat (W) from neighbor cells.
+    // balanceCurrent is drawn by the balancer; it only moves charge, as the
+    // bleed resistor or converter dissipates its heat outside the cell.
+    update(current, dt, conductionHeat, balanceCurrent = 0) {
+        const physics = CONFIG.PHYSICS;
+        const resistanceOhm = this.resistance / 1000;
+        const capacityAh = physics.CELL_CAPACITY_AH * this.soh / 100;
+
+        // Coulomb counting; an internal short drains the cell through itself
+        const shortCurrent = this.injected.shortCurrent;
+        this.current = current;
+        this.soc -= (current + balanceCurrent + shortCurrent) * dt / 3600 / capacityAh * 100;
+
+        // Joule heating, conduction to neighbors and cooling to coolant. A
+        // short dissipates all of its power inside the cell.
+        const jouleHeat = current * current * resistanceOhm;
+        const shortHeat = shortCurrent * getOpenCircuitVoltage(this.soc);
+        const coolingHeat = physics.COOLING_COEFF * (1 - this.injected.coolingLoss) *
+            (this.temperature - physics.COOLANT_TEMP);
+        this.temperature += (jouleHeat + shortHeat + conductionHeat - coolingHeat) * dt / physics.THERMAL_MASS;
+
+        // Terminal voltage is the OCV minus the IR drop
+        this.voltage = getOpenCircuitVoltage(this.soc) - current * resistanceOhm;
+
+        // Ensure bounds
+        this.voltage = Math.max(CONFIG.VOLTAGE_LIMITS.MIN, Math.min(CONFIG.VOLTAGE_LIMITS.MAX, this.voltage));
+        this.soc = Math.max(0, Math.min(100, this.soc));
+
+        // Capacity fade and resistance growth
+        applyCellAging(this, current, dt);
+    }
+
+    isStale(now) {
+        return this.lastUpdate === null || now - this.lastUpdate > CONFIG.TELEMETRY.STALE_AFTER;
+    }
+
+    getTempClass() {
+        if (this.temperature < CONFIG.TEMP_THRESHOLDS.COOL_MAX) return 'temp-cool';
+        if (this.temperature < CONFIG.TEMP_THRESHOLDS.NORMAL_MAX) return 'temp-normal';
+        if (this.temperature < CONFIG.TEMP_THRESHOLDS.ELEVATED_MAX) return 'temp-elevated';
+        if (this.temperature < CONFIG.TEMP_THRESHOLDS.WARNING_MAX) return 'temp-warning';
+        return 'temp-critical';
+    }
+}
+
+// ========================================
+// VEHICLE CLASS
+// ========================================
+const STATUS_RANK = { NORMAL: 0, WARNING: 1, CRITICAL: 2 };
+
+class Vehicle {
+    constructor(id) {
+        this.id = id;
+        this.cells = generateBatteryData();
+        this.cellIndex = new Map(this.cells.map(cell => [cell.id, cell]));
+        this.activeRules = [];          // Pack-level rules currently firing
+        this.ruleState = {};
+        this.clusters = [];             // Tracked thermal clusters
+        this.packState = null;          // Usable SoC, energy and power limits, see estimation.js
+        this.diagnoses = [];            // Classified faults with root-cause hints, see diagnostics.js
+        this.nextClusterId = 1;
+        this.sessions = [];             // Finished charge, discharge and rest sessions, see sessions.js
+        this.session = null;            // The open session
+        this.pendingSession = null;     // A change of state not yet long enough to open a session
+        this.lastSessionSample = null;
+        this.nextSessionId = 1;
+        this.cycles = 0;                // Equivalent full cycles counted from pack throughput
+        this.cellTime = 0;              // Aging time covered by the SoH history, in ms
+        this.lastDegradationSample = null;
+
+        // Simulator state: vehicles start at different points of their duty cycle
+        this.simTime = seededRandom() * 3600;
+        this.recharging = false;
+        this.balancing = 'off';         // Simulated balancer: 'off', 'passive' or 'active'
+
+        // Older packs start with lower State of Health, and each pack
+        // starts at its own State of Charge
+        const packAge = seededRandom() * 8;
+        const socOffset = seededRandom() * 45 - 30;
+        this.cells.forEach(cell => {
+            cell.soh = Math.max(0, cell.soh - packAge);
+            cell.soc += socOffset;
+            cell.voltage = getOpenCircuitVoltage(cell.soc);
+        });
+    }
+
+    // Cells a source has reported; all of them for a simulated pack
+    getReportedCells() {
+        return this.cells.filter(cell => cell.reported);
+    }
+
+    getCell(cellId) {
+        return this.cellIndex.get(cellId);
+    }
+
+    // Pack status and counts as of now (the data clock, in ms)
+    getSummary(now) {
+        const temps = getReportedValues(this.cells, 'temperature');
+        const faultCount = this.cells.filter(cell => cell.anomalyStatus === 'CRITICAL').length;
+        const warningCount = this.cells.filter(cell => cell.anomalyStatus === 'WARNING').length;
+
+        let status = getWorstSeverity(this.activeRules);
+        if (faultCount > 0 || this.clusters.length > 0) status = 'CRITICAL';
+        else if (warningCount > 0 && status === 'NORMAL') status = 'WARNING';
+
+        return {
+            id: this.id,
+            status: status,
+            avgSoh: getMean(getReportedValues(this.cells, 'soh')),
+            avgTemp: getMean(temps),
+            maxTemp: getMax(temps),
+            faultCount: faultCount,
+            warningCount: warningCount,
+            staleCount: this.getReportedCells().filter(cell => cell.isStale(now)).length
+        };
+    }
+}
+
+// A vehicle whose cells have no readings yet, for a log or a live source
+function createUnreportedVehicle(id) {
+    const vehicle = new Vehicle(id);
+    vehicle.cells.forEach(cell => cell.clearReadings());
+    return vehicle;
+}
+
+// ========================================
+// REPORTED VALUES
+// ========================================
+// One field of the cells that have a value for it. Statistics over an empty
+// list are NaN: the source never reported the quantity.
+function getReportedValues(cells, field) {
+    return cells.map(cell => cell[field]).filter(Number.isFinite);
+}
+
+function getMean(values) {
+    return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : NaN;
+}
+
+function getMax(values) {
+    return values.length > 0 ? Math.max(...values) : NaN;
+}
+
+function getMin(values) {
+    return values.length > 0 ? Math.min(...values) : NaN;
+}
+
+// ========================================
+// BATTERY DATA GENERATION
+// ========================================
+function generateBatteryData() {
+    return packTopology.cells.map(position =>
+        new BatteryCell(position.id, position.row, position.col, position.group, position.module)
+    );
+}
@@ -0,0 +1,205 @@
+// ========================================
+// THERMASCAN - Anomaly Rule Engine
+// Declarative Per-Cell & Per-Pack Rules with Persistence and Hysteresis
+// ========================================
+
+// Metrics a rule can watch. Cell metrics read one cell against its pack
+// context; pack metrics read the pack context alone.
+const CELL_METRICS = {
+    temperature: { label: 'Temperature', unit: '°C', get: (cell) => cell.temperature },
+    voltage: { label: 'Voltage', unit: 'V', get: (cell) => cell.voltage },
+    current: { label: 'Current', unit: 'A', get: (cell) => cell.current },
+    soc: { label: 'SoC', unit: '%', get: (cell) => cell.soc },
+    soh: { label: 'SoH', unit: '%', get: (cell) => cell.soh },
+    resistance: { label: 'Resistance', unit: ' mΩ', get: (cell) => cell.resistance },
+    voltageDeviation: {
+        label: 'Voltage deviation',
+        unit: '',
+        get: (cell, pack) => getOutlierScore(cell.voltage, pack.baselines.voltage, 'mean', 'voltage')
+    },
+    tempRiseRate: { label: 'Temperature rise', unit: '°C/min', get: (cell) => cell.riseRate },
+    tempOutlier: { label: 'Temperature outlier score', unit: '', get: (cell) => cell.outliers.temperature },
+    voltageOutlier: { label: 'Voltage outlier score', unit: '', get: (cell) => cell.outliers.voltage },
+    resistanceOutlier: { label: 'Resistance outlier score', unit: '', get: (cell) => cell.outliers.resistance },
+    runawayRisk: { label: 'Runaway risk', unit: '', get: (cell) => cell.riskScore }
+};
+
+const PACK_METRICS = {
+    maxTemp: { label: 'Max temperature', unit: '°C', get: (pack) => pack.maxTemp },
+    tempSpread: { label: 'Temperature spread', unit: '°C', get: (pack) => pack.maxTemp - pack.minTemp },
+    voltageSpread: { label: 'Voltage spread', unit: 'V', get: (pack) => pack.maxVoltage - pack.minVoltage },
+    clusterCount: { label: 'Thermal clusters', unit: '', get: (pack) => pack.clusterCount },
+    largestCluster: { label: 'Largest thermal cluster', unit: ' cells', get: (pack) => pack.largestCluster }
+};
+
+const RULE_COMPARATORS = {
+    '>': (value, threshold) => value > threshold,
+    '>=': (value, threshold) => value >= threshold,
+    '<': (value, threshold) => value < threshold,
+    '<=': (value, threshold) => value <= threshold
+};
+
+let anomalyRules = [];          // Rules in force, from buildAnomalyRules()
+
+// ========================================
+// DEFAULT RULES
+// ========================================
+// Thresholds come from CONFIG at build time; duration is how long (ms) the
+// condition must hold before the rule fires, and hysteresis is how far the
+// value must come back past the threshold before it clears.
+function buildAnomalyRules() {
+    const temps = CONFIG.TEMP_THRESHOLDS;
+
+    return [
+        {
+            id: 'TEMP_WARNING', scope: 'cell', metric: 'temperature', comparator: '>',
+            threshold: temps.ELEVATED_MAX, duration: 0, hysteresis: 1, severity: 'WARNING'
+        },
+        {
+            id: 'TEMP_SUSTAINED', scope: 'cell', metric: 'temperature', comparator: '>',
+            threshold: (temps.ELEVATED_MAX + temps.CRITICAL) / 2, duration: 10000, hysteresis: 2, severity: 'CRITICAL'
+        },
+        {
+            id: 'TEMP_CRITICAL', scope: 'cell', metric: 'temperature', comparator: '>',
+            threshold: temps.CRITICAL, duration: 0, hysteresis: 2, severity: 'CRITICAL'
+        },
+        {
+            id: 'VOLTAGE_DEVIATION', scope: 'cell', metric: 'voltageDeviation', comparator: '>',
+            threshold: CONFIG.VOLTAGE_DEVIATION, duration: 0, hysteresis: 0.02, severity: 'WARNING'
+        },
+        {
+            id: 'TEMP_RISE_RATE', scope: 'cell', metric: 'tempRiseRate', comparator: '>',
+            threshold: CONFIG.DETECTION.RATE_WARNING, duration: 0, hysteresis: 1, severity: 'WARNING'
+        },
+        {
+            id: 'TEMP_OUTLIER', scope: 'cell', metric: 'tempOutlier', comparator: '>',
+            threshold: CONFIG.DETECTION.OUTLIER_THRESHOLD, duration: 5000, hysteresis: 0.5, severity: 'WARNING'
+        },
+        {
+            id: 'VOLTAGE_OUTLIER', scope: 'cell', metric: 'voltageOutlier', comparator: '>',
+            threshold: CONFIG.DETECTION.OUTLIER_THRESHOLD, duration: 5000, hysteresis: 0.5, severity: 'WARNING'
+        },
+        {
+            id: 'RESISTANCE_OUTLIER', scope: 'cell', metric: 'resistanceOutlier', comparator: '>',
+            threshold: CONFIG.DETECTION.OUTLIER_THRESHOLD, duration: 0, hysteresis: 0.5, severity: 'WARNING'
+        },
+        {
+            id: 'RUNAWAY_RISK_ELEVATED', scope: 'cell', metric: 'runawayRisk', comparator: '>=',
+            threshold: CONFIG.DETECTION.RISK_WARNING, duration: 0, hysteresis: 10, severity: 'WARNING'
+        },
+        {
+            id: 'RUNAWAY_RISK', scope: 'cell', metric: 'runawayRisk', comparator: '>=',
+            threshold: CONFIG.DETECTION.RISK_CRITICAL, duration: 0, hysteresis: 10, severity: 'CRITICAL'
+        },
+        {
+            id: 'SOH_CRITICAL', scope: 'cell', metric: 'soh', comparator: '<',
+            threshold: CONFIG.SOH_CRITICAL, duration: 0, hysteresis: 1, severity: 'CRITICAL'
+        },
+        {
+            id: 'PACK_TEMP_SPREAD', scope: 'pack', metric: 'tempSpread', comparator: '>',
+            threshold: 10, duration: 30000, hysteresis: 2, severity: 'WARNING'
+        }
+    ];
+}
+
+function getRuleMetric(rule) {
+    return (rule.scope === 'pack' ? PACK_METRICS : CELL_METRICS)[rule.metric];
+}
+
+function describeRule(rule) {
+    const metric = getRuleMetric(rule);
+    const duration = rule.duration > 0 ? ` for ${rule.duration / 1000}s` : '';
+    return `${metric.label} ${rule.comparator} ${rule.threshold}${metric.unit}${duration}`;
+}
+
+// How far back a replay seek must re-evaluate: the longest persistence any
+// rule needs plus the longest rolling window (rise rate, cluster growth,
+// stuck sensors)
+function getDetectionLookback() {
+    const longest = anomalyRules.reduce((max, rule) => Math.max(max, rule.duration), 0);
+    return longest + Math.max(CONFIG.DETECTION.RATE_WINDOW, CONFIG.CLUSTERS.GROWTH_WINDOW,
+        CONFIG.DIAGNOSTICS.STUCK_WINDOW);
+}
+
+// ========================================
+// RULE EVALUATION
+// ========================================
+function buildPackContext(vehicle) {
+    const cells = vehicle.cells;
+    const temps = getReportedValues(cells, 'temperature');
+    const voltages = getReportedValues(cells, 'voltage');
+
+    return {
+        baselines: computePackBaselines(cells),
+        minVoltage: getMin(voltages),
+        maxVoltage: getMax(voltages),
+        minTemp: getMin(temps),
+        maxTemp: getMax(temps),
+        clusterCount: vehicle.clusters.length,
+        largestCluster: vehicle.clusters.reduce((max, cluster) => Math.max(max, cluster.size), 0)
+    };
+}
+
+// Advance one rule on one target (a cell or a vehicle). Rule state lives on
+// the target so persistence and hysteresis carry across updates.
+function evaluateRule(rule, target, value, now) {
+    const compare = RULE_COMPARATORS[rule.comparator];
+    let state = target.ruleState[rule.id];
+    if (!state) {
+        state = { active: false, pendingSince: null, since: null };
+        target.ruleState[rule.id] = state;
+    }
+
+    if (state.active) {
+        // Stay active until the value is back past the threshold by the hysteresis margin
+        const margin = rule.comparator.startsWith('>') ? -rule.hysteresis : rule.hysteresis;
+        if (!compare(value, rule.threshold + margin)) {
+            state.active = false;
+            state.pendingSince = null;
+            state.since = null;
+        }
+    } else if (compare(value, rule.threshold)) {
+        if (state.pendingSince === null) state.pendingSince = now;
+        if (now - state.pendingSince >= rule.duration) {
+            state.active = true;
+            state.since = now;
+        }
+    } else {
+        state.pendingSince = null;
+    }
+
+    return state.active
+        ? { id: rule.id, description: describeRule(rule), severity: rule.severity, value: value, since: state.since }
+        : null;
+}
+
+function getWorstSeverity(firing) {
+    return firing.reduce((worst, rule) =>
+        STATUS_RANK[rule.severity] > STATUS_RANK[worst] ? rule.severity : worst, 'NORMAL');
+}
+
+function evaluatePackRules(vehicle, now, timeScale) {
+    const cells = vehicle.cells;
+    const pack = buildPackContext(vehicle);
+    const cellRules = anomalyRules.filter(rule => rule.scope === 'cell');
+    const packRules = anomalyRules.filter(rule => rule.scope === 'pack');
+
+    updateCellBaselines(cells, pack.baselines, now, timeScale);
+
+    cells.forEach(cell => {
+        cell.activeRules = cellRules
+            .map(rule => evaluateRule(rule, cell, CELL_METRICS[rule.metric].get(cell, pack), now))
+            .filter(Boolean);
+        cell.anomalyStatus = getWorstSeverity(cell.activeRules);
+    });
+
+    vehicle.activeRules = packRules
+        .map(rule => evaluateRule(rule, vehicle, PACK_METRICS[rule.metric].get(pack), now))
+        .filter(Boolean);
+}
+
+// Forget persistence and hysteresis state, e.g. before a replay seek
+function resetRuleState(target) {
+    target.ruleState = {};
+    target.activeRules = [];
+}
@@ -0,0 +1,208 @@
+// ========================================
+// THERMASCAN - Charge Sessions
+// Charge, Discharge & Rest Sessions and Equivalent Full Cycles
+// ========================================
+
+// A session is a stretch of time a pack spends charging, discharging or at
+// rest, told apart by the sign and size of the pack current (positive =
+// discharge):
+// { vehicle, id, type, start, end, duration, ah, kwh, cycles, socStart, socEnd,
+//   peakTemp, maxTempSpread, maxVoltageSpread, anomalies, ongoing }
+// start and end are data clock timestamps (ms), duration is cell time (s),
+// and the spreads are max − min across the pack (°C and mV).
+//
+// A new state has to last SESSIONS.MIN_DURATION before it opens a session,
+// so regen braking stays part of a drive and a pause at the charger part of
+// the charge. Until then its samples go to a pending segment, which is folded
+// back into the open session when the pack returns to that session's state.
+
+// ========================================
+// SAMPLES
+// ========================================
+// Charge capacity of the pack in Ah: series groups carry the same current,
+// so it is the capacity of one group, taken as the mean of the groups whose
+// cells all report SoH (NaN when none does)
+function getPackCapacityAh(cells) {
+    const capacities = packTopology.groups
+        .map(group => group.map(index => cells[index]))
+        .filter(members => members.every(cell => Number.isFinite(cell.soh)))
+        .map(members => members.reduce((sum, cell) => sum + getCellCapacityAh(cell), 0));
+    return getMean(capacities);
+}
+
+function getSessionType(current, capacityAh) {
+    const rest = CONFIG.SESSIONS.REST_C_RATE * capacityAh;
+    if (current > rest) return 'discharge';
+    if (current < -rest) return 'charge';
+    return 'rest';
+}
+
+// Equivalent full cycles count throughput as in the aging model: a full
+// discharge plus a full charge is one cycle
+function getEquivalentCycles(current, dt, capacityAh) {
+    return Math.abs(current) * dt / 3600 / (2 * capacityAh);
+}
+
+// The pack figures a session keeps track of, at one point in time
+function getSessionSample(cells) {
+    const temps = getReportedValues(cells, 'temperature');
+    const voltages = getReportedValues(cells, 'voltage');
+    const electrical = getPackElectrical(cells);
+
+    return {
+        current: electrical.current,
+        voltage: electrical.voltage,
+        soc: getMean(getReportedValues(cells, 'soc')),
+        maxTemp: getMax(temps),
+        tempSpread: getMax(temps) - getMin(temps),
+        voltageSpread: (getMax(voltages) - getMin(voltages)) * 1000
+    };
+}
+
+// The larger of two figures, either of which may be NaN (not reported)
+function getReportedMax(a, b) {
+    return getMax([a, b].filter(Number.isFinite));
+}
+
+// ========================================
+// SESSIONS
+// ========================================
+function createSession(vehicle, type, time, sample) {
+    return {
+        vehicle: vehicle.id,
+        id: null,
+        type: type,
+        start: time,
+        end: time,
+        duration: 0,
+        ah: 0,
+        kwh: 0,
+        cycles: 0,
+        socStart: sample.soc,
+        socEnd: sample.soc,
+        peakTemp: sample.maxTemp,
+        maxTempSpread: sample.tempSpread,
+        maxVoltageSpread: sample.voltageSpread,
+        anomalies: 0,
+        ongoing: false
+    };
+}
+
+// Add dt seconds at the sampled current to a session or pending segment
+function addSessionSample(session, now, sample, dt, capacityAh) {
+    session.end = now;
+    session.duration += dt;
+    session.ah += Math.abs(sample.current) * dt / 3600;
+    session.kwh += Math.abs(sample.current * sample.voltage) * dt / 3600000;
+    session.cycles += getEquivalentCycles(sample.current, dt, capacityAh);
+    session.socEnd = sample.soc;
+    session.peakTemp = getReportedMax(session.peakTemp, sample.maxTemp);
+    session.maxTempSpread = getReportedMax(session.maxTempSpread, sample.tempSpread);
+    session.maxVoltageSpread = getReportedMax(session.maxVoltageSpread, sample.voltageSpread);
+}
+
+// Extend a session with a later segment of the same pack
+function mergeSession(session, segment) {
+    session.end = segment.end;
+    session.duration += segment.duration;
+    session.ah += segment.ah;
+    session.kwh += segment.kwh;
+    session.cycles += segment.cycles;
+    session.socEnd = segment.socEnd;
+    session.peakTemp = getReportedMax(session.peakTemp, segment.peakTemp);
+    session.maxTempSpread = getReportedMax(session.maxTempSpread, segment.maxTempSpread);
+    session.maxVoltageSpread = getReportedMax(session.maxVoltageSpread, segment.maxVoltageSpread);
+    session.anomalies += segment.anomalies;
+    return session;
+}
+
+function openSession(vehicle, session) {
+    session.id = vehicle.nextSessionId++;
+    vehicle.session = session;
+}
+
+function finishSession(vehicle) {
+    vehicle.sessions.push(vehicle.session);
+    if (vehicle.sessions.length > CONFIG.SESSIONS.MAX_SESSIONS) vehicle.sessions.shift();
+}
+
+// Classify one pack's present current and add the time since its last
+// sample to the open session (or a pending change of state) at time now
+// (ms); timeScale is seconds of cell time per second of timestamps. A pack
+// whose readings do not give its current and capacity has no sessions.
+function trackSession(vehicle, now, timeScale) {
+    const sample = getSessionSample(vehicle.cells);
+    const capacityAh = getPackCapacityAh(vehicle.cells);
+    if (!Number.isFinite(sample.current) || !Number.isFinite(capacityAh)) return;
+
+    const type = getSessionType(sample.current, capacityAh);
+    const last = vehicle.lastSessionSample;
+
+    if (!vehicle.session) {
+        openSession(vehicle, createSession(vehicle, type, now, sample));
+        vehicle.lastSessionSample = { time: now, sample: sample };
+        return;
+    }
+
+    // A repeated pass at the same time adds nothing, and a pack without
+    // fresh readings has no current to count
+    if (now <= last.time) return;
+    vehicle.lastSessionSample = { time: now, sample: sample };
+    if (vehicle.cells.every(cell => cell.isStale(now))) return;
+
+    const dt = (now - last.time) / 1000 * timeScale;
+    vehicle.cycles += getEquivalentCycles(sample.current, dt, capacityAh);
+
+    // A change of state that did not last belongs to the open session
+    if (vehicle.pendingSession && vehicle.pendingSession.type !== type) {
+        mergeSession(vehicle.session, vehicle.pendingSession);
+        vehicle.pendingSession = null;
+    }
+
+    if (type === vehicle.session.type) {
+        addSessionSample(vehicle.session, now, sample, dt, capacityAh);
+        return;
+    }
+
+    // The new state began after the last sample
+    if (!vehicle.pendingSession) {
+        vehicle.pendingSession = createSession(vehicle, type, last.time, last.sample);
+    }
+    const pending = vehicle.pendingSession;
+    addSessionSample(pending, now, sample, dt, capacityAh);
+
+    if (pending.duration >= CONFIG.SESSIONS.MIN_DURATION) {
+        finishSession(vehicle);
+        openSession(vehicle, pending);
+        vehicle.pendingSession = null;
+    }
+}
+
+// Count raised anomaly events against the session (or pending change of
+// state) their pack was in
+function recordSessionAnomalies(vehicles, raised) {
+    raised.forEach(event => {
+        const vehicle = vehicles.find(v => v.id === event.vehicle);
+        const segment = vehicle && (vehicle.pendingSession || vehicle.session);
+        if (segment) segment.anomalies++;
+    });
+}
+
+// Finished sessions, oldest first, then the open one with any pending
+// change of state folded in
+function getVehicleSessions(vehicle) {
+    if (!vehicle.session) return vehicle.sessions.slice();
+
+    const open = Object.assign({}, vehicle.session, { ongoing: true });
+    if (vehicle.pendingSession) mergeSession(open, vehicle.pendingSession);
+    return vehicle.sessions.concat([open]);
+}
+
+function resetSessions(vehicle) {
+    vehicle.sessions = [];
+    vehicle.session = null;
+    vehicle.pendingSession = null;
+    vehicle.lastSessionSample = null;
+    vehicle.nextSessionId = 1;
+    vehicle.cycles = 0;
+}
@@ -0,0 +1,196 @@
+// ========================================
+// THERMASCAN - Pack Topology
+// Physical Layout, Series/Parallel Groups & Modules
+// ========================================
+
+let packTopology = null;        // Layout, series/parallel groups and modules
+
+// Built-in pack: the same definition as packs/pack-96s1p.json
+const DEFAULT_PACK_DEFINITION = {
+    name: '96s1p',
+    format: 'Lithium-Ion 18650 Format',
+    layout: { rows: 8, cols: 12 },
+    series: 96,
+    parallel: 1,
+    modules: { rows: 2, cols: 4 }
+};
+
+// ========================================
+// DEFINITION PARSING
+// ========================================
+function requirePositiveInteger(value, name) {
+    if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`"${name}" must be a positive integer`);
+    }
+    return value;
+}
+
+// Generate cells module by module so each series group sits inside one module
+function generateTopologyCells(definition) {
+    const rows = requirePositiveInteger(definition.layout && definition.layout.rows, 'layout.rows');
+    const cols = requirePositiveInteger(definition.layout && definition.layout.cols, 'layout.cols');
+    const series = requirePositiveInteger(definition.series, 'series');
+    const parallel = requirePositiveInteger(definition.parallel, 'parallel');
+    const moduleGrid = definition.modules || { rows: 1, cols: 1 };
+    const moduleRows = requirePositiveInteger(moduleGrid.rows, 'modules.rows');
+    const moduleCols = requirePositiveInteger(moduleGrid.cols, 'modules.cols');
+
+    if (rows * cols !== series * parallel) {
+        throw new Error(`Layout has ${rows * cols} positions but ${series}s${parallel}p needs ${series * parallel} cells`);
+    }
+    if (rows % moduleRows !== 0 || cols % moduleCols !== 0) {
+        throw new Error(`A ${rows}×${cols} layout cannot be split into ${moduleRows}×${moduleCols} modules`);
+    }
+
+    const blockRows = rows / moduleRows;
+    const blockCols = cols / moduleCols;
+
+    // Cells are grouped in numbering order, so a module holding a partial
+    // group would split that group across two modules
+    if ((blockRows * blockCols) % parallel !== 0) {
+        throw new Error(`${moduleRows}×${moduleCols} modules of ${blockRows * blockCols} cells cannot hold whole ${parallel}p groups`);
+    }
+
+    const cells = [];
+
+    for (let mr = 0; mr < moduleRows; mr++) {
+        for (let mc = 0; mc < moduleCols; mc++) {
+            const moduleId = `M${mr * moduleCols + mc + 1}`;
+            for (let r = 0; r < blockRows; r++) {
+                for (let c = 0; c < blockCols; c++) {
+                    const number = cells.length;
+                    cells.push({
+                        id: `CELL-${String(number + 1).padStart(3, '0')}`,
+                        row: mr * blockRows + r,
+                        col: mc * blockCols + c,
+                        group: Math.floor(number / parallel),
+                        module: moduleId
+                    });
+                }
+            }
+        }
+    }
+
+    return cells;
+}
+
+function readExplicitCells(definition) {
+    const ids = new Set();
+    const positions = new Set();
+
+    return definition.cells.map((cell, i) => {
+        const where = `cells[${i}]`;
+        if (cell === null || typeof cell !== 'object') throw new Error(`${where} must be an object`);
+        if (typeof cell.id !== 'string') throw new Error(`${where}.id must be a string`);
+        if (!Number.isInteger(cell.row) || cell.row < 0) throw new Error(`${where}.row must be a non-negative integer`);
+        if (!Number.isInteger(cell.col) || cell.col < 0) throw new Error(`${where}.col must be a non-negative integer`);
+        if (!Number.isInteger(cell.group) || cell.group < 0) throw new Error(`${where}.group must be a non-negative integer`);
+        if (ids.has(cell.id)) throw new Error(`Duplicate cell id ${cell.id}`);
+        if (positions.has(`${cell.row},${cell.col}`)) throw new Error(`Two cells at row ${cell.row}, col ${cell.col}`);
+
+        ids.add(cell.id);
+        positions.add(`${cell.row},${cell.col}`);
+
+        return {
+            id: cell.id,
+            row: cell.row,
+            col: cell.col,
+            group: cell.group,
+            module: typeof cell.module === 'string' ? cell.module : 'M1'
+        };
+    });
+}
+
+// ========================================
+// TOPOLOGY BUILDING
+// ========================================
+function buildPackTopology(definition) {
+    const cells = Array.isArray(definition.cells) ? readExplicitCells(definition) : generateTopologyCells(definition);
+    if (cells.length === 0) throw new Error('Pack definition has no cells');
+
+    const rows = Math.max(...cells.map(cell => cell.row)) + 1;
+    const cols = Math.max(...cells.map(cell => cell.col)) + 1;
+
+    // Series groups of parallel cells, in series order
+    const groups = [];
+    cells.forEach((cell, index) => {
+        if (!groups[cell.group]) groups[cell.group] = [];
+        groups[cell.group].push(index);
+    });
+    if (groups.some(group => !group)) {
+        throw new Error('Series group numbers must be consecutive from 0');
+    }
+
+    // Module outlines as the bounding box of their cells
+    const modules = [];
+    cells.forEach(cell => {
+        let module = modules.find(m => m.id === cell.module);
+        if (!module) {
+            module = { id: cell.module, rowStart: cell.row, rowEnd: cell.row, colStart: cell.col, colEnd: cell.col };
+            modules.push(module);
+        }
+        module.rowStart = Math.min(module.rowStart, cell.row);
+        module.rowEnd = Math.max(module.rowEnd, cell.row);
+        module.colStart = Math.min(module.colStart, cell.col);
+        module.colEnd = Math.max(module.colEnd, cell.col);
+    });
+
+    // Neighbors are the physically adjacent positions, including diagonals
+    const positions = new Map(cells.map((cell, index) => [`${cell.row},${cell.col}`, index]));
+    const neighbors = cells.map(cell => {
+        const adjacent = [];
+        for (let dr = -1; dr <= 1; dr++) {
+            for (let dc = -1; dc <= 1; dc++) {
+                if (dr === 0 && dc === 0) continue;
+                const index = positions.get(`${cell.row + dr},${cell.col + dc}`);
+                if (index !== undefined) adjacent.push(index);
+            }
+        }
+        return adjacent;
+    });
+
+    const parallel = Math.max(...groups.map(group => group.length));
+
+    return {
+        name: definition.name || `${groups.length}s${parallel}p`,
+        format: definition.format || '',
+        rows: rows,
+        cols: cols,
+        series: groups.length,
+        parallel: parallel,
+        cells: cells,
+        groups: groups,
+        modules: modules,
+        neighbors: neighbors
+    };
+}
+
+// ========================================
+// PACK ELECTRICAL VALUES
+// ========================================
+// Parallel cells share a voltage and split the group current; series groups
+// add their voltages and carry the same current. So one reported cell gives
+// its group's voltage, which the pack voltage needs from every group, and
+// one group with every cell's current gives the pack current. Either is NaN
+// when the readings do not cover it.
+function getPackElectrical(cells) {
+    let voltage = 0;
+    const currents = [];
+
+    packTopology.groups.forEach(group => {
+        const members = group.map(index => cells[index]);
+        voltage += getMean(getReportedValues(members, 'voltage'));
+        const groupCurrents = getReportedValues(members, 'current');
+        if (groupCurrents.length === group.length) currents.push(groupCurrents.reduce((a, b) => a + b, 0));
+    });
+
+    return { voltage: voltage, current: getMean(currents) };
+}
+
+// ========================================
+// CELL NEIGHBORS
+// ========================================
+// Physically adjacent cells (all 8 surrounding positions) in the pack layout
+function getNeighbors(index) {
+    return packTopology.neighbors[index];
+}
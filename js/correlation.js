@@ -0,0 +1,348 @@
+// ========================================
+// THERMASCAN - Cell Correlation
+// Metric Scatter Plots, Regression Lines & Grid Brushing
+// ========================================
+
+// Cell metrics the scatter plot and the correlation matrix compare
+const CORRELATION_METRICS = {
+    temperature: { label: 'Temperature', short: 'Temp', unit: '°C', digits: 1, get: cell => cell.temperature },
+    voltage: { label: 'Voltage', short: 'Volt', unit: 'V', digits: 3, get: cell => cell.voltage },
+    current: { label: 'Current', short: 'Curr', unit: 'A', digits: 2, get: cell => cell.current },
+    soc: { label: 'SoC', short: 'SoC', unit: '%', digits: 1, get: cell => cell.soc },
+    soh: { label: 'SoH', short: 'SoH', unit: '%', digits: 1, get: cell => cell.soh },
+    resistance: { label: 'Resistance', short: 'Res', unit: 'mΩ', digits: 2, get: cell => cell.resistance },
+    cycles: { label: 'Cycles', short: 'Cyc', unit: 'cyc', digits: 0, get: cell => cell.cycles },
+    riseRate: { label: 'Rise Rate', short: 'Rise', unit: '°C/min', digits: 1, get: cell => cell.riseRate },
+    riskScore: { label: 'Anomaly Score', short: 'Risk', unit: 'pts', digits: 0, get: cell => cell.riskScore }
+};
+
+const CORRELATION_STATUS_COLORS = {
+    NORMAL: 'rgba(16, 185, 129, 0.6)',
+    WARNING: '#fbbf24',
+    CRITICAL: '#ef4444'
+};
+
+const BRUSH_COLOR = '#e879f9';
+
+// ========================================
+// BRUSHED CELLS
+// ========================================
+// Cells selected on the scatter plot, keyed like pins (vehicle:cell)
+function isCellBrushed(vehicle, cell) {
+    return brushedCells.has(getPinKey(vehicle.id, cell.id));
+}
+
+function toggleBrushedCell(vehicle, cell) {
+    const key = getPinKey(vehicle.id, cell.id);
+    if (!brushedCells.delete(key)) brushedCells.add(key);
+    refreshBrushing();
+}
+
+// The selection changed: redraw the plot and whichever grid is showing
+function refreshBrushing() {
+    updateCorrelationPanel();
+    if (viewScope === 'vehicle') {
+        updateBatteryGrid();
+    } else {
+        updateFleetMap();
+    }
+}
+
+// ========================================
+// SCATTER DATA
+// ========================================
+// One point per cell in scope that reports both metrics, with its
+// standardized residual from the trend
+function buildCorrelationPoints() {
+    const xMetric = CORRELATION_METRICS[correlationAxes.x];
+    const yMetric = CORRELATION_METRICS[correlationAxes.y];
+
+    const points = getScopeVehicles().flatMap(vehicle => vehicle.cells.map(cell => ({
+        x: xMetric.get(cell),
+        y: yMetric.get(cell),
+        vehicle: vehicle,
+        cell: cell,
+        brushed: isCellBrushed(vehicle, cell),
+        residual: 0,
+        outlier: false
+    }))).filter(point => Number.isFinite(point.x) && Number.isFinite(point.y));
+
+    const fit = fitLinearRegression(points.map(p => p.x), points.map(p => p.y));
+    if (fit) {
+        points.forEach((point, i) => {
+            point.residual = fit.standardized[i];
+            point.outlier = Math.abs(point.residual) > CONFIG.CORRELATION.OUTLIER_RESIDUAL;
+        });
+    }
+
+    return { points, fit };
+}
+
+// ========================================
+// CHART
+// ========================================
+function createCorrelationChart() {
+    const statusDataset = (status) => ({
+        label: status.charAt(0) + status.slice(1).toLowerCase(),
+        data: [],
+        backgroundColor: CORRELATION_STATUS_COLORS[status],
+        pointRadius: (ctx) => ctx.raw && (ctx.raw.brushed || ctx.raw.outlier) ? 5 : 3,
+        pointBorderColor: (ctx) => ctx.raw && ctx.raw.brushed ? BRUSH_COLOR : CORRELATION_STATUS_COLORS[status],
+        pointBorderWidth: (ctx) => ctx.raw && ctx.raw.brushed ? 2 : 1
+    });
+
+    return new Chart(document.getElementById('correlationChart').getContext('2d'), {
+        type: 'scatter',
+        data: {
+            datasets: [
+                statusDataset('NORMAL'),
+                statusDataset('WARNING'),
+                statusDataset('CRITICAL'),
+                {
+                    label: 'Trend',
+                    data: [],
+                    showLine: true,
+                    borderColor: '#22d3ee',
+                    borderWidth: 1.5,
+                    borderDash: [6, 4],
+                    pointRadius: 0
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            plugins: {
+                legend: {
+                    labels: { color: '#94a3b8', font: { size: 10 }, boxWidth: 12 }
+                },
+                tooltip: {
+                    filter: (item) => item.raw && item.raw.cell !== undefined,
+                    callbacks: {
+                        label: (item) => {
+                            const { vehicle, cell, residual } = item.raw;
+                            const x = CORRELATION_METRICS[correlationAxes.x];
+                            const y = CORRELATION_METRICS[correlationAxes.y];
+                            return `${vehicle.id} · ${cell.id}: ${x.short} ${item.raw.x.toFixed(x.digits)}, ` +
+                                `${y.short} ${item.raw.y.toFixed(y.digits)} (residual ${residual.toFixed(1)}σ)`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    title: { display: true, text: '', color: '#64748b', font: { size: 10 } },
+                    ticks: { color: '#64748b', font: { size: 9 } },
+                    grid: { color: 'rgba(71, 85, 105, 0.3)' }
+                },
+                y: {
+                    title: { display: true, text: '', color: '#64748b', font: { size: 10 } },
+                    ticks: { color: '#64748b', font: { size: 10 } },
+                    grid: { color: 'rgba(71, 85, 105, 0.3)' }
+                }
+            }
+        }
+    });
+}
+
+function formatMetricAxis(metric) {
+    return `${metric.label} (${metric.unit})`;
+}
+
+// ========================================
+// PANEL UPDATE
+// ========================================
+function updateCorrelationPanel() {
+    const chart = charts.correlationChart;
+    const { points, fit } = buildCorrelationPoints();
+    const xMetric = CORRELATION_METRICS[correlationAxes.x];
+    const yMetric = CORRELATION_METRICS[correlationAxes.y];
+
+    ['NORMAL', 'WARNING', 'CRITICAL'].forEach((status, i) => {
+        chart.data.datasets[i].data = points.filter(point => point.cell.anomalyStatus === status);
+    });
+
+    // Trend line across the plotted x range
+    const xs = points.map(point => point.x);
+    const xMin = Math.min(...xs);
+    const xMax = Math.max(...xs);
+    chart.data.datasets[3].data = fit
+        ? [{ x: xMin, y: fit.intercept + fit.slope * xMin }, { x: xMax, y: fit.intercept + fit.slope * xMax }]
+        : [];
+
+    chart.options.scales.x.title.text = formatMetricAxis(xMetric);
+    chart.options.scales.y.title.text = formatMetricAxis(yMetric);
+    chart.update('none');
+
+    const r = getCorrelation(xs, points.map(point => point.y));
+    const brushed = points.filter(point => point.brushed).length;
+    document.getElementById('correlationStats').textContent = [
+        `n ${points.length}`,
+        `r ${r === null ? '--' : r.toFixed(2)}`,
+        fit ? `R² ${fit.r2.toFixed(2)}` : null,
+        fit ? `slope ${fit.slope.toPrecision(3)} ${yMetric.unit}/${xMetric.unit}` : null,
+        brushed > 0 ? `${brushed} selected` : null
+    ].filter(Boolean).join(' · ');
+
+    renderCorrelationOutliers(points);
+    renderCorrelationMatrix();
+}
+
+// Cells furthest from the trend, beyond the outlier threshold
+function renderCorrelationOutliers(points) {
+    const outliers = points
+        .filter(point => point.outlier)
+        .sort((a, b) => Math.abs(b.residual) - Math.abs(a.residual))
+        .slice(0, CONFIG.CORRELATION.MAX_OUTLIERS);
+    const list = document.getElementById('correlationOutliers');
+
+    if (outliers.length === 0) {
+        list.innerHTML = `<div class="correlation-empty">No cells beyond ${CONFIG.CORRELATION.OUTLIER_RESIDUAL}σ of the trend</div>`;
+        return;
+    }
+
+    const xMetric = CORRELATION_METRICS[correlationAxes.x];
+    const yMetric = CORRELATION_METRICS[correlationAxes.y];
+    list.innerHTML = outliers.map(point => `
+        <div class="correlation-outlier${point.brushed ? ' brushed' : ''}" data-vehicle="${escapeHtml(point.vehicle.id)}" data-cell="${escapeHtml(point.cell.id)}">
+            <span>${escapeHtml(point.vehicle.id)} · ${escapeHtml(point.cell.id)}</span>
+            <span>${xMetric.short} ${point.x.toFixed(xMetric.digits)} · ${yMetric.short} ${point.y.toFixed(yMetric.digits)}</span>
+            <strong>${point.residual >= 0 ? '+' : ''}${point.residual.toFixed(1)}σ</strong>
+        </div>
+    `).join('');
+}
+
+// Pearson coefficients between every pair of metrics over the cells in
+// scope that report both; a cell's color runs from blue (-1) through gray to
+// orange (+1)
+function renderCorrelationMatrix() {
+    const cells = getScopeCells();
+    const keys = Object.keys(CORRELATION_METRICS);
+    const columns = keys.map(key => cells.map(CORRELATION_METRICS[key].get));
+
+    const header = keys.map(key => `<th>${CORRELATION_METRICS[key].short}</th>`).join('');
+    const rows = keys.map((rowKey, i) => {
+        const entries = keys.map((columnKey, j) => {
+            const paired = cells.map((_, c) => c)
+                .filter(c => Number.isFinite(columns[j][c]) && Number.isFinite(columns[i][c]));
+            const r = i === j ? 1 : getCorrelation(paired.map(c => columns[j][c]), paired.map(c => columns[i][c]));
+            const selected = columnKey === correlationAxes.x && rowKey === correlationAxes.y;
+            const color = r === null ? 'transparent' : sampleColormap('diverging', (r + 1) / 2);
+            return `<td class="${selected ? 'selected' : ''}" data-x="${columnKey}" data-y="${rowKey}" ` +
+                `style="background: ${color}">${r === null ? '–' : r.toFixed(2)}</td>`;
+        }).join('');
+        return `<tr><th>${CORRELATION_METRICS[rowKey].short}</th>${entries}</tr>`;
+    }).join('');
+
+    document.getElementById('correlationMatrix').innerHTML =
+        `<thead><tr><th></th>${header}</tr></thead><tbody>${rows}</tbody>`;
+}
+
+// ========================================
+// BRUSHING ON THE PLOT
+// ========================================
+// Drag a rectangle to select the cells inside it (shift adds to the
+// selection); a click on a point toggles that cell, on empty space clears
+function attachCorrelationBrush(chart) {
+    const canvas = chart.canvas;
+    const brush = document.getElementById('correlationBrush');
+    let drag = null;
+
+    canvas.addEventListener('mousedown', (e) => {
+        drag = { x: e.offsetX, y: e.offsetY, clientX: e.clientX, clientY: e.clientY };
+    });
+
+    window.addEventListener('mousemove', (e) => {
+        if (!drag) return;
+        const dx = e.clientX - drag.clientX;
+        const dy = e.clientY - drag.clientY;
+        brush.style.left = `${drag.x + Math.min(0, dx)}px`;
+        brush.style.top = `${drag.y + Math.min(0, dy)}px`;
+        brush.style.width = `${Math.abs(dx)}px`;
+        brush.style.height = `${Math.abs(dy)}px`;
+        brush.classList.remove('hidden');
+    });
+
+    window.addEventListener('mouseup', (e) => {
+        if (!drag) return;
+        const start = drag;
+        drag = null;
+        brush.classList.add('hidden');
+
+        const dx = e.clientX - start.clientX;
+        const dy = e.clientY - start.clientY;
+        if (Math.abs(dx) < 4 && Math.abs(dy) < 4) {
+            const [hit] = chart.getElementsAtEventForMode(e, 'nearest', { intersect: true }, false);
+            const point = hit && chart.data.datasets[hit.datasetIndex].data[hit.index];
+            if (point && point.cell) {
+                toggleBrushedCell(point.vehicle, point.cell);
+            } else if (!e.shiftKey) {
+                brushedCells.clear();
+                refreshBrushing();
+            }
+            return;
+        }
+
+        const xs = [start.x, start.x + dx].map(px => chart.scales.x.getValueForPixel(px));
+        const ys = [start.y, start.y + dy].map(px => chart.scales.y.getValueForPixel(px));
+        selectCorrelationRange(Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys), e.shiftKey);
+    });
+}
+
+function selectCorrelationRange(xMin, xMax, yMin, yMax, add) {
+    if (!add) brushedCells.clear();
+
+    buildCorrelationPoints().points
+        .filter(point => point.x >= xMin && point.x <= xMax && point.y >= yMin && point.y <= yMax)
+        .forEach(point => brushedCells.add(getPinKey(point.vehicle.id, point.cell.id)));
+
+    refreshBrushing();
+    console.log(`🖌️ ${brushedCells.size} cells selected on the correlation plot`);
+}
+
+// ========================================
+// CONTROLS
+// ========================================
+function setCorrelationAxes(x, y) {
+    correlationAxes = { x: x, y: y };
+    document.getElementById('correlationX').value = x;
+    document.getElementById('correlationY').value = y;
+    updateCorrelationPanel();
+}
+
+function setupCorrelationPanel() {
+    const options = Object.entries(CORRELATION_METRICS)
+        .map(([key, metric]) => `<option value="${key}">${metric.label}</option>`)
+        .join('');
+    const xSelect = document.getElementById('correlationX');
+    const ySelect = document.getElementById('correlationY');
+    xSelect.innerHTML = options;
+    ySelect.innerHTML = options;
+    xSelect.value = correlationAxes.x;
+    ySelect.value = correlationAxes.y;
+
+    xSelect.addEventListener('change', () => setCorrelationAxes(xSelect.value, correlationAxes.y));
+    ySelect.addEventListener('change', () => setCorrelationAxes(correlationAxes.x, ySelect.value));
+
+    // Click a matrix entry to plot that pair
+    document.getElementById('correlationMatrix').addEventListener('click', (e) => {
+        const entry = e.target.closest('td[data-x]');
+        if (entry && entry.dataset.x !== entry.dataset.y) setCorrelationAxes(entry.dataset.x, entry.dataset.y);
+    });
+
+    document.getElementById('correlationOutliers').addEventListener('click', (e) => {
+        const item = e.target.closest('.correlation-outlier');
+        if (!item) return;
+        const vehicle = fleet.find(v => v.id === item.dataset.vehicle);
+        toggleBrushedCell(vehicle, vehicle.getCell(item.dataset.cell));
+    });
+
+    document.getElementById('correlationClear').addEventListener('click', () => {
+        brushedCells.clear();
+        refreshBrushing();
+    });
+
+    attachCorrelationBrush(charts.correlationChart);
+}
@@ -0,0 +1,222 @@
+// ========================================
+// THERMASCAN - Degradation & Prognostics
+// SoH History & Remaining Useful Life
+// ========================================
+
+// ========================================
+// SOH HISTORY
+// ========================================
+// Seconds of cell aging per second of timestamps: the simulator both runs
+// faster than its clock and ages faster than it runs
+function getAgingTimeScale() {
+    const simulated = !replaySession && telemetrySource instanceof SimulatorSource;
+    return getDataTimeScale() * (simulated ? CONFIG.DEGRADATION.AGING_FACTOR : 1);
+}
+
+// Sparse per-cell samples of SoH against cycles and aging time, used for trends
+function recordDegradationHistory(now) {
+    const { SAMPLE_INTERVAL, HISTORY_SAMPLES } = CONFIG.PROGNOSTICS;
+    const timeScale = getAgingTimeScale();
+
+    fleet.forEach(vehicle => {
+        if (vehicle.lastDegradationSample !== null && now - vehicle.lastDegradationSample < SAMPLE_INTERVAL) return;
+
+        const elapsed = vehicle.lastDegradationSample === null ? 0 : (now - vehicle.lastDegradationSample) * timeScale;
+        vehicle.cellTime += elapsed;
+        vehicle.lastDegradationSample = now;
+
+        vehicle.cells.forEach(cell => {
+            cell.sohHistory.push({ time: vehicle.cellTime, cycles: cell.cycles, soh: cell.soh });
+            if (cell.sohHistory.length > HISTORY_SAMPLES) cell.sohHistory.shift();
+        });
+    });
+}
+
+function resetDegradationHistory(vehicle) {
+    vehicle.cellTime = 0;
+    vehicle.lastDegradationSample = null;
+    vehicle.cells.forEach(cell => { cell.sohHistory = []; });
+}
+
+// ========================================
+// REMAINING USEFUL LIFE
+// ========================================
+// Least-squares fit of y against x with the standard error of the slope
+function fitLine(xs, ys) {
+    const n = xs.length;
+    const meanX = xs.reduce((a, b) => a + b, 0) / n;
+    const meanY = ys.reduce((a, b) => a + b, 0) / n;
+    let sxx = 0;
+    let sxy = 0;
+    xs.forEach((x, i) => {
+        sxx += (x - meanX) * (x - meanX);
+        sxy += (x - meanX) * (ys[i] - meanY);
+    });
+    if (sxx === 0) return null;
+
+    const slope = sxy / sxx;
+    const intercept = meanY - slope * meanX;
+    const sse = xs.reduce((sum, x, i) => sum + Math.pow(ys[i] - (intercept + slope * x), 2), 0);
+    const slopeError = n > 2 ? Math.sqrt(sse / (n - 2) / sxx) : Math.abs(slope);
+
+    return { slope: slope, slopeError: slopeError };
+}
+
+// Remaining cycles and days until SoH reaches CONFIG.SOH_CRITICAL, with a
+// 95% band. Uses the cell's own SoH trend once enough history exists, and the
+// aging model at the cell's present conditions until then.
+function estimateCellRul(cell) {
+    const { MIN_SAMPLES, MIN_CYCLE_SPAN, MODEL_UNCERTAINTY } = CONFIG.PROGNOSTICS;
+    const margin = cell.soh - CONFIG.SOH_CRITICAL;
+    const history = cell.sohHistory;
+
+    let basis = 'model';
+    let fadePerCycle = getCycleFadeRate(cell.temperature, cell.soc);
+    let fadeLow = fadePerCycle * (1 - MODEL_UNCERTAINTY);
+    let fadeHigh = fadePerCycle * (1 + MODEL_UNCERTAINTY);
+
+    const cycleSpan = history.length > 0 ? history[history.length - 1].cycles - history[0].cycles : 0;
+    if (history.length >= MIN_SAMPLES && cycleSpan >= MIN_CYCLE_SPAN) {
+        const fit = fitLine(history.map(h => h.cycles), history.map(h => h.soh));
+        if (fit && fit.slope < 0) {
+            basis = 'trend';
+            fadePerCycle = -fit.slope;
+            fadeLow = Math.max(0, fadePerCycle - 1.96 * fit.slopeError);
+            fadeHigh = fadePerCycle + 1.96 * fit.slopeError;
+        }
+    }
+
+    // Cycles per day of aging time, from the history
+    let cyclesPerDay = null;
+    if (history.length >= 2) {
+        const days = (history[history.length - 1].time - history[0].time) / 86400000;
+        if (days > 0 && cycleSpan > 0) cyclesPerDay = cycleSpan / days;
+    }
+
+    const cycles = margin <= 0 ? 0 : margin / fadePerCycle;
+    const cyclesLow = margin <= 0 ? 0 : margin / fadeHigh;
+    const cyclesHigh = margin <= 0 ? 0 : (fadeLow > 0 ? margin / fadeLow : Infinity);
+    const toDays = (value) => cyclesPerDay === null ? null : value / cyclesPerDay;
+
+    return {
+        basis: basis,
+        fadePerCycle: fadePerCycle,
+        cycles: cycles,
+        cyclesLow: cyclesLow,
+        cyclesHigh: cyclesHigh,
+        days: toDays(cycles),
+        daysLow: toDays(cyclesLow),
+        daysHigh: toDays(cyclesHigh)
+    };
+}
+
+// Cells in series: the pack reaches end of life with its first cell. Only
+// cells reporting SoH, temperature and SoC can be estimated; null when none do.
+function estimatePackRul(vehicle) {
+    const estimates = vehicle.cells
+        .filter(cell => ['soh', 'temperature', 'soc'].every(field => Number.isFinite(cell[field])))
+        .map(cell => ({ cell: cell, rul: estimateCellRul(cell) }));
+    if (estimates.length === 0) return null;
+    estimates.sort((a, b) => a.rul.cycles - b.rul.cycles);
+
+    return {
+        limiting: estimates[0],
+        cyclesLow: Math.min(...estimates.map(e => e.rul.cyclesLow)),
+        cyclesHigh: Math.min(...estimates.map(e => e.rul.cyclesHigh)),
+        estimates: estimates
+    };
+}
+
+// ========================================
+// PROGNOSTICS PANEL
+// ========================================
+function formatRul(value) {
+    if (value === null) return '--';
+    if (!isFinite(value)) return '∞';
+    return value >= 100 ? Math.round(value).toLocaleString() : value.toFixed(1);
+}
+
+// "420 cycles (310–650)" for the estimate and its band
+function formatRulBand(rul, key, unit) {
+    if (rul[key] === null) return '--';
+    return `${formatRul(rul[key])} ${unit} (${formatRul(rul[key + 'Low'])}–${formatRul(rul[key + 'High'])})`;
+}
+
+// SoH projected forward along the estimated fade rates
+function projectSoh(soh, rul) {
+    const { PROJECTION_POINTS } = CONFIG.PROGNOSTICS;
+    const horizon = Math.max(1, isFinite(rul.cyclesHigh) ? rul.cyclesHigh : rul.cycles * 2) * 1.1;
+    const step = horizon / (PROJECTION_POINTS - 1);
+    const fadeHigh = rul.cycles > 0 ? (soh - CONFIG.SOH_CRITICAL) / rul.cyclesLow : 0;
+    const fadeLow = rul.cycles > 0 && isFinite(rul.cyclesHigh) ? (soh - CONFIG.SOH_CRITICAL) / rul.cyclesHigh : 0;
+
+    const points = [];
+    for (let i = 0; i < PROJECTION_POINTS; i++) {
+        const cycles = i * step;
+        points.push({
+            cycles: cycles,
+            expected: soh - rul.fadePerCycle * cycles,
+            lower: soh - fadeHigh * cycles,
+            upper: soh - fadeLow * cycles
+        });
+    }
+    return points;
+}
+
+function updatePrognosticsPanel() {
+    const vehicles = getScopeVehicles();
+    const packs = vehicles
+        .map(vehicle => ({ vehicle: vehicle, rul: estimatePackRul(vehicle) }))
+        .filter(pack => pack.rul);
+    packs.sort((a, b) => a.rul.limiting.rul.cycles - b.rul.limiting.rul.cycles);
+
+    if (packs.length === 0) {
+        document.getElementById('prognosticsSummary').innerHTML =
+            '<div><span>Waiting for SoH, SoC and temperature readings</span><strong>--</strong></div>';
+        document.getElementById('limitingCells').innerHTML = '';
+        charts.prognosticsChart.data.labels = [];
+        charts.prognosticsChart.data.datasets.forEach(dataset => { dataset.data = []; });
+        charts.prognosticsChart.update('none');
+        return;
+    }
+
+    const weakest = packs[0];
+    const limiting = weakest.rul.limiting;
+
+    document.getElementById('prognosticsSummary').innerHTML = `
+        <div><span>${viewScope === 'fleet' ? 'Shortest pack life' : 'Pack life'}</span>
+            <strong>${escapeHtml(weakest.vehicle.id)} · ${formatRulBand(limiting.rul, 'cycles', 'cycles')}</strong></div>
+        <div><span>In days</span><strong>${formatRulBand(limiting.rul, 'days', 'days')}</strong></div>
+        <div><span>Limited by</span><strong>${escapeHtml(limiting.cell.id)} · ${limiting.cell.soh.toFixed(1)}% SoH · ${limiting.rul.basis}</strong></div>
+    `;
+
+    // The cells that will reach end of life first anywhere in scope
+    const cells = packs
+        .flatMap(pack => pack.rul.estimates.map(e => ({ vehicle: pack.vehicle, cell: e.cell, rul: e.rul })))
+        .sort((a, b) => a.rul.cycles - b.rul.cycles)
+        .slice(0, CONFIG.PROGNOSTICS.LIMITING_CELLS);
+
+    document.getElementById('limitingCells').innerHTML = cells.map(({ vehicle, cell, rul }) => `
+        <div class="limiting-cell" data-vehicle="${escapeHtml(vehicle.id)}">
+            <span>${viewScope === 'fleet' ? escapeHtml(vehicle.id) + ' · ' : ''}${escapeHtml(cell.id)}</span>
+            <span>${cell.soh.toFixed(1)}%</span>
+            <span>${formatRulBand(rul, 'cycles', 'cyc')}</span>
+        </div>
+    `).join('');
+
+    const projection = projectSoh(limiting.cell.soh, limiting.rul);
+    const chart = charts.prognosticsChart;
+    chart.data.labels = projection.map(p => Math.round(p.cycles));
+    chart.data.datasets[0].data = projection.map(p => p.expected);
+    chart.data.datasets[1].data = projection.map(p => p.lower);
+    chart.data.datasets[2].data = projection.map(p => p.upper);
+    chart.data.datasets[3].data = projection.map(() => CONFIG.SOH_CRITICAL);
+    chart.update('none');
+}
+
+function setupPrognosticsPanel() {
+    document.getElementById('limitingCells').addEventListener('click', (e) => {
+        const row = e.target.closest('.limiting-cell');
+        if (row) openVehicle(row.dataset.vehicle);
+    });
+}
@@ -0,0 +1,74 @@
+// ========================================
+// THERMASCAN - Fault Diagnostics Panel
+// Classified Faults, Confidence & Recommended Actions
+// ========================================
+
+// ========================================
+// DIAGNOSES IN SCOPE
+// ========================================
+// Diagnoses of every pack in scope, most severe and most certain first
+function getScopeDiagnoses() {
+    return getScopeVehicles()
+        .flatMap(vehicle => vehicle.diagnoses)
+        .sort((a, b) => STATUS_RANK[b.severity] - STATUS_RANK[a.severity] || b.confidence - a.confidence);
+}
+
+// Status banner text naming the leading fault, with the number of other
+// fault types present
+function getDiagnosisStatusText(diagnoses) {
+    const types = new Set(diagnoses.map(diagnosis => diagnosis.type));
+    const label = FAULT_TYPES[diagnoses[0].type].label.toUpperCase();
+    return types.size > 1 ? `${label} +${types.size - 1}` : label;
+}
+
+// ========================================
+// PANEL
+// ========================================
+function updateDiagnosticsPanel() {
+    const list = document.getElementById('diagnosisList');
+    const diagnoses = getScopeDiagnoses();
+
+    document.getElementById('diagnosisCount').textContent = diagnoses.length;
+
+    if (diagnoses.length === 0) {
+        list.innerHTML = '<div class="cluster-empty">No faults to diagnose</div>';
+        return;
+    }
+
+    list.innerHTML = diagnoses.slice(0, CONFIG.DIAGNOSTICS.PANEL_ROWS).map(diagnosis => `
+        <div class="diagnosis-item ${diagnosis.severity.toLowerCase()}" data-vehicle="${escapeHtml(diagnosis.vehicle)}"
+            data-cell="${diagnosis.cells.length === 1 ? escapeHtml(diagnosis.cells[0]) : ''}">
+            <div class="cluster-item-header">
+                <span>${FAULT_TYPES[diagnosis.type].label}</span>
+                <span class="diagnosis-confidence">${Math.round(diagnosis.confidence * 100)}%</span>
+            </div>
+            <div class="cluster-item-stats">
+                ${escapeHtml(diagnosis.vehicle)} · ${escapeHtml(diagnosis.region)}${diagnosis.cells.length > 1 ? ` · ${diagnosis.cells.length} cells` : ''}<br>
+                ${escapeHtml(diagnosis.evidence)}
+            </div>
+            <div class="diagnosis-action">→ ${escapeHtml(diagnosis.action)}</div>
+        </div>
+    `).join('');
+}
+
+// Open the diagnosed pack; a single-cell diagnosis also pins its cell
+function showDiagnosis(vehicleId, cellId) {
+    const vehicle = fleet.find(v => v.id === vehicleId);
+    if (!vehicle) return;
+
+    openVehicle(vehicle.id);
+
+    const cell = cellId && vehicle.getCell(cellId);
+    if (cell) {
+        pinCell(vehicle, cell);
+        updateInspectorPanel();
+        updateBatteryGrid();
+    }
+}
+
+function setupDiagnosticsPanel() {
+    document.getElementById('diagnosisList').addEventListener('click', (e) => {
+        const item = e.target.closest('.diagnosis-item');
+        if (item) showDiagnosis(item.dataset.vehicle, item.dataset.cell);
+    });
+}
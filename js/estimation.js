@@ -0,0 +1,129 @@
+// ========================================
+// THERMASCAN - Pack State Panel
+// Usable SoC, Energy, Range, Power Limits & Limiting Cells
+// ========================================
+
+// Grid marker per limit direction: ▼ the cell ends discharge, ▲ it ends charge
+const PACK_LIMIT_MARKERS = {
+    discharge: { symbol: '▼', color: '#f97316' },
+    charge: { symbol: '▲', color: '#38bdf8' },
+    both: { symbol: '◆', color: '#e2e8f0' }
+};
+
+// Each limit, the pack figure that ranks it (lower is more limiting) and how
+// the limiting cell is described
+const PACK_LIMITS = [
+    {
+        key: 'dischargeEnergy', label: 'Empties first', direction: 'discharge',
+        value: state => state.dischargeAh,
+        detail: cell => `${cell.soc.toFixed(1)}% SoC`
+    },
+    {
+        key: 'chargeEnergy', label: 'Fills first', direction: 'charge',
+        value: state => state.chargeAh,
+        detail: cell => `${cell.soc.toFixed(1)}% SoC`
+    },
+    {
+        key: 'dischargePower', label: 'Discharge power', direction: 'discharge',
+        value: state => state.dischargePower,
+        detail: cell => `${cell.temperature.toFixed(1)}°C · ${cell.resistance.toFixed(1)} mΩ`
+    },
+    {
+        key: 'chargePower', label: 'Charge power', direction: 'charge',
+        value: state => state.chargePower,
+        detail: cell => `${cell.temperature.toFixed(1)}°C · ${cell.resistance.toFixed(1)} mΩ`
+    }
+];
+
+// ========================================
+// LIMITING CELLS
+// ========================================
+// 'discharge', 'charge' or 'both' when the cell sets one of its pack's
+// limits, otherwise null
+function getCellLimit(vehicle, cell) {
+    const state = vehicle.packState;
+    if (!state) return null;
+
+    const sets = direction => PACK_LIMITS.some(limit =>
+        limit.direction === direction && state.limits[limit.key].cell === cell.id);
+    const discharge = sets('discharge');
+    const charge = sets('charge');
+    return discharge && charge ? 'both' : discharge ? 'discharge' : charge ? 'charge' : null;
+}
+
+// Each limit in the pack (or, across the fleet, the pack) where it is tightest
+function getScopeLimits(vehicles) {
+    return PACK_LIMITS.map(limit => {
+        const vehicle = vehicles.reduce((worst, v) =>
+            limit.value(v.packState) < limit.value(worst.packState) ? v : worst);
+        return { limit: limit, vehicle: vehicle, cell: vehicle.getCell(vehicle.packState.limits[limit.key].cell) };
+    });
+}
+
+// ========================================
+// PANEL
+// ========================================
+function updatePackStatePanel() {
+    const vehicles = getScopeVehicles().filter(vehicle => vehicle.packState);
+    const summary = document.getElementById('packStateSummary');
+    const list = document.getElementById('packLimitCells');
+
+    if (vehicles.length === 0) {
+        summary.innerHTML = '<div><span>Waiting for SoC, SoH, resistance and temperature readings</span><strong>--</strong></div>';
+        list.innerHTML = '';
+        return;
+    }
+
+    const states = vehicles.map(vehicle => vehicle.packState);
+    const mean = value => states.reduce((sum, state) => sum + value(state), 0) / states.length;
+    const avgSoc = getMean(getReportedValues(vehicles.flatMap(v => v.cells), 'soc'));
+    const energy = states.reduce((sum, state) => sum + state.energyKwh, 0);
+    const weakest = key => states.reduce((worst, state) => state[key] < worst[key] ? state : worst);
+    const discharge = weakest('dischargePower');
+    const charge = weakest('chargePower');
+    const fleetScope = viewScope === 'fleet';
+
+    summary.innerHTML = `
+        <div><span>Usable SoC</span><strong>${mean(s => s.usableSoc).toFixed(1)}% · avg ${avgSoc.toFixed(1)}%</strong></div>
+        <div><span>${fleetScope ? 'Fleet energy' : 'Remaining energy'}</span><strong>${energy.toFixed(1)} kWh</strong></div>
+        <div><span>${fleetScope ? 'Mean range' : 'Est. range'}</span><strong>${Math.round(getEstimatedRange(energy / states.length))} km</strong></div>
+        <div><span>${fleetScope ? 'Lowest discharge limit' : 'Discharge limit'}</span>
+            <strong>${Math.round(discharge.dischargeCurrent)} A · ${discharge.dischargePower.toFixed(0)} kW</strong></div>
+        <div><span>${fleetScope ? 'Lowest charge limit' : 'Charge limit'}</span>
+            <strong>${Math.round(charge.chargeCurrent)} A · ${charge.chargePower.toFixed(0)} kW</strong></div>
+    `;
+
+    list.innerHTML = getScopeLimits(vehicles).map(({ limit, vehicle, cell }) => `
+        <div class="limiting-cell pack-limit ${limit.direction}" data-vehicle="${escapeHtml(vehicle.id)}" data-cell="${escapeHtml(cell.id)}">
+            <span>${PACK_LIMIT_MARKERS[limit.direction].symbol} ${limit.label}</span>
+            <span>${fleetScope ? escapeHtml(vehicle.id) + ' · ' : ''}${escapeHtml(cell.id)}</span>
+            <span>${limit.detail(cell)}</span>
+        </div>
+    `).join('');
+}
+
+function setupPackStateControls() {
+    const consumptionInput = document.getElementById('consumptionInput');
+    consumptionInput.value = CONFIG.ESTIMATION.CONSUMPTION;
+
+    consumptionInput.addEventListener('change', () => {
+        const value = Number(consumptionInput.value);
+        if (isFinite(value) && value >= 50 && value <= 500) {
+            CONFIG.ESTIMATION.CONSUMPTION = value;
+            console.log(`🔋 Range consumption: ${value} Wh/km`);
+            updatePackStatePanel();
+        } else {
+            consumptionInput.value = CONFIG.ESTIMATION.CONSUMPTION;
+        }
+    });
+
+    // Open the limiting cell's pack with the cell pinned in the inspector
+    document.getElementById('packLimitCells').addEventListener('click', (e) => {
+        const row = e.target.closest('.pack-limit');
+        if (!row) return;
+        const vehicle = fleet.find(v => v.id === row.dataset.vehicle);
+        if (!vehicle) return;
+        pinCell(vehicle, vehicle.getCell(row.dataset.cell));
+        openVehicle(vehicle.id);
+    });
+}
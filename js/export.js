@@ -0,0 +1,374 @@
+// ========================================
+// THERMASCAN - Export
+// Pack Snapshots, History Window Export & Incident Reports
+// ========================================
+
+// BatteryCell fields written to snapshots, in column order
+const SNAPSHOT_FIELDS = [
+    'id', 'module', 'group', 'row', 'col',
+    'temperature', 'voltage', 'current', 'soc', 'soh', 'resistance', 'cycles',
+    'riseRate', 'riskScore', 'clusterId', 'balancing', 'anomalyStatus'
+];
+
+// Charts copied into the incident report
+const REPORT_CHARTS = [
+    { chart: 'tempChart', title: 'Temperature (°C)' },
+    { chart: 'voltageChart', title: 'Voltage (V)' },
+    { chart: 'currentChart', title: 'Current (A)' },
+    { chart: 'socChart', title: 'State of Charge (%)' },
+    { chart: 'sohChart', title: 'SoH Distribution' },
+    { chart: 'prognosticsChart', title: 'Projected SoH' }
+];
+
+const REPORT_CELL_SIZE = 18;            // Pixels per cell in the report's grid image
+
+// ========================================
+// EXPORT METADATA
+// ========================================
+function formatExportTime(timestamp) {
+    return timestamp === null ? '' : new Date(timestamp).toISOString();
+}
+
+function getExportStamp() {
+    return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+function describeDataSource() {
+    if (replaySession) return `replay: ${replaySession.name}`;
+    if (!telemetrySource) return 'none';
+    return telemetrySource.url ? `${telemetrySource.type}: ${telemetrySource.url}` : telemetrySource.type;
+}
+
+// When, from where and for which packs an export was taken; the data time is
+// the replay position while replaying a log
+function getExportHeader() {
+    return {
+        exportedAt: formatExportTime(Date.now()),
+        dataTime: formatExportTime(getClock()),
+        source: describeDataSource(),
+        scope: viewScope,
+        pack: {
+            name: packTopology.name,
+            format: packTopology.format,
+            cells: packTopology.cells.length
+        },
+        vehicles: getScopeVehicles().map(vehicle => vehicle.id)
+    };
+}
+
+// ========================================
+// PACK SNAPSHOT
+// ========================================
+function cellToSnapshot(cell) {
+    const snapshot = {};
+    SNAPSHOT_FIELDS.forEach(field => { snapshot[field] = cell[field]; });
+    snapshot.activeRules = cell.activeRules.map(rule => rule.id);
+    snapshot.timestamp = formatExportTime(cell.timestamp);
+    snapshot.lastUpdate = formatExportTime(cell.lastUpdate);
+    return snapshot;
+}
+
+// Every cell of the vehicles in scope, with each pack's status and electrical state
+function buildPackSnapshot() {
+    return Object.assign(getExportHeader(), {
+        packs: getScopeVehicles().map(vehicle => {
+            const summary = vehicle.getSummary(getClock());
+            const electrical = getPackElectrical(vehicle.cells);
+            return {
+                vehicle: vehicle.id,
+                status: summary.status,
+                packVoltage: electrical.voltage,
+                packCurrent: electrical.current,
+                activeRules: vehicle.activeRules.map(rule => rule.id),
+                clusters: vehicle.clusters.map(cluster => cluster.id),
+                cells: vehicle.cells.map(cellToSnapshot)
+            };
+        })
+    });
+}
+
+// One row per cell; the export metadata repeats on every row so rows stay
+// identifiable once split or merged with other exports
+function snapshotToCsv(snapshot) {
+    const columns = [...SNAPSHOT_FIELDS, 'activeRules', 'timestamp', 'lastUpdate'];
+    const header = ['exportedAt', 'dataTime', 'source', 'pack', 'vehicle', ...columns].join(',');
+    const rows = snapshot.packs.flatMap(pack => pack.cells.map(cell => [
+        snapshot.exportedAt,
+        snapshot.dataTime,
+        snapshot.source,
+        snapshot.pack.name,
+        pack.vehicle,
+        ...columns.map(column => Array.isArray(cell[column]) ? cell[column].join(';') : cell[column])
+    ].map(toCsvValue).join(',')));
+
+    return [header, ...rows].join('\n');
+}
+
+function exportPackSnapshot(format) {
+    const snapshot = buildPackSnapshot();
+    const name = `thermascan-snapshot-${snapshot.vehicles.length === 1 ? snapshot.vehicles[0] + '-' : ''}${getExportStamp()}`;
+
+    if (format === 'json') {
+        downloadFile(`${name}.json`, JSON.stringify(snapshot, null, 2), 'application/json');
+    } else {
+        downloadFile(`${name}.csv`, snapshotToCsv(snapshot), 'text/csv');
+    }
+    console.log(`💾 Exported snapshot of ${snapshot.vehicles.length} pack(s) as ${format.toUpperCase()}`);
+}
+
+// ========================================
+// HISTORY EXPORT
+// ========================================
+// Per-cell records of the history panel's window for the vehicles in scope,
+// from the same tier the charts draw
+function loadHistoryExport() {
+    const { from, to } = getHistoryWindow();
+    const tier = chooseHistoryTier(from, to);
+    const vehicles = getScopeVehicles();
+
+    return Promise.all(vehicles.map(vehicle => getHistoryStore().query(`cells-${tier.name}`, vehicle.id, from, to)))
+        .then(results => Object.assign(getExportHeader(), {
+            window: { from: formatExportTime(from), to: formatExportTime(to) },
+            tier: tier.name,
+            fields: TELEMETRY_FIELDS,
+            packs: vehicles.map((vehicle, v) => ({
+                vehicle: vehicle.id,
+                cells: vehicle.cells.map(cell => cell.id),
+                records: results[v].map(record => {
+                    const values = {};
+                    // Gaps are NaN in the store and null in exports; stored values
+                    // are 32-bit floats, good for about 7 significant digits
+                    TELEMETRY_FIELDS.forEach(field => {
+                        values[field] = Array.from(record.values[field],
+                            value => isNaN(value) ? null : Number(value.toPrecision(7)));
+                    });
+                    return { time: formatExportTime(record.time), values: values };
+                })
+            }))
+        }));
+}
+
+function historyToCsv(history) {
+    const header = ['time', 'source', 'pack', 'vehicle', 'cell', ...history.fields].join(',');
+    const rows = history.packs.flatMap(pack => pack.records.flatMap(record =>
+        pack.cells.map((cellId, i) => [
+            record.time,
+            history.source,
+            history.pack.name,
+            pack.vehicle,
+            cellId,
+            ...history.fields.map(field => record.values[field][i])
+        ].map(toCsvValue).join(','))));
+
+    return [header, ...rows].join('\n');
+}
+
+function exportHistoryWindow(format) {
+    loadHistoryExport().then(history => {
+        const records = history.packs.reduce((sum, pack) => sum + pack.records.length, 0);
+        const name = `thermascan-history-${history.tier}-${getExportStamp()}`;
+
+        if (format === 'json') {
+            downloadFile(`${name}.json`, JSON.stringify(history), 'application/json');
+        } else {
+            downloadFile(`${name}.csv`, historyToCsv(history), 'text/csv');
+        }
+        console.log(`💾 Exported ${records} history records (${history.tier}) as ${format.toUpperCase()}`);
+    }).catch(error => console.warn(`⚠️ History export failed: ${error.message}`));
+}
+
+// ========================================
+// INCIDENT REPORT
+// ========================================
+// The pack grid drawn onto a canvas: cells in their temperature color,
+// abnormal cells ringed by severity, module walls dashed
+function renderGridImage(vehicle) {
+    const size = REPORT_CELL_SIZE;
+    const canvas = document.createElement('canvas');
+    canvas.width = packTopology.cols * size + 8;
+    canvas.height = packTopology.rows * size + 8;
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = '#0f172a';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    ctx.strokeStyle = '#475569';
+    ctx.setLineDash([3, 3]);
+    packTopology.modules.forEach(module => {
+        ctx.strokeRect(
+            4 + module.colStart * size, 4 + module.rowStart * size,
+            (module.colEnd - module.colStart + 1) * size, (module.rowEnd - module.rowStart + 1) * size);
+    });
+    ctx.setLineDash([]);
+
+    vehicle.cells.forEach(cell => {
+        const x = 4 + (cell.col + 0.5) * size;
+        const y = 4 + (cell.row + 0.5) * size;
+        ctx.beginPath();
+        ctx.arc(x, y, size * 0.38, 0, Math.PI * 2);
+        ctx.fillStyle = getTemperatureColor(cell.temperature);
+        ctx.fill();
+
+        if (cell.anomalyStatus !== 'NORMAL' || cell.clusterId !== null) {
+            ctx.lineWidth = 2;
+            ctx.strokeStyle = cell.anomalyStatus === 'WARNING' && cell.clusterId === null ? '#fbbf24' : '#ef4444';
+            ctx.stroke();
+        }
+    });
+
+    return canvas.toDataURL('image/png');
+}
+
+// Packs shown with a grid image: the open pack, or on the fleet overview
+// every pack with something abnormal
+function getReportVehicles() {
+    if (viewScope === 'vehicle') return [selectedVehicle];
+    const now = getClock();
+    return fleet.filter(vehicle => vehicle.getSummary(now).status !== 'NORMAL');
+}
+
+function buildReportTable(headers, rows, empty) {
+    if (rows.length === 0) return `<p class="empty">${empty}</p>`;
+    return `
+        <table>
+            <thead><tr>${headers.map(h => `<th>${h}</th>`).join('')}</tr></thead>
+            <tbody>${rows.map(row => `<tr>${row.map(value => `<td>${escapeHtml(value)}</td>`).join('')}</tr>`).join('')}</tbody>
+        </table>`;
+}
+
+function buildIncidentReport() {
+    const header = getExportHeader();
+    const stats = calculateScopeMetrics();
+    const vehicles = getScopeVehicles();
+
+    const abnormalCells = vehicles.flatMap(vehicle => vehicle.cells
+        .filter(cell => cell.anomalyStatus !== 'NORMAL')
+        .map(cell => ({ vehicle: vehicle, cell: cell })))
+        .sort((a, b) => STATUS_RANK[b.cell.anomalyStatus] - STATUS_RANK[a.cell.anomalyStatus] ||
+            b.cell.riskScore - a.cell.riskScore);
+    const packRules = vehicles.flatMap(vehicle => vehicle.activeRules.map(rule => ({ vehicle: vehicle, rule: rule })));
+    const clusters = vehicles.flatMap(vehicle => vehicle.clusters.map(cluster => ({ vehicle: vehicle, cluster: cluster })));
+
+    const metrics = [
+        ['Anomaly Status', document.getElementById('statusText').textContent],
+        ['Avg Temperature', formatReading(stats.avgTemp, 1, '°C')],
+        ['Max Temperature', formatReading(stats.maxTemp, 1, '°C')],
+        ['Min Temperature', formatReading(stats.minTemp, 1, '°C')],
+        ['Average SoC', formatReading(stats.avgSoc, 1, '%')],
+        ['Average SoH', formatReading(stats.avgSoh, 1, '%')],
+        [viewScope === 'fleet' ? 'Pack Voltage (avg)' : 'Pack Voltage', formatReading(stats.packVoltage, 1, 'V')],
+        [viewScope === 'fleet' ? 'Pack Current (avg)' : 'Pack Current', formatReading(stats.packCurrent, 1, 'A')],
+        ['Warning Cells', stats.warningCells],
+        ['Faulty Cells', stats.faultyCells],
+        ['Stale Cells', stats.staleCells],
+        ['Vehicles Critical', `${stats.vehiclesCritical} of ${fleet.length}`]
+    ];
+
+    const grids = getReportVehicles().map(vehicle => `
+        <figure>
+            <img src="${renderGridImage(vehicle)}" alt="${escapeHtml(vehicle.id)} pack grid">
+            <figcaption>${escapeHtml(vehicle.id)} · ${vehicle.getSummary(getClock()).status}</figcaption>
+        </figure>`).join('');
+
+    const chartImages = REPORT_CHARTS.map(spec => `
+        <figure>
+            <img src="${charts[spec.chart].toBase64Image()}" alt="${spec.title}">
+            <figcaption>${spec.title}</figcaption>
+        </figure>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>THERMASCAN Incident Report · ${escapeHtml(header.dataTime)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; color: #0f172a; margin: 30px; }
+        h1 { font-size: 1.4em; margin-bottom: 4px; }
+        h2 { font-size: 1.05em; margin-top: 28px; border-bottom: 2px solid #0f172a; padding-bottom: 4px; }
+        .meta td, .meta th { text-align: left; padding: 2px 12px 2px 0; border: none; }
+        table { border-collapse: collapse; width: 100%; font-size: 0.85em; }
+        th, td { border: 1px solid #cbd5e1; padding: 4px 6px; text-align: left; }
+        th { background: #f1f5f9; }
+        .figures { display: flex; flex-wrap: wrap; gap: 16px; }
+        figure { margin: 0; page-break-inside: avoid; }
+        figure img { border: 1px solid #cbd5e1; max-width: 440px; }
+        figcaption { font-size: 0.8em; color: #475569; }
+        .empty { color: #64748b; font-style: italic; }
+        .print { float: right; padding: 8px 16px; }
+        @media print { .print { display: none; } }
+    </style>
+</head>
+<body>
+    <button class="print" onclick="window.print()">Print</button>
+    <h1>THERMASCAN Incident Report</h1>
+    <table class="meta">
+        <tr><th>Generated</th><td>${escapeHtml(header.exportedAt)}</td></tr>
+        <tr><th>Data time</th><td>${escapeHtml(header.dataTime)}</td></tr>
+        <tr><th>Source</th><td>${escapeHtml(header.source)}</td></tr>
+        <tr><th>Pack</th><td>${escapeHtml(`${header.pack.name} · ${header.pack.format} · ${header.pack.cells} cells`)}</td></tr>
+        <tr><th>Vehicles</th><td>${escapeHtml(viewScope === 'fleet' ? `Fleet (${header.vehicles.length})` : header.vehicles.join(', '))}</td></tr>
+    </table>
+
+    <h2>Metrics</h2>
+    ${buildReportTable(['Metric', 'Value'], metrics, '')}
+
+    <h2>Pack Grid</h2>
+    ${grids ? `<div class="figures">${grids}</div>` : '<p class="empty">No abnormal packs in the fleet</p>'}
+
+    <h2>Abnormal Cells (${abnormalCells.length})</h2>
+    ${buildReportTable(
+        ['Vehicle', 'Cell', 'Module', 'Status', 'Temp', 'Voltage', 'SoC', 'SoH', 'Rise Rate', 'Risk', 'Rules'],
+        abnormalCells.map(({ vehicle, cell }) => [
+            vehicle.id, cell.id, cell.module, cell.anomalyStatus,
+            formatReading(cell.temperature, 1, '°C'), formatReading(cell.voltage, 3, 'V'),
+            formatReading(cell.soc, 1, '%'), formatReading(cell.soh, 1, '%'),
+            cell.riseRate.toFixed(1) + ' °C/min', cell.riskScore.toFixed(0),
+            cell.activeRules.map(rule => rule.id).join(', ')
+        ]),
+        'No abnormal cells')}
+
+    <h2>Pack Rules (${packRules.length})</h2>
+    ${buildReportTable(
+        ['Vehicle', 'Rule', 'Severity', 'Description'],
+        packRules.map(({ vehicle, rule }) => [vehicle.id, rule.id, rule.severity, rule.description]),
+        'No pack-level rules firing')}
+
+    <h2>Thermal Clusters (${clusters.length})</h2>
+    ${buildReportTable(
+        ['Vehicle', 'Cluster', 'Cells', 'Peak', 'Mean', 'Centroid', 'Growth', 'Escalation'],
+        clusters.map(({ vehicle, cluster }) => [
+            vehicle.id, cluster.id, cluster.size,
+            cluster.peakTemp.toFixed(1) + '°C', cluster.meanTemp.toFixed(1) + '°C',
+            formatClusterPosition(cluster.centroid), cluster.growthRate.toFixed(1) + ' cells/min',
+            cluster.escalation ? cluster.escalation.reason : ''
+        ]),
+        'No active thermal clusters')}
+
+    <h2>Charts</h2>
+    <div class="figures">${chartImages}</div>
+</body>
+</html>`;
+}
+
+// Opens the report for printing; saves it as an HTML file when the browser
+// blocks the new window
+function openIncidentReport() {
+    const html = buildIncidentReport();
+    const reportWindow = window.open('', '_blank');
+
+    if (reportWindow) {
+        reportWindow.document.write(html);
+        reportWindow.document.close();
+    } else {
+        downloadFile(`thermascan-report-${getExportStamp()}.html`, html, 'text/html');
+    }
+    console.log('📄 Generated incident report');
+}
+
+function setupExportControls() {
+    document.getElementById('exportSnapshotCsv').addEventListener('click', () => exportPackSnapshot('csv'));
+    document.getElementById('exportSnapshotJson').addEventListener('click', () => exportPackSnapshot('json'));
+    document.getElementById('exportHistoryCsv').addEventListener('click', () => exportHistoryWindow('csv'));
+    document.getElementById('exportHistoryJson').addEventListener('click', () => exportHistoryWindow('json'));
+    document.getElementById('exportReport').addEventListener('click', openIncidentReport);
+}
@@ -0,0 +1,265 @@
+// ========================================
+// THERMASCAN - Heatmap Layers
+// Colormap Engine, Metric Layers, Scaling & Legend
+// ========================================
+
+// Colormaps as [position, color] stops over 0-1. thermal follows the
+// chemistry's temperature classes: applyChemistryColorScales() moves its
+// stops to the thresholds (20, 28, 40, 45 and 55°C over 20-60°C for NMC).
+// The heatmap layers scale with it.
+const COLORMAPS = {
+    thermal: {
+        label: 'Thermal',
+        stops: [[0, '#3b82f6'], [0.2, '#10b981'], [0.5, '#fbbf24'], [0.625, '#f97316'], [0.875, '#dc2626'], [1, '#7f1d1d']]
+    },
+    viridis: {
+        label: 'Viridis',
+        stops: [[0, '#440154'], [0.25, '#3b528b'], [0.5, '#21918c'], [0.75, '#5ec962'], [1, '#fde725']]
+    },
+    inferno: {
+        label: 'Inferno',
+        stops: [[0, '#000004'], [0.2, '#420a68'], [0.4, '#932667'], [0.6, '#dd513a'], [0.8, '#fca50a'], [1, '#fcffa4']]
+    },
+    diverging: {
+        label: 'Diverging',
+        stops: [[0, '#2563eb'], [0.5, '#cbd5e1'], [1, '#ea580c']]
+    },
+    risk: {
+        label: 'Green-Red',
+        stops: [[0, '#10b981'], [0.5, '#fbbf24'], [1, '#dc2626']]
+    },
+    grayscale: {
+        label: 'Grayscale',
+        stops: [[0, '#1e293b'], [1, '#f8fafc']]
+    }
+};
+
+const COLORMAP_STEPS = 256;
+const NO_DATA_COLOR = '#475569';  // Cells with no value for the layer, off every colormap
+const colormapTables = {};      // Lookup tables, built on first use
+
+// Cell metrics the heatmap can color by. range is the absolute scale;
+// centered layers keep zero in the middle of a pack-relative scale.
+const HEATMAP_LAYERS = {
+    temperature: {
+        label: 'Temperature', unit: '°C', digits: 1, colormap: 'thermal', range: [20, 60],
+        get: cell => cell.temperature
+    },
+    voltageDeviation: {
+        label: 'Voltage Deviation', unit: 'mV', digits: 0, colormap: 'diverging', range: [-100, 100], centered: true,
+        get: (cell, pack) => (cell.voltage - pack.meanVoltage) * 1000
+    },
+    soc: {
+        label: 'SoC', unit: '%', digits: 1, colormap: 'viridis', range: [0, 100],
+        get: cell => cell.soc
+    },
+    soh: {
+        label: 'SoH', unit: '%', digits: 1, colormap: 'viridis', range: [60, 100],
+        get: cell => cell.soh
+    },
+    resistance: {
+        label: 'Resistance', unit: 'mΩ', digits: 2, colormap: 'inferno', range: [1, 6],
+        get: cell => cell.resistance
+    },
+    cycles: {
+        label: 'Cycles', unit: 'cyc', digits: 0, colormap: 'inferno', range: [0, 2000],
+        get: cell => cell.cycles
+    },
+    risk: {
+        label: 'Anomaly Score', unit: '/100', digits: 0, colormap: 'risk', range: [0, 100],
+        get: cell => cell.riskScore
+    }
+};
+
+// ========================================
+// COLORMAP ENGINE
+// ========================================
+function parseHexColor(hex) {
+    return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+// Colors at evenly spaced positions, interpolated linearly between stops
+function buildColormapTable(name) {
+    const stops = COLORMAPS[name].stops.map(([position, color]) => [position, parseHexColor(color)]);
+    const table = [];
+
+    for (let step = 0; step < COLORMAP_STEPS; step++) {
+        const t = step / (COLORMAP_STEPS - 1);
+        let upper = stops.findIndex(([position]) => position >= t);
+        if (upper <= 0) upper = Math.max(upper, 1);
+        const [p0, c0] = stops[upper - 1];
+        const [p1, c1] = stops[upper];
+        const f = p1 > p0 ? (t - p0) / (p1 - p0) : 0;
+        const rgb = c0.map((channel, i) => Math.round(channel + (c1[i] - channel) * f));
+        table.push(`rgb(${rgb.join(', ')})`);
+    }
+
+    return table;
+}
+
+// Color at t (0-1, clamped) along a colormap
+function sampleColormap(name, t) {
+    if (!colormapTables[name]) colormapTables[name] = buildColormapTable(name);
+    const clamped = Math.max(0, Math.min(1, isFinite(t) ? t : 0));
+    return colormapTables[name][Math.round(clamped * (COLORMAP_STEPS - 1))];
+}
+
+function getColormapGradient(name) {
+    const stops = COLORMAPS[name].stops.map(([position, color]) => `${color} ${Math.round(position * 100)}%`);
+    return `linear-gradient(90deg, ${stops.join(', ')})`;
+}
+
+// The fixed temperature scale, for images that always show temperature
+function getTemperatureColor(temperature) {
+    if (!Number.isFinite(temperature)) return NO_DATA_COLOR;
+    const [min, max] = HEATMAP_LAYERS.temperature.range;
+    return sampleColormap('thermal', (temperature - min) / (max - min));
+}
+
+// Point the temperature and voltage scales at the active chemistry profile
+function applyChemistryColorScales() {
+    const [min, max] = CONFIG.COLOR_SCALES.TEMPERATURE;
+    const { COOL_MAX, NORMAL_MAX, ELEVATED_MAX, CRITICAL } = CONFIG.TEMP_THRESHOLDS;
+    const voltage = CONFIG.COLOR_SCALES.VOLTAGE_DEVIATION;
+
+    // Thresholds outside the profile's range, or edited out of order, would
+    // put stops outside 0-1 or behind the one before; clamp each stop into
+    // the scale and no lower than its predecessor
+    let previous = 0;
+    const at = temperature => {
+        previous = Math.max(previous, Math.min(1, (temperature - min) / (max - min)));
+        return previous;
+    };
+
+    HEATMAP_LAYERS.temperature.range = [min, max];
+    HEATMAP_LAYERS.voltageDeviation.range = [-voltage, voltage];
+    COLORMAPS.thermal.stops = [
+        [0, '#3b82f6'], [at(COOL_MAX), '#10b981'], [at(NORMAL_MAX), '#fbbf24'],
+        [at(ELEVATED_MAX), '#f97316'], [at(CRITICAL), '#dc2626'], [1, '#7f1d1d']
+    ];
+    delete colormapTables.thermal;
+}
+
+// ========================================
+// LAYER SCALING
+// ========================================
+// The active layer's value for every cell of one pack and the range mapped
+// onto the colormap: the layer's fixed range, or the pack's own min to max
+// over the cells that report the metric
+function getHeatmapScale(cells) {
+    const layer = HEATMAP_LAYERS[heatmapSettings.layer];
+    const pack = { meanVoltage: getMean(getReportedValues(cells, 'voltage')) };
+    const values = cells.map(cell => layer.get(cell, pack));
+    const reported = values.filter(Number.isFinite);
+    let [min, max] = layer.range;
+
+    if (heatmapSettings.scaling === 'pack' && reported.length > 0) {
+        min = Math.min(...reported);
+        max = Math.max(...reported);
+        if (layer.centered) {
+            max = Math.max(Math.abs(min), Math.abs(max));
+            min = -max;
+        }
+    }
+
+    return { layer: layer, min: min, max: max, values: values, colormap: heatmapSettings.colormap || layer.colormap };
+}
+
+// A uniform pack under pack-relative scaling sits mid-scale; a cell the
+// source has not reported for the layer is drawn as no data, not as the
+// bottom of the scale
+function getHeatmapColor(scale, index) {
+    const value = scale.values[index];
+    if (!Number.isFinite(value)) return NO_DATA_COLOR;
+
+    const span = scale.max - scale.min;
+    return sampleColormap(scale.colormap, span > 0 ? (value - scale.min) / span : 0.5);
+}
+
+// ========================================
+// FAULT FOCUS
+// ========================================
+// Cells fault focus keeps at full strength; everything else is dimmed,
+// whatever the mode or layer
+function isFaultFocusCell(cell) {
+    return cell.anomalyStatus !== 'NORMAL' || cell.clusterId !== null;
+}
+
+// ========================================
+// LEGEND & CONTROLS
+// ========================================
+function updateHeatmapLegend() {
+    document.getElementById('heatmapSettings').classList.toggle('hidden', currentMode !== 'heatmap');
+    if (currentMode !== 'heatmap') return;
+
+    const layer = HEATMAP_LAYERS[heatmapSettings.layer];
+    const unit = layer.unit ? ` ${layer.unit}` : '';
+    const format = value => `${value.toFixed(layer.digits)}${unit}`;
+    const relative = heatmapSettings.scaling === 'pack';
+
+    document.getElementById('heatmapLegendTitle').textContent =
+        `${layer.label}${relative ? ' · pack-relative' : ''}`;
+    document.getElementById('heatmapLegendBar').style.background =
+        getColormapGradient(heatmapSettings.colormap || layer.colormap);
+
+    // Relative ranges differ per pack, so the fleet view can only name the ends
+    let min = layer.range[0];
+    let max = layer.range[1];
+    if (relative && viewScope === 'vehicle') {
+        ({ min, max } = getHeatmapScale(selectedVehicle.cells));
+    }
+    const fleetRelative = relative && viewScope !== 'vehicle';
+    document.getElementById('heatmapLegendMin').textContent = fleetRelative ? 'Pack min' : format(min);
+    document.getElementById('heatmapLegendMax').textContent = fleetRelative ? 'Pack max' : format(max);
+}
+
+// Layer, scaling or colormap changed: repaint the grids and the legend
+function applyHeatmapSettings() {
+    if (viewScope === 'vehicle') {
+        updateBatteryGrid();
+    } else {
+        updateFleetMap();
+    }
+    updateHeatmapLegend();
+}
+
+function setupHeatmapControls() {
+    const layerSelect = document.getElementById('heatmapLayer');
+    const scalingSelect = document.getElementById('heatmapScaling');
+    const colormapSelect = document.getElementById('heatmapColormap');
+
+    layerSelect.innerHTML = Object.entries(HEATMAP_LAYERS)
+        .map(([key, layer]) => `<option value="${key}">${layer.label}</option>`)
+        .join('');
+    colormapSelect.innerHTML = '<option value="">Layer Default</option>' + Object.entries(COLORMAPS)
+        .map(([key, colormap]) => `<option value="${key}">${colormap.label}</option>`)
+        .join('');
+
+    layerSelect.value = heatmapSettings.layer;
+    scalingSelect.value = heatmapSettings.scaling;
+    colormapSelect.value = heatmapSettings.colormap || '';
+
+    layerSelect.addEventListener('change', () => {
+        heatmapSettings.layer = layerSelect.value;
+        applyHeatmapSettings();
+        console.log(`🗺️ Heatmap layer: ${HEATMAP_LAYERS[heatmapSettings.layer].label}`);
+    });
+
+    scalingSelect.addEventListener('change', () => {
+        heatmapSettings.scaling = scalingSelect.value;
+        applyHeatmapSettings();
+    });
+
+    colormapSelect.addEventListener('change', () => {
+        heatmapSettings.colormap = colormapSelect.value || null;
+        applyHeatmapSettings();
+    });
+
+    document.getElementById('faultFocusToggle').addEventListener('click', (e) => {
+        faultFocus = !faultFocus;
+        e.target.classList.toggle('active', faultFocus);
+        document.getElementById('batteryGrid').classList.toggle('fault-mode', faultFocus);
+        applyHeatmapSettings();
+        console.log(`🔄 Fault focus ${faultFocus ? 'on' : 'off'}`);
+    });
+}
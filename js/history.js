@@ -0,0 +1,530 @@
+// ========================================
+// THERMASCAN - Telemetry History
+// Per-Cell Time Series, Downsampling Tiers & IndexedDB Storage
+// ========================================
+
+// Metrics drawn in the history charts
+const HISTORY_CHARTS = {
+    temperature: { chart: 'tempChart', unit: '°C' },
+    voltage: { chart: 'voltageChart', unit: 'V' },
+    current: { chart: 'currentChart', unit: 'A' },
+    soc: { chart: 'socChart', unit: '%' }
+};
+
+// Every tier keeps all TELEMETRY_FIELDS in two series per vehicle:
+//   cells-<tier>: { vehicle, time, values: { field: Float32Array, one value per cell } }
+//   packs-<tier>: { vehicle, time, stats: { field: { avg, min, max } } }
+// The raw tier stores every sample; coarser tiers store the average over each
+// bucket (and the extremes, for pack stats). Cells without data are NaN.
+function getHistoryStoreNames() {
+    return CONFIG.HISTORY.TIERS.flatMap(tier => [`cells-${tier.name}`, `packs-${tier.name}`]);
+}
+
+// ========================================
+// HISTORY STORES
+// ========================================
+class HistoryStore {
+    constructor(type) {
+        this.type = type;
+        this.buckets = new Map();       // Open downsampling buckets per tier and vehicle
+        this.lastPrune = 0;
+    }
+
+    // Fold one sample into the tier's open bucket; returns the finished
+    // bucket's cell and pack records once the sample starts a new one
+    downsample(tier, cellRecord) {
+        const key = `${tier.name}:${cellRecord.vehicle}`;
+        const start = Math.floor(cellRecord.time / tier.resolution) * tier.resolution;
+        let bucket = this.buckets.get(key);
+        let finished = null;
+
+        if (bucket && bucket.start !== start) {
+            finished = closeHistoryBucket(bucket, cellRecord.vehicle);
+            bucket = null;
+        }
+        if (!bucket) {
+            bucket = openHistoryBucket(start, cellRecord);
+            this.buckets.set(key, bucket);
+        }
+
+        TELEMETRY_FIELDS.forEach(field => {
+            const values = cellRecord.values[field];
+            const sums = bucket.sums[field];
+            const counts = bucket.counts[field];
+            const extremes = bucket.extremes[field];
+            values.forEach((value, i) => {
+                if (isNaN(value)) return;
+                sums[i] += value;
+                counts[i]++;
+                extremes.min = Math.min(extremes.min, value);
+                extremes.max = Math.max(extremes.max, value);
+            });
+        });
+
+        return finished;
+    }
+
+    write(entries) {}
+
+    query(storeName, vehicleId, from, to) {
+        return Promise.resolve([]);
+    }
+
+    prune(storeName, before) {}
+
+    clear() {
+        this.buckets.clear();
+    }
+}
+
+function openHistoryBucket(start, cellRecord) {
+    const bucket = { start: start, sums: {}, counts: {}, extremes: {} };
+    TELEMETRY_FIELDS.forEach(field => {
+        const size = cellRecord.values[field].length;
+        bucket.sums[field] = new Float64Array(size);
+        bucket.counts[field] = new Uint32Array(size);
+        bucket.extremes[field] = { min: Infinity, max: -Infinity };
+    });
+    return bucket;
+}
+
+function closeHistoryBucket(bucket, vehicleId) {
+    const cellRecord = { vehicle: vehicleId, time: bucket.start, values: {} };
+    const packRecord = { vehicle: vehicleId, time: bucket.start, stats: {} };
+
+    TELEMETRY_FIELDS.forEach(field => {
+        const counts = bucket.counts[field];
+        const means = Float32Array.from(bucket.sums[field], (sum, i) => counts[i] > 0 ? sum / counts[i] : NaN);
+        const { min, max } = bucket.extremes[field];
+        cellRecord.values[field] = means;
+        packRecord.stats[field] = {
+            avg: summarizeHistoryValues(means).avg,
+            min: isFinite(min) ? min : null,
+            max: isFinite(max) ? max : null
+        };
+    });
+
+    return { cells: cellRecord, pack: packRecord };
+}
+
+// In-memory store: the fallback when IndexedDB is unavailable, and the
+// throwaway store a replay records into
+class MemoryHistoryStore extends HistoryStore {
+    constructor() {
+        super('memory');
+        this.series = new Map();        // Store name → vehicle id → records in time order
+    }
+
+    getSeries(storeName, vehicleId) {
+        if (!this.series.has(storeName)) this.series.set(storeName, new Map());
+        const byVehicle = this.series.get(storeName);
+        if (!byVehicle.has(vehicleId)) byVehicle.set(vehicleId, []);
+        return byVehicle.get(vehicleId);
+    }
+
+    write(entries) {
+        entries.forEach(({ store, record }) => {
+            const series = this.getSeries(store, record.vehicle);
+            // Same key replaces, as in IndexedDB
+            if (series.length > 0 && series[series.length - 1].time === record.time) series.pop();
+            series.push(record);
+        });
+    }
+
+    query(storeName, vehicleId, from, to) {
+        const series = this.getSeries(storeName, vehicleId);
+        return Promise.resolve(series.filter(record => record.time >= from && record.time <= to));
+    }
+
+    prune(storeName, before) {
+        const byVehicle = this.series.get(storeName);
+        if (!byVehicle) return;
+        byVehicle.forEach(series => {
+            const keep = series.findIndex(record => record.time >= before);
+            series.splice(0, keep === -1 ? series.length : keep);
+        });
+    }
+
+    clear() {
+        super.clear();
+        this.series.clear();
+    }
+}
+
+class IndexedDbHistoryStore extends HistoryStore {
+    constructor(db) {
+        super('indexeddb');
+        this.db = db;
+    }
+
+    write(entries) {
+        if (entries.length === 0) return;
+
+        const transaction = this.db.transaction([...new Set(entries.map(entry => entry.store))], 'readwrite');
+        entries.forEach(({ store, record }) => transaction.objectStore(store).put(record));
+        transaction.onerror = () => console.warn(`⚠️ History write failed: ${transaction.error}`);
+    }
+
+    query(storeName, vehicleId, from, to) {
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction(storeName).objectStore(storeName)
+                .getAll(IDBKeyRange.bound([vehicleId, from], [vehicleId, to]));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    prune(storeName, before) {
+        const transaction = this.db.transaction(storeName, 'readwrite');
+        const request = transaction.objectStore(storeName).index('time').openCursor(IDBKeyRange.upperBound(before, true));
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            cursor.delete();
+            cursor.continue();
+        };
+    }
+
+    clear() {
+        super.clear();
+        const names = getHistoryStoreNames();
+        const transaction = this.db.transaction(names, 'readwrite');
+        names.forEach(name => transaction.objectStore(name).clear());
+    }
+}
+
+// Resolves to an IndexedDB-backed store, or an in-memory one when the
+// browser has no IndexedDB (or refuses it, e.g. in private windows)
+function openHistoryStore() {
+    return new Promise(resolve => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(new MemoryHistoryStore());
+            return;
+        }
+
+        const request = indexedDB.open(CONFIG.HISTORY.DB_NAME, CONFIG.HISTORY.DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            [...db.objectStoreNames].forEach(name => db.deleteObjectStore(name));
+            getHistoryStoreNames().forEach(name => {
+                db.createObjectStore(name, { keyPath: ['vehicle', 'time'] }).createIndex('time', 'time');
+            });
+        };
+        request.onsuccess = () => resolve(new IndexedDbHistoryStore(request.result));
+        request.onerror = () => {
+            console.warn(`⚠️ IndexedDB unavailable, keeping history in memory: ${request.error}`);
+            resolve(new MemoryHistoryStore());
+        };
+    });
+}
+
+function initializeHistory() {
+    // Record into memory until the database is open
+    historyStore = new MemoryHistoryStore();
+    openHistoryStore().then(store => {
+        historyStore = store;
+        console.log(`🗄️ History store: ${store.type}`);
+    });
+}
+
+// Replays record into their own store and never touch the persisted history
+function getHistoryStore() {
+    return replaySession ? replaySession.history : historyStore;
+}
+
+// Forget all history, e.g. when the pack layout changes under it
+function clearHistory() {
+    historyStore.clear();
+}
+
+// ========================================
+// RECORDING
+// ========================================
+function summarizeHistoryValues(values) {
+    let sum = 0;
+    let count = 0;
+    let min = Infinity;
+    let max = -Infinity;
+    values.forEach(value => {
+        if (isNaN(value)) return;
+        sum += value;
+        count++;
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+    });
+    return count > 0 ? { avg: sum / count, min: min, max: max } : { avg: null, min: null, max: null };
+}
+
+// Store one sample of every vehicle at time `now` in all tiers
+function recordHistory(now) {
+    const store = getHistoryStore();
+    const entries = [];
+
+    fleet.forEach(vehicle => {
+        const cellRecord = { vehicle: vehicle.id, time: now, values: {} };
+        const packRecord = { vehicle: vehicle.id, time: now, stats: {} };
+
+        TELEMETRY_FIELDS.forEach(field => {
+            // Cells that have never reported are gaps, not values
+            const values = Float32Array.from(vehicle.cells, cell => cell.lastUpdate === null ? NaN : cell[field]);
+            cellRecord.values[field] = values;
+            packRecord.stats[field] = summarizeHistoryValues(values);
+        });
+
+        CONFIG.HISTORY.TIERS.forEach(tier => {
+            if (tier.resolution === 0) {
+                entries.push({ store: `cells-${tier.name}`, record: cellRecord });
+                entries.push({ store: `packs-${tier.name}`, record: packRecord });
+                return;
+            }
+
+            const finished = store.downsample(tier, cellRecord);
+            if (finished) {
+                entries.push({ store: `cells-${tier.name}`, record: finished.cells });
+                entries.push({ store: `packs-${tier.name}`, record: finished.pack });
+            }
+        });
+    });
+
+    store.write(entries);
+
+    if (now - store.lastPrune >= CONFIG.HISTORY.PRUNE_INTERVAL) {
+        store.lastPrune = now;
+        CONFIG.HISTORY.TIERS.forEach(tier => {
+            store.prune(`cells-${tier.name}`, now - tier.retention);
+            store.prune(`packs-${tier.name}`, now - tier.retention);
+        });
+    }
+}
+
+// ========================================
+// QUERIES
+// ========================================
+// The finest tier that still covers the window without drawing more than
+// MAX_POINTS per series; the coarsest tier when none covers it
+function chooseHistoryTier(from, to) {
+    const { TIERS, MAX_POINTS } = CONFIG.HISTORY;
+    const age = getClock() - from;
+    const covering = TIERS.filter(tier => age <= tier.retention);
+
+    return covering.find(tier => (to - from) / Math.max(tier.resolution, CONFIG.UPDATE_INTERVAL) <= MAX_POINTS)
+        || covering[covering.length - 1]
+        || TIERS[TIERS.length - 1];
+}
+
+// Pack stats of the given vehicles, combined per timestamp:
+// [{ time, stats: { field: { avg, min, max } } }]
+function loadPackHistory(vehicles, from, to, tier) {
+    const store = getHistoryStore();
+
+    return Promise.all(vehicles.map(vehicle => store.query(`packs-${tier.name}`, vehicle.id, from, to)))
+        .then(results => {
+            const byTime = new Map();
+            results.flat().forEach(record => {
+                if (!byTime.has(record.time)) byTime.set(record.time, []);
+                byTime.get(record.time).push(record.stats);
+            });
+
+            return [...byTime.keys()].sort((a, b) => a - b).map(time => {
+                const packs = byTime.get(time);
+                const stats = {};
+                TELEMETRY_FIELDS.forEach(field => {
+                    const present = packs.map(pack => pack[field]).filter(s => s && s.avg !== null);
+                    stats[field] = present.length === 0 ? { avg: null, min: null, max: null } : {
+                        // Packs have equal cell counts, so the fleet average is the mean of pack averages
+                        avg: present.reduce((sum, s) => sum + s.avg, 0) / present.length,
+                        min: Math.min(...present.map(s => s.min)),
+                        max: Math.max(...present.map(s => s.max))
+                    };
+                });
+                return { time: time, stats: stats };
+            });
+        });
+}
+
+// One cell's time series: [{ time, temperature, voltage, ... }]
+function loadCellHistory(vehicle, cellIndex, from, to, tier = chooseHistoryTier(from, to)) {
+    return getHistoryStore().query(`cells-${tier.name}`, vehicle.id, from, to)
+        .then(records => records.map(record => {
+            const point = { time: record.time };
+            TELEMETRY_FIELDS.forEach(field => {
+                const value = record.values[field][cellIndex];
+                point[field] = isNaN(value) ? null : value;
+            });
+            return point;
+        }));
+}
+
+// ========================================
+// HISTORY CHARTS
+// ========================================
+let historyQueryId = 0;
+let historyReloadTimer = null;
+let lastHistoryPreset = '5m';           // Where double-click returns to
+
+// Time window drawn by the charts: a preset that follows the clock, or a
+// fixed custom window set by zooming, panning or the date inputs
+function getHistoryWindow() {
+    if (historyRange.preset === 'custom') {
+        return { from: historyRange.from, to: historyRange.to };
+    }
+    const now = getClock();
+    return { from: now - CONFIG.HISTORY.RANGES[historyRange.preset], to: now };
+}
+
+function formatHistoryTick(time, span) {
+    const date = new Date(time);
+    if (span > 86400000) {
+        return `${date.toLocaleDateString([], { month: 'short', day: 'numeric' })} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+    }
+    return span > 3600000
+        ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+        : date.toLocaleTimeString();
+}
+
+function formatHistoryResolution(tier) {
+    const step = Math.max(tier.resolution, CONFIG.UPDATE_INTERVAL);
+    return step >= 60000 ? `${step / 60000} min` : `${step / 1000} s`;
+}
+
+function setHistoryChartWindow(from, to) {
+    Object.values(HISTORY_CHARTS).forEach(spec => {
+        const chart = charts[spec.chart];
+        chart.options.scales.x.min = from;
+        chart.options.scales.x.max = to;
+        chart.update('none');
+    });
+}
+
+function updateHistoryCharts() {
+    const { from, to } = getHistoryWindow();
+    const tier = chooseHistoryTier(from, to);
+    const queryId = ++historyQueryId;
+
+    loadPackHistory(getScopeVehicles(), from, to, tier).then(points => {
+        // A newer query (scope change, zoom) has superseded this one
+        if (queryId !== historyQueryId) return;
+
+        Object.entries(HISTORY_CHARTS).forEach(([field, spec]) => {
+            const datasets = charts[spec.chart].data.datasets;
+            datasets[0].data = points.map(p => ({ x: p.time, y: p.stats[field].avg }));
+            datasets[1].data = points.map(p => ({ x: p.time, y: p.stats[field].max }));
+            datasets[2].data = points.map(p => ({ x: p.time, y: p.stats[field].min }));
+        });
+        setHistoryChartWindow(from, to);
+
+        document.getElementById('historyResolution').textContent =
+            `${points.length} points · ${formatHistoryResolution(tier)} resolution`;
+    }).catch(error => console.warn(`⚠️ History query failed: ${error.message}`));
+}
+
+// Fixed window from zooming or panning; the data is reloaded once the
+// gesture settles, so a zoomed-in window picks up a finer tier
+function setCustomHistoryWindow(from, to) {
+    const { MIN_SPAN } = CONFIG.HISTORY;
+    const longest = Math.max(...CONFIG.HISTORY.TIERS.map(tier => tier.retention));
+    const span = Math.max(MIN_SPAN, Math.min(longest, to - from));
+    const center = (from + to) / 2;
+
+    historyRange = { preset: 'custom', from: center - span / 2, to: center + span / 2 };
+    setHistoryChartWindow(historyRange.from, historyRange.to);
+    updateHistoryRangeControls();
+
+    clearTimeout(historyReloadTimer);
+    historyReloadTimer = setTimeout(updateHistoryCharts, 200);
+}
+
+// The window of one charge session, labeled as such until it is zoomed,
+// panned or replaced
+function setSessionHistoryWindow(session) {
+    setCustomHistoryWindow(session.start, session.ongoing ? getClock() : session.end);
+    historyRange.session = { vehicle: session.vehicle, id: session.id, label: formatSessionLabel(session) };
+    updateHistoryRangeControls();
+}
+
+function setHistoryPreset(preset) {
+    historyRange = { preset: preset, from: null, to: null };
+    lastHistoryPreset = preset;
+    updateHistoryRangeControls();
+    updateHistoryCharts();
+}
+
+function toDateTimeInput(time) {
+    const date = new Date(time);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 19);
+}
+
+function updateHistoryRangeControls() {
+    document.querySelectorAll('.history-range-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.range === historyRange.preset);
+    });
+
+    const { from, to } = getHistoryWindow();
+    document.getElementById('historyFrom').value = toDateTimeInput(from);
+    document.getElementById('historyTo').value = toDateTimeInput(to);
+
+    const session = historyRange.session;
+    document.getElementById('historySession').classList.toggle('hidden', !session);
+    document.getElementById('historySessionLabel').textContent = session ? session.label : '';
+}
+
+// Wheel zooms around the pointer, drag pans, double-click returns to the
+// last preset. All charts share one window.
+function attachHistoryZoom(chart) {
+    const canvas = chart.canvas;
+    let drag = null;
+
+    canvas.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        const { from, to } = getHistoryWindow();
+        const anchor = chart.scales.x.getValueForPixel(e.offsetX);
+        const factor = e.deltaY > 0 ? 1.25 : 0.8;
+        setCustomHistoryWindow(anchor - (anchor - from) * factor, anchor + (to - anchor) * factor);
+    }, { passive: false });
+
+    canvas.addEventListener('mousedown', (e) => {
+        drag = { x: e.clientX, window: getHistoryWindow() };
+    });
+
+    window.addEventListener('mousemove', (e) => {
+        if (!drag) return;
+        const scale = chart.scales.x;
+        const shift = (e.clientX - drag.x) / (scale.right - scale.left) * (drag.window.to - drag.window.from);
+        if (Math.abs(e.clientX - drag.x) > 2) {
+            setCustomHistoryWindow(drag.window.from - shift, drag.window.to - shift);
+        }
+    });
+
+    window.addEventListener('mouseup', () => { drag = null; });
+
+    canvas.addEventListener('dblclick', () => setHistoryPreset(lastHistoryPreset));
+}
+
+function setupHistoryControls() {
+    document.querySelectorAll('.history-range-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            if (btn.dataset.range === 'custom') {
+                const { from, to } = getHistoryWindow();
+                setCustomHistoryWindow(from, to);
+            } else {
+                setHistoryPreset(btn.dataset.range);
+            }
+        });
+    });
+
+    document.getElementById('historyApply').addEventListener('click', () => {
+        const from = new Date(document.getElementById('historyFrom').value).getTime();
+        const to = new Date(document.getElementById('historyTo').value).getTime();
+        if (isFinite(from) && isFinite(to) && to > from) {
+            setCustomHistoryWindow(from, to);
+        }
+    });
+
+    document.getElementById('historySessionClear').addEventListener('click', () => {
+        setHistoryPreset(lastHistoryPreset);
+        updateSessionPanel();
+    });
+
+    Object.values(HISTORY_CHARTS).forEach(spec => attachHistoryZoom(charts[spec.chart]));
+    updateHistoryRangeControls();
+}
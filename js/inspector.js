@@ -0,0 +1,307 @@
+// ========================================
+// THERMASCAN - Cell Inspector
+// Pinned Cell Details, Per-Cell History & Neighbor Comparison
+// ========================================
+
+// Metrics compared against the cell's neighbors and the pack median; those
+// with a sparkline are drawn from the history store
+const INSPECTOR_METRICS = [
+    { field: 'temperature', label: 'Temperature', unit: '°C', digits: 1, sparkline: true },
+    { field: 'voltage', label: 'Voltage', unit: 'V', digits: 3, sparkline: true },
+    { field: 'current', label: 'Current', unit: 'A', digits: 2, sparkline: true },
+    { field: 'soc', label: 'SoC', unit: '%', digits: 1, sparkline: true },
+    { field: 'soh', label: 'SoH', unit: '%', digits: 1, sparkline: false },
+    { field: 'resistance', label: 'Resistance', unit: 'mΩ', digits: 2, sparkline: false },
+    { field: 'riseRate', label: 'Rise Rate', unit: '°C/min', digits: 1, sparkline: false }
+];
+
+// ========================================
+// PINNED CELLS
+// ========================================
+function getPinKey(vehicleId, cellId) {
+    return `${vehicleId}:${cellId}`;
+}
+
+function isCellPinned(vehicle, cell) {
+    const key = getPinKey(vehicle.id, cell.id);
+    return pinnedCells.some(pin => pin.key === key);
+}
+
+function pinCell(vehicle, cell) {
+    if (isCellPinned(vehicle, cell)) return;
+
+    // The oldest pin makes room once the panel is full
+    if (pinnedCells.length >= CONFIG.INSPECTOR.MAX_PINNED) {
+        unpinCell(pinnedCells[0].key);
+    }
+
+    const pin = {
+        key: getPinKey(vehicle.id, cell.id),
+        vehicle: vehicle.id,
+        cell: cell.id,
+        element: null,
+        charts: {},
+        queryId: 0
+    };
+    pinnedCells.push(pin);
+    renderPinnedCard(pin);
+    console.log(`📌 Pinned ${vehicle.id} ${cell.id}`);
+}
+
+function unpinCell(key) {
+    const pin = pinnedCells.find(p => p.key === key);
+    if (!pin) return;
+
+    Object.values(pin.charts).forEach(chart => chart.destroy());
+    pin.element.remove();
+    pinnedCells = pinnedCells.filter(p => p !== pin);
+}
+
+function togglePinnedCell(vehicle, cell) {
+    if (isCellPinned(vehicle, cell)) {
+        unpinCell(getPinKey(vehicle.id, cell.id));
+    } else {
+        pinCell(vehicle, cell);
+    }
+    updateInspectorPanel();
+    updateBatteryGrid();
+}
+
+// Vehicle, cell and its index for a pin, or null once the fleet no longer
+// has them (new pack layout, replayed log)
+function resolvePin(pin) {
+    const vehicle = fleet.find(v => v.id === pin.vehicle);
+    if (!vehicle) return null;
+    const index = vehicle.cells.findIndex(cell => cell.id === pin.cell);
+    return index === -1 ? null : { vehicle: vehicle, cell: vehicle.cells[index], index: index };
+}
+
+// ========================================
+// NEIGHBOR COMPARISON
+// ========================================
+function averageOf(values) {
+    return values.length === 0 ? null : values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+// Present value of each metric for the cell, the mean of its physical
+// neighbors and the pack median
+function compareCellToNeighbors(vehicle, index) {
+    const cell = vehicle.cells[index];
+    const neighbors = getNeighbors(index).map(n => vehicle.cells[n]);
+
+    return INSPECTOR_METRICS.map(metric => {
+        const median = getMedian(vehicle.cells.map(c => c[metric.field]));
+        return {
+            metric: metric,
+            value: cell[metric.field],
+            neighbors: averageOf(neighbors.map(c => c[metric.field])),
+            median: median,
+            delta: cell[metric.field] - median
+        };
+    });
+}
+
+// The cell's series with its neighbors' mean and the pack median at each
+// sample: [{ time, cell: { field }, neighbors: { field }, median: { field } }]
+function loadCellComparison(vehicle, index, from, to) {
+    const tier = chooseHistoryTier(from, to);
+    const neighbors = getNeighbors(index);
+    const fields = INSPECTOR_METRICS.filter(metric => metric.sparkline).map(metric => metric.field);
+
+    return getHistoryStore().query(`cells-${tier.name}`, vehicle.id, from, to).then(records => records.map(record => {
+        const point = { time: record.time, cell: {}, neighbors: {}, median: {} };
+        fields.forEach(field => {
+            const values = record.values[field];
+            const present = (list) => list.filter(value => !isNaN(value));
+            point.cell[field] = isNaN(values[index]) ? null : values[index];
+            point.neighbors[field] = averageOf(present(neighbors.map(n => values[n])));
+            const all = present(Array.from(values));
+            point.median[field] = all.length === 0 ? null : getMedian(all);
+        });
+        return point;
+    }));
+}
+
+// ========================================
+// INSPECTOR PANEL
+// ========================================
+function createSparkline(canvas, unit) {
+    const series = (label, color, dash) => ({
+        label: label,
+        data: [],
+        borderColor: color,
+        borderWidth: label === 'Cell' ? 2 : 1,
+        borderDash: dash,
+        pointRadius: 0,
+        tension: 0.3
+    });
+
+    return new Chart(canvas.getContext('2d'), {
+        type: 'line',
+        data: {
+            datasets: [
+                series('Cell', '#22d3ee', []),
+                series('Neighbors', '#a78bfa', [4, 3]),
+                series('Pack median', '#64748b', [2, 2])
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            parsing: false,
+            animation: false,
+            plugins: {
+                legend: { display: false },
+                tooltip: {
+                    callbacks: {
+                        title: (items) => items.length ? new Date(items[0].parsed.x).toLocaleTimeString() : '',
+                        label: (item) => `${item.dataset.label}: ${item.parsed.y.toFixed(2)} ${unit}`
+                    }
+                }
+            },
+            scales: {
+                x: { type: 'linear', display: false },
+                y: {
+                    ticks: { color: '#64748b', font: { size: 8 }, maxTicksLimit: 3 },
+                    grid: { color: 'rgba(71, 85, 105, 0.2)' }
+                }
+            }
+        }
+    });
+}
+
+function renderPinnedCard(pin) {
+    const card = document.createElement('div');
+    card.className = 'inspector-card';
+    card.dataset.key = pin.key;
+    card.innerHTML = `
+        <div class="inspector-card-header">
+            <strong>${pin.vehicle} · ${pin.cell}</strong>
+            <span class="inspector-position"></span>
+            <span class="inspector-status"></span>
+            <button class="inspector-unpin" title="Unpin">×</button>
+        </div>
+        <table class="inspector-compare">
+            <thead>
+                <tr><th></th><th>Cell</th><th>Neighbors</th><th>Pack Median</th><th>Δ Median</th></tr>
+            </thead>
+            <tbody></tbody>
+        </table>
+        <div class="inspector-sparklines">
+            ${INSPECTOR_METRICS.filter(metric => metric.sparkline).map(metric => `
+                <div class="inspector-sparkline">
+                    <span>${metric.label} (${metric.unit})</span>
+                    <div class="inspector-sparkline-body"><canvas data-field="${metric.field}"></canvas></div>
+                </div>
+            `).join('')}
+        </div>
+        <div class="inspector-events-title">Anomaly Events</div>
+        <div class="inspector-events"></div>
+    `;
+    document.getElementById('inspectorCards').appendChild(card);
+
+    pin.element = card;
+    card.querySelectorAll('canvas[data-field]').forEach(canvas => {
+        const metric = INSPECTOR_METRICS.find(m => m.field === canvas.dataset.field);
+        pin.charts[metric.field] = createSparkline(canvas, metric.unit);
+    });
+}
+
+function formatInspectorValue(value, metric, signed = false) {
+    if (!Number.isFinite(value)) return '--';
+    const sign = signed && value >= 0 ? '+' : '';
+    return `${sign}${value.toFixed(metric.digits)} ${metric.unit}`;
+}
+
+// Most recent alarms raised on the cell, from the live or the replay log
+function getCellAlarms(vehicle, cell) {
+    return getAlarmLog()
+        .filter(alarm => alarm.vehicle === vehicle.id && alarm.cell === cell.id)
+        .sort((a, b) => b.raisedAt - a.raisedAt)
+        .slice(0, CONFIG.INSPECTOR.EVENTS);
+}
+
+function updatePinnedCard(pin, resolved, range) {
+    const { vehicle, cell, index } = resolved;
+    const card = pin.element;
+
+    card.className = `inspector-card status-${cell.anomalyStatus.toLowerCase()}`;
+    card.querySelector('.inspector-position').textContent = `${cell.module} · Group ${cell.group + 1}`;
+    card.querySelector('.inspector-status').textContent = cell.anomalyStatus;
+
+    card.querySelector('.inspector-compare tbody').innerHTML = compareCellToNeighbors(vehicle, index).map(row => `
+        <tr>
+            <td>${row.metric.label}</td>
+            <td>${formatInspectorValue(row.value, row.metric)}</td>
+            <td>${formatInspectorValue(row.neighbors, row.metric)}</td>
+            <td>${formatInspectorValue(row.median, row.metric)}</td>
+            <td>${formatInspectorValue(row.delta, row.metric, true)}</td>
+        </tr>
+    `).join('');
+
+    const alarms = getCellAlarms(vehicle, cell);
+    card.querySelector('.inspector-events').innerHTML = alarms.length === 0
+        ? '<div class="inspector-empty">No anomaly events</div>'
+        : alarms.map(alarm => `
+            <div class="inspector-event ${alarm.severity.toLowerCase()}">
+                <span>${formatAlarmTime(alarm.raisedAt)}</span>
+                <span>${alarm.rule}</span>
+                <span>${alarm.clearedAt === null ? 'ACTIVE' : 'cleared ' + formatAlarmTime(alarm.clearedAt)}</span>
+            </div>
+        `).join('');
+
+    const queryId = ++pin.queryId;
+    loadCellComparison(vehicle, index, range.from, range.to).then(points => {
+        if (queryId !== pin.queryId || !pinnedCells.includes(pin)) return;
+
+        Object.entries(pin.charts).forEach(([field, chart]) => {
+            const datasets = chart.data.datasets;
+            datasets[0].data = points.map(p => ({ x: p.time, y: p.cell[field] }));
+            datasets[1].data = points.map(p => ({ x: p.time, y: p.neighbors[field] }));
+            datasets[2].data = points.map(p => ({ x: p.time, y: p.median[field] }));
+            chart.options.scales.x.min = range.from;
+            chart.options.scales.x.max = range.to;
+            chart.update('none');
+        });
+    }).catch(error => console.warn(`⚠️ Cell history query failed: ${error.message}`));
+}
+
+function updateInspectorPanel() {
+    // Pins whose vehicle or cell has gone away are dropped
+    pinnedCells.filter(pin => !resolvePin(pin)).forEach(pin => unpinCell(pin.key));
+
+    document.getElementById('inspectorPanel').classList.toggle('hidden', pinnedCells.length === 0);
+    document.getElementById('inspectorCount').textContent = pinnedCells.length;
+
+    // Sparklines follow the history panel's time window
+    const range = getHistoryWindow();
+    pinnedCells.forEach(pin => updatePinnedCard(pin, resolvePin(pin), range));
+}
+
+function setupCellInspector() {
+    // Click a cell on the grid to pin it, click again to unpin; shift-click
+    // selects it on the correlation plot instead
+    document.getElementById('batteryGrid').addEventListener('click', (e) => {
+        if (!e.target.classList.contains('battery-cell')) return;
+        const cell = batteryData[parseInt(e.target.dataset.index)];
+        if (e.shiftKey) {
+            toggleBrushedCell(selectedVehicle, cell);
+        } else {
+            togglePinnedCell(selectedVehicle, cell);
+        }
+    });
+
+    document.getElementById('inspectorCards').addEventListener('click', (e) => {
+        const button = e.target.closest('.inspector-unpin');
+        if (!button) return;
+        unpinCell(button.closest('.inspector-card').dataset.key);
+        updateInspectorPanel();
+        if (viewScope === 'vehicle') updateBatteryGrid();
+    });
+
+    document.getElementById('inspectorClear').addEventListener('click', () => {
+        pinnedCells.map(pin => pin.key).forEach(unpinCell);
+        updateInspectorPanel();
+        if (viewScope === 'vehicle') updateBatteryGrid();
+    });
+}
@@ -0,0 +1,477 @@
+// ========================================
+// THERMASCAN - Alarm Notifications
+// Desktop Notifications, Webhooks & MQTT over WebSocket
+// ========================================
+
+// Output channels fed by alarm raise and clear events. Each channel filters
+// by severity, drops repeats of the same alarm within the dedup window and
+// sends at most RATE_LIMIT messages per RATE_WINDOW.
+const NOTIFICATION_CHANNELS = {
+    browser: { label: 'Desktop', fields: [] },
+    webhook: { label: 'Webhook', fields: [{ key: 'url', placeholder: 'http://host:port/path' }] },
+    mqtt: {
+        label: 'MQTT',
+        fields: [
+            { key: 'url', placeholder: 'ws://broker:port/mqtt' },
+            { key: 'topic', placeholder: 'topic prefix' }
+        ]
+    }
+};
+
+const DEFAULT_NOTIFICATION_SETTINGS = {
+    browser: { enabled: false, minSeverity: 'CRITICAL', clears: false, sound: true },
+    webhook: { enabled: false, minSeverity: 'WARNING', clears: true, url: 'http://localhost:8090/webhook' },
+    mqtt: { enabled: false, minSeverity: 'WARNING', clears: true, url: 'ws://localhost:8090/mqtt', topic: 'thermascan/alarms' }
+};
+
+const notificationState = {};   // Per channel: dedup times, send times and counters
+let mqttPublisher = null;
+let alertAudio = null;
+
+// ========================================
+// SETTINGS
+// ========================================
+function loadNotificationSettings() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(CONFIG.NOTIFICATIONS.STORAGE_KEY) || '{}');
+    } catch (error) {
+        console.warn(`⚠️ Could not read notification settings: ${error.message}`);
+    }
+
+    // Enabled flags are restored too, but desktop notifications still need
+    // the browser's permission, which only a click can ask for
+    notificationSettings = {};
+    Object.keys(NOTIFICATION_CHANNELS).forEach(channel => {
+        notificationSettings[channel] = Object.assign({}, DEFAULT_NOTIFICATION_SETTINGS[channel], saved[channel]);
+        notificationState[channel] = { recent: new Map(), sentTimes: [], withheld: new Set(), sent: 0, suppressed: 0, pending: 0, error: null };
+    });
+}
+
+function saveNotificationSettings() {
+    try {
+        localStorage.setItem(CONFIG.NOTIFICATIONS.STORAGE_KEY, JSON.stringify(notificationSettings));
+    } catch (error) {
+        console.warn(`⚠️ Could not save notification settings: ${error.message}`);
+    }
+}
+
+// ========================================
+// PAYLOAD
+// ========================================
+function formatNotificationTime(timestamp) {
+    return timestamp === null ? null : new Date(timestamp).toISOString();
+}
+
+// The JSON body of every webhook POST and MQTT message (see README)
+function buildNotificationPayload(type, alarm, suppressed) {
+    return {
+        source: 'thermascan',
+        type: type,
+        sentAt: new Date().toISOString(),
+        alarm: {
+            id: alarm.id,
+            vehicle: alarm.vehicle,
+            cell: alarm.cell,
+            rule: alarm.rule,
+            description: alarm.description,
+            severity: alarm.severity,
+            value: alarm.value,
+            raisedAt: formatNotificationTime(alarm.raisedAt),
+            clearedAt: formatNotificationTime(alarm.clearedAt)
+        },
+        suppressed: suppressed
+    };
+}
+
+function getNotificationTitle(payload) {
+    const { alarm } = payload;
+    const verb = payload.type === 'cleared' ? 'cleared' : payload.type === 'test' ? 'test' : alarm.severity;
+    return `${alarm.vehicle} ${alarm.cell || 'pack'}: ${alarm.rule} ${verb}`;
+}
+
+// ========================================
+// FILTERING, DEDUPLICATION & RATE LIMITING
+// ========================================
+// Whether a channel sends this event now. A raise of an alarm that was sent
+// within the dedup window is dropped, and so is the clear that follows it;
+// anything over the rate limit is counted and reported with the next message.
+function admitNotification(channel, type, alarm, now) {
+    const settings = notificationSettings[channel];
+    const state = notificationState[channel];
+    const { DEDUP_WINDOW, RATE_LIMIT, RATE_WINDOW } = CONFIG.NOTIFICATIONS;
+
+    if (STATUS_RANK[alarm.severity] < STATUS_RANK[settings.minSeverity]) return false;
+    if (type === 'cleared') {
+        const withheld = state.withheld.delete(alarm.id);
+        if (withheld || !settings.clears) return false;
+    }
+
+    const key = type === 'raised' ? getAlarmKey(alarm.vehicle, alarm.cell, alarm.rule) : null;
+    if (key !== null) {
+        const last = state.recent.get(key);
+        if (last !== undefined && now - last < DEDUP_WINDOW) {
+            state.withheld.add(alarm.id);
+            return false;
+        }
+    }
+
+    state.sentTimes = state.sentTimes.filter(time => now - time < RATE_WINDOW);
+    if (state.sentTimes.length >= RATE_LIMIT) {
+        state.suppressed++;
+        state.pending++;
+        if (type === 'raised') state.withheld.add(alarm.id);
+        return false;
+    }
+
+    // Only a raise that is sent starts a dedup window; one lost to the rate
+    // limit must not hide the next raise of the same alarm
+    state.sentTimes.push(now);
+    if (key !== null) state.recent.set(key, now);
+    return true;
+}
+
+// Forget dedup entries older than the window so the map stays small
+function pruneNotificationState(now) {
+    Object.values(notificationState).forEach(state => {
+        state.recent.forEach((time, key) => {
+            if (now - time >= CONFIG.NOTIFICATIONS.DEDUP_WINDOW) state.recent.delete(key);
+        });
+    });
+}
+
+// ========================================
+// DISPATCH
+// ========================================
+// Called with each tick's raised and cleared alarms
+function notifyAlarmEvents(raised, cleared) {
+    const now = Date.now();
+    const events = [
+        ...raised.map(alarm => ['raised', alarm]),
+        ...cleared.map(alarm => ['cleared', alarm])
+    ];
+    if (events.length === 0) return;
+
+    Object.keys(NOTIFICATION_CHANNELS).forEach(channel => {
+        if (!notificationSettings[channel].enabled) return;
+        const state = notificationState[channel];
+        events.forEach(([type, alarm]) => {
+            if (!admitNotification(channel, type, alarm, now)) return;
+            deliverNotification(channel, buildNotificationPayload(type, alarm, state.pending));
+            state.pending = 0;
+        });
+    });
+
+    pruneNotificationState(now);
+    updateNotificationPanel();
+}
+
+function deliverNotification(channel, payload) {
+    notificationState[channel].sent++;
+
+    if (channel === 'browser') {
+        showDesktopNotification(payload);
+    } else if (channel === 'webhook') {
+        postWebhook(payload);
+    } else if (channel === 'mqtt') {
+        publishMqtt(payload);
+    }
+}
+
+function setChannelError(channel, error) {
+    notificationState[channel].error = error;
+    updateNotificationPanel();
+}
+
+// Sends a test message on every enabled channel, bypassing filters and limits
+function sendTestNotification() {
+    const now = Date.now();
+    const alarm = {
+        id: 0, vehicle: 'TEST', cell: null, rule: 'TEST', severity: 'WARNING', value: 0,
+        description: 'Test notification from THERMASCAN', raisedAt: now, clearedAt: null
+    };
+
+    const channels = Object.keys(NOTIFICATION_CHANNELS).filter(channel => notificationSettings[channel].enabled);
+    channels.forEach(channel => deliverNotification(channel, buildNotificationPayload('test', alarm, 0)));
+    updateNotificationPanel();
+    console.log(`🔔 Test notification sent on ${channels.length > 0 ? channels.join(', ') : 'no channels'}`);
+}
+
+// ========================================
+// DESKTOP NOTIFICATIONS & SOUND
+// ========================================
+function showDesktopNotification(payload) {
+    const settings = notificationSettings.browser;
+    if (settings.sound) playAlertTone(payload.alarm.severity);
+
+    if (typeof Notification === 'undefined') {
+        setChannelError('browser', 'not supported by this browser');
+        return;
+    }
+    if (Notification.permission !== 'granted') {
+        setChannelError('browser', `permission ${Notification.permission}`);
+        return;
+    }
+
+    // The tag replaces an earlier notification for the same alarm
+    new Notification(getNotificationTitle(payload), {
+        body: payload.alarm.description,
+        tag: getAlarmKey(payload.alarm.vehicle, payload.alarm.cell, payload.alarm.rule),
+        requireInteraction: payload.type === 'raised' && payload.alarm.severity === 'CRITICAL'
+    });
+}
+
+// Three high beeps for critical alarms, one lower beep otherwise
+function playAlertTone(severity) {
+    if (!alertAudio) return;
+
+    const critical = severity === 'CRITICAL';
+    const start = alertAudio.currentTime;
+    for (let i = 0; i < (critical ? 3 : 1); i++) {
+        const oscillator = alertAudio.createOscillator();
+        const gain = alertAudio.createGain();
+        oscillator.frequency.value = critical ? 880 : 660;
+        gain.gain.value = 0.1;
+        oscillator.connect(gain).connect(alertAudio.destination);
+        oscillator.start(start + i * 0.25);
+        oscillator.stop(start + i * 0.25 + 0.15);
+    }
+}
+
+// Browsers only allow sound and notification prompts after a user action,
+// so both are unlocked when the channel is switched on
+function enableDesktopNotifications() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!alertAudio && AudioContextClass) alertAudio = new AudioContextClass();
+
+    if (typeof Notification === 'undefined') {
+        setChannelError('browser', 'not supported by this browser');
+        return;
+    }
+    if (Notification.permission === 'default') {
+        Notification.requestPermission().then(permission => {
+            setChannelError('browser', permission === 'granted' ? null : `permission ${permission}`);
+        });
+    }
+}
+
+// ========================================
+// WEBHOOK
+// ========================================
+function postWebhook(payload) {
+    fetch(notificationSettings.webhook.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+    })
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            setChannelError('webhook', null);
+        })
+        .catch(error => {
+            setChannelError('webhook', error.message);
+            console.warn(`⚠️ Webhook delivery failed: ${error.message}`);
+        });
+}
+
+// ========================================
+// MQTT OVER WEBSOCKET (3.1.1, QoS 0 publish only)
+// ========================================
+function encodeMqttString(text) {
+    const bytes = new TextEncoder().encode(text);
+    return [bytes.length >> 8, bytes.length & 0xff, ...bytes];
+}
+
+// Fixed header byte, then the variable-length remaining length
+function encodeMqttPacket(type, body) {
+    const length = [];
+    let remaining = body.length;
+    do {
+        let byte = remaining % 128;
+        remaining = Math.floor(remaining / 128);
+        if (remaining > 0) byte |= 0x80;
+        length.push(byte);
+    } while (remaining > 0);
+
+    return new Uint8Array([type, ...length, ...body]);
+}
+
+class MqttPublisher {
+    constructor(url) {
+        this.url = url;
+        this.socket = null;
+        this.connected = false;
+        this.queue = [];
+        this.attempt = 0;
+        this.retryTimer = null;
+        this.pingTimer = null;
+        this.clientId = `thermascan-${Math.random().toString(16).slice(2, 10)}`;
+    }
+
+    open() {
+        try {
+            this.socket = new WebSocket(this.url, 'mqtt');
+        } catch (error) {
+            setChannelError('mqtt', error.message);
+            return;
+        }
+        this.socket.binaryType = 'arraybuffer';
+        this.socket.onopen = () => {
+            const keepAlive = CONFIG.NOTIFICATIONS.MQTT_KEEPALIVE;
+            // Protocol name, level 4 (3.1.1), clean session, keep-alive
+            this.socket.send(encodeMqttPacket(0x10, [
+                ...encodeMqttString('MQTT'), 4, 0x02, keepAlive >> 8, keepAlive & 0xff,
+                ...encodeMqttString(this.clientId)
+            ]));
+        };
+        this.socket.onmessage = (event) => this.handlePacket(new Uint8Array(event.data));
+        this.socket.onclose = () => this.handleClose();
+    }
+
+    handlePacket(packet) {
+        // CONNACK: return code 0 accepts the connection
+        if (packet[0] !== 0x20) return;
+        if (packet[3] !== 0) {
+            setChannelError('mqtt', `broker refused connection (code ${packet[3]})`);
+            return;
+        }
+
+        this.connected = true;
+        this.attempt = 0;
+        setChannelError('mqtt', null);
+        console.log(`📨 MQTT connected: ${this.url}`);
+
+        this.pingTimer = setInterval(() => this.socket.send(encodeMqttPacket(0xc0, [])),
+            CONFIG.NOTIFICATIONS.MQTT_KEEPALIVE * 500);
+        this.queue.splice(0).forEach(([topic, message]) => this.publish(topic, message));
+    }
+
+    handleClose() {
+        this.close();
+
+        const delay = getBackoffDelay(this.attempt++);
+        setChannelError('mqtt', `disconnected, retry in ${(delay / 1000).toFixed(1)}s`);
+        this.retryTimer = setTimeout(() => this.open(), delay);
+    }
+
+    // Messages wait in a bounded queue while the broker is unreachable
+    publish(topic, message) {
+        if (!this.connected) {
+            this.queue.push([topic, message]);
+            if (this.queue.length > CONFIG.NOTIFICATIONS.MAX_QUEUE) this.queue.shift();
+            if (!this.socket && !this.retryTimer) this.open();
+            return;
+        }
+
+        this.socket.send(encodeMqttPacket(0x30, [
+            ...encodeMqttString(topic), ...new TextEncoder().encode(message)
+        ]));
+    }
+
+    close() {
+        clearInterval(this.pingTimer);
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        this.connected = false;
+        if (!this.socket) return;
+
+        this.socket.onopen = this.socket.onmessage = this.socket.onclose = null;
+        if (this.socket.readyState === WebSocket.OPEN) this.socket.send(encodeMqttPacket(0xe0, []));
+        this.socket.close();
+        this.socket = null;
+    }
+}
+
+// One message per alarm on <prefix>/<vehicle>
+function publishMqtt(payload) {
+    const settings = notificationSettings.mqtt;
+    if (!mqttPublisher || mqttPublisher.url !== settings.url) {
+        if (mqttPublisher) mqttPublisher.close();
+        mqttPublisher = new MqttPublisher(settings.url);
+    }
+    mqttPublisher.publish(`${settings.topic}/${payload.alarm.vehicle}`, JSON.stringify(payload));
+}
+
+// ========================================
+// NOTIFICATION PANEL
+// ========================================
+function getChannelStatus(channel) {
+    const settings = notificationSettings[channel];
+    const state = notificationState[channel];
+    if (!settings.enabled) return { text: 'Off', className: '' };
+    if (state.error) return { text: state.error, className: 'error' };
+
+    const suppressed = state.suppressed > 0 ? ` · ${state.suppressed} suppressed` : '';
+    return { text: `${state.sent} sent${suppressed}`, className: 'ok' };
+}
+
+function updateNotificationPanel() {
+    Object.keys(NOTIFICATION_CHANNELS).forEach(channel => {
+        const status = getChannelStatus(channel);
+        const element = document.querySelector(`.notification-channel[data-channel="${channel}"] .notification-status`);
+        element.textContent = status.text;
+        element.className = `notification-status ${status.className}`;
+    });
+}
+
+function renderNotificationChannels() {
+    const severityOptions = ['WARNING', 'CRITICAL']
+        .map(severity => `<option value="${severity}">${severity === 'WARNING' ? 'Warning +' : 'Critical'}</option>`)
+        .join('');
+
+    document.getElementById('notificationChannels').innerHTML = Object.entries(NOTIFICATION_CHANNELS).map(([channel, spec]) => `
+        <div class="notification-channel" data-channel="${channel}">
+            <label class="notification-toggle">
+                <input type="checkbox" data-setting="enabled">
+                <span>${spec.label}</span>
+                <span class="notification-status"></span>
+            </label>
+            <div class="notification-options">
+                <select class="source-input" data-setting="minSeverity">${severityOptions}</select>
+                <label><input type="checkbox" data-setting="clears"> Clears</label>
+                ${channel === 'browser' ? '<label><input type="checkbox" data-setting="sound"> Sound</label>' : ''}
+            </div>
+            ${spec.fields.map(field => `
+                <input class="source-input" type="text" data-setting="${field.key}" placeholder="${field.placeholder}">
+            `).join('')}
+        </div>
+    `).join('');
+
+    document.querySelectorAll('.notification-channel [data-setting]').forEach(input => {
+        const settings = notificationSettings[input.closest('.notification-channel').dataset.channel];
+        if (input.type === 'checkbox') {
+            input.checked = settings[input.dataset.setting];
+        } else {
+            input.value = settings[input.dataset.setting];
+        }
+    });
+}
+
+function setupNotificationControls() {
+    renderNotificationChannels();
+    updateNotificationPanel();
+
+    document.getElementById('notificationChannels').addEventListener('change', (e) => {
+        const input = e.target.closest('[data-setting]');
+        if (!input) return;
+
+        const channel = input.closest('.notification-channel').dataset.channel;
+        const key = input.dataset.setting;
+        notificationSettings[channel][key] = input.type === 'checkbox' ? input.checked : input.value.trim();
+        notificationState[channel].error = null;
+
+        if (channel === 'browser' && key === 'enabled' && input.checked) enableDesktopNotifications();
+        if (channel === 'mqtt' && (key === 'url' || (key === 'enabled' && !input.checked)) && mqttPublisher) {
+            mqttPublisher.close();
+            mqttPublisher = null;
+        }
+
+        saveNotificationSettings();
+        updateNotificationPanel();
+        if (key === 'enabled') {
+            console.log(`🔔 ${NOTIFICATION_CHANNELS[channel].label} notifications ${input.checked ? 'on' : 'off'}`);
+        }
+    });
+
+    document.getElementById('notificationTest').addEventListener('click', sendTestNotification);
+}
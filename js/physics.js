@@ -0,0 +1,140 @@
+// ========================================
+// THERMASCAN - Electro-Thermal Pack Simulator
+// Lumped Thermal Model, Coulomb Counting & Load Profiles
+// ========================================
+
+// Load profiles return the demanded current as a C-rate
+// (positive = discharge, negative = charge)
+const LOAD_PROFILES = {
+    discharge: {
+        label: 'Constant Discharge',
+        getCRate: () => 1.0
+    },
+    fastCharge: {
+        label: 'DC Fast Charge',
+        getCRate: (time, maxSoc) => {
+            // Constant current to 80%, then taper towards full
+            if (maxSoc >= 100) return 0;
+            if (maxSoc < 80) return -2.0;
+            return -Math.max(0.1, 2.0 * (100 - maxSoc) / 20);
+        }
+    },
+    drive: {
+        label: 'Drive Cycle',
+        getCRate: (time) => {
+            // Slow cruise variation plus acceleration and regen braking phases
+            const cruise = 0.8 + 0.5 * Math.sin(2 * Math.PI * time / 600);
+            const demand = cruise + 1.5 * Math.sin(2 * Math.PI * time / 90);
+            return demand >= 0 ? demand : Math.max(-1.0, demand * 0.6);
+        }
+    }
+};
+
+// ========================================
+// PACK CURRENT (LOAD PROFILE + BMS LIMITS)
+// ========================================
+function getPackCurrent(vehicle) {
+    const { CELL_CAPACITY_AH, SOC_CUTOFF, RECHARGE_C_RATE, RECHARGE_TARGET } = CONFIG.PHYSICS;
+    const socs = vehicle.cells.map(cell => cell.soc);
+    const minSoc = Math.min(...socs);
+    const maxSoc = Math.max(...socs);
+
+    // In series the weakest cell ends discharge; the vehicle then plugs in
+    // at a slow rate so the simulated fleet keeps cycling
+    if (vehicle.recharging && maxSoc >= RECHARGE_TARGET) {
+        vehicle.recharging = false;
+    }
+
+    let cRate = LOAD_PROFILES[loadProfile].getCRate(vehicle.simTime, maxSoc);
+
+    if (cRate > 0 && minSoc <= SOC_CUTOFF) {
+        vehicle.recharging = true;
+    }
+    if (vehicle.recharging) {
+        cRate = -RECHARGE_C_RATE;
+    }
+
+    // Never charge past the fullest cell
+    if (cRate < 0 && maxSoc >= 100) {
+        cRate = 0;
+    }
+
+    return cRate * CELL_CAPACITY_AH * packTopology.parallel;
+}
+
+// ========================================
+// PACK STEP
+// ========================================
+// Parallel cells split the group current in inverse proportion to resistance
+function getCellCurrents(cells, packCurrent) {
+    const currents = new Array(cells.length);
+
+    packTopology.groups.forEach(group => {
+        const conductance = group.reduce((sum, index) => sum + 1 / cells[index].resistance, 0);
+        group.forEach(index => {
+            currents[index] = packCurrent * (1 / cells[index].resistance) / conductance;
+        });
+    });
+
+    return currents;
+}
+
+// Advance one pack by dt simulated seconds
+function stepPackPhysics(vehicle, dt) {
+    const { SUBSTEP, CONDUCTANCE, MODULE_CONDUCTANCE } = CONFIG.PHYSICS;
+    const cells = vehicle.cells;
+    const steps = Math.max(1, Math.round(dt / SUBSTEP));
+    const stepDt = dt / steps;
+
+    for (let step = 0; step < steps; step++) {
+        const currents = getCellCurrents(cells, getPackCurrent(vehicle));
+        const balanceCurrents = getBalancingCurrents(vehicle);
+        const temps = cells.map(cell => cell.temperature);
+
+        cells.forEach((cell, index) => {
+            // Heat conducted in from (or out to) adjacent cells; module walls insulate
+            const conductionHeat = getNeighbors(index).reduce((sum, n) => {
+                const conductance = cells[n].module === cell.module ? CONDUCTANCE : MODULE_CONDUCTANCE;
+                return sum + conductance * (temps[n] - temps[index]);
+            }, 0);
+            cell.update(currents[index], stepDt, conductionHeat, balanceCurrents[index]);
+        });
+
+        vehicle.simTime += stepDt;
+    }
+}
+
+function stepFleetPhysics() {
+    const dt = CONFIG.UPDATE_INTERVAL / 1000 * CONFIG.PHYSICS.TIME_SCALE;
+    fleet.forEach(vehicle => stepPackPhysics(vehicle, dt));
+}
+
+// ========================================
+// SIMULATOR CONTROLS
+// ========================================
+function setupSimulatorControls() {
+    const profileSelect = document.getElementById('loadProfile');
+    const coolantInput = document.getElementById('coolantTemp');
+
+    profileSelect.innerHTML = Object.entries(LOAD_PROFILES)
+        .map(([key, profile]) => `<option value="${key}">${profile.label}</option>`)
+        .join('');
+    profileSelect.value = loadProfile;
+    coolantInput.value = CONFIG.PHYSICS.COOLANT_TEMP;
+
+    profileSelect.addEventListener('change', () => {
+        loadProfile = profileSelect.value;
+        fleet.forEach(vehicle => { vehicle.recharging = false; });
+        console.log(`🔋 Load profile: ${LOAD_PROFILES[loadProfile].label}`);
+    });
+
+    coolantInput.addEventListener('change', () => {
+        const value = Number(coolantInput.value);
+        if (isFinite(value) && value >= 0 && value <= 60) {
+            CONFIG.PHYSICS.COOLANT_TEMP = value;
+            console.log(`❄️ Coolant temperature: ${value}°C`);
+        } else {
+            coolantInput.value = CONFIG.PHYSICS.COOLANT_TEMP;
+        }
+    });
+}
@@ -0,0 +1,462 @@
+// ========================================
+// THERMASCAN - Canvas Grid Renderer
+// Dirty-Cell Drawing, Hit-Testing & the Fleet Cell Map
+// ========================================
+
+// Cell fills per temperature class, the middle stop of the DOM grid's gradients
+const TEMP_CLASS_COLORS = {
+    'temp-cool': '#3b82f6',
+    'temp-normal': '#10b981',
+    'temp-elevated': '#fbbf24',
+    'temp-warning': '#f97316',
+    'temp-critical': '#dc2626'
+};
+
+const CLUSTER_CELL_COLOR = '#991b1b';
+const TILE_STATUS_COLORS = { NORMAL: 'rgba(71, 85, 105, 0.8)', WARNING: '#fbbf24', CRITICAL: '#ef4444' };
+const TILE_LABEL_HEIGHT = 16;
+
+// ========================================
+// CELL APPEARANCE
+// ========================================
+// Per-pack values some modes color against, computed once per frame
+function getPackVisuals(cells, mode) {
+    return {
+        meanSoc: mode === 'balance' ? cells.reduce((sum, cell) => sum + cell.soc, 0) / cells.length : 0,
+        heatmap: mode === 'heatmap' ? getHeatmapScale(cells) : null
+    };
+}
+
+// What one cell looks like in a display mode, following the DOM grid's CSS.
+// key changes whenever anything drawn changes, so unchanged cells are skipped.
+function getCellVisual(cell, index, now, mode, pack, pinned, brushed) {
+    const tempClass = cell.getTempClass();
+    const hot = tempClass === 'temp-warning' || tempClass === 'temp-critical';
+    let fill = cell.clusterId !== null ? CLUSTER_CELL_COLOR : TEMP_CLASS_COLORS[tempClass];
+    let alpha = 1;
+    let ring = hot || cell.clusterId !== null ? '#ef4444' : null;
+    let dashed = false;
+
+    if (mode === 'heatmap') {
+        fill = getHeatmapColor(pack.heatmap, index);
+        ring = null;
+    } else if (mode === 'risk') {
+        fill = getRiskColor(cell.riskScore);
+        ring = null;
+    } else if (mode === 'balance') {
+        fill = getBalanceColor(cell.soc - pack.meanSoc);
+        ring = cell.balancing === 'bleed' ? '#f97316' : cell.balancing === 'charge' ? '#3b82f6' : null;
+        dashed = ring !== null;
+    }
+
+    if (faultFocus && !isFaultFocusCell(cell)) {
+        alpha = 0.3;
+    }
+
+    if (cell.isStale(now)) {
+        alpha *= 0.45;
+        ring = '#94a3b8';
+        dashed = true;
+    }
+    if (brushed) ring = BRUSH_COLOR;
+    if (pinned) ring = '#f8fafc';
+
+    return { fill, alpha, ring, dashed, key: `${fill}|${alpha}|${ring}|${dashed}` };
+}
+
+// ========================================
+// RENDERER
+// ========================================
+// Draws one or more packs on two stacked canvases: cells on the base layer,
+// repainted only where their appearance changed, and cluster outlines, pack
+// status and the hovered cell on an overlay redrawn whole each frame.
+class CanvasGridRenderer {
+    constructor(container, options = {}) {
+        this.labels = options.labels || false;         // Vehicle id and status frame per pack
+        this.showModules = options.showModules || false;
+        this.onCellClick = options.onCellClick || (() => {});
+
+        this.stack = document.createElement('div');
+        this.stack.className = 'grid-canvas-stack';
+        this.canvas = document.createElement('canvas');
+        this.overlay = document.createElement('canvas');
+        this.canvas.className = 'grid-canvas';
+        this.overlay.className = 'grid-canvas grid-canvas-overlay';
+        this.stack.append(this.canvas, this.overlay);
+        container.appendChild(this.stack);
+
+        this.vehicles = [];
+        this.tiles = [];
+        this.drawn = [];                // Visual key last painted, per pack and cell
+        this.width = 0;
+        this.hover = null;
+        this.setupPointer();
+    }
+
+    // Re-layout when the packs or the available width change
+    setVehicles(vehicles) {
+        const width = this.stack.clientWidth || this.width || 960;
+        const same = vehicles.length === this.vehicles.length && vehicles.every((v, i) => v === this.vehicles[i]);
+        if (same && width === this.width) return;
+
+        this.vehicles = vehicles.slice();
+        this.width = width;
+        this.layout();
+    }
+
+    layout() {
+        const { MAX_PITCH, MIN_PITCH, TILE_GAP } = CONFIG.RENDER;
+        const count = this.vehicles.length;
+        const labelHeight = this.labels ? TILE_LABEL_HEIGHT : 0;
+
+        // As many packs per row as fit at the smallest cell spacing
+        const perRow = Math.max(1, Math.min(count,
+            Math.floor((this.width + TILE_GAP) / (packTopology.cols * MIN_PITCH + TILE_GAP))));
+        const pitch = Math.max(2, Math.min(MAX_PITCH,
+            Math.floor((this.width - (perRow - 1) * TILE_GAP) / perRow / packTopology.cols)));
+        const tileWidth = packTopology.cols * pitch;
+        const tileHeight = packTopology.rows * pitch;
+
+        this.pitch = pitch;
+        this.gap = Math.max(1, Math.round(pitch * 0.16));
+        this.positions = new Map(packTopology.cells.map((cell, index) => [`${cell.row},${cell.col}`, index]));
+        this.tiles = this.vehicles.map((vehicle, i) => ({
+            vehicle: vehicle,
+            x: (i % perRow) * (tileWidth + TILE_GAP),
+            y: Math.floor(i / perRow) * (tileHeight + TILE_GAP + labelHeight) + labelHeight,
+            width: tileWidth,
+            height: tileHeight
+        }));
+        this.drawn = this.tiles.map(() => new Array(packTopology.cells.length).fill(null));
+
+        const rows = Math.ceil(count / perRow);
+        const height = Math.max(0, rows * (tileHeight + labelHeight) + (rows - 1) * TILE_GAP);
+        const ratio = window.devicePixelRatio || 1;
+        [this.canvas, this.overlay].forEach(canvas => {
+            canvas.width = Math.round(this.width * ratio);
+            canvas.height = Math.round(height * ratio);
+            canvas.style.height = `${height}px`;
+        });
+        this.stack.style.height = `${height}px`;
+
+        this.context = this.canvas.getContext('2d');
+        this.overlayContext = this.overlay.getContext('2d');
+        this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        this.overlayContext.setTransform(ratio, 0, 0, ratio, 0, 0);
+        this.height = height;
+
+        this.paintBase();
+    }
+
+    // Labels and module outlines sit in the gaps between cell boxes, so
+    // repainting a cell never touches them
+    paintBase() {
+        const ctx = this.context;
+        ctx.clearRect(0, 0, this.width, this.height);
+
+        if (this.labels) {
+            ctx.font = '600 11px sans-serif';
+            ctx.fillStyle = '#94a3b8';
+            ctx.textBaseline = 'bottom';
+            this.tiles.forEach(tile => ctx.fillText(tile.vehicle.id, tile.x, tile.y - 3));
+        }
+
+        if (this.showModules) {
+            ctx.strokeStyle = 'rgba(34, 211, 238, 0.35)';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 3]);
+            this.tiles.forEach(tile => packTopology.modules.forEach(module => {
+                ctx.strokeRect(
+                    tile.x + module.colStart * this.pitch + 0.5,
+                    tile.y + module.rowStart * this.pitch + 0.5,
+                    (module.colEnd - module.colStart + 1) * this.pitch - 1,
+                    (module.rowEnd - module.rowStart + 1) * this.pitch - 1
+                );
+            }));
+            ctx.setLineDash([]);
+        }
+    }
+
+    getCellBox(tile, cell) {
+        return {
+            x: tile.x + cell.col * this.pitch + this.gap / 2,
+            y: tile.y + cell.row * this.pitch + this.gap / 2,
+            size: this.pitch - this.gap
+        };
+    }
+
+    // Paint the cells whose appearance changed; returns how many were painted
+    draw(now, mode) {
+        let painted = 0;
+
+        this.tiles.forEach((tile, t) => {
+            const cells = tile.vehicle.cells;
+            const drawn = this.drawn[t];
+            const pack = getPackVisuals(cells, mode);
+
+            cells.forEach((cell, index) => {
+                const visual = getCellVisual(cell, index, now, mode, pack,
+                    isCellPinned(tile.vehicle, cell), isCellBrushed(tile.vehicle, cell));
+                if (visual.key === drawn[index]) return;
+
+                drawn[index] = visual.key;
+                this.paintCell(this.getCellBox(tile, cell), visual);
+                painted++;
+            });
+        });
+
+        this.drawOverlay(now);
+        return painted;
+    }
+
+    // Small cells are drawn square: cheaper, and circles would not read anyway
+    paintCell(box, visual) {
+        const ctx = this.context;
+        const { x, y, size } = box;
+        ctx.clearRect(x, y, size, size);
+        ctx.globalAlpha = visual.alpha;
+        ctx.fillStyle = visual.fill;
+
+        const round = size >= 10;
+        if (round) {
+            ctx.beginPath();
+            ctx.arc(x + size / 2, y + size / 2, size / 2 - 1, 0, Math.PI * 2);
+            ctx.fill();
+        } else {
+            ctx.fillRect(x, y, size, size);
+        }
+
+        if (visual.ring) {
+            ctx.strokeStyle = visual.ring;
+            ctx.lineWidth = round ? 2 : 1;
+            ctx.setLineDash(visual.dashed ? [3, 2] : []);
+            if (round) {
+                ctx.beginPath();
+                ctx.arc(x + size / 2, y + size / 2, size / 2 - 2, 0, Math.PI * 2);
+                ctx.stroke();
+            } else {
+                ctx.strokeRect(x + 0.5, y + 0.5, size - 1, size - 1);
+            }
+            ctx.setLineDash([]);
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    // Pack status frames, thermal cluster outlines and the hovered cell
+    drawOverlay(now) {
+        const ctx = this.overlayContext;
+        ctx.clearRect(0, 0, this.width, this.height);
+        ctx.lineWidth = 2;
+
+        this.tiles.forEach(tile => {
+            if (this.labels) {
+                ctx.strokeStyle = TILE_STATUS_COLORS[tile.vehicle.getSummary(now).status];
+                ctx.strokeRect(tile.x - 3, tile.y - 3, tile.width + 6, tile.height + 6);
+            }
+
+            tile.vehicle.clusters.forEach(cluster => {
+                const rows = cluster.cells.map(index => tile.vehicle.cells[index].row);
+                const cols = cluster.cells.map(index => tile.vehicle.cells[index].col);
+                const x = tile.x + Math.min(...cols) * this.pitch;
+                const y = tile.y + Math.min(...rows) * this.pitch;
+
+                ctx.strokeStyle = cluster.escalation ? '#f97316' : 'rgba(239, 68, 68, 0.9)';
+                ctx.strokeRect(x, y, (Math.max(...cols) + 1) * this.pitch + tile.x - x, (Math.max(...rows) + 1) * this.pitch + tile.y - y);
+
+                if (this.pitch >= 20) {
+                    ctx.font = '700 10px sans-serif';
+                    ctx.fillStyle = ctx.strokeStyle;
+                    ctx.textBaseline = 'bottom';
+                    ctx.fillText(`${cluster.id} · ${cluster.size}`, x + 4, y - 2);
+                }
+            });
+        });
+
+        // Cells that set their pack's usable energy or power limits
+        this.tiles.forEach(tile => {
+            const state = tile.vehicle.packState;
+            if (!state) return;
+            new Set(PACK_LIMITS.map(limit => state.limits[limit.key].cell)).forEach(id => {
+                const cell = tile.vehicle.getCell(id);
+                const color = PACK_LIMIT_MARKERS[getCellLimit(tile.vehicle, cell)].color;
+                this.drawLimitMarker(this.getCellBox(tile, cell), color);
+            });
+        });
+
+        if (this.hover) {
+            const tile = this.tiles.find(t => t.vehicle === this.hover.vehicle);
+            if (tile) {
+                const box = this.getCellBox(tile, this.hover.cell);
+                ctx.strokeStyle = '#22d3ee';
+                ctx.strokeRect(box.x - 1, box.y - 1, box.size + 2, box.size + 2);
+            }
+        }
+    }
+
+    // Small corner triangle at the top right of a cell box
+    drawLimitMarker(box, color) {
+        const ctx = this.overlayContext;
+        const size = Math.max(3, Math.round(box.size * 0.35));
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.moveTo(box.x + box.size - size, box.y);
+        ctx.lineTo(box.x + box.size, box.y);
+        ctx.lineTo(box.x + box.size, box.y + size);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    // Force every cell to repaint, e.g. after a display mode change
+    invalidate() {
+        this.drawn.forEach(drawn => drawn.fill(null));
+    }
+
+    // ========================================
+    // HIT-TESTING
+    // ========================================
+    // The vehicle and cell under a viewport position, with the cell's
+    // on-screen box for placing the tooltip
+    hitTest(clientX, clientY) {
+        const bounds = this.canvas.getBoundingClientRect();
+        const x = clientX - bounds.left;
+        const y = clientY - bounds.top;
+
+        const tile = this.tiles.find(t => x >= t.x && x < t.x + t.width && y >= t.y && y < t.y + t.height);
+        if (!tile) return null;
+
+        const row = Math.floor((y - tile.y) / this.pitch);
+        const col = Math.floor((x - tile.x) / this.pitch);
+        const index = this.positions.get(`${row},${col}`);
+        if (index === undefined) return null;
+
+        const cell = tile.vehicle.cells[index];
+        const box = this.getCellBox(tile, cell);
+        return {
+            vehicle: tile.vehicle,
+            cell: cell,
+            rect: { left: bounds.left + box.x, top: bounds.top + box.y, width: box.size, height: box.size }
+        };
+    }
+
+    setupPointer() {
+        this.stack.addEventListener('mousemove', (e) => {
+            const hit = this.hitTest(e.clientX, e.clientY);
+            if (hit && this.hover && hit.cell === this.hover.cell) return;
+
+            this.hover = hit;
+            if (hit) {
+                showTooltip(hit.rect, hit.cell, this.labels ? hit.vehicle : null);
+            } else {
+                hideTooltip();
+            }
+            this.drawOverlay(getClock());
+        });
+
+        this.stack.addEventListener('mouseleave', () => {
+            this.hover = null;
+            hideTooltip();
+            this.drawOverlay(getClock());
+        });
+
+        this.stack.addEventListener('click', (e) => {
+            const hit = this.hitTest(e.clientX, e.clientY);
+            if (hit) this.onCellClick(hit, e);
+        });
+    }
+}
+
+// ========================================
+// RENDERER SELECTION
+// ========================================
+// DOM cells for ordinary packs, canvas once a pack has too many cells for
+// per-element updates every tick
+function useCanvasGrid() {
+    const { RENDERER, CANVAS_THRESHOLD } = CONFIG.RENDER;
+    if (RENDERER !== 'auto') return RENDERER === 'canvas';
+    return packTopology.cells.length > CANVAS_THRESHOLD;
+}
+
+function createPackGridRenderer(container) {
+    packGridRenderer = new CanvasGridRenderer(container, {
+        showModules: true,
+        onCellClick: (hit, e) => e.shiftKey
+            ? toggleBrushedCell(hit.vehicle, hit.cell)
+            : togglePinnedCell(hit.vehicle, hit.cell)
+    });
+    packGridRenderer.setVehicles([selectedVehicle]);
+}
+
+// Repaint every canvas from scratch, e.g. after a mode change or a resize
+function redrawGridCanvases() {
+    const now = getClock();
+    [packGridRenderer, fleetMapRenderer].forEach(renderer => {
+        if (!renderer) return;
+        renderer.setVehicles(renderer.vehicles);
+        renderer.invalidate();
+        renderer.draw(now, currentMode);
+    });
+}
+
+// ========================================
+// FLEET CELL MAP
+// ========================================
+// Every pack of the fleet side by side on one canvas; click a pack to open it
+function setupFleetMap() {
+    fleetMapRenderer = new CanvasGridRenderer(document.getElementById('fleetMap'), {
+        labels: true,
+        onCellClick: (hit, e) => e.shiftKey
+            ? toggleBrushedCell(hit.vehicle, hit.cell)
+            : openVehicle(hit.vehicle.id)
+    });
+
+    window.addEventListener('resize', redrawGridCanvases);
+    updateFleetMap();
+}
+
+function updateFleetMap() {
+    fleetMapRenderer.setVehicles(fleet);
+    fleetMapRenderer.draw(getClock(), currentMode);
+    document.getElementById('fleetMapInfo').textContent =
+        `${fleet.length} × ${packTopology.cells.length} = ${fleet.length * packTopology.cells.length} cells`;
+}
+
+// ========================================
+// BENCHMARK
+// ========================================
+// Time the fleet map on a synthetic fleet from the browser console. Full
+// frames repaint every cell (the mode alternates each frame); steady frames
+// repaint nothing, so they measure the per-frame overhead alone.
+function benchmarkFleetMap(packs = 50, frames = 50) {
+    // A live source has no vehicles until its first readings arrive
+    if (fleet.length === 0) {
+        console.warn('⚠️ Fleet map benchmark needs at least one vehicle in the fleet');
+        return null;
+    }
+
+    const host = document.createElement('div');
+    host.style.cssText = 'position: absolute; left: -10000px; top: 0; width: 1200px;';
+    document.body.appendChild(host);
+
+    // Borrow cells from the fleet so the simulation's random stream is untouched
+    const vehicles = Array.from({ length: packs }, (_, i) => {
+        const source = fleet[i % fleet.length];
+        return { id: `BENCH-${i + 1}`, cells: source.cells, clusters: source.clusters, getSummary: now => source.getSummary(now) };
+    });
+
+    const renderer = new CanvasGridRenderer(host, { labels: true });
+    renderer.setVehicles(vehicles);
+    const now = getClock();
+
+    const time = (run) => {
+        const start = performance.now();
+        for (let frame = 0; frame < frames; frame++) run(frame);
+        return (performance.now() - start) / frames;
+    };
+    const full = time(frame => renderer.draw(now, frame % 2 === 0 ? 'heatmap' : 'normal'));
+    const steady = time(() => renderer.draw(now, 'normal'));
+    host.remove();
+
+    const cells = packs * packTopology.cells.length;
+    console.log(`🖼️ Fleet map benchmark: ${cells} cells, full frame ${full.toFixed(1)} ms, steady frame ${steady.toFixed(1)} ms`);
+    return { cells: cells, fullFrameMs: full, steadyFrameMs: steady };
+}
@@ -0,0 +1,267 @@
+// ========================================
+// THERMASCAN - Log Import & Replay
+// Recorded CSV/JSON Cell Logs on a Timeline
+// ========================================
+
+// ========================================
+// REPLAY SESSION
+// ========================================
+function loadReplayLog(name, readings) {
+    // Reject a log with nothing to replay before any live state is touched
+    const log = buildLogFleet(readings);
+    if (log.frames.length === 0) throw new Error('Log has no readings for cells of the pack layout');
+
+    // A log imported over another replay replaces it; stop the old one's
+    // timers so they cannot advance the new session
+    if (replaySession) {
+        pauseReplay();
+        clearTimeout(replaySession.scrubTimer);
+    }
+
+    // Pause the live source and rebuild the fleet from the vehicles in the log
+    if (telemetrySource) telemetrySource.disconnect();
+    stopScenario();
+
+    fleet = log.vehicles;
+    if (log.skipped > 0) {
+        console.warn(`⚠️ ${log.skipped} log readings reference cells outside the pack layout`);
+    }
+
+    const frames = log.frames;
+
+    replaySession = {
+        name: name,
+        frames: frames,
+        frameIndex: -1,
+        currentTime: frames[0].timestamp,
+        speed: 1,
+        playing: false,
+        timer: null,
+        alarms: [],
+        history: new MemoryHistoryStore(),
+        scrubIndex: null,       // Latest scrubber position awaiting a seek
+        scrubTimer: null
+    };
+
+    showFleetOverview();
+    renderFleetOverview();
+    document.getElementById('replayBar').classList.remove('hidden');
+    document.getElementById('replayScrubber').max = frames.length - 1;
+    document.getElementById('replaySpeed').value = '1';
+
+    seekReplay(0);
+    console.log(`📼 Loaded ${name}: ${log.readings} readings, ${frames.length} frames, ${fleet.length} vehicle(s)`);
+}
+
+function resetReplayState() {
+    // Every cell goes back to unreported until the log's first reading of it
+    fleet.forEach(vehicle => {
+        vehicle.cells.forEach(cell => {
+            cell.clearReadings();
+            cell.anomalyStatus = 'NORMAL';
+            resetRuleState(cell);
+            resetCellBaseline(cell);
+            resetCellDiagnostics(cell);
+        });
+        resetRuleState(vehicle);
+        resetClusters(vehicle);
+        resetDegradationHistory(vehicle);
+        resetSessions(vehicle);
+    });
+    replaySession.history = new MemoryHistoryStore();
+    replaySession.alarms = [];
+}
+
+function applyReplayFrame(frame, detect = true) {
+    replaySession.currentTime = frame.timestamp;
+    applyTelemetry(frame.readings, frame.timestamp);
+    updateSessions(frame.timestamp);
+    if (detect) detectAnomalies();
+    recordDegradationHistory(frame.timestamp);
+    recordHistory(frame.timestamp);
+}
+
+// Rebuild the pack exactly as it was at the given frame
+function seekReplay(index) {
+    const frames = replaySession.frames;
+    index = Math.max(0, Math.min(frames.length - 1, index));
+
+    resetReplayState();
+
+    // Every frame is recorded into the replay's history, but only those
+    // within the detection lookback (plus the frame before, where a
+    // persisting condition could have started) need detection
+    const detectFrom = frames[index].timestamp - getDetectionLookback();
+    const detectStart = Math.max(0, frames.findIndex(frame => frame.timestamp >= detectFrom) - 1);
+    for (let i = 0; i <= index; i++) {
+        applyReplayFrame(frames[i], i >= detectStart);
+    }
+
+    replaySession.frameIndex = index;
+    refreshView();
+    updateReplayControls();
+}
+
+// Each seek replays the log up to the target frame, far slower than the
+// scrubber fires input events while dragged, so drag seeks are throttled to
+// one per SCRUB_INTERVAL and the final position is sought on release
+function scrubReplay(index) {
+    if (replaySession.playing) {
+        pauseReplay();
+        // Pausing redraws the scrubber at the playing frame
+        document.getElementById('replayScrubber').value = index;
+    }
+
+    replaySession.scrubIndex = index;
+    if (replaySession.scrubTimer !== null) return;
+
+    replaySession.scrubTimer = setTimeout(() => {
+        replaySession.scrubTimer = null;
+        seekReplay(replaySession.scrubIndex);
+    }, CONFIG.REPLAY.SCRUB_INTERVAL);
+}
+
+function endScrub(index) {
+    clearTimeout(replaySession.scrubTimer);
+    replaySession.scrubTimer = null;
+    if (index !== replaySession.frameIndex) seekReplay(index);
+}
+
+function stepReplay(delta) {
+    pauseReplay();
+
+    const index = replaySession.frameIndex + delta;
+    if (delta === 1 && index < replaySession.frames.length) {
+        // Stepping forward continues from the current state
+        replaySession.frameIndex = index;
+        applyReplayFrame(replaySession.frames[index]);
+        refreshView();
+        updateReplayControls();
+    } else {
+        seekReplay(index);
+    }
+}
+
+function scheduleNextFrame() {
+    const { frames, frameIndex, speed } = replaySession;
+    if (frameIndex >= frames.length - 1) {
+        pauseReplay();
+        return;
+    }
+
+    const gap = frames[frameIndex + 1].timestamp - frames[frameIndex].timestamp;
+    const delay = Math.min(CONFIG.REPLAY.MAX_FRAME_DELAY, gap / speed);
+
+    replaySession.timer = setTimeout(() => {
+        replaySession.frameIndex++;
+        applyReplayFrame(frames[replaySession.frameIndex]);
+        refreshView();
+        updateReplayControls();
+        scheduleNextFrame();
+    }, delay);
+}
+
+function playReplay() {
+    if (replaySession.playing) return;
+
+    // Restart from the beginning once the end has been reached
+    if (replaySession.frameIndex >= replaySession.frames.length - 1) {
+        seekReplay(0);
+    }
+
+    replaySession.playing = true;
+    scheduleNextFrame();
+    updateReplayControls();
+}
+
+function pauseReplay() {
+    clearTimeout(replaySession.timer);
+    replaySession.playing = false;
+    updateReplayControls();
+}
+
+function setReplaySpeed(speed) {
+    replaySession.speed = speed;
+
+    // Re-time the pending frame at the new speed
+    if (replaySession.playing) {
+        clearTimeout(replaySession.timer);
+        scheduleNextFrame();
+    }
+}
+
+function exitReplay() {
+    pauseReplay();
+    clearTimeout(replaySession.scrubTimer);
+    replaySession = null;
+    document.getElementById('replayBar').classList.add('hidden');
+
+    generateFleetData();
+    showFleetOverview();
+    renderFleetOverview();
+
+    document.getElementById('sourceType').value = 'simulator';
+    document.getElementById('sourceUrl').value = '';
+    document.getElementById('sourceUrl').disabled = true;
+    selectTelemetrySource('simulator');
+
+    console.log('⏹️ Replay closed, back to live simulation');
+}
+
+// ========================================
+// REPLAY CONTROLS
+// ========================================
+function formatReplayTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString();
+}
+
+function updateReplayControls() {
+    const { frames, frameIndex, playing, name } = replaySession;
+
+    document.getElementById('replayPlay').textContent = playing ? '❚❚ Pause' : '▶ Play';
+    document.getElementById('replayScrubber').value = frameIndex;
+    document.getElementById('replayName').textContent = name;
+    document.getElementById('replayTime').textContent =
+        `${formatReplayTime(frames[frameIndex].timestamp)} / ${formatReplayTime(frames[frames.length - 1].timestamp)}`;
+    document.getElementById('replayFrame').textContent = `Frame ${frameIndex + 1} of ${frames.length}`;
+}
+
+function importLogFile(file) {
+    file.text()
+        .then(text => loadReplayLog(file.name, parseLogFile(file.name, text)))
+        .catch(error => {
+            console.warn(`⚠️ Could not import ${file.name}: ${error.message}`);
+            alert(`Could not import ${file.name}: ${error.message}`);
+        });
+}
+
+function setupReplayControls() {
+    const fileInput = document.getElementById('logFile');
+    const speedSelect = document.getElementById('replaySpeed');
+
+    speedSelect.innerHTML = CONFIG.REPLAY.SPEEDS
+        .map(speed => `<option value="${speed}">${speed}x</option>`)
+        .join('');
+
+    document.getElementById('importLog').addEventListener('click', () => fileInput.click());
+
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) importLogFile(fileInput.files[0]);
+        fileInput.value = '';
+    });
+
+    document.getElementById('replayPlay').addEventListener('click', () => {
+        if (replaySession.playing) pauseReplay();
+        else playReplay();
+    });
+
+    document.getElementById('replayStepBack').addEventListener('click', () => stepReplay(-1));
+    document.getElementById('replayStepForward').addEventListener('click', () => stepReplay(1));
+    speedSelect.addEventListener('change', () => setReplaySpeed(Number(speedSelect.value)));
+
+    const scrubber = document.getElementById('replayScrubber');
+    scrubber.addEventListener('input', () => scrubReplay(Number(scrubber.value)));
+    scrubber.addEventListener('change', () => endScrub(Number(scrubber.value)));
+
+    document.getElementById('replayExit').addEventListener('click', exitReplay);
+}
@@ -0,0 +1,519 @@
+// ========================================
+// THERMASCAN - Fault Scenarios
+// Scripted Fault Injection, Expected Detections & Scoring
+// ========================================
+
+// A scenario is a JSON timeline of faults injected into the simulator, each
+// declaring the detections it should cause:
+// { name, description, seed, duration, profile,
+//   events: [{ at, type, vehicle, cell, module, duration, ...,
+//              expect: [{ rule | status | cluster | stale, within }] }] }
+// Times are seconds from the start of the run.
+
+// Fault types: the cells an event hits, what injecting it does and, for
+// faults with a duration, how it is undone
+const SCENARIO_FAULTS = {
+    overheat: {
+        label: 'Cell overheat',
+        targets: (vehicle, event) => [requireScenarioCell(vehicle, event)],
+        apply: (cells, event) => {
+            cells.forEach(cell => { cell.temperature = event.temperature || CONFIG.TEMP_THRESHOLDS.CRITICAL + 8; });
+        }
+    },
+    cluster: {
+        label: 'Thermal cluster',
+        // The named cell and its first size - 1 neighbors
+        targets: (vehicle, event) => {
+            const center = requireScenarioCell(vehicle, event);
+            const index = vehicle.cells.indexOf(center);
+            const neighbors = getNeighbors(index).slice(0, (event.size || 4) - 1);
+            return [center, ...neighbors.map(n => vehicle.cells[n])];
+        },
+        apply: (cells, event) => {
+            cells.forEach(cell => { cell.temperature = event.temperature || CONFIG.TEMP_THRESHOLDS.ELEVATED_MAX + 4; });
+        }
+    },
+    voltageSag: {
+        label: 'Voltage sag',
+        targets: (vehicle, event) => [requireScenarioCell(vehicle, event)],
+        apply: (cells, event) => {
+            cells.forEach(cell => {
+                cell.soc = event.soc !== undefined ? event.soc : 4;
+                cell.voltage = getOpenCircuitVoltage(cell.soc);
+            });
+        }
+    },
+    sensorDropout: {
+        label: 'Sensor dropout',
+        targets: (vehicle, event) => [requireScenarioCell(vehicle, event)],
+        apply: (cells) => cells.forEach(cell => { cell.injected.dropout = true; }),
+        clear: (cells) => cells.forEach(cell => { cell.injected.dropout = false; })
+    },
+    internalShort: {
+        label: 'Internal short',
+        targets: (vehicle, event) => [requireScenarioCell(vehicle, event)],
+        apply: (cells, event) => cells.forEach(cell => { cell.injected.shortCurrent = event.current || 40; }),
+        clear: (cells) => cells.forEach(cell => { cell.injected.shortCurrent = 0; })
+    },
+    coolingFailure: {
+        label: 'Cooling failure',
+        // One module, one cell, or the whole pack
+        targets: (vehicle, event) => {
+            if (event.module) {
+                const cells = vehicle.cells.filter(cell => cell.module === event.module);
+                if (cells.length === 0) throw new Error(`${vehicle.id} has no module ${event.module}`);
+                return cells;
+            }
+            return event.cell ? [requireScenarioCell(vehicle, event)] : vehicle.cells;
+        },
+        apply: (cells, event) => cells.forEach(cell => {
+            cell.injected.coolingLoss = event.loss !== undefined ? event.loss : 1;
+        }),
+        clear: (cells) => cells.forEach(cell => { cell.injected.coolingLoss = 0; })
+    }
+};
+
+// Detection checks on the cells an event hit and their vehicle
+const SCENARIO_CHECKS = {
+    rule: (expect, vehicle, cells) =>
+        cells.some(cell => cell.activeRules.some(rule => rule.id === expect.rule)) ||
+        vehicle.activeRules.some(rule => rule.id === expect.rule),
+    status: (expect, vehicle, cells) =>
+        cells.some(cell => STATUS_RANK[cell.anomalyStatus] >= STATUS_RANK[expect.status]),
+    cluster: (expect, vehicle, cells) => {
+        const indices = cells.map(cell => vehicle.cells.indexOf(cell));
+        return vehicle.clusters.some(cluster => cluster.cells.some(index => indices.includes(index)));
+    },
+    stale: (expect, vehicle, cells, now) => cells.some(cell => cell.isStale(now))
+};
+
+// Built-in scenarios for the 96s1p pack; the mixed incident is the same
+// scenario as scenarios/mixed-incident.json
+const BUILT_IN_SCENARIOS = [
+    {
+        name: 'Isolated overheat',
+        description: 'One cell jumps above the critical temperature',
+        seed: 1001,
+        duration: 60,
+        events: [
+            { at: 10, type: 'overheat', vehicle: 'EV-001', cell: 'CELL-020',
+              expect: [{ rule: 'TEMP_CRITICAL', within: 4 }, { rule: 'TEMP_OUTLIER', within: 10 }] }
+        ]
+    },
+    {
+        name: 'Thermal cluster',
+        description: 'Five adjacent cells heat up together',
+        seed: 1002,
+        duration: 60,
+        events: [
+            { at: 10, type: 'cluster', vehicle: 'EV-002', cell: 'CELL-029', size: 5, temperature: 50,
+              expect: [{ cluster: true, within: 4 }, { rule: 'TEMP_WARNING', within: 4 }] }
+        ]
+    },
+    {
+        name: 'Voltage sag',
+        description: 'A weak cell is drained far below the rest of its pack',
+        seed: 1003,
+        duration: 60,
+        events: [
+            { at: 10, type: 'voltageSag', vehicle: 'EV-003', cell: 'CELL-045', soc: 3,
+              expect: [{ rule: 'VOLTAGE_DEVIATION', within: 6 }] }
+        ]
+    },
+    {
+        name: 'Sensor dropout',
+        description: 'A cell stops reporting for 30 seconds',
+        seed: 1004,
+        duration: 60,
+        events: [
+            { at: 10, type: 'sensorDropout', vehicle: 'EV-004', cell: 'CELL-060', duration: 30,
+              expect: [{ stale: true, within: 14 }] }
+        ]
+    },
+    {
+        name: 'Internal short',
+        description: 'A soft internal short discharges and heats one cell',
+        seed: 1005,
+        duration: 120,
+        profile: 'drive',
+        events: [
+            { at: 10, type: 'internalShort', vehicle: 'EV-005', cell: 'CELL-050', current: 60,
+              expect: [
+                  { rule: 'TEMP_RISE_RATE', within: 20 },
+                  { rule: 'RUNAWAY_RISK_ELEVATED', within: 20 },
+                  { rule: 'TEMP_CRITICAL', within: 30 }
+              ] }
+        ]
+    },
+    {
+        name: 'Cooling failure',
+        description: 'Module M3 loses its coolant flow on a drive cycle',
+        seed: 1006,
+        duration: 180,
+        profile: 'drive',
+        events: [
+            { at: 10, type: 'coolingFailure', vehicle: 'EV-006', module: 'M3',
+              expect: [{ rule: 'TEMP_WARNING', within: 120 }, { rule: 'PACK_TEMP_SPREAD', within: 150 }] }
+        ]
+    },
+    {
+        name: 'Mixed incident',
+        description: 'Dropout, overheat, short and cluster across the fleet',
+        seed: 1007,
+        duration: 120,
+        events: [
+            { at: 5, type: 'sensorDropout', vehicle: 'EV-007', cell: 'CELL-010', duration: 20,
+              expect: [{ stale: true, within: 14 }] },
+            { at: 15, type: 'overheat', vehicle: 'EV-008', cell: 'CELL-033', temperature: 65,
+              expect: [{ rule: 'TEMP_CRITICAL', within: 4 }] },
+            { at: 30, type: 'internalShort', vehicle: 'EV-009', cell: 'CELL-071', current: 60,
+              expect: [{ rule: 'TEMP_RISE_RATE', within: 20 }, { status: 'CRITICAL', within: 30 }] },
+            { at: 45, type: 'cluster', vehicle: 'EV-010', cell: 'CELL-089', size: 4, temperature: 52,
+              expect: [{ cluster: true, within: 4 }] }
+        ]
+    }
+];
+
+let loadedScenarios = [];               // Scenarios imported from JSON files
+
+// ========================================
+// SCENARIO PARSING
+// ========================================
+function requireScenarioCell(vehicle, event) {
+    const cell = vehicle.getCell(event.cell);
+    if (!cell) throw new Error(`${vehicle.id} has no cell ${event.cell}`);
+    return cell;
+}
+
+function requireNonNegativeNumber(value, name) {
+    if (typeof value !== 'number' || !isFinite(value) || value < 0) {
+        throw new Error(`"${name}" must be a non-negative number`);
+    }
+    return value;
+}
+
+function parseScenarioExpectation(expect, where) {
+    const kinds = Object.keys(SCENARIO_CHECKS).filter(kind => expect[kind] !== undefined);
+    if (kinds.length !== 1) {
+        throw new Error(`${where} needs exactly one of ${Object.keys(SCENARIO_CHECKS).join(', ')}`);
+    }
+    if (expect.rule !== undefined && !anomalyRules.some(rule => rule.id === expect.rule)) {
+        throw new Error(`${where}.rule ${expect.rule} is not an anomaly rule`);
+    }
+    if (expect.status !== undefined && !(expect.status in STATUS_RANK)) {
+        throw new Error(`${where}.status must be WARNING or CRITICAL`);
+    }
+    if (expect.within !== undefined) requireNonNegativeNumber(expect.within, `${where}.within`);
+    return Object.assign({ kind: kinds[0] }, expect);
+}
+
+// Checks a scenario definition and fills in defaults; throws on the first problem
+function parseScenario(definition) {
+    if (typeof definition.name !== 'string' || !definition.name) throw new Error('"name" must be a string');
+    const duration = requireNonNegativeNumber(definition.duration, 'duration');
+    if (definition.seed !== undefined && !Number.isInteger(definition.seed)) throw new Error('"seed" must be an integer');
+    if (definition.profile !== undefined && !LOAD_PROFILES[definition.profile]) {
+        throw new Error(`"profile" must be one of ${Object.keys(LOAD_PROFILES).join(', ')}`);
+    }
+    if (!Array.isArray(definition.events) || definition.events.length === 0) throw new Error('"events" must be a non-empty array');
+
+    const events = definition.events.map((event, i) => {
+        const where = `events[${i}]`;
+        requireNonNegativeNumber(event.at, `${where}.at`);
+        if (!SCENARIO_FAULTS[event.type]) {
+            throw new Error(`${where}.type must be one of ${Object.keys(SCENARIO_FAULTS).join(', ')}`);
+        }
+        if (typeof event.vehicle !== 'string') throw new Error(`${where}.vehicle must be a vehicle id`);
+        if (event.cell !== undefined && typeof event.cell !== 'string') throw new Error(`${where}.cell must be a cell id`);
+        if (event.module !== undefined && typeof event.module !== 'string') throw new Error(`${where}.module must be a module id`);
+        if (event.duration !== undefined) requireNonNegativeNumber(event.duration, `${where}.duration`);
+
+        const expect = (event.expect || []).map((e, j) => parseScenarioExpectation(e, `${where}.expect[${j}]`));
+        return Object.assign({}, event, { expect: expect });
+    });
+
+    return {
+        name: definition.name,
+        description: definition.description || '',
+        seed: definition.seed,
+        duration: duration,
+        profile: definition.profile,
+        events: events.sort((a, b) => a.at - b.at)
+    };
+}
+
+// ========================================
+// SCENARIO RUN
+// ========================================
+// Seconds of scenario time covered by each update tick
+function getScenarioTickSeconds() {
+    return CONFIG.UPDATE_INTERVAL / 1000;
+}
+
+// Rebuild the fleet from the seed and arm the scenario's timeline. Without a
+// scenario this is a free run: a fresh seeded fleet with random faults.
+function startScenario(scenario, seed) {
+    if (replaySession) exitReplay();
+    if (!(telemetrySource instanceof SimulatorSource)) {
+        document.getElementById('sourceType').value = 'simulator';
+        document.getElementById('sourceUrl').disabled = true;
+        selectTelemetrySource('simulator');
+    }
+    stopScenario();
+
+    seedRandom(seed);
+    if (scenario && scenario.profile) {
+        loadProfile = scenario.profile;
+        document.getElementById('loadProfile').value = loadProfile;
+    }
+    generateFleetData();
+    clearHistory();
+
+    if (scenario) {
+        // Resolve every target before arming, so a bad id aborts the whole run
+        const events = scenario.events.map(event => {
+            const vehicle = fleet.find(v => v.id === event.vehicle);
+            if (!vehicle) throw new Error(`No vehicle ${event.vehicle} in the fleet`);
+            return {
+                event: event,
+                vehicle: vehicle,
+                cells: SCENARIO_FAULTS[event.type].targets(vehicle, event),
+                injectedAt: null,
+                clearedAt: null,
+                results: event.expect.map(expect => ({ expect: expect, latency: null, missed: false }))
+            };
+        });
+
+        scenarioRun = { scenario: scenario, seed: simulationSeed, tick: 0, elapsed: 0, finished: false, events: events };
+        console.log(`🧪 Scenario ${scenario.name} started with seed ${simulationSeed}`);
+    } else {
+        console.log(`🎲 Free run with seed ${simulationSeed}`);
+    }
+
+    if (viewScope === 'vehicle' && selectedVehicle) {
+        openVehicle(selectedVehicle.id);
+    } else {
+        showFleetOverview();
+    }
+    renderFleetOverview();
+}
+
+function stopScenario() {
+    if (!scenarioRun) return;
+    clearScenarioFaults();
+    scenarioRun = null;
+}
+
+function clearScenarioFaults() {
+    scenarioRun.events.forEach(run => {
+        const fault = SCENARIO_FAULTS[run.event.type];
+        if (run.injectedAt !== null && run.clearedAt === null && fault.clear) {
+            fault.clear(run.cells);
+            run.clearedAt = scenarioRun.elapsed;
+        }
+    });
+}
+
+// Inject the faults that are due and undo those that have run their
+// duration; called once per update tick before the simulator steps
+function advanceScenario() {
+    if (!scenarioRun || scenarioRun.finished) return;
+
+    const elapsed = scenarioRun.tick * getScenarioTickSeconds();
+    scenarioRun.elapsed = elapsed;
+    scenarioRun.tick++;
+
+    scenarioRun.events.forEach(run => {
+        const { event } = run;
+        const fault = SCENARIO_FAULTS[event.type];
+
+        if (run.injectedAt === null && elapsed >= event.at) {
+            fault.apply(run.cells, event);
+            run.injectedAt = elapsed;
+            console.log(`🧪 t=${elapsed}s ${fault.label}: ${event.vehicle} ${describeScenarioTarget(event)}`);
+        }
+        if (run.injectedAt !== null && run.clearedAt === null && fault.clear &&
+            event.duration !== undefined && elapsed >= event.at + event.duration) {
+            fault.clear(run.cells);
+            run.clearedAt = elapsed;
+        }
+    });
+}
+
+// Score the expected detections after anomaly detection has run on this tick
+function evaluateScenario(now) {
+    if (!scenarioRun || scenarioRun.finished) return;
+
+    const { elapsed, scenario } = scenarioRun;
+
+    scenarioRun.events.forEach(run => {
+        if (run.injectedAt === null) return;
+        const since = elapsed - run.injectedAt;
+
+        run.results.forEach(result => {
+            if (result.latency !== null || result.missed) return;
+            const expect = result.expect;
+
+            if (SCENARIO_CHECKS[expect.kind](expect, run.vehicle, run.cells, now)) {
+                result.latency = since;
+            } else if (expect.within !== undefined && since > expect.within) {
+                result.missed = true;
+            }
+        });
+    });
+
+    if (elapsed >= scenario.duration) {
+        scenarioRun.events.forEach(run => run.results.forEach(result => {
+            if (result.latency === null) result.missed = true;
+        }));
+        clearScenarioFaults();
+        scenarioRun.finished = true;
+
+        const score = getScenarioScore();
+        console.log(`🧪 Scenario ${scenario.name} complete: ${score.caught}/${score.expected} detections caught` +
+            (score.meanLatency !== null ? `, mean latency ${score.meanLatency.toFixed(1)} s` : ''));
+    }
+}
+
+// Caught and missed detections so far, with the mean time to detection
+function getScenarioScore() {
+    const results = scenarioRun.events.flatMap(run => run.results);
+    const latencies = results.filter(result => result.latency !== null).map(result => result.latency);
+
+    return {
+        expected: results.length,
+        caught: latencies.length,
+        missed: results.filter(result => result.missed).length,
+        meanLatency: latencies.length > 0 ? latencies.reduce((a, b) => a + b, 0) / latencies.length : null,
+        maxLatency: latencies.length > 0 ? Math.max(...latencies) : null
+    };
+}
+
+// ========================================
+// SCENARIO PANEL
+// ========================================
+function describeScenarioTarget(event) {
+    if (event.type === 'cluster') return `around ${event.cell}`;
+    if (event.module) return `module ${event.module}`;
+    return event.cell || 'whole pack';
+}
+
+function describeExpectation(expect) {
+    if (expect.kind === 'rule') return expect.rule;
+    if (expect.kind === 'status') return `${expect.status} status`;
+    if (expect.kind === 'cluster') return 'Thermal cluster';
+    return 'Stale data';
+}
+
+function getScenarioList() {
+    return [...BUILT_IN_SCENARIOS, ...loadedScenarios];
+}
+
+function updateScenarioPanel() {
+    const report = document.getElementById('scenarioReport');
+    report.classList.toggle('hidden', !scenarioRun);
+    if (!scenarioRun) return;
+
+    const { scenario, elapsed, finished } = scenarioRun;
+    const score = getScenarioScore();
+
+    const events = scenarioRun.events.map(run => {
+        const { event } = run;
+        const results = run.results.map(result => {
+            let state = 'pending';
+            let text = run.injectedAt === null ? 'waiting' : 'watching';
+            if (result.latency !== null) {
+                state = 'caught';
+                text = `${result.latency.toFixed(0)} s`;
+            } else if (result.missed) {
+                state = 'missed';
+                text = 'missed';
+            }
+            return `<div class="scenario-result ${state}"><span>${escapeHtml(describeExpectation(result.expect))}</span><span>${text}</span></div>`;
+        }).join('');
+
+        return `
+            <div class="scenario-event${run.injectedAt !== null ? ' injected' : ''}">
+                <div class="scenario-event-header">t=${event.at}s · ${SCENARIO_FAULTS[event.type].label} · ${escapeHtml(`${event.vehicle} ${describeScenarioTarget(event)}`)}</div>
+                ${results}
+            </div>`;
+    }).join('');
+
+    report.innerHTML = `
+        <div class="scenario-status">
+            <strong>${escapeHtml(scenario.name)}</strong>
+            <span>${finished ? 'COMPLETE' : `${Math.min(elapsed, scenario.duration).toFixed(0)} / ${scenario.duration} s`}</span>
+        </div>
+        <div class="scenario-score">
+            Caught ${score.caught} of ${score.expected}${score.missed ? ` · ${score.missed} missed` : ''}
+            ${score.meanLatency !== null ? ` · mean ${score.meanLatency.toFixed(1)} s` : ''} · seed ${scenarioRun.seed}
+        </div>
+        ${events}
+    `;
+}
+
+function renderScenarioOptions(selected = '') {
+    const select = document.getElementById('scenarioSelect');
+    select.innerHTML = '<option value="">Free run (random faults)</option>' + getScenarioList()
+        .map((scenario, i) => `<option value="${i}">${escapeHtml(scenario.name)}</option>`)
+        .join('');
+    select.value = selected;
+}
+
+function getSelectedScenario() {
+    const value = document.getElementById('scenarioSelect').value;
+    return value === '' ? null : getScenarioList()[Number(value)];
+}
+
+function runSelectedScenario() {
+    const scenario = getSelectedScenario();
+    const seedInput = document.getElementById('simulationSeed');
+    const seed = seedInput.value === '' ? pickRandomSeed() : Number(seedInput.value);
+
+    try {
+        startScenario(scenario, seed);
+    } catch (error) {
+        console.warn(`⚠️ Could not start scenario: ${error.message}`);
+        alert(`Could not start scenario: ${error.message}`);
+    }
+    seedInput.value = simulationSeed;
+    refreshView();
+}
+
+function importScenarioFile(file) {
+    file.text()
+        .then(text => {
+            const scenario = parseScenario(JSON.parse(text));
+            loadedScenarios.push(scenario);
+            renderScenarioOptions(String(getScenarioList().length - 1));
+            document.getElementById('simulationSeed').value = scenario.seed !== undefined ? scenario.seed : '';
+            console.log(`🧪 Loaded scenario ${scenario.name} from ${file.name}`);
+        })
+        .catch(error => {
+            console.warn(`⚠️ Could not load scenario ${file.name}: ${error.message}`);
+            alert(`Could not load scenario ${file.name}: ${error.message}`);
+        });
+}
+
+function setupScenarioControls() {
+    const select = document.getElementById('scenarioSelect');
+    const seedInput = document.getElementById('simulationSeed');
+    const fileInput = document.getElementById('scenarioFile');
+
+    renderScenarioOptions();
+    seedInput.value = simulationSeed;
+
+    // A scenario's own seed reproduces the run it was written against
+    select.addEventListener('change', () => {
+        const scenario = getSelectedScenario();
+        if (scenario && scenario.seed !== undefined) seedInput.value = scenario.seed;
+    });
+
+    document.getElementById('scenarioRun').addEventListener('click', runSelectedScenario);
+    document.getElementById('loadScenario').addEventListener('click', () => fileInput.click());
+
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) importScenarioFile(fileInput.files[0]);
+        fileInput.value = '';
+    });
+}
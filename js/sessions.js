@@ -0,0 +1,102 @@
+// ========================================
+// THERMASCAN - Sessions Panel
+// Charge, Discharge & Rest Sessions and History Filtering
+// ========================================
+
+// Row marker per session type, with the arrows of the pack limit markers
+const SESSION_TYPES = {
+    discharge: { label: 'Discharge', symbol: '▼' },
+    charge: { label: 'Charge', symbol: '▲' },
+    rest: { label: 'Rest', symbol: '■' }
+};
+
+let sessionTypeFilter = 'all';          // 'all' or one of SESSION_TYPES
+
+// ========================================
+// TRACKING
+// ========================================
+// Sample every pack into its sessions. Runs on each update tick and replay
+// frame, ahead of detection, so anomalies raised on a tick count against the
+// state the pack was in.
+function updateSessions(now) {
+    const timeScale = getDataTimeScale();
+    fleet.forEach(vehicle => trackSession(vehicle, now, timeScale));
+}
+
+// ========================================
+// PANEL
+// ========================================
+// Session durations are cell time, so simulator sessions read as driven
+function formatSessionDuration(seconds) {
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 1) return `${Math.round(seconds)} s`;
+    return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, '0')} min`;
+}
+
+function formatSessionLabel(session) {
+    return `${session.vehicle} · ${SESSION_TYPES[session.type].label} #${session.id} from ${new Date(session.start).toLocaleTimeString()}`;
+}
+
+function isSessionInHistory(session) {
+    const shown = historyRange.session;
+    return Boolean(shown) && shown.vehicle === session.vehicle && shown.id === session.id;
+}
+
+function updateSessionPanel() {
+    const vehicles = getScopeVehicles();
+    const sessions = vehicles.flatMap(getVehicleSessions)
+        .filter(session => sessionTypeFilter === 'all' || session.type === sessionTypeFilter)
+        .sort((a, b) => b.start - a.start);
+    const cycles = vehicles.reduce((sum, vehicle) => sum + vehicle.cycles, 0);
+
+    document.getElementById('sessionSummary').textContent = viewScope === 'fleet'
+        ? `${sessions.length} sessions · ${formatReading(cycles / vehicles.length, 2)} equivalent full cycles per pack`
+        : `${sessions.length} sessions · ${cycles.toFixed(2)} equivalent full cycles`;
+
+    document.getElementById('sessionTableBody').innerHTML = sessions.slice(0, CONFIG.SESSIONS.PANEL_ROWS).map(session => `
+        <tr class="session-row ${session.type}${session.ongoing ? ' ongoing' : ''}${isSessionInHistory(session) ? ' shown' : ''}"
+            data-vehicle="${escapeHtml(session.vehicle)}" data-session="${escapeHtml(session.id)}">
+            <td><span class="session-type">${SESSION_TYPES[session.type].symbol} ${SESSION_TYPES[session.type].label}</span></td>
+            <td>${escapeHtml(session.vehicle)}</td>
+            <td>${new Date(session.start).toLocaleTimeString()}</td>
+            <td>${formatSessionDuration(session.duration)}${session.ongoing ? ' · ongoing' : ''}</td>
+            <td>${session.ah.toFixed(1)} Ah · ${formatReading(session.kwh, 2, ' kWh')}</td>
+            <td>${session.cycles.toFixed(3)}</td>
+            <td>${formatReading(session.socStart, 1)} → ${formatReading(session.socEnd, 1, '%')}</td>
+            <td>${formatReading(session.peakTemp, 1, '°C')}</td>
+            <td>${formatReading(session.maxTempSpread, 1, '°C')} · ${formatReading(session.maxVoltageSpread, 0, ' mV')}</td>
+            <td>${session.anomalies}</td>
+        </tr>
+    `).join('');
+}
+
+// Open the session's pack and narrow the history charts to the session; an
+// ongoing session is shown up to now
+function showSessionHistory(vehicleId, sessionId) {
+    const vehicle = fleet.find(v => v.id === vehicleId);
+    const session = vehicle && getVehicleSessions(vehicle).find(s => s.id === sessionId);
+    if (!session) return;
+
+    if (selectedVehicle !== vehicle) openVehicle(vehicle.id);
+    setSessionHistoryWindow(session);
+    updateSessionPanel();
+
+    console.log(`🔋 History filtered to ${formatSessionLabel(session)}`);
+}
+
+function setupSessionPanel() {
+    const filter = document.getElementById('sessionFilter');
+    filter.innerHTML = '<option value="all">All Sessions</option>' + Object.entries(SESSION_TYPES)
+        .map(([type, spec]) => `<option value="${type}">${spec.label}</option>`)
+        .join('');
+
+    filter.addEventListener('change', () => {
+        sessionTypeFilter = filter.value;
+        updateSessionPanel();
+    });
+
+    document.getElementById('sessionTableBody').addEventListener('click', (e) => {
+        const row = e.target.closest('.session-row');
+        if (row) showSessionHistory(row.dataset.vehicle, Number(row.dataset.session));
+    });
+}
@@ -0,0 +1,227 @@
+// ========================================
+// THERMASCAN - Settings Panel
+// Chemistry Profile, Thresholds & Loop Intervals, Kept Across Reloads
+// ========================================
+
+// Threshold inputs over CHEMISTRY_LIMITS; scale converts the stored value to
+// the one shown (the voltage deviation fraction as %)
+const THRESHOLD_FIELDS = [
+    { key: 'MIN_VOLTAGE', label: 'Min Voltage', unit: 'V', step: 0.01 },
+    { key: 'MAX_VOLTAGE', label: 'Max Voltage', unit: 'V', step: 0.01 },
+    { key: 'COOL_MAX', label: 'Cool Below', unit: '°C', step: 1 },
+    { key: 'NORMAL_MAX', label: 'Normal Below', unit: '°C', step: 1 },
+    { key: 'ELEVATED_MAX', label: 'Warning Above', unit: '°C', step: 1 },
+    { key: 'CRITICAL', label: 'Critical Above', unit: '°C', step: 1 },
+    { key: 'VOLTAGE_DEVIATION', label: 'Voltage Dev.', unit: '%', step: 0.5, scale: 100 },
+    { key: 'SOH_CRITICAL', label: 'SoH End of Life', unit: '%', step: 1 }
+];
+
+// Loop interval inputs: the CONFIG key they set, bounded by
+// CONFIG.SETTINGS.MIN_<key> and MAX_<key>, and the loop restarted to apply it
+const INTERVAL_FIELDS = {
+    updateInterval: { input: 'updateIntervalInput', config: 'UPDATE_INTERVAL', label: 'Update', restart: () => startUpdateLoop() },
+    faultInterval: { input: 'faultIntervalInput', config: 'FAULT_INTERVAL', label: 'Fault', restart: () => startFaultSimulation() }
+};
+
+// CONFIG as loaded, restored by Reset
+const DEFAULT_SETTINGS = {
+    chemistry: CONFIG.CHEMISTRY,
+    custom: null,               // Limits of the custom profile and its base chemistry
+    updateInterval: CONFIG.UPDATE_INTERVAL,
+    faultInterval: CONFIG.FAULT_INTERVAL
+};
+
+// ========================================
+// PERSISTENCE
+// ========================================
+function isValidInterval(key, value) {
+    const { config } = INTERVAL_FIELDS[key];
+    return typeof value === 'number' && isFinite(value) &&
+        value >= CONFIG.SETTINGS[`MIN_${config}`] && value <= CONFIG.SETTINGS[`MAX_${config}`];
+}
+
+// Saved settings that no longer validate (edited storage, a removed
+// chemistry) fall back to the defaults one by one
+function loadSettings() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(CONFIG.SETTINGS.STORAGE_KEY) || '{}');
+    } catch (error) {
+        console.warn(`⚠️ Could not read settings: ${error.message}`);
+    }
+
+    dashboardSettings = Object.assign({}, DEFAULT_SETTINGS);
+
+    const custom = saved.custom && CHEMISTRY_PROFILES[saved.custom.base] ? saved.custom : null;
+    if (custom && validateChemistryLimits(getChemistryProfile('CUSTOM', custom)).length === 0) {
+        dashboardSettings.custom = custom;
+    }
+    if (CHEMISTRY_PROFILES[saved.chemistry] || (saved.chemistry === 'CUSTOM' && dashboardSettings.custom)) {
+        dashboardSettings.chemistry = saved.chemistry;
+    }
+    Object.keys(INTERVAL_FIELDS).forEach(key => {
+        if (isValidInterval(key, saved[key])) dashboardSettings[key] = saved[key];
+    });
+
+    applySettings();
+    console.log(`⚙️ Chemistry ${getChemistryProfile(dashboardSettings.chemistry, dashboardSettings.custom).label}, ` +
+        `update every ${CONFIG.UPDATE_INTERVAL} ms`);
+}
+
+function saveSettings() {
+    try {
+        localStorage.setItem(CONFIG.SETTINGS.STORAGE_KEY, JSON.stringify(dashboardSettings));
+    } catch (error) {
+        console.warn(`⚠️ Could not save settings: ${error.message}`);
+    }
+}
+
+// Put the settings into CONFIG and rebuild what captured the old values
+function applySettings() {
+    setChemistry(dashboardSettings.chemistry, dashboardSettings.custom);
+    applyChemistryColorScales();
+    Object.entries(INTERVAL_FIELDS).forEach(([key, field]) => { CONFIG[field.config] = dashboardSettings[key]; });
+}
+
+// ========================================
+// APPLYING CHANGES
+// ========================================
+// New thresholds take effect at once: detection re-runs on the current
+// readings and every grid is repainted with the new classes and scales
+function onSettingsChanged() {
+    saveSettings();
+    renderSettingsPanel();
+    detectAnomalies();
+    redrawGridCanvases();
+    refreshView();
+}
+
+function getProfileLimits(profile) {
+    const limits = {};
+    CHEMISTRY_LIMITS.forEach(key => { limits[key] = profile[key]; });
+    return limits;
+}
+
+// Values in the threshold inputs, in CONFIG's units
+function readThresholdFields() {
+    const limits = {};
+    THRESHOLD_FIELDS.forEach(field => {
+        const input = document.getElementById(`threshold-${field.key}`);
+        const value = input.value.trim() === '' ? NaN : Number(input.value);
+        limits[field.key] = value / (field.scale || 1);
+    });
+    return limits;
+}
+
+function showSettingsErrors(errors) {
+    const element = document.getElementById('settingsErrors');
+    element.innerHTML = errors.map(error => `<div>${error}</div>`).join('');
+    element.classList.toggle('hidden', errors.length === 0);
+}
+
+// Editing a limit turns the active profile into a custom one based on it
+function applyThresholdFields() {
+    const limits = readThresholdFields();
+    const errors = validateChemistryLimits(limits);
+    showSettingsErrors(errors);
+    if (errors.length > 0) return;
+
+    const base = dashboardSettings.chemistry === 'CUSTOM' ? dashboardSettings.custom.base : dashboardSettings.chemistry;
+    dashboardSettings.chemistry = 'CUSTOM';
+    dashboardSettings.custom = Object.assign({ base: base }, limits);
+    applySettings();
+
+    console.log(`⚙️ Custom thresholds based on ${base}`);
+    onSettingsChanged();
+}
+
+function selectChemistry(name) {
+    // A first switch to Custom starts from the profile in use
+    if (name === 'CUSTOM' && !dashboardSettings.custom) {
+        const current = getChemistryProfile(dashboardSettings.chemistry);
+        dashboardSettings.custom = Object.assign({ base: dashboardSettings.chemistry }, getProfileLimits(current));
+    }
+
+    dashboardSettings.chemistry = name;
+    applySettings();
+
+    console.log(`⚙️ Chemistry: ${getChemistryProfile(name, dashboardSettings.custom).label}`);
+    onSettingsChanged();
+}
+
+function applyIntervalField(key) {
+    const field = INTERVAL_FIELDS[key];
+    const input = document.getElementById(field.input);
+    const value = Number(input.value);
+
+    if (input.value.trim() === '' || !isValidInterval(key, value)) {
+        const { SETTINGS } = CONFIG;
+        showSettingsErrors([`${field.label} interval must be from ${SETTINGS[`MIN_${field.config}`]} to ${SETTINGS[`MAX_${field.config}`]} ms`]);
+        input.value = dashboardSettings[key];
+        return;
+    }
+
+    showSettingsErrors([]);
+    dashboardSettings[key] = value;
+    CONFIG[field.config] = value;
+    saveSettings();
+    field.restart();
+    console.log(`⚙️ ${field.label} interval: ${value} ms`);
+}
+
+function resetSettings() {
+    dashboardSettings = Object.assign({}, DEFAULT_SETTINGS);
+    applySettings();
+    startUpdateLoop();
+    startFaultSimulation();
+
+    console.log('⚙️ Settings reset to defaults');
+    onSettingsChanged();
+}
+
+// ========================================
+// PANEL
+// ========================================
+function renderSettingsPanel() {
+    const profile = getChemistryProfile(dashboardSettings.chemistry, dashboardSettings.custom);
+
+    document.getElementById('chemistrySelect').value = dashboardSettings.chemistry;
+    THRESHOLD_FIELDS.forEach(field => {
+        const value = profile[field.key] * (field.scale || 1);
+        document.getElementById(`threshold-${field.key}`).value = Number(value.toFixed(3));
+    });
+    Object.entries(INTERVAL_FIELDS).forEach(([key, field]) => {
+        document.getElementById(field.input).value = dashboardSettings[key];
+    });
+    document.getElementById('chemistryBase').textContent = dashboardSettings.chemistry === 'CUSTOM'
+        ? `OCV curve and derating from ${dashboardSettings.custom.base}`
+        : `${profile.MIN_VOLTAGE}–${profile.MAX_VOLTAGE} V, heatmap ${profile.TEMP_RANGE[0]}–${profile.TEMP_RANGE[1]}°C`;
+    showSettingsErrors([]);
+}
+
+function setupSettingsPanel() {
+    const select = document.getElementById('chemistrySelect');
+    select.innerHTML = Object.entries(CHEMISTRY_PROFILES)
+        .map(([name, profile]) => `<option value="${name}">${profile.label}</option>`)
+        .join('') + '<option value="CUSTOM">Custom</option>';
+
+    document.getElementById('thresholdFields').innerHTML = THRESHOLD_FIELDS.map(field => `
+        <label class="setting-row">
+            <span>${field.label} ${field.unit}</span>
+            <input class="source-input" id="threshold-${field.key}" type="number" step="${field.step}">
+        </label>
+    `).join('');
+
+    select.addEventListener('change', () => selectChemistry(select.value));
+    THRESHOLD_FIELDS.forEach(field => {
+        document.getElementById(`threshold-${field.key}`).addEventListener('change', applyThresholdFields);
+    });
+
+    Object.entries(INTERVAL_FIELDS).forEach(([key, field]) => {
+        document.getElementById(field.input).addEventListener('change', () => applyIntervalField(key));
+    });
+
+    document.getElementById('settingsReset').addEventListener('click', resetSettings);
+
+    renderSettingsPanel();
+}
@@ -0,0 +1,298 @@
+// ========================================
+// THERMASCAN - Telemetry Sources
+// Simulator, WebSocket & Server-Sent Events Ingestion
+// ========================================
+
+const TELEMETRY_DEFAULT_URLS = {
+    websocket: 'ws://localhost:8080/ws',
+    sse: 'http://localhost:8080/events'
+};
+
+// Vehicle id for live readings that do not name one
+const LIVE_DEFAULT_VEHICLE = 'LIVE-001';
+
+// ========================================
+// BASE TELEMETRY SOURCE
+// ========================================
+class TelemetrySource {
+    constructor(type) {
+        this.type = type;
+        this.status = 'disconnected';
+        this.statusDetail = '';
+        this.queue = [];
+        this.onStatusChange = null;
+        this.timeScale = 1;             // Seconds of cell time per second of timestamps
+    }
+
+    connect() {}
+
+    disconnect() {
+        this.setStatus('disconnected');
+    }
+
+    setStatus(status, detail = '') {
+        this.status = status;
+        this.statusDetail = detail;
+        if (this.onStatusChange) this.onStatusChange(status, detail);
+    }
+
+    // Drain readings received since the previous poll
+    poll() {
+        const readings = this.queue;
+        this.queue = [];
+        return readings;
+    }
+}
+
+// ========================================
+// SIMULATOR SOURCE
+// ========================================
+class SimulatorSource extends TelemetrySource {
+    constructor() {
+        super('simulator');
+        // The simulator runs faster than its wall-clock timestamps
+        this.timeScale = CONFIG.PHYSICS.TIME_SCALE;
+    }
+
+    connect() {
+        this.setStatus('connected', 'Simulated fleet');
+    }
+
+    poll() {
+        const timestamp = Date.now();
+        const readings = [];
+
+        stepFleetPhysics();
+
+        fleet.forEach(vehicle => {
+            vehicle.cells.forEach(cell => {
+                // A dropped-out sensor stops reporting while the cell carries on
+                if (cell.injected.dropout) return;
+                readings.push(cellToReading(vehicle, cell, timestamp));
+            });
+        });
+
+        return readings;
+    }
+}
+
+// ========================================
+// STREAMING SOURCES (RECONNECT & BACKOFF)
+// ========================================
+function getBackoffDelay(attempt) {
+    const { RECONNECT_BASE, RECONNECT_MAX } = CONFIG.TELEMETRY;
+    const delay = Math.min(RECONNECT_MAX, RECONNECT_BASE * Math.pow(2, attempt));
+
+    // Jitter so many dashboards don't reconnect in lockstep
+    return delay * (0.8 + Math.random() * 0.4);
+}
+
+class StreamSource extends TelemetrySource {
+    constructor(type, url) {
+        super(type);
+        this.url = url;
+        this.active = false;
+        this.attempt = 0;
+        this.retryTimer = null;
+    }
+
+    connect() {
+        this.active = true;
+        this.attempt = 0;
+        this.setStatus('connecting', this.url);
+        this.open();
+    }
+
+    disconnect() {
+        this.active = false;
+        clearTimeout(this.retryTimer);
+        this.close();
+        super.disconnect();
+    }
+
+    handleOpen() {
+        this.attempt = 0;
+        this.setStatus('connected', this.url);
+        console.log(`🔌 Telemetry connected: ${this.url}`);
+    }
+
+    handleMessage(data) {
+        try {
+            this.queue.push(...parseTelemetryMessage(data));
+        } catch (error) {
+            console.warn(`⚠️ Dropped malformed telemetry message: ${error.message}`);
+        }
+
+        // Keep only the newest readings if the update loop falls behind
+        if (this.queue.length > CONFIG.TELEMETRY.MAX_QUEUE) {
+            this.queue.splice(0, this.queue.length - CONFIG.TELEMETRY.MAX_QUEUE);
+        }
+    }
+
+    handleClose() {
+        this.close();
+        if (!this.active) return;
+
+        const delay = getBackoffDelay(this.attempt++);
+        this.setStatus('reconnecting', `Retry ${this.attempt} in ${(delay / 1000).toFixed(1)}s`);
+        console.log(`🔁 Telemetry lost, reconnecting in ${(delay / 1000).toFixed(1)}s`);
+
+        this.retryTimer = setTimeout(() => {
+            this.setStatus('connecting', this.url);
+            this.open();
+        }, delay);
+    }
+}
+
+class WebSocketSource extends StreamSource {
+    constructor(url) {
+        super('websocket', url);
+        this.socket = null;
+    }
+
+    open() {
+        try {
+            this.socket = new WebSocket(this.url);
+        } catch (error) {
+            console.warn(`⚠️ Invalid WebSocket URL: ${error.message}`);
+            this.handleClose();
+            return;
+        }
+
+        this.socket.onopen = () => this.handleOpen();
+        this.socket.onmessage = (event) => this.handleMessage(event.data);
+        // An error is always followed by close, which handles the retry
+        this.socket.onclose = () => this.handleClose();
+    }
+
+    close() {
+        if (!this.socket) return;
+        this.socket.onopen = this.socket.onmessage = this.socket.onclose = null;
+        this.socket.close();
+        this.socket = null;
+    }
+}
+
+class SSESource extends StreamSource {
+    constructor(url) {
+        super('sse', url);
+        this.eventSource = null;
+    }
+
+    open() {
+        try {
+            this.eventSource = new EventSource(this.url);
+        } catch (error) {
+            console.warn(`⚠️ Invalid SSE URL: ${error.message}`);
+            this.handleClose();
+            return;
+        }
+
+        this.eventSource.onopen = () => this.handleOpen();
+        this.eventSource.onmessage = (event) => this.handleMessage(event.data);
+        // EventSource retries on its own at a fixed rate; use our backoff instead
+        this.eventSource.onerror = () => this.handleClose();
+    }
+
+    close() {
+        if (!this.eventSource) return;
+        this.eventSource.onopen = this.eventSource.onmessage = this.eventSource.onerror = null;
+        this.eventSource.close();
+        this.eventSource = null;
+    }
+}
+
+function createTelemetrySource(type, url) {
+    if (type === 'websocket') return new WebSocketSource(url);
+    if (type === 'sse') return new SSESource(url);
+    return new SimulatorSource();
+}
+
+// ========================================
+// APPLY READINGS TO THE FLEET
+// ========================================
+// Live and replayed vehicles are built from the ids their readings name, and
+// hold only what those readings report
+function findOrAddVehicle(vehicleId) {
+    let vehicle = fleet.find(v => v.id === vehicleId);
+
+    if (!vehicle) {
+        vehicle = createUnreportedVehicle(vehicleId);
+        fleet.push(vehicle);
+        renderFleetOverview();
+        console.log(`🚗 New vehicle reporting: ${vehicleId}`);
+    }
+
+    return vehicle;
+}
+
+function applyTelemetry(readings, receivedAt = Date.now()) {
+    readings.forEach(reading => {
+        if (!reading.vehicle) {
+            if (!telemetrySource.warnedDefaultVehicle) {
+                console.warn(`⚠️ Telemetry readings without a vehicle id go to ${LIVE_DEFAULT_VEHICLE}`);
+                telemetrySource.warnedDefaultVehicle = true;
+            }
+            reading.vehicle = LIVE_DEFAULT_VEHICLE;
+        }
+
+        const cell = findOrAddVehicle(reading.vehicle).getCell(reading.id);
+        if (cell) applyReading(cell, reading, receivedAt);
+    });
+}
+
+// ========================================
+// DATA SOURCE SELECTION
+// ========================================
+function selectTelemetrySource(type, url) {
+    // Scripted scenarios only drive the simulator they were started on
+    stopScenario();
+
+    const wasSimulated = !telemetrySource || telemetrySource instanceof SimulatorSource;
+    if (telemetrySource) {
+        telemetrySource.disconnect();
+    }
+
+    telemetrySource = createTelemetrySource(type, url);
+    telemetrySource.onStatusChange = updateConnectionStatus;
+
+    // A live source starts from an empty fleet and its vehicles appear as
+    // their first readings arrive; back on the simulator, the simulated
+    // fleet returns
+    if (type !== 'simulator' || !wasSimulated) {
+        generateFleetData();
+        clearHistory();
+        showFleetOverview();
+        renderFleetOverview();
+    }
+
+    telemetrySource.connect();
+    console.log(`📡 Data source: ${type}${url ? ' ' + url : ''}`);
+}
+
+// Recorded logs and live streams are timestamped in real time
+function getDataTimeScale() {
+    return replaySession || !telemetrySource ? 1 : telemetrySource.timeScale;
+}
+
+function updateConnectionStatus(status, detail) {
+    const statusElement = document.getElementById('connectionStatus');
+    statusElement.className = `connection-status ${status}`;
+    document.getElementById('connectionText').textContent = status.toUpperCase();
+    document.getElementById('connectionDetail').textContent = detail;
+}
+
+function setupTelemetryControls() {
+    const typeSelect = document.getElementById('sourceType');
+    const urlInput = document.getElementById('sourceUrl');
+
+    typeSelect.addEventListener('change', () => {
+        const type = typeSelect.value;
+        urlInput.disabled = type === 'simulator';
+        urlInput.value = TELEMETRY_DEFAULT_URLS[type] || '';
+    });
+
+    document.getElementById('sourceConnect').addEventListener('click', () => {
+        selectTelemetrySource(typeSelect.value, urlInput.value.trim());
+    });
+}
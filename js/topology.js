@@ -0,0 +1,60 @@
+// ========================================
+// THERMASCAN - Pack Definition Loading
+// File Import & URL-Named Definitions
+// ========================================
+
+// ========================================
+// LOADING DEFINITIONS
+// ========================================
+function applyPackDefinition(definition, source) {
+    const topology = buildPackTopology(definition);
+
+    // A replayed log belongs to the previous layout
+    if (replaySession) exitReplay();
+    stopScenario();
+
+    packTopology = topology;
+    generateFleetData();
+    clearHistory();
+    showFleetOverview();
+    renderFleetOverview();
+    renderPackInfo();
+
+    console.log(`🧩 Pack topology ${packTopology.name} loaded from ${source}`);
+}
+
+function importPackDefinitionFile(file) {
+    file.text()
+        .then(text => applyPackDefinition(JSON.parse(text), file.name))
+        .catch(error => {
+            console.warn(`⚠️ Could not load pack definition ${file.name}: ${error.message}`);
+            alert(`Could not load pack definition ${file.name}: ${error.message}`);
+        });
+}
+
+// A definition can also be named in the page URL, e.g. ?pack=packs/pack-96s2p.json
+function loadPackDefinitionFromUrl() {
+    const url = new URLSearchParams(window.location.search).get('pack');
+    if (!url) return;
+
+    fetch(url)
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        })
+        .then(definition => applyPackDefinition(definition, url))
+        .catch(error => console.warn(`⚠️ Could not load pack definition ${url}: ${error.message}`));
+}
+
+function setupTopologyControls() {
+    const fileInput = document.getElementById('packFile');
+
+    document.getElementById('loadPack').addEventListener('click', () => fileInput.click());
+
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) importPackDefinitionFile(fileInput.files[0]);
+        fileInput.value = '';
+    });
+
+    loadPackDefinitionFromUrl();
+}
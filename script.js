@@ -3,106 +3,79 @@
 // JavaScript Logic & Data Processing
 // ========================================
 
-// ========================================
-// CONFIGURATION & CONSTANTS
-// ========================================
-const CONFIG = {
-    ROWS: 8,
-    COLS: 12,
-    TOTAL_CELLS: 96,
-    UPDATE_INTERVAL: 2000,      // Update charts every 2 seconds
-    FAULT_INTERVAL: 3000,       // Simulate fault every 3 seconds
-    TEMP_THRESHOLDS: {
-        COOL_MAX: 28,
-        NORMAL_MAX: 40,
-        ELEVATED_MAX: 45,
-        WARNING_MAX: 55,
-        CRITICAL: 55
-    },
-    VOLTAGE_DEVIATION: 0.1,     // 10% deviation threshold
-    SOH_CRITICAL: 70            // State of Health critical threshold
-};
-
 // ========================================
 // GLOBAL STATE
 // ========================================
-let batteryData = [];
+let fleet = [];
+let selectedVehicle = null;
+let batteryData = [];           // Cells of the selected vehicle's pack
+let viewScope = 'fleet';        // 'fleet' overview or single 'vehicle' drill-down
+let fleetSort = { key: 'status', direction: 'desc' };
 let currentMode = 'normal';
-let tempHistory = [];
+let heatmapSettings = { layer: 'temperature', scaling: 'absolute', colormap: null }; // See js/heatmap.js
+let faultFocus = false;         // Dim all but anomalous cells, in any mode
 let sohDistribution = { ranges: [], counts: [] };
-let charts = { tempChart: null, sohChart: null };
+let charts = {
+    tempChart: null, voltageChart: null, currentChart: null, socChart: null,
+    sohChart: null, prognosticsChart: null, balanceChart: null, correlationChart: null
+};
 let faultSimulationActive = false;
+let telemetrySource = null;
+let replaySession = null;       // Active recorded-log replay, if any
+let loadProfile = CONFIG.PHYSICS.DEFAULT_PROFILE;
+let alarmLog = [];              // Persisted alarm events, see js/alarms.js
+let nextAlarmId = 1;
+let alarmSaveTimer = null;      // Pending batched alarm log write
+let alarmSort = { key: 'time', direction: 'desc' };
+let historyStore = null;        // Per-cell time series, see js/history.js
+let historyRange = { preset: '5m', from: null, to: null };
+let pinnedCells = [];           // Cells open in the inspector, see js/inspector.js
+let scenarioRun = null;         // Scripted fault scenario in progress, see js/scenarios.js
+let packGridRenderer = null;    // Canvas pack grid for large packs, see js/renderer.js
+let fleetMapRenderer = null;    // Canvas map of every pack in the fleet
+let correlationAxes = { x: 'resistance', y: 'temperature' }; // See js/correlation.js
+let brushedCells = new Set();   // Pin keys of cells selected on the correlation plot
+let notificationSettings = null; // Per-channel alarm outputs, see js/notifications.js
+let dashboardSettings = null;   // Chemistry and loop intervals, see js/settings.js
+let updateTimer = null;
+let faultTimer = null;
 
 // ========================================
-// BATTERY CELL DATA CLASS
-// ========================================
-class BatteryCell {
-    constructor(id, row, col) {
-        this.id = id;
-        this.row = row;
-        this.col = col;
-        this.temperature = this.randomInRange(25, 35);
-        this.voltage = this.randomInRange(3.6, 3.8);
-        this.current = this.randomInRange(-5, 20);
-        this.soc = this.randomInRange(60, 100);
-        this.soh = this.randomInRange(80, 100);
-        this.resistance = this.randomInRange(1, 5);
-        this.cycles = Math.floor(this.randomInRange(200, 1200));
-        this.anomalyStatus = 'NORMAL';
-    }
+// INITIALIZATION
+// ========================================
+function initialize() {
+    console.log('🚀 Initializing THERMASCAN Digital Twin...');
 
-    randomInRange(min, max) {
-        return Math.random() * (max - min) + min;
-    }
+    // Build the built-in pack layout and load the anomaly rules
+    initializeCore(DEFAULT_PACK_DEFINITION);
+    renderPackInfo();
 
-    update() {
-        // Small random fluctuations
-        this.temperature += (Math.random() - 0.5) * 0.5;
-        this.voltage += (Math.random() - 0.5) * 0.01;
-        this.current += (Math.random() - 0.5) * 2;
-        this.soc += (Math.random() - 0.5) * 0.5;
-        
-        // Ensure bounds
-        this.temperature = Math.max(20, Math.min(60, this.temperature));
-        this.voltage = Math.max(3.0, Math.min(4.2, this.voltage));
-        this.soc = Math.max(0, Math.min(100, this.soc));
-    }
+    // Chemistry, thresholds and intervals saved in the settings panel
+    loadSettings();
 
-    getTempClass() {
-        if (this.temperature < CONFIG.TEMP_THRESHOLDS.COOL_MAX) return 'temp-cool';
-        if (this.temperature < CONFIG.TEMP_THRESHOLDS.NORMAL_MAX) return 'temp-normal';
-        if (this.temperature < CONFIG.TEMP_THRESHOLDS.ELEVATED_MAX) return 'temp-elevated';
-        if (this.temperature < CONFIG.TEMP_THRESHOLDS.WARNING_MAX) return 'temp-warning';
-        return 'temp-critical';
-    }
+    // Restore the alarm log and notification channels from the previous session
+    loadAlarmLog();
+    loadNotificationSettings();
 
-    getColor() {
-        const temp = this.temperature;
-        if (temp < 28) return `rgb(${59 + (temp - 20) * 5}, ${130 + (temp - 20) * 5}, 246)`;
-        if (temp < 40) return `rgb(${16 + (temp - 28) * 15}, ${185 - (temp - 28) * 5}, ${129 - (temp - 28) * 10})`;
-        if (temp < 45) return `rgb(${251 - (temp - 40) * 5}, ${191 - (temp - 40) * 20}, ${36 - (temp - 40) * 5})`;
-        if (temp < 55) return `rgb(${249 - (temp - 45) * 3}, ${158 - (temp - 45) * 10}, ${12 + (temp - 45) * 2})`;
-        return `rgb(220, 38, 38)`;
-    }
-}
+    // Open the telemetry history store
+    initializeHistory();
 
-// ========================================
-// INITIALIZATION
-// ========================================
-function initialize() {
-    console.log('🚀 Initializing THERMASCAN Digital Twin...');
-    
-    // Generate initial battery data
-    generateBatteryData();
-    
-    // Render battery grid
-    renderBatteryGrid();
+    // Seed the simulator, then generate initial fleet data
+    seedRandom(CONFIG.SEED === null ? pickRandomSeed() : CONFIG.SEED);
+    console.log(`🎲 Simulation seed: ${simulationSeed}`);
+    generateFleetData();
+
+    // Render fleet overview
+    renderFleetOverview();
     
     // Initialize charts
     initializeCharts();
     
     // Setup event listeners
     setupEventListeners();
+
+    // Start with the built-in simulator as the data source
+    selectTelemetrySource('simulator');
     
     // Start update loops
     startUpdateLoop();
@@ -114,34 +87,216 @@ function initialize() {
 // ========================================
 // BATTERY DATA GENERATION
 // ========================================
-function generateBatteryData() {
+// The simulated fleet, or none for a live source: live vehicles are built
+// from the ids their readings name (see findOrAddVehicle())
+function generateFleetData() {
+    fleet = [];
+
+    const simulated = !telemetrySource || telemetrySource instanceof SimulatorSource;
+    for (let i = 1; simulated && i <= CONFIG.FLEET_SIZE; i++) {
+        fleet.push(new Vehicle(`EV-${String(i).padStart(3, '0')}`));
+    }
+
+    detectAnomalies();
+}
+
+// ========================================
+// CLOCK
+// ========================================
+// Wall-clock time when live, recorded time while replaying a log
+function getClock() {
+    return replaySession ? replaySession.currentTime : Date.now();
+}
+
+// ========================================
+// FORMATTING
+// ========================================
+// A figure with its unit, or "--" for a quantity the data source does not
+// report (NaN, see BatteryCell.clearReadings())
+function formatReading(value, digits, unit = '') {
+    return Number.isFinite(value) ? value.toFixed(digits) + unit : '--';
+}
+
+// ========================================
+// VIEW SCOPE
+// ========================================
+function getScopeVehicles() {
+    return viewScope === 'vehicle' && selectedVehicle ? [selectedVehicle] : fleet;
+}
+
+function getScopeCells() {
+    return getScopeVehicles().flatMap(vehicle => vehicle.cells);
+}
+
+function openVehicle(vehicleId) {
+    const vehicle = fleet.find(v => v.id === vehicleId);
+    if (!vehicle) return;
+
+    selectedVehicle = vehicle;
+    batteryData = vehicle.cells;
+    viewScope = 'vehicle';
+
+    document.getElementById('fleetView').classList.add('hidden');
+    document.getElementById('packView').classList.remove('hidden');
+    document.getElementById('packVehicleId').textContent = vehicle.id;
+    document.getElementById('metricsTitle').textContent = `PACK METRICS · ${vehicle.id}`;
+
+    renderBatteryGrid();
+    refreshView();
+
+    console.log(`🔎 Opened pack view for ${vehicle.id}`);
+}
+
+function showFleetOverview() {
+    hideTooltip();
+    selectedVehicle = null;
     batteryData = [];
-    let cellId = 1;
-    
-    for (let row = 0; row < CONFIG.ROWS; row++) {
-        for (let col = 0; col < CONFIG.COLS; col++) {
-            const cell = new BatteryCell(`CELL-${String(cellId).padStart(3, '0')}`, row, col);
-            batteryData.push(cell);
-            cellId++;
-        }
+    viewScope = 'fleet';
+
+    document.getElementById('packView').classList.add('hidden');
+    document.getElementById('fleetView').classList.remove('hidden');
+    document.getElementById('metricsTitle').textContent = 'FLEET METRICS';
+    document.getElementById('batteryGrid').innerHTML = '';
+    packGridRenderer = null;
+
+    refreshView();
+}
+
+function refreshView() {
+    if (viewScope === 'vehicle') {
+        updateBatteryGrid();
+    } else {
+        updateMetrics();
+        updateFleetMap();
     }
+    updateFleetOverview();
+    updateAnomalyStatus();
+    updateClusterPanel();
+    updateDiagnosticsPanel();
+    updateAlarmPanel();
+    updateCharts();
+    updatePrognosticsPanel();
+    updateBalancePanel();
+    updateInspectorPanel();
+    updateScenarioPanel();
+    updateHeatmapLegend();
+    updateCorrelationPanel();
+    updateSessionPanel();
+}
+
+// ========================================
+// FLEET OVERVIEW
+// ========================================
+function renderFleetOverview() {
+    document.getElementById('fleetInfo').textContent =
+        `${fleet.length} Vehicles × ${packTopology.cells.length} Cells`;
+    updateFleetOverview();
+}
+
+function compareVehicleSummaries(a, b) {
+    const { key, direction } = fleetSort;
+    const sign = direction === 'asc' ? 1 : -1;
+
+    let diff;
+    if (key === 'id') {
+        diff = a.id.localeCompare(b.id);
+    } else if (key === 'status') {
+        diff = (STATUS_RANK[a.status] - STATUS_RANK[b.status]) ||
+               (a.faultCount - b.faultCount) ||
+               (a.maxTemp - b.maxTemp);
+    } else {
+        diff = a[key] - b[key];
+    }
+
+    return diff * sign || a.id.localeCompare(b.id);
+}
+
+function updateFleetOverview() {
+    const tableBody = document.getElementById('fleetTableBody');
+    const now = getClock();
+    const summaries = fleet.map(vehicle => vehicle.getSummary(now)).sort(compareVehicleSummaries);
+
+    tableBody.innerHTML = summaries.map((summary, rank) => `
+        <tr class="fleet-row status-${summary.status.toLowerCase()}" data-vehicle="${escapeHtml(summary.id)}">
+            <td>${rank + 1}</td>
+            <td class="fleet-vehicle">${escapeHtml(summary.id)}</td>
+            <td><span class="fleet-status">${summary.status}</span></td>
+            <td>${formatReading(summary.avgSoh, 1, '%')}</td>
+            <td>${formatReading(summary.maxTemp, 1, '°C')}</td>
+            <td>${summary.faultCount}</td>
+            <td>${summary.warningCount}</td>
+            <td>${summary.staleCount}</td>
+        </tr>
+    `).join('');
+
+    document.querySelectorAll('.fleet-table th[data-sort]').forEach(th => {
+        th.classList.toggle('sorted', th.dataset.sort === fleetSort.key);
+        th.dataset.direction = th.dataset.sort === fleetSort.key ? fleetSort.direction : '';
+    });
+}
+
+function setFleetSort(key) {
+    if (fleetSort.key === key) {
+        fleetSort.direction = fleetSort.direction === 'asc' ? 'desc' : 'asc';
+    } else {
+        // Worst-first for metrics, alphabetical for vehicle id
+        fleetSort = { key: key, direction: key === 'id' || key === 'avgSoh' ? 'asc' : 'desc' };
+    }
+    updateFleetOverview();
 }
 
 // ========================================
 // RENDER BATTERY GRID
 // ========================================
+function renderPackInfo() {
+    document.getElementById('packLayoutInfo').textContent =
+        `${packTopology.name} · ${packTopology.modules.length} Modules · ${packTopology.cells.length} Cells`;
+    document.getElementById('packFormatInfo').textContent = packTopology.format;
+}
+
 function renderBatteryGrid() {
     const gridContainer = document.getElementById('batteryGrid');
     gridContainer.innerHTML = '';
-    
+    packGridRenderer = null;
+
+    // Large packs are drawn on a canvas instead of one element per cell
+    const canvas = useCanvasGrid();
+    gridContainer.classList.toggle('canvas-grid', canvas);
+    if (canvas) {
+        createPackGridRenderer(gridContainer);
+        return;
+    }
+
+    gridContainer.style.gridTemplateColumns = `repeat(${packTopology.cols}, 1fr)`;
+    gridContainer.style.gridTemplateRows = `repeat(${packTopology.rows}, 1fr)`;
+
+    // Module outlines sit behind the cells they enclose
+    packTopology.modules.forEach(module => {
+        const moduleElement = document.createElement('div');
+        moduleElement.className = 'pack-module';
+        moduleElement.style.gridRow = `${module.rowStart + 1} / ${module.rowEnd + 2}`;
+        moduleElement.style.gridColumn = `${module.colStart + 1} / ${module.colEnd + 2}`;
+        moduleElement.innerHTML = `<span class="pack-module-label">${escapeHtml(module.id)}</span>`;
+        gridContainer.appendChild(moduleElement);
+    });
+
+    const heatmap = getHeatmapScale(batteryData);
+
     batteryData.forEach((cell, index) => {
         const cellElement = document.createElement('div');
         cellElement.className = `battery-cell ${cell.getTempClass()}`;
         cellElement.dataset.index = index;
         cellElement.dataset.id = cell.id;
-        
+        cellElement.style.gridRow = cell.row + 1;
+        cellElement.style.gridColumn = cell.col + 1;
+
         // Set background color for heatmap mode
-        cellElement.style.setProperty('--cell-color', cell.getColor());
+        cellElement.style.setProperty('--cell-color', getHeatmapColor(heatmap, index));
+
+        // Shown while the cell sets one of the pack's limits
+        const marker = document.createElement('span');
+        marker.className = 'limit-marker';
+        cellElement.appendChild(marker);
         
         gridContainer.appendChild(cellElement);
     });
@@ -151,8 +306,18 @@ function renderBatteryGrid() {
 // UPDATE BATTERY GRID COLORS
 // ========================================
 function updateBatteryGrid() {
+    const now = getClock();
+
+    if (packGridRenderer) {
+        packGridRenderer.draw(now, currentMode);
+        updateMetrics();
+        return;
+    }
+
     const cells = document.querySelectorAll('.battery-cell');
-    
+    const meanSoc = batteryData.reduce((sum, cell) => sum + cell.soc, 0) / batteryData.length;
+    const heatmap = getHeatmapScale(batteryData);
+
     cells.forEach((cellElement, index) => {
         const cell = batteryData[index];
         
@@ -162,14 +327,46 @@ function updateBatteryGrid() {
         // Add appropriate class
         cellElement.classList.add(cell.getTempClass());
         
-        // Check for thermal cluster
-        if (isThermalCluster(index)) {
+        // Member of a tracked thermal cluster
+        if (cell.clusterId !== null) {
             cellElement.classList.add('thermal-cluster');
         }
-        
-        // Update color for heatmap
-        cellElement.style.setProperty('--cell-color', cell.getColor());
+
+        // Flag cells whose telemetry has stopped arriving
+        if (cell.isStale(now)) {
+            cellElement.classList.add('stale');
+        }
+
+        // Cells fault focus leaves undimmed
+        if (isFaultFocusCell(cell)) {
+            cellElement.classList.add('faulted');
+        }
+
+        // Update color for heatmap and risk modes
+        cellElement.style.setProperty('--cell-color', getHeatmapColor(heatmap, index));
+        cellElement.style.setProperty('--risk-color', getRiskColor(cell.riskScore));
+        cellElement.style.setProperty('--balance-color', getBalanceColor(cell.soc - meanSoc));
+        if (cell.balancing) {
+            cellElement.classList.add(`balancing-${cell.balancing}`);
+        }
+
+        if (isCellPinned(selectedVehicle, cell)) {
+            cellElement.classList.add('pinned');
+        }
+
+        if (isCellBrushed(selectedVehicle, cell)) {
+            cellElement.classList.add('brushed');
+        }
+
+        const limit = getCellLimit(selectedVehicle, cell);
+        if (limit) {
+            cellElement.dataset.limit = limit;
+        } else {
+            delete cellElement.dataset.limit;
+        }
     });
+
+    renderClusterOutlines(selectedVehicle);
     
     updateMetrics();
 }
@@ -177,118 +374,47 @@ function updateBatteryGrid() {
 // ========================================
 // ANOMALY DETECTION
 // ========================================
+// Rules are evaluated against the data clock so durations hold in replay too
 function detectAnomalies() {
-    const avgVoltage = batteryData.reduce((sum, cell) => sum + cell.voltage, 0) / batteryData.length;
-    
-    batteryData.forEach(cell => {
-        // Reset anomaly status
-        cell.anomalyStatus = 'NORMAL';
-        
-        // Temperature anomalies
-        if (cell.temperature > CONFIG.TEMP_THRESHOLDS.CRITICAL) {
-            cell.anomalyStatus = 'CRITICAL';
-        } else if (cell.temperature > CONFIG.TEMP_THRESHOLDS.WARNING_MAX) {
-            cell.anomalyStatus = 'WARNING';
-        }
-        
-        // Voltage anomalies
-        const voltageDeviation = Math.abs(cell.voltage - avgVoltage) / avgVoltage;
-        if (voltageDeviation > CONFIG.VOLTAGE_DEVIATION) {
-            if (cell.anomalyStatus === 'NORMAL') {
-                cell.anomalyStatus = 'WARNING';
-            }
-        }
-        
-        // SoH anomalies
-        if (cell.soh < CONFIG.SOH_CRITICAL) {
-            cell.anomalyStatus = 'CRITICAL';
-        }
-    });
-    
+    const now = getClock();
+    fleet.forEach(vehicle => analyzePack(vehicle, now, getDataTimeScale()));
+
+    updateAlarms(now);
     updateAnomalyStatus();
 }
 
 // ========================================
-// THERMAL CLUSTER DETECTION
+// UPDATE METRICS
 // ========================================
-function isThermalCluster(index) {
-    const cell = batteryData[index];
-    if (cell.temperature < CONFIG.TEMP_THRESHOLDS.ELEVATED_MAX) return false;
-    
-    const neighbors = getNeighbors(index);
-    const hotNeighbors = neighbors.filter(n => 
-        batteryData[n].temperature >= CONFIG.TEMP_THRESHOLDS.ELEVATED_MAX
-    );
-    
-    // If 3 or more neighbors (including self) are hot, it's a cluster
-    return hotNeighbors.length >= 2;
-}
+// Metrics panel figures for the vehicles in scope
+function calculateScopeMetrics() {
+    const now = getClock();
+    const stats = calculateVehicleMetrics(getScopeVehicles(), now);
 
-function getNeighbors(index) {
-    const row = Math.floor(index / CONFIG.COLS);
-    const col = index % CONFIG.COLS;
-    const neighbors = [];
-    
-    // Check all 8 surrounding cells
-    for (let dr = -1; dr <= 1; dr++) {
-        for (let dc = -1; dc <= 1; dc++) {
-            if (dr === 0 && dc === 0) continue;
-            
-            const newRow = row + dr;
-            const newCol = col + dc;
-            
-            if (newRow >= 0 && newRow < CONFIG.ROWS && 
-                newCol >= 0 && newCol < CONFIG.COLS) {
-                neighbors.push(newRow * CONFIG.COLS + newCol);
-            }
-        }
-    }
-    
-    return neighbors;
+    // The critical vehicle count always covers the whole fleet
+    stats.vehiclesCritical = fleet.filter(vehicle => vehicle.getSummary(now).status === 'CRITICAL').length;
+
+    return stats;
 }
 
-// ========================================
-// UPDATE METRICS
-// ========================================
 function updateMetrics() {
-    const temps = batteryData.map(cell => cell.temperature);
-    const socs = batteryData.map(cell => cell.soc);
-    const sohs = batteryData.map(cell => cell.soh);
-    const voltages = batteryData.map(cell => cell.voltage);
-    
-    const avgTemp = temps.reduce((a, b) => a + b, 0) / temps.length;
-    const maxTemp = Math.max(...temps);
-    const minTemp = Math.min(...temps);
-    const avgSoc = socs.reduce((a, b) => a + b, 0) / socs.length;
-    const avgSoh = sohs.reduce((a, b) => a + b, 0) / sohs.length;
-    const totalVoltage = voltages.reduce((a, b) => a + b, 0);
-    const totalCurrent = batteryData.reduce((sum, cell) => sum + cell.current, 0);
-    
-    const warningCells = batteryData.filter(cell => cell.anomalyStatus === 'WARNING').length;
-    const faultyCells = batteryData.filter(cell => cell.anomalyStatus === 'CRITICAL').length;
-    
+    const stats = calculateScopeMetrics();
+
     // Update DOM
-    document.getElementById('avgTemp').textContent = avgTemp.toFixed(1) + '°C';
-    document.getElementById('maxTemp').textContent = maxTemp.toFixed(1) + '°C';
-    document.getElementById('minTemp').textContent = minTemp.toFixed(1) + '°C';
-    document.getElementById('avgSoC').textContent = avgSoc.toFixed(1) + '%';
-    document.getElementById('avgSoH').textContent = avgSoh.toFixed(1) + '%';
-    document.getElementById('totalVoltage').textContent = totalVoltage.toFixed(1) + 'V';
-    document.getElementById('totalCurrent').textContent = totalCurrent.toFixed(1) + 'A';
-    document.getElementById('warningCells').textContent = warningCells;
-    document.getElementById('faultyCells').textContent = faultyCells;
-    
-    // Update temperature history
-    tempHistory.push({
-        time: new Date().toLocaleTimeString(),
-        avg: avgTemp,
-        max: maxTemp,
-        min: minTemp
-    });
-    
-    if (tempHistory.length > 20) {
-        tempHistory.shift();
-    }
+    document.getElementById('avgTemp').textContent = formatReading(stats.avgTemp, 1, '°C');
+    document.getElementById('maxTemp').textContent = formatReading(stats.maxTemp, 1, '°C');
+    document.getElementById('minTemp').textContent = formatReading(stats.minTemp, 1, '°C');
+    document.getElementById('avgSoC').textContent = formatReading(stats.avgSoc, 1, '%');
+    document.getElementById('avgSoH').textContent = formatReading(stats.avgSoh, 1, '%');
+    document.getElementById('totalVoltage').textContent = formatReading(stats.packVoltage, 1, 'V');
+    document.getElementById('totalCurrent').textContent = formatReading(stats.packCurrent, 1, 'A');
+    document.getElementById('warningCells').textContent = stats.warningCells;
+    document.getElementById('faultyCells').textContent = stats.faultyCells;
+    document.getElementById('staleCells').textContent = stats.staleCells;
+    document.getElementById('fleetVehicles').textContent = fleet.length;
+    document.getElementById('vehiclesCritical').textContent = stats.vehiclesCritical;
+
+    updatePackStatePanel();
 }
 
 // ========================================
@@ -298,24 +424,32 @@ function updateAnomalyStatus() {
     const statusElement = document.getElementById('anomalyStatus');
     const statusText = document.getElementById('statusText');
     
-    const criticalCells = batteryData.filter(cell => cell.anomalyStatus === 'CRITICAL');
-    const warningCells = batteryData.filter(cell => cell.anomalyStatus === 'WARNING');
-    
-    // Check for thermal clusters
-    const clusterCells = batteryData.filter((_, index) => isThermalCluster(index));
-    
+    const cells = getScopeCells();
+    const criticalCells = cells.filter(cell => cell.anomalyStatus === 'CRITICAL');
+    const warningCells = cells.filter(cell => cell.anomalyStatus === 'WARNING');
+
+    // Pack-level rules and thermal clusters in any pack in scope
+    const packRules = getScopeVehicles().flatMap(vehicle => vehicle.activeRules);
+    const packSeverity = getWorstSeverity(packRules);
+    const clusters = getScopeVehicles().flatMap(vehicle => vehicle.clusters);
+    const diagnoses = getScopeDiagnoses();
+
     statusElement.className = 'anomaly-status';
     
-    if (criticalCells.length > 0) {
+    if (criticalCells.length > 0 || packSeverity === 'CRITICAL' || clusters.length > 0) {
         statusElement.classList.add('critical');
-        if (clusterCells.length >= 3) {
+        if (clusters.some(cluster => cluster.escalation)) {
+            statusText.textContent = 'THERMAL CLUSTER ESCALATING';
+        } else if (clusters.length > 1) {
+            statusText.textContent = `${clusters.length} THERMAL CLUSTERS DETECTED`;
+        } else if (clusters.length === 1) {
             statusText.textContent = 'THERMAL CLUSTER DETECTED';
         } else {
-            statusText.textContent = 'CRITICAL';
+            statusText.textContent = diagnoses.length > 0 ? getDiagnosisStatusText(diagnoses) : 'CRITICAL';
         }
-    } else if (warningCells.length > 0) {
+    } else if (warningCells.length > 0 || packSeverity === 'WARNING') {
         statusElement.classList.add('warning');
-        statusText.textContent = 'WARNING';
+        statusText.textContent = diagnoses.length > 0 ? getDiagnosisStatusText(diagnoses) : 'WARNING';
     } else {
         statusText.textContent = 'NORMAL';
     }
@@ -324,38 +458,41 @@ function updateAnomalyStatus() {
 // ========================================
 // INITIALIZE CHARTS
 // ========================================
-function initializeCharts() {
-    // Temperature Chart
-    const tempCtx = document.getElementById('tempChart').getContext('2d');
-    charts.tempChart = new Chart(tempCtx, {
+// Avg/Max/Min line chart on a time axis, fed by updateHistoryCharts()
+function createTrendChart(canvasId, unit) {
+    const series = (label, color, fill) => ({
+        label: label,
+        data: [],
+        borderColor: color,
+        backgroundColor: fill,
+        borderWidth: label === 'Avg' ? 2 : 1,
+        pointRadius: 0,
+        tension: 0.3,
+        spanGaps: false
+    });
+
+    return new Chart(document.getElementById(canvasId).getContext('2d'), {
         type: 'line',
         data: {
-            labels: [],
             datasets: [
-                {
-                    label: 'Avg Temp',
-                    data: [],
-                    borderColor: '#22d3ee',
-                    backgroundColor: 'rgba(34, 211, 238, 0.1)',
-                    borderWidth: 2,
-                    tension: 0.4
-                },
-                {
-                    label: 'Max Temp',
-                    data: [],
-                    borderColor: '#ef4444',
-                    backgroundColor: 'rgba(239, 68, 68, 0.1)',
-                    borderWidth: 2,
-                    tension: 0.4
-                }
+                series('Avg', '#22d3ee', 'rgba(34, 211, 238, 0.1)'),
+                series('Max', '#ef4444', 'rgba(239, 68, 68, 0.1)'),
+                series('Min', '#10b981', 'rgba(16, 185, 129, 0.1)')
             ]
         },
         options: {
             responsive: true,
             maintainAspectRatio: false,
+            parsing: false,
             plugins: {
                 legend: {
-                    labels: { color: '#94a3b8', font: { size: 10 } }
+                    labels: { color: '#94a3b8', font: { size: 10 }, boxWidth: 12 }
+                },
+                tooltip: {
+                    callbacks: {
+                        title: (items) => items.length ? new Date(items[0].parsed.x).toLocaleString() : '',
+                        label: (item) => `${item.dataset.label}: ${item.parsed.y.toFixed(2)} ${unit}`
+                    }
                 }
             },
             scales: {
@@ -364,19 +501,34 @@ function initializeCharts() {
                     grid: { color: 'rgba(71, 85, 105, 0.3)' }
                 },
                 x: {
-                    ticks: { color: '#64748b', font: { size: 9 } },
+                    type: 'linear',
+                    ticks: {
+                        color: '#64748b',
+                        font: { size: 9 },
+                        maxTicksLimit: 6,
+                        callback: function(value) {
+                            return formatHistoryTick(value, this.max - this.min);
+                        }
+                    },
                     grid: { color: 'rgba(71, 85, 105, 0.3)' }
                 }
             }
         }
     });
+}
+
+function initializeCharts() {
+    // Pack trends over the selected history window
+    Object.entries(HISTORY_CHARTS).forEach(([field, spec]) => {
+        charts[spec.chart] = createTrendChart(spec.chart, spec.unit);
+    });
     
     // SoH Distribution Chart
     const sohCtx = document.getElementById('sohChart').getContext('2d');
     charts.sohChart = new Chart(sohCtx, {
         type: 'bar',
         data: {
-            labels: ['70-75%', '75-80%', '80-85%', '85-90%', '90-95%', '95-100%'],
+            labels: ['<75%', '75-80%', '80-85%', '85-90%', '90-95%', '95-100%'],
             datasets: [{
                 label: 'Cell Count',
                 data: [0, 0, 0, 0, 0, 0],
@@ -418,26 +570,118 @@ function initializeCharts() {
             }
         }
     });
+
+    // Projected SoH of the life-limiting cell, with its confidence band
+    const prognosticsCtx = document.getElementById('prognosticsChart').getContext('2d');
+    charts.prognosticsChart = new Chart(prognosticsCtx, {
+        type: 'line',
+        data: {
+            labels: [],
+            datasets: [
+                {
+                    label: 'Projected SoH',
+                    data: [],
+                    borderColor: '#22d3ee',
+                    borderWidth: 2,
+                    pointRadius: 0
+                },
+                {
+                    label: 'Fast fade',
+                    data: [],
+                    borderColor: 'rgba(34, 211, 238, 0.3)',
+                    borderWidth: 1,
+                    pointRadius: 0
+                },
+                {
+                    label: 'Slow fade',
+                    data: [],
+                    borderColor: 'rgba(34, 211, 238, 0.3)',
+                    backgroundColor: 'rgba(34, 211, 238, 0.1)',
+                    borderWidth: 1,
+                    pointRadius: 0,
+                    fill: '-1'
+                },
+                {
+                    label: 'End of life',
+                    data: [],
+                    borderColor: '#ef4444',
+                    borderWidth: 1,
+                    borderDash: [4, 4],
+                    pointRadius: 0
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { display: false }
+            },
+            scales: {
+                y: {
+                    ticks: { color: '#64748b', font: { size: 10 } },
+                    grid: { color: 'rgba(71, 85, 105, 0.3)' }
+                },
+                x: {
+                    title: { display: true, text: 'Cycles from now', color: '#64748b', font: { size: 9 } },
+                    ticks: { color: '#64748b', font: { size: 9 }, maxTicksLimit: 6 },
+                    grid: { color: 'rgba(71, 85, 105, 0.3)' }
+                }
+            }
+        }
+    });
+
+    // SoC deviation histogram of the open pack
+    const balanceCtx = document.getElementById('balanceChart').getContext('2d');
+    charts.balanceChart = new Chart(balanceCtx, {
+        type: 'bar',
+        data: {
+            labels: BALANCE_BINS.map(bin => bin.label),
+            datasets: [{
+                label: 'Cells',
+                data: BALANCE_BINS.map(() => 0),
+                backgroundColor: BALANCE_BINS.map((bin, i) =>
+                    i === Math.floor(BALANCE_BINS.length / 2) ? 'rgba(16, 185, 129, 0.7)' :
+                    i < BALANCE_BINS.length / 2 ? 'rgba(59, 130, 246, 0.7)' : 'rgba(249, 115, 22, 0.7)'),
+                borderWidth: 0
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { display: false }
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    ticks: { color: '#64748b', font: { size: 10 } },
+                    grid: { color: 'rgba(71, 85, 105, 0.3)' }
+                },
+                x: {
+                    title: { display: true, text: 'SoC deviation from pack mean (%)', color: '#64748b', font: { size: 9 } },
+                    ticks: { color: '#64748b', font: { size: 9 } },
+                    grid: { display: false }
+                }
+            }
+        }
+    });
+    // Scatter of two cell metrics with the pack trend line
+    charts.correlationChart = createCorrelationChart();
 }
 
 // ========================================
 // UPDATE CHARTS
 // ========================================
 function updateCharts() {
-    // Update temperature chart
-    const labels = tempHistory.map(h => h.time);
-    const avgData = tempHistory.map(h => h.avg);
-    const maxData = tempHistory.map(h => h.max);
-    
-    charts.tempChart.data.labels = labels;
-    charts.tempChart.data.datasets[0].data = avgData;
-    charts.tempChart.data.datasets[1].data = maxData;
-    charts.tempChart.update('none');
+    // Update history trend charts
+    updateHistoryCharts();
     
     // Update SoH distribution
     const sohCounts = [0, 0, 0, 0, 0, 0];
-    batteryData.forEach(cell => {
+    getScopeCells().forEach(cell => {
         const soh = cell.soh;
+        if (!Number.isFinite(soh)) return;
         if (soh < 75) sohCounts[0]++;
         else if (soh < 80) sohCounts[1]++;
         else if (soh < 85) sohCounts[2]++;
@@ -462,7 +706,7 @@ function setupTooltip() {
             const index = parseInt(e.target.dataset.index);
             const cell = batteryData[index];
             
-            showTooltip(e.target, cell);
+            showTooltip(e.target.getBoundingClientRect(), cell);
         }
     });
     
@@ -473,20 +717,26 @@ function setupTooltip() {
     });
 }
 
-function showTooltip(element, cell) {
+// rect is the cell's on-screen box; vehicle is given where several packs
+// share one view (the fleet map)
+function showTooltip(rect, cell, vehicle = null) {
     const tooltip = document.getElementById('tooltip');
-    const rect = element.getBoundingClientRect();
     
     // Update tooltip content
-    document.getElementById('tooltipTitle').textContent = cell.id;
+    document.getElementById('tooltipTitle').textContent = vehicle ? `${vehicle.id} · ${cell.id}` : cell.id;
     document.getElementById('tooltipStatus').textContent = cell.anomalyStatus;
-    document.getElementById('tooltipTemp').textContent = cell.temperature.toFixed(2) + '°C';
-    document.getElementById('tooltipVoltage').textContent = cell.voltage.toFixed(3) + 'V';
-    document.getElementById('tooltipCurrent').textContent = cell.current.toFixed(2) + 'A';
-    document.getElementById('tooltipSoC').textContent = cell.soc.toFixed(1) + '%';
-    document.getElementById('tooltipSoH').textContent = cell.soh.toFixed(1) + '%';
-    document.getElementById('tooltipResistance').textContent = cell.resistance.toFixed(2) + ' mΩ';
-    document.getElementById('tooltipCycles').textContent = cell.cycles;
+    document.getElementById('tooltipTemp').textContent = formatReading(cell.temperature, 2, '°C');
+    document.getElementById('tooltipVoltage').textContent = formatReading(cell.voltage, 3, 'V');
+    document.getElementById('tooltipCurrent').textContent = formatReading(cell.current, 2, 'A');
+    document.getElementById('tooltipSoC').textContent = formatReading(cell.soc, 1, '%');
+    document.getElementById('tooltipSoH').textContent = formatReading(cell.soh, 1, '%');
+    document.getElementById('tooltipResistance').textContent = formatReading(cell.resistance, 2, ' mΩ');
+    document.getElementById('tooltipCycles').textContent = formatReading(Math.floor(cell.cycles), 0);
+    document.getElementById('tooltipRiseRate').textContent = cell.riseRate.toFixed(1) + ' °C/min';
+    document.getElementById('tooltipRisk').textContent = cell.riskScore.toFixed(0) + ' / 100';
+    document.getElementById('tooltipPosition').textContent = `${cell.module} · Group ${cell.group + 1}`;
+    document.getElementById('tooltipUpdated').textContent = formatLastUpdate(cell);
+    renderTooltipRules(cell);
     
     // Color-code status
     const statusElement = document.getElementById('tooltipStatus');
@@ -503,6 +753,23 @@ function showTooltip(element, cell) {
     tooltip.classList.add('visible');
 }
 
+function renderTooltipRules(cell) {
+    const rulesElement = document.getElementById('tooltipRules');
+
+    rulesElement.innerHTML = cell.activeRules.map(rule =>
+        `<div class="tooltip-rule ${rule.severity.toLowerCase()}">${rule.id}: ${rule.description}</div>`
+    ).join('');
+    rulesElement.classList.toggle('hidden', cell.activeRules.length === 0);
+}
+
+function formatLastUpdate(cell) {
+    if (cell.lastUpdate === null) return 'No data (STALE)';
+
+    const now = getClock();
+    const age = (now - cell.lastUpdate) / 1000;
+    return `${age.toFixed(0)}s ago${cell.isStale(now) ? ' (STALE)' : ''}`;
+}
+
 function hideTooltip() {
     const tooltip = document.getElementById('tooltip');
     tooltip.classList.remove('visible');
@@ -511,61 +778,90 @@ function hideTooltip() {
 // ========================================
 // FAULT SIMULATION
 // ========================================
-function simulateFault() {
-    const faultType = Math.random();
-    
+function simulateFault(vehicle) {
+    const cells = vehicle.cells;
+    const faultType = seededRandom();
+
     if (faultType < 0.33) {
         // Isolated overheating cell
-        const randomIndex = Math.floor(Math.random() * batteryData.length);
-        batteryData[randomIndex].temperature = CONFIG.TEMP_THRESHOLDS.CRITICAL + Math.random() * 10;
-        console.log(`🔥 Simulated isolated cell fault: ${batteryData[randomIndex].id}`);
+        const randomIndex = Math.floor(seededRandom() * cells.length);
+        cells[randomIndex].temperature = CONFIG.TEMP_THRESHOLDS.CRITICAL + seededRandom() * 10;
+        console.log(`🔥 Simulated isolated cell fault: ${vehicle.id} ${cells[randomIndex].id}`);
     } else if (faultType < 0.66) {
         // Thermal cluster
-        const centerIndex = Math.floor(Math.random() * batteryData.length);
+        const centerIndex = Math.floor(seededRandom() * cells.length);
         const neighbors = getNeighbors(centerIndex);
-        
-        batteryData[centerIndex].temperature = CONFIG.TEMP_THRESHOLDS.ELEVATED_MAX + Math.random() * 5;
+
+        cells[centerIndex].temperature = CONFIG.TEMP_THRESHOLDS.ELEVATED_MAX + seededRandom() * 5;
         neighbors.slice(0, 3).forEach(n => {
-            batteryData[n].temperature = CONFIG.TEMP_THRESHOLDS.ELEVATED_MAX + Math.random() * 5;
+            cells[n].temperature = CONFIG.TEMP_THRESHOLDS.ELEVATED_MAX + seededRandom() * 5;
         });
-        console.log(`🔥 Simulated thermal cluster around: ${batteryData[centerIndex].id}`);
+        console.log(`🔥 Simulated thermal cluster around: ${vehicle.id} ${cells[centerIndex].id}`);
     } else {
-        // Voltage imbalance
-        const randomIndex = Math.floor(Math.random() * batteryData.length);
-        const avgVoltage = batteryData.reduce((sum, c) => sum + c.voltage, 0) / batteryData.length;
-        batteryData[randomIndex].voltage = avgVoltage * (1 + CONFIG.VOLTAGE_DEVIATION + 0.05);
-        console.log(`⚡ Simulated voltage imbalance: ${batteryData[randomIndex].id}`);
+        // Voltage imbalance: a weak cell drained far below the rest of the pack,
+        // so its OCV sags out of the deviation band
+        const randomIndex = Math.floor(seededRandom() * cells.length);
+        cells[randomIndex].soc = 2 + seededRandom() * 6;
+        cells[randomIndex].voltage = getOpenCircuitVoltage(cells[randomIndex].soc);
+        console.log(`⚡ Simulated voltage imbalance: ${vehicle.id} ${cells[randomIndex].id}`);
     }
 }
 
+function getRandomVehicle() {
+    return fleet[Math.floor(seededRandom() * fleet.length)];
+}
+
 function manualFaultSimulation() {
     console.log('🎯 Manual fault simulation triggered');
-    simulateFault();
-    updateBatteryGrid();
+    // Inject into the open pack, or anywhere in the fleet from the overview
+    const vehicle = selectedVehicle || getRandomVehicle();
+    if (!vehicle) return;
+    simulateFault(vehicle);
     detectAnomalies();
+    refreshView();
 }
 
 // ========================================
 // UPDATE LOOP
 // ========================================
+function runUpdateTick() {
+    // Replay drives updates from recorded timestamps instead
+    if (replaySession) return;
+
+    // Inject the scenario's faults that are due
+    advanceScenario();
+
+    // Read new cell values from the active data source
+    applyTelemetry(telemetrySource.poll());
+    updateSessions(Date.now());
+
+    // Detect anomalies
+    detectAnomalies();
+    recordHistory(Date.now());
+    recordDegradationHistory(Date.now());
+
+    // Score the scenario's expected detections
+    evaluateScenario(Date.now());
+
+    // Update visuals
+    refreshView();
+}
+
+// Both loops restart when the settings panel changes their interval
 function startUpdateLoop() {
-    setInterval(() => {
-        // Update all cells
-        batteryData.forEach(cell => cell.update());
-        
-        // Detect anomalies
-        detectAnomalies();
-        
-        // Update visuals
-        updateBatteryGrid();
-        updateCharts();
-    }, CONFIG.UPDATE_INTERVAL);
+    clearInterval(updateTimer);
+    updateTimer = setInterval(runUpdateTick, CONFIG.UPDATE_INTERVAL);
 }
 
 function startFaultSimulation() {
-    setInterval(() => {
-        if (Math.random() > 0.7) { // 30% chance every interval
-            simulateFault();
+    clearInterval(faultTimer);
+    faultTimer = setInterval(() => {
+        // Injected faults only make sense on simulated data, and a scenario
+        // injects its own
+        if (replaySession || scenarioRun || !(telemetrySource instanceof SimulatorSource)) return;
+
+        if (seededRandom() > 0.7) { // 30% chance every interval
+            simulateFault(getRandomVehicle());
         }
     }, CONFIG.FAULT_INTERVAL);
 }
@@ -576,15 +872,89 @@ function startFaultSimulation() {
 function setupEventListeners() {
     // Tooltip
     setupTooltip();
+
+    // Data source selection
+    setupTelemetryControls();
+
+    // Simulator load profile and coolant
+    setupSimulatorControls();
+
+    // Pack definition loading
+    setupTopologyControls();
+
+    // Log import and replay
+    setupReplayControls();
+
+    // Thermal cluster list: click a cluster to open its vehicle
+    setupClusterPanel();
+
+    // Fault diagnostics: click a diagnosis to open its vehicle and pin its cell
+    setupDiagnosticsPanel();
+
+    // Prognostics: click a life-limiting cell to open its vehicle
+    setupPrognosticsPanel();
+
+    // Balancing panel: simulated balancer mode for the open pack
+    setupBalanceControls();
+
+    // Alarm panel: sort, filter, acknowledge, shelve, notes and export
+    setupAlarmControls();
+
+    // History panel: time range presets, custom window, zoom and pan
+    setupHistoryControls();
+
+    // Cell inspector: click a grid cell to pin its details
+    setupCellInspector();
+
+    // Snapshot, history and incident report export
+    setupExportControls();
+
+    // Desktop, webhook and MQTT alarm notifications
+    setupNotificationControls();
+
+    // Seed and scripted fault scenarios
+    setupScenarioControls();
+
+    // Fleet cell map: click a pack to open it
+    setupFleetMap();
+
+    // Heatmap layer, scaling and colormap; fault focus toggle
+    setupHeatmapControls();
+
+    // Correlation plot: metric axes, matrix, outliers and brushing
+    setupCorrelationPanel();
+
+    // Pack state: range consumption, limiting cells
+    setupPackStateControls();
+
+    // Chemistry profile, thresholds and loop intervals
+    setupSettingsPanel();
+
+    // Session list: type filter, click a session to show it in the history
+    setupSessionPanel();
     
     // Simulate Fault Button
     document.getElementById('simulateFault').addEventListener('click', manualFaultSimulation);
+
+    // Fleet overview: sort by column, click a row to drill down
+    document.querySelectorAll('.fleet-table th[data-sort]').forEach(th => {
+        th.addEventListener('click', () => setFleetSort(th.dataset.sort));
+    });
+
+    document.getElementById('fleetTableBody').addEventListener('click', (e) => {
+        const row = e.target.closest('.fleet-row');
+        if (row) {
+            openVehicle(row.dataset.vehicle);
+        }
+    });
+
+    document.getElementById('backToFleet').addEventListener('click', showFleetOverview);
     
     // Mode Toggle Buttons
-    document.querySelectorAll('.mode-btn').forEach(btn => {
+    document.querySelectorAll('.mode-btn[data-mode]').forEach(btn => {
         btn.addEventListener('click', (e) => {
             // Update active state
-            document.querySelectorAll('.mode-btn').forEach(b => b.classList.remove('active'));
+            document.querySelectorAll('.mode-btn[data-mode]').forEach(b => b.classList.remove('active'));
             e.target.classList.add('active');
             
             // Change mode
@@ -592,13 +962,15 @@ function setupEventListeners() {
             currentMode = mode;
             
             const grid = document.getElementById('batteryGrid');
-            grid.className = 'battery-grid';
+            grid.classList.remove('heatmap-mode', 'risk-mode', 'balance-mode');
             
-            if (mode === 'heatmap') {
-                grid.classList.add('heatmap-mode');
-            } else if (mode === 'fault') {
-                grid.classList.add('fault-mode');
+            if (mode !== 'normal') {
+                grid.classList.add(`${mode}-mode`);
             }
+
+            // Canvases draw the mode themselves
+            redrawGridCanvases();
+            updateHeatmapLegend();
             
             console.log(`🔄 Switched to ${mode} mode`);
         });
@@ -0,0 +1,171 @@
+// ========================================
+// THERMASCAN - Log Analysis Tests
+// analyzeReadings() and the tools/analyze-log.js CLI
+// ========================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { loadCore } = require('../js/core');
+
+const CLI = path.join(__dirname, '..', 'tools', 'analyze-log.js');
+const START = Date.parse('2024-01-01T00:00:00Z');
+
+// 20 one-second frames of the default pack; cells 14, 15, 17 and 18 (a 2×2
+// block of the first module) heat past 45°C from frame 6 on
+function buildLog() {
+    const lines = ['timestamp,vehicle,id,temperature,voltage'];
+    for (let frame = 0; frame < 20; frame++) {
+        for (let number = 1; number <= 96; number++) {
+            const hot = frame >= 6 && [14, 15, 17, 18].includes(number);
+            const temperature = hot ? 48 + frame * 0.5 : 30 + (number % 3) * 0.2;
+            lines.push(`${START + frame * 1000},EV-001,CELL-${String(number).padStart(3, '0')},${temperature},3.7`);
+        }
+    }
+    return lines.join('\n');
+}
+
+test('analyzeReadings finds the hot block as events and one cluster', () => {
+    const core = loadCore({ console: { log: () => {} } });
+    core.initializeCore();
+    const result = core.analyzeReadings(core.parseLogFile('log.csv', buildLog()));
+
+    assert.strictEqual(result.frames, 20);
+    assert.strictEqual(result.readings, 1920);
+    assert.strictEqual(result.end - result.start, 19000);
+
+    const warnings = result.events.filter(event => event.rule === 'TEMP_WARNING');
+    assert.deepStrictEqual(warnings.map(event => event.cell), ['CELL-014', 'CELL-015', 'CELL-017', 'CELL-018']);
+    assert.ok(warnings.every(event => event.raisedAt === START + 6000 && event.clearedAt === null));
+
+    assert.strictEqual(result.clusters.length, 1);
+    assert.deepStrictEqual(result.clusters[0].cells, ['CELL-014', 'CELL-015', 'CELL-017', 'CELL-018']);
+    assert.strictEqual(result.packs[0].status, 'CRITICAL');
+    assert.strictEqual(result.fleet.vehiclesCritical, 1);
+
+    // No current or SoH is logged: there are no sessions to split the log
+    // into and no cycles to count
+    assert.strictEqual(result.sessions.length, 0);
+    assert.ok(Number.isNaN(result.packs[0].cycles));
+
+    // At the end of the log the block is diagnosed as one spreading region
+    assert.strictEqual(result.diagnoses.length, 1);
+    assert.strictEqual(result.diagnoses[0].type, 'PROPAGATING_CLUSTER');
+    assert.deepStrictEqual(result.diagnoses[0].cells, ['CELL-014', 'CELL-015', 'CELL-017', 'CELL-018']);
+});
+
+test('the CLI exports events as CSV and exits 2 on a critical pack', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'thermascan-'));
+    const log = path.join(dir, 'log.csv');
+    fs.writeFileSync(log, buildLog());
+
+    try {
+        const run = spawnSync(process.execPath, [CLI, log, '--format', 'csv'], { encoding: 'utf8' });
+        assert.strictEqual(run.status, 2);
+
+        const rows = run.stdout.trim().split('\n');
+        assert.strictEqual(rows[0], 'vehicle,cell,rule,severity,description,value,raisedAt,clearedAt');
+        assert.ok(rows.some(row => row.startsWith('EV-001,Cluster C1,THERMAL_CLUSTER,CRITICAL,')));
+
+        const json = JSON.parse(spawnSync(process.execPath, [CLI, log, '--format', 'json'], { encoding: 'utf8' }).stdout);
+        assert.strictEqual(json.file, 'log.csv');
+        assert.strictEqual(json.pack, '96s1p');
+        assert.strictEqual(json.chemistry, 'NMC');
+
+        // The hot block peaks below LFP's critical threshold
+        const lfp = JSON.parse(spawnSync(process.execPath, [CLI, log, '--format', 'json', '--chemistry', 'LFP'], { encoding: 'utf8' }).stdout);
+        assert.strictEqual(lfp.chemistry, 'LFP');
+        assert.ok(!lfp.events.some(event => event.rule === 'TEMP_CRITICAL'));
+        assert.ok(json.events.some(event => event.rule === 'TEMP_CRITICAL'));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+// Three cells reporting temperature and voltage only; the other 93 cells of
+// the pack and every other quantity are missing from the log
+function buildPartialLog() {
+    const lines = ['timestamp,vehicle,id,temperature,voltage'];
+    for (let frame = 0; frame < 5; frame++) {
+        ['CELL-001', 'CELL-002', 'CELL-003'].forEach((id, i) => {
+            lines.push(`${START + frame * 1000},EV-001,${id},${30 + i},3.7`);
+        });
+    }
+    return lines.join('\n');
+}
+
+test('a partial log leaves unreported cells and quantities out', () => {
+    const core = loadCore({ console: { log: () => {} } });
+    core.initializeCore();
+    const result = core.analyzeReadings(core.parseLogFile('log.csv', buildPartialLog()));
+    const pack = result.packs[0];
+
+    assert.strictEqual(pack.cells, 96);
+    assert.strictEqual(pack.reportedCells, 3);
+    assert.strictEqual(pack.avgTemp, 31);
+    assert.strictEqual(pack.maxTemp, 32);
+    assert.strictEqual(pack.staleCells, 0);
+    ['avgSoc', 'avgSoh', 'usableSoc', 'energyKwh', 'voltage', 'current', 'cycles'].forEach(field => {
+        assert.ok(Number.isNaN(pack[field]), `${field} should be NaN`);
+    });
+    assert.strictEqual(pack.status, 'NORMAL');
+    assert.strictEqual(result.events.length, 0);
+    assert.strictEqual(result.diagnoses.length, 0);
+    assert.strictEqual(result.sessions.length, 0);
+});
+
+test('the CLI prints -- for quantities a partial log does not contain', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'thermascan-'));
+    const log = path.join(dir, 'partial.csv');
+    fs.writeFileSync(log, buildPartialLog());
+
+    try {
+        const run = spawnSync(process.execPath, [CLI, log], { encoding: 'utf8' });
+        assert.strictEqual(run.status, 0);
+        assert.match(run.stdout, /Cells: +EV-001 3 of 96 reported/);
+
+        // Vehicle, Status, Avg °C, Max °C, SOC %, Usable %, kWh, Volts, Cycles, Warn, Crit, Stale
+        const row = run.stdout.split('\n').find(line => line.startsWith('EV-001 ')).trim().split(/\s+/);
+        assert.deepStrictEqual(row, ['EV-001', 'NORMAL', '31.0', '32.0', '--', '--', '--', '--', '--', '0', '0', '0']);
+        assert.match(run.stdout, /DIAGNOSES \(at end of log, 0\)/);
+
+        const json = JSON.parse(spawnSync(process.execPath, [CLI, log, '--format', 'json'], { encoding: 'utf8' }).stdout);
+        assert.strictEqual(json.packs[0].avgSoc, null);
+        assert.strictEqual(json.packs[0].energyKwh, null);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('the CLI rejects unknown options', () => {
+    const run = spawnSync(process.execPath, [CLI, 'log.csv', '--color'], { encoding: 'utf8' });
+    assert.strictEqual(run.status, 1);
+    assert.match(run.stderr, /Unknown or invalid option: --color/);
+
+    const chemistry = spawnSync(process.execPath, [CLI, 'log.csv', '--chemistry', 'LCO'], { encoding: 'utf8' });
+    assert.strictEqual(chemistry.status, 1);
+    assert.match(chemistry.stderr, /Unknown chemistry: LCO \(expected NMC, LFP, NCA\)/);
+});
+
+test('a log whose readings match no cell of the pack is rejected by name', () => {
+    const core = loadCore();
+    core.initializeCore();
+    const readings = core.parseLogFile('log.csv', 'id,temperature\nX99,30');
+
+    assert.throws(() => core.analyzeReadings(readings), /None of the 1 log readings match cells of the pack layout/);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'thermascan-'));
+    const log = path.join(dir, 'unmatched.csv');
+    fs.writeFileSync(log, 'id,temperature\nX99,30\n');
+
+    try {
+        const run = spawnSync(process.execPath, [CLI, log], { encoding: 'utf8' });
+        assert.strictEqual(run.status, 1);
+        assert.match(run.stderr, /match cells of the pack layout/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
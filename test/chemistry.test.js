@@ -0,0 +1,86 @@
+// ========================================
+// THERMASCAN - Chemistry Profile Tests
+// Profile Limits in CONFIG, Custom Profiles & Validation
+// ========================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadCore } = require('../js/core');
+
+function limitsOf(core, profile) {
+    const limits = {};
+    ['MIN_VOLTAGE', 'MAX_VOLTAGE', 'COOL_MAX', 'NORMAL_MAX', 'ELEVATED_MAX', 'CRITICAL', 'VOLTAGE_DEVIATION', 'SOH_CRITICAL']
+        .forEach(key => { limits[key] = profile[key]; });
+    return limits;
+}
+
+test('CONFIG starts with the NMC limits', () => {
+    const core = loadCore();
+
+    assert.strictEqual(core.CONFIG.CHEMISTRY, 'NMC');
+    assert.deepStrictEqual(core.CONFIG.VOLTAGE_LIMITS, { MIN: 3.0, MAX: 4.2 });
+    assert.strictEqual(core.CONFIG.TEMP_THRESHOLDS.ELEVATED_MAX, 45);
+    assert.strictEqual(core.CONFIG.TEMP_THRESHOLDS.CRITICAL, 55);
+    assert.strictEqual(core.getOpenCircuitVoltage(100), 4.2);
+});
+
+test('switching chemistry moves the OCV curve and rebuilds the rules', () => {
+    const core = loadCore();
+    core.initializeCore();
+    core.setChemistry('LFP');
+
+    assert.deepStrictEqual(core.CONFIG.VOLTAGE_LIMITS, { MIN: 2.5, MAX: 3.65 });
+    assert.ok(core.getOpenCircuitVoltage(80) - core.getOpenCircuitVoltage(30) < 0.1);
+
+    const rules = core.buildAnomalyRules();
+    const threshold = id => rules.find(rule => rule.id === id).threshold;
+    assert.strictEqual(threshold('TEMP_WARNING'), 50);
+    assert.strictEqual(threshold('TEMP_SUSTAINED'), 55);
+    assert.strictEqual(threshold('TEMP_CRITICAL'), 60);
+    assert.strictEqual(threshold('VOLTAGE_DEVIATION'), 0.03);
+});
+
+test('a cell at warning temperature for NMC is only elevated for LFP', () => {
+    const core = loadCore({ console: { log: () => {} } });
+    core.initializeCore();
+    const vehicle = new core.Vehicle('EV-001');
+    vehicle.cells.forEach(cell => { cell.temperature = 30; });
+    vehicle.cells[20].temperature = 47;
+
+    core.analyzePack(vehicle, 0, 1);
+    assert.strictEqual(vehicle.cells[20].anomalyStatus, 'WARNING');
+    assert.strictEqual(vehicle.cells[20].getTempClass(), 'temp-warning');
+
+    core.setChemistry('LFP');
+    core.analyzePack(vehicle, 2000, 1);
+    assert.strictEqual(vehicle.cells[20].anomalyStatus, 'NORMAL');
+    assert.strictEqual(vehicle.cells[20].getTempClass(), 'temp-elevated');
+});
+
+test('a custom profile overrides limits over its base chemistry', () => {
+    const core = loadCore();
+    const profile = core.getChemistryProfile('CUSTOM', { base: 'LFP', CRITICAL: 58, SOH_CRITICAL: 80 });
+
+    assert.strictEqual(profile.CRITICAL, 58);
+    assert.strictEqual(profile.SOH_CRITICAL, 80);
+    assert.strictEqual(profile.MAX_VOLTAGE, 3.65);
+    assert.strictEqual(profile.OCV_CURVE, core.CHEMISTRY_PROFILES.LFP.OCV_CURVE);
+    assert.strictEqual(profile.label, 'Custom (LFP)');
+    assert.throws(() => core.getChemistryProfile('LCO'), /Unknown chemistry: LCO/);
+});
+
+test('validation accepts the built-in profiles and rejects inconsistent limits', () => {
+    const core = loadCore();
+    Object.values(core.CHEMISTRY_PROFILES).forEach(profile => {
+        assert.deepStrictEqual(core.validateChemistryLimits(limitsOf(core, profile)), []);
+    });
+
+    const nmc = limitsOf(core, core.CHEMISTRY_PROFILES.NMC);
+    const errors = changes => core.validateChemistryLimits(Object.assign({}, nmc, changes));
+
+    assert.match(errors({ MIN_VOLTAGE: 4.3, MAX_VOLTAGE: 4.2 })[0], /Min voltage must be below max/);
+    assert.match(errors({ ELEVATED_MAX: 60 })[0], /Temperature thresholds must rise/);
+    assert.match(errors({ VOLTAGE_DEVIATION: 0 })[0], /Voltage deviation/);
+    assert.match(errors({ SOH_CRITICAL: 100 })[0], /SoH end of life/);
+    assert.deepStrictEqual(errors({ CRITICAL: NaN }), ['CRITICAL must be a number']);
+});
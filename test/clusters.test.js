@@ -0,0 +1,137 @@
+// ========================================
+// THERMASCAN - Thermal Cluster Tests
+// Connected Hot Cells, Stable Ids, Merges & Growth
+// ========================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadCore } = require('../js/core');
+
+// A 4×6 single-module pack, so cell index = row * 6 + col
+const COLS = 6;
+
+function setup() {
+    const core = loadCore({ console: { log: () => {} } });
+    core.initializeCore({ layout: { rows: 4, cols: COLS }, series: 24, parallel: 1 });
+    const vehicle = new core.Vehicle('EV-001');
+    return { core, vehicle, hot: core.CONFIG.TEMP_THRESHOLDS.ELEVATED_MAX };
+}
+
+// Heat exactly the given [row, col] positions and run one tracking pass
+function heat(core, vehicle, positions, now, temperature = 50) {
+    vehicle.cells.forEach(cell => { cell.temperature = 30; });
+    positions.forEach(([row, col]) => { vehicle.cells[row * COLS + col].temperature = temperature; });
+    core.trackClusters(vehicle, now, 1);
+    return vehicle.clusters;
+}
+
+test('hot regions are labeled with 8-connectivity', () => {
+    const { core, vehicle } = setup();
+    [[0, 0], [1, 1], [2, 2], [0, 5], [3, 5]].forEach(([row, col]) => {
+        vehicle.cells[row * COLS + col].temperature = 50;
+    });
+
+    assert.deepStrictEqual(core.labelHotRegions(vehicle.cells), [[0, 7, 14], [5], [23]]);
+});
+
+test('a cell at exactly the hot threshold counts as hot', () => {
+    const { core, vehicle, hot } = setup();
+
+    assert.strictEqual(heat(core, vehicle, [[1, 1], [1, 2], [1, 3]], 0, hot).length, 1);
+    assert.strictEqual(heat(core, vehicle, [[1, 1], [1, 2], [1, 3]], 1000, hot - 0.01).length, 0);
+});
+
+test('a cluster needs the minimum number of connected cells', () => {
+    const { core, vehicle } = setup();
+    assert.strictEqual(core.CONFIG.CLUSTERS.MIN_SIZE, 3);
+
+    assert.strictEqual(heat(core, vehicle, [[1, 1], [1, 2]], 0).length, 0);
+    const clusters = heat(core, vehicle, [[1, 1], [1, 2], [2, 3]], 1000);
+    assert.strictEqual(clusters.length, 1);
+    assert.deepStrictEqual(clusters[0].cells, [7, 8, 15]);
+    assert.strictEqual(vehicle.cells[15].clusterId, clusters[0].id);
+    assert.strictEqual(vehicle.cells[9].clusterId, null);
+});
+
+test('separate hot regions are separate clusters', () => {
+    const { core, vehicle } = setup();
+    const clusters = heat(core, vehicle, [[0, 0], [1, 0], [2, 0], [0, 4], [0, 5], [1, 5]], 0);
+
+    assert.deepStrictEqual(clusters.map(cluster => cluster.cells), [[0, 6, 12], [4, 5, 11]]);
+    assert.deepStrictEqual(clusters.map(cluster => cluster.id), ['C1', 'C2']);
+});
+
+test('a cluster keeps its id while it moves and grows', () => {
+    const { core, vehicle } = setup();
+    heat(core, vehicle, [[1, 1], [1, 2], [1, 3]], 0);
+    const clusters = heat(core, vehicle, [[1, 2], [1, 3], [1, 4], [2, 4]], 1000);
+
+    assert.strictEqual(clusters.length, 1);
+    assert.strictEqual(clusters[0].id, 'C1');
+    assert.strictEqual(clusters[0].firstSeen, 0);
+});
+
+test('growth by the escalation step escalates the cluster', () => {
+    const { core, vehicle } = setup();
+    heat(core, vehicle, [[1, 1], [1, 2], [1, 3]], 0);
+    assert.strictEqual(heat(core, vehicle, [[1, 1], [1, 2], [1, 3], [1, 4]], 1000)[0].escalation, null);
+
+    const [cluster] = heat(core, vehicle, [[1, 1], [1, 2], [1, 3], [1, 4], [1, 5]], 2000);
+    assert.deepStrictEqual(cluster.escalation, { reason: 'grew from 3 to 5 cells', at: 2000 });
+    assert.strictEqual(cluster.growthRate, 2 / (2000 / 60000));
+});
+
+test('merging clusters keep the larger id and escalate', () => {
+    const { core, vehicle } = setup();
+    const left = [[0, 0], [1, 0], [2, 0], [3, 0]];
+    const right = [[0, 4], [1, 4], [2, 4]];
+    heat(core, vehicle, [...left, ...right], 0);
+
+    const clusters = heat(core, vehicle, [...left, ...right, [1, 1], [1, 2], [1, 3]], 1000);
+    assert.strictEqual(clusters.length, 1);
+    assert.strictEqual(clusters[0].id, 'C1');
+    assert.strictEqual(clusters[0].escalation.reason, 'merged C1 + C2');
+});
+
+test('a split cluster continues in its larger part', () => {
+    const { core, vehicle } = setup();
+    heat(core, vehicle, [[1, 0], [1, 1], [1, 2], [1, 3], [1, 4], [1, 5]], 0);
+
+    const clusters = heat(core, vehicle, [[1, 0], [1, 1], [1, 2], [1, 3], [1, 5], [2, 5], [3, 5]], 1000);
+    assert.deepStrictEqual(clusters.map(cluster => [cluster.id, cluster.size]), [['C1', 4], ['C2', 3]]);
+});
+
+test('clusters raise anomaly events that clear when they cool', () => {
+    const { core, vehicle } = setup();
+    const log = [];
+
+    heat(core, vehicle, [[1, 1], [1, 2], [1, 3]], 0);
+    const first = core.updateAnomalyEvents(log, [vehicle], 0);
+    assert.deepStrictEqual(first.raised.map(event => [event.cell, event.rule]), [['Cluster C1', 'THERMAL_CLUSTER']]);
+
+    heat(core, vehicle, [], 5000);
+    const second = core.updateAnomalyEvents(log, [vehicle], 5000);
+    assert.strictEqual(second.cleared.length, 1);
+    assert.strictEqual(log[0].clearedAt, 5000);
+});
+
+test('an escalation and its alarm clear after a growth window without growth', () => {
+    const { core, vehicle } = setup();
+    const log = [];
+    const window = core.CONFIG.CLUSTERS.GROWTH_WINDOW;
+    const grown = [[1, 1], [1, 2], [1, 3], [1, 4], [1, 5]];
+
+    heat(core, vehicle, [[1, 1], [1, 2], [1, 3]], 0);
+    heat(core, vehicle, grown, 1000);
+    const raised = core.updateAnomalyEvents(log, [vehicle], 1000).raised;
+    assert.ok(raised.some(event => event.rule === 'CLUSTER_ESCALATION'));
+
+    // Still escalated within the window, while the growth is still in it
+    assert.notStrictEqual(heat(core, vehicle, grown, 1000 + window / 2)[0].escalation, null);
+
+    const [cluster] = heat(core, vehicle, grown, 1000 + window);
+    assert.strictEqual(cluster.escalation, null);
+    const { cleared } = core.updateAnomalyEvents(log, [vehicle], 1000 + window);
+    assert.deepStrictEqual(cleared.map(event => event.rule), ['CLUSTER_ESCALATION']);
+    assert.ok(log.some(event => event.rule === 'THERMAL_CLUSTER' && event.clearedAt === null));
+});
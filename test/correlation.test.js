@@ -0,0 +1,49 @@
+// ========================================
+// THERMASCAN - Correlation Tests
+// Pearson Coefficient & Least-Squares Regression
+// ========================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadCore } = require('../js/core');
+
+const core = loadCore();
+
+test('perfectly linear samples correlate at +1 or -1', () => {
+    const xs = [1, 2, 3, 4, 5];
+
+    assert.strictEqual(core.getCorrelation(xs, xs.map(x => 2 * x + 1)), 1);
+    assert.strictEqual(core.getCorrelation(xs, xs.map(x => 10 - x)), -1);
+});
+
+test('a constant side has no correlation', () => {
+    assert.strictEqual(core.getCorrelation([1, 2, 3], [4, 4, 4]), null);
+    assert.strictEqual(core.getCorrelation([7], [1]), null);
+});
+
+test('the regression recovers slope and intercept of a clean line', () => {
+    const xs = [1, 2, 3, 4, 5, 6];
+    const fit = core.fitLinearRegression(xs, xs.map(x => 3 * x - 2));
+
+    assert.ok(Math.abs(fit.slope - 3) < 1e-12);
+    assert.ok(Math.abs(fit.intercept + 2) < 1e-12);
+    assert.strictEqual(fit.r2, 1);
+    assert.ok(fit.standardized.every(z => z === 0));
+});
+
+test('an off-trend sample has the largest standardized residual', () => {
+    const xs = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+    const ys = xs.map(x => 2 * x + (x % 2 === 0 ? 0.1 : -0.1));
+    ys[6] += 5;
+    const fit = core.fitLinearRegression(xs, ys);
+
+    const largest = fit.standardized.reduce((best, z, i) => Math.abs(z) > Math.abs(fit.standardized[best]) ? i : best, 0);
+    assert.strictEqual(largest, 6);
+    assert.ok(fit.standardized[6] > 2.5);
+    assert.ok(fit.r2 < 1);
+});
+
+test('a regression needs 3 samples and some spread in x', () => {
+    assert.strictEqual(core.fitLinearRegression([1, 2], [1, 2]), null);
+    assert.strictEqual(core.fitLinearRegression([2, 2, 2], [1, 2, 3]), null);
+});
@@ -0,0 +1,173 @@
+// ========================================
+// THERMASCAN - Fault Diagnostics Tests
+// Fault Classification, Confidence & Root-Cause Hints
+// ========================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadCore } = require('../js/core');
+
+// A 4×6 single-module pack, so cell index = row * 6 + col
+const COLS = 6;
+
+// Every cell alike and fresh, so only the injected fault stands out
+function setup(modules = { rows: 1, cols: 1 }) {
+    const core = loadCore({ console: { log: () => {} } });
+    core.initializeCore({ layout: { rows: 4, cols: COLS }, series: 24, parallel: 1, modules: modules });
+    const vehicle = new core.Vehicle('EV-001');
+    vehicle.cells.forEach(cell => {
+        cell.temperature = 30;
+        cell.soc = 80;
+        cell.voltage = core.getOpenCircuitVoltage(80);
+        cell.resistance = 3;
+        cell.lastUpdate = 0;
+    });
+    return { core, vehicle, thresholds: core.CONFIG.TEMP_THRESHOLDS };
+}
+
+function diagnose(core, vehicle, now = 0) {
+    core.analyzePack(vehicle, now, 1);
+    return vehicle.diagnoses;
+}
+
+test('a healthy pack has nothing to diagnose', () => {
+    const { core, vehicle } = setup();
+    assert.deepStrictEqual(diagnose(core, vehicle), []);
+});
+
+test('one hot cell among cool neighbors is isolated overheating', () => {
+    const { core, vehicle, thresholds } = setup();
+    vehicle.cells[8].temperature = thresholds.CRITICAL + 5;
+
+    const [diagnosis, ...others] = diagnose(core, vehicle);
+    assert.strictEqual(others.length, 0);
+    assert.strictEqual(diagnosis.type, 'ISOLATED_OVERHEAT');
+    assert.deepStrictEqual(diagnosis.cells, ['CELL-009']);
+    assert.strictEqual(diagnosis.severity, 'CRITICAL');
+    assert.ok(diagnosis.confidence >= 0.85);
+    assert.match(diagnosis.evidence, /30\.0°C above its neighbors/);
+});
+
+test('cells warmed by a hot cell are put down to that cell', () => {
+    const { core, vehicle } = setup();
+    vehicle.cells[8].temperature = 70;
+    core.getNeighbors(8).slice(0, 3).forEach(index => { vehicle.cells[index].temperature = 40; });
+
+    const diagnoses = diagnose(core, vehicle);
+    assert.strictEqual(diagnoses.length, 1);
+    assert.strictEqual(diagnoses[0].type, 'ISOLATED_OVERHEAT');
+    assert.deepStrictEqual(diagnoses[0].cells, ['CELL-009']);
+    assert.match(diagnoses[0].evidence, /warming 3 neighbors/);
+});
+
+test('a cell and its heated neighbors form a propagating cluster', () => {
+    const { core, vehicle, thresholds } = setup();
+    const center = 8;
+    [center, ...core.getNeighbors(center).slice(0, 3)].forEach(index => {
+        vehicle.cells[index].temperature = thresholds.ELEVATED_MAX + 2;
+    });
+
+    const diagnoses = diagnose(core, vehicle);
+    assert.strictEqual(diagnoses.length, 1);
+    assert.strictEqual(diagnoses[0].type, 'PROPAGATING_CLUSTER');
+    assert.strictEqual(diagnoses[0].region, 'Cluster C1');
+    assert.strictEqual(diagnoses[0].cells.length, 4);
+    assert.strictEqual(diagnoses[0].severity, 'CRITICAL');
+
+    // Cooling below the cluster threshold, the cells stay one warm region
+    [center, ...core.getNeighbors(center).slice(0, 3)].forEach(index => {
+        vehicle.cells[index].temperature = thresholds.ELEVATED_MAX - 3;
+    });
+    const [region, ...others] = diagnose(core, vehicle, 1000);
+    assert.strictEqual(others.length, 0);
+    assert.strictEqual(region.type, 'PROPAGATING_CLUSTER');
+    assert.strictEqual(region.cells.length, 4);
+    assert.strictEqual(region.severity, 'WARNING');
+});
+
+test('a low cell is an imbalance unless its resistance explains it', () => {
+    const { core, vehicle } = setup();
+    const cell = vehicle.cells[14];
+    cell.soc = 5;
+    cell.voltage = core.getOpenCircuitVoltage(5);
+
+    const [imbalance] = diagnose(core, vehicle);
+    assert.strictEqual(imbalance.type, 'VOLTAGE_IMBALANCE');
+    assert.deepStrictEqual(imbalance.cells, ['CELL-015']);
+    assert.ok(imbalance.confidence >= 0.9);
+    assert.match(imbalance.evidence, /SoC 5\.0% against 80\.0%/);
+    assert.match(imbalance.action, /self-discharge/);
+
+    cell.resistance = 9;
+    const [resistance] = diagnose(core, vehicle, 1000);
+    assert.strictEqual(resistance.type, 'HIGH_RESISTANCE');
+    assert.match(resistance.evidence, /9\.00 mΩ against a pack median of 3\.00 mΩ/);
+});
+
+test('implausible, stuck and silent readings are sensor faults', () => {
+    const { core, vehicle } = setup();
+    const { STUCK_WINDOW } = core.CONFIG.DIAGNOSTICS;
+
+    // An impossible reading is not taken for an overheating cell
+    vehicle.cells[2].temperature = 180;
+    const [implausible] = diagnose(core, vehicle);
+    assert.strictEqual(implausible.type, 'SENSOR_FAULT');
+    assert.match(implausible.evidence, /Temperature reads 180\.0°C/);
+    vehicle.cells[2].temperature = 30;
+
+    // The pack warms while cell 5 keeps reporting the same value
+    for (let now = 1000; now <= STUCK_WINDOW + 1000; now += 2000) {
+        vehicle.cells.forEach((cell, index) => {
+            cell.lastUpdate = now;
+            if (index !== 4) cell.temperature += 0.1;
+        });
+        if (now <= STUCK_WINDOW) {
+            assert.ok(!diagnose(core, vehicle, now).some(d => d.cells.includes('CELL-005')));
+        }
+    }
+    const [stuck] = diagnose(core, vehicle, STUCK_WINDOW + 1000);
+    assert.strictEqual(stuck.type, 'SENSOR_FAULT');
+    assert.deepStrictEqual(stuck.cells, ['CELL-005']);
+    assert.match(stuck.evidence, /Temperature has read 30\.0°C/);
+
+    // A cell gone quiet while the rest reports has dropped out; a pack gone
+    // quiet as a whole is no sensor fault
+    vehicle.cells.forEach(cell => { cell.lastUpdate = STUCK_WINDOW + 20000; });
+    vehicle.cells[20].lastUpdate = STUCK_WINDOW;
+    core.resetCellDiagnostics(vehicle.cells[4]);
+    const dropout = diagnose(core, vehicle, STUCK_WINDOW + 25000);
+    assert.deepStrictEqual(dropout.map(d => d.cells[0]), ['CELL-021']);
+    assert.match(dropout[0].evidence, /No reading for 25 s/);
+
+    assert.deepStrictEqual(diagnose(core, vehicle, STUCK_WINDOW + 60000), []);
+});
+
+test('a warm row is a cooling channel issue, even once it forms a cluster', () => {
+    const { core, vehicle, thresholds } = setup();
+    const row = vehicle.cells.filter(cell => cell.row === 1);
+    row.forEach(cell => { cell.temperature = 35; });
+
+    const [channel] = diagnose(core, vehicle);
+    assert.strictEqual(channel.type, 'COOLING_CHANNEL');
+    assert.strictEqual(channel.region, 'Row 2');
+    assert.strictEqual(channel.cells.length, COLS);
+    assert.match(channel.action, /along row 2/);
+
+    row.forEach(cell => { cell.temperature = thresholds.ELEVATED_MAX + 1; });
+    const diagnoses = diagnose(core, vehicle, 1000);
+    assert.strictEqual(vehicle.clusters.length, 1);
+    assert.deepStrictEqual(diagnoses.map(d => d.type), ['COOLING_CHANNEL']);
+});
+
+test('a warm module is a cooling issue of that module', () => {
+    const { core, vehicle } = setup({ rows: 2, cols: 2 });
+    const module = vehicle.cells.filter(cell => cell.module === vehicle.cells[0].module);
+    module.forEach(cell => { cell.temperature = 36; });
+
+    const [channel, ...others] = diagnose(core, vehicle);
+    assert.strictEqual(others.length, 0);
+    assert.strictEqual(channel.type, 'COOLING_CHANNEL');
+    assert.strictEqual(channel.region, `Module ${module[0].module}`);
+    assert.strictEqual(channel.cells.length, module.length);
+    assert.match(channel.action, /in module /);
+});
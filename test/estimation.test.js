@@ -0,0 +1,101 @@
+// ========================================
+// THERMASCAN - Pack State Estimation Tests
+// Usable SoC, Remaining Energy & Current Limits
+// ========================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadCore } = require('../js/core');
+
+// A pack of identical cells at 25°C, 60% SoC and 100% SoH
+function setup(series, parallel) {
+    const core = loadCore();
+    core.initializeCore({ layout: { rows: parallel, cols: series }, series: series, parallel: parallel });
+    const vehicle = new core.Vehicle('EV-001');
+    vehicle.cells.forEach(cell => {
+        cell.temperature = 25;
+        cell.soc = 60;
+        cell.soh = 100;
+        cell.resistance = 2;
+    });
+    return { core, vehicle, groups: core.getPackTopology().groups };
+}
+
+test('a balanced pack can use its whole average SoC', () => {
+    const { core, vehicle } = setup(12, 1);
+    const state = core.estimatePackState(vehicle.cells);
+    const { MIN_SOC, MAX_SOC } = core.CONFIG.ESTIMATION;
+
+    assert.ok(Math.abs(state.usableSoc - (60 - MIN_SOC) / (MAX_SOC - MIN_SOC) * 100) < 1e-9);
+    assert.ok(Math.abs(state.dischargeAh - 50 * (60 - MIN_SOC) / 100) < 1e-9);
+});
+
+test('the emptiest and fullest series groups bound usable SoC', () => {
+    const { core, vehicle } = setup(12, 1);
+    vehicle.cells[3].soc = 30;
+    vehicle.cells[8].soc = 90;
+    const state = core.estimatePackState(vehicle.cells);
+    const average = vehicle.cells.reduce((sum, cell) => sum + cell.soc, 0) / vehicle.cells.length;
+
+    assert.ok(state.usableSoc < average);
+    assert.ok(Math.abs(state.dischargeAh - 50 * 0.25) < 1e-9);
+    assert.ok(Math.abs(state.chargeAh - 50 * 0.1) < 1e-9);
+    assert.strictEqual(state.limits.dischargeEnergy.cell, vehicle.cells[3].id);
+    assert.strictEqual(state.limits.chargeEnergy.cell, vehicle.cells[8].id);
+});
+
+test('remaining energy is the usable charge at the pack OCV', () => {
+    const { core, vehicle } = setup(12, 1);
+    const state = core.estimatePackState(vehicle.cells);
+    const low = 12 * core.getOpenCircuitVoltage(core.CONFIG.ESTIMATION.MIN_SOC);
+    const high = 12 * core.getOpenCircuitVoltage(60);
+
+    assert.ok(state.energyKwh > state.dischargeAh * low / 1000);
+    assert.ok(state.energyKwh < state.dischargeAh * high / 1000);
+    assert.ok(Math.abs(core.getEstimatedRange(18) - 18000 / core.CONFIG.ESTIMATION.CONSUMPTION) < 1e-9);
+});
+
+test('a hot or high-resistance cell sets the discharge limit', () => {
+    const { core, vehicle } = setup(12, 1);
+    const nominal = core.estimatePackState(vehicle.cells).dischargeCurrent;
+
+    vehicle.cells[5].resistance = 20;
+    const resistive = core.estimatePackState(vehicle.cells);
+    assert.ok(resistive.dischargeCurrent < nominal);
+    assert.strictEqual(resistive.limits.dischargePower.cell, vehicle.cells[5].id);
+
+    vehicle.cells[5].resistance = 2;
+    vehicle.cells[7].temperature = 58;
+    const hot = core.estimatePackState(vehicle.cells);
+    assert.ok(hot.dischargeCurrent < nominal);
+    assert.strictEqual(hot.limits.dischargePower.cell, vehicle.cells[7].id);
+});
+
+test('charging is blocked below freezing and limited near full', () => {
+    const { core, vehicle } = setup(4, 1);
+    const cell = vehicle.cells[0];
+
+    cell.temperature = -5;
+    assert.strictEqual(core.getCellCurrentLimits(cell).charge, 0);
+    assert.ok(core.getCellCurrentLimits(cell).discharge > 0);
+
+    cell.temperature = 25;
+    const mid = core.getCellCurrentLimits(cell).charge;
+    cell.soc = 100;
+    assert.ok(core.getCellCurrentLimits(cell).charge < mid);
+});
+
+test('parallel cells split the group current by conductance', () => {
+    const { core, vehicle, groups } = setup(4, 2);
+    const [first, second] = groups[0].map(index => vehicle.cells[index]);
+    const single = core.getCellCurrentLimits(first).discharge;
+
+    // Equal cells: the group takes twice one cell's limit
+    assert.ok(Math.abs(core.estimatePackState(vehicle.cells).dischargeCurrent - 2 * single) < 1e-9);
+
+    // The low-resistance cell carries more current and reaches its limit first
+    second.resistance = 4;
+    const state = core.estimatePackState(vehicle.cells);
+    assert.strictEqual(state.limits.dischargePower.cell, first.id);
+    assert.ok(Math.abs(state.dischargeCurrent - single * 1.5) < 1e-9);
+});
@@ -0,0 +1,35 @@
+// ========================================
+// THERMASCAN - Log & Telemetry Parsing Tests
+// Feed-Supplied Ids in Markup and CSV
+// ========================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadCore } = require('../js/core');
+
+const HOSTILE_ID = 'EV-1"><img src=x onerror="alert(1)">';
+
+test('a vehicle id from a telemetry message renders as text, not markup', () => {
+    const core = loadCore();
+    core.initializeCore();
+
+    const [reading] = core.parseTelemetryMessage(JSON.stringify({ vehicle: HOSTILE_ID, id: 'CELL-001', temperature: 30 }));
+    const vehicle = core.createUnreportedVehicle(reading.vehicle);
+
+    // The shape of a fleet table row: the id in an attribute and in a cell
+    const row = `<tr data-vehicle="${core.escapeHtml(vehicle.id)}"><td>${core.escapeHtml(vehicle.id)}</td></tr>`;
+
+    assert.ok(!row.includes('<img'));
+    assert.strictEqual(row.match(/"/g).length, 2);
+    assert.strictEqual(row,
+        '<tr data-vehicle="EV-1&quot;&gt;&lt;img src=x onerror=&quot;alert(1)&quot;&gt;">' +
+        '<td>EV-1&quot;&gt;&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</td></tr>');
+});
+
+test('a vehicle id with a comma, quote or newline stays one CSV field', () => {
+    const core = loadCore();
+    const fields = ['EV-1,"north"\nyard', 'CELL-001', 'TEMP_WARNING'].map(core.toCsvValue);
+
+    assert.strictEqual(fields.join(','), '"EV-1,""north""\nyard",CELL-001,TEMP_WARNING');
+    assert.strictEqual(core.toCsvValue(null), '');
+});
@@ -0,0 +1,48 @@
+// ========================================
+// THERMASCAN - Cell Model Tests
+// Electro-Thermal Step & Aging
+// ========================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadCore } = require('../js/core');
+
+// One cell at 25°C, 60% SoC and 100% SoH
+function setup() {
+    const core = loadCore();
+    core.initializeCore();
+    const cell = new core.Vehicle('EV-001').cells[0];
+    cell.temperature = 25;
+    cell.soc = 60;
+    cell.soh = 100;
+    cell.resistance = 2;
+    cell.cycles = 0;
+    return { core, cell };
+}
+
+test('update() discharges, heats and ages a cell', () => {
+    const { cell } = setup();
+    cell.update(50, 60, 0);
+
+    assert.ok(cell.soc < 60);
+    assert.ok(cell.temperature > 25);
+    assert.ok(cell.soh < 100);
+    assert.ok(cell.resistance > 2);
+    assert.ok(cell.cycles > 0);
+});
+
+test('update() at rest still ages a cell by calendar fade', () => {
+    const { cell } = setup();
+    cell.update(0, 60, 0);
+
+    assert.strictEqual(cell.soc, 60);
+    assert.strictEqual(cell.cycles, 0);
+    assert.ok(cell.soh < 100);
+});
+
+test('warm cells and deep discharge fade faster per cycle', () => {
+    const { core } = setup();
+
+    assert.ok(core.getCycleFadeRate(45, 60) > core.getCycleFadeRate(25, 60));
+    assert.ok(core.getCycleFadeRate(25, 10) > core.getCycleFadeRate(25, 90));
+});
@@ -0,0 +1,130 @@
+// ========================================
+// THERMASCAN - Notification Receiver Tests
+// Webhook and MQTT-over-WebSocket delivery to tools/notification-receiver.js
+// ========================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const RECEIVER = path.join(__dirname, '..', 'tools', 'notification-receiver.js');
+
+// Starts the receiver on a free port; resolves with the process and port
+function startReceiver() {
+    const child = spawn(process.execPath, [RECEIVER, '--port', '0', '--quiet']);
+    return new Promise((resolve, reject) => {
+        child.stdout.on('data', (data) => {
+            const match = /listening on port (\d+)/.exec(data.toString());
+            if (match) resolve({ child: child, port: Number(match[1]) });
+        });
+        child.on('exit', code => reject(new Error(`receiver exited with ${code}`)));
+    });
+}
+
+function request(port, method, urlPath, body) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ port: port, method: method, path: urlPath, headers: { 'Content-Type': 'application/json' } }, (res) => {
+            let text = '';
+            res.on('data', chunk => { text += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body: text }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+// Masked binary WebSocket frame, as a browser sends it
+function clientFrame(bytes) {
+    const payload = Buffer.from(bytes);
+    const mask = crypto.randomBytes(4);
+    const masked = payload.map((byte, i) => byte ^ mask[i % 4]);
+    const header = payload.length < 126
+        ? [0x82, 0x80 | payload.length]
+        : [0x82, 0x80 | 126, payload.length >> 8, payload.length & 0xff];
+    return Buffer.concat([Buffer.from(header), mask, masked]);
+}
+
+function mqttString(text) {
+    return [0, text.length, ...Buffer.from(text)];
+}
+
+// Fixed header with the variable-length remaining length
+function mqttPacket(type, body) {
+    const length = [];
+    let remaining = body.length;
+    do {
+        length.push((remaining % 128) | (remaining >= 128 ? 0x80 : 0));
+        remaining = Math.floor(remaining / 128);
+    } while (remaining > 0);
+    return [type, ...length, ...body];
+}
+
+// Connects over WebSocket, sends CONNECT, then one PUBLISH (over 127 bytes,
+// so with a two-byte length) split across two frames. Resolves with the
+// server's reply to CONNECT.
+function publishOverMqtt(port, topic, message) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(port, 'localhost');
+        let handshake = true;
+
+        socket.on('connect', () => {
+            socket.write([
+                'GET /mqtt HTTP/1.1', 'Host: localhost', 'Upgrade: websocket', 'Connection: Upgrade',
+                `Sec-WebSocket-Key: ${crypto.randomBytes(16).toString('base64')}`,
+                'Sec-WebSocket-Version: 13', 'Sec-WebSocket-Protocol: mqtt', '', ''
+            ].join('\r\n'));
+        });
+
+        socket.on('data', (data) => {
+            if (handshake) {
+                handshake = false;
+                assert.match(data.toString(), /101 Switching Protocols[\s\S]*Sec-WebSocket-Protocol: mqtt/);
+                const connect = [...mqttString('MQTT'), 4, 0x02, 0, 60, ...mqttString('test-client')];
+                socket.write(clientFrame(mqttPacket(0x10, connect)));
+                return;
+            }
+
+            const publish = mqttPacket(0x30, [...mqttString(topic), ...Buffer.from(message)]);
+            socket.write(clientFrame(publish.slice(0, 5)));
+            socket.write(clientFrame(publish.slice(5)));
+            socket.end(clientFrame([0xe0, 0x00]));
+            resolve([...data]);
+        });
+        socket.on('error', reject);
+    });
+}
+
+test('the receiver records webhook posts and MQTT publishes', () => {
+    let receiver;
+    const payload = { source: 'thermascan', type: 'raised', alarm: { vehicle: 'EV-001', rule: 'TEMP_CRITICAL' }, suppressed: 0 };
+
+    return startReceiver()
+        .then(started => {
+            receiver = started;
+            return request(receiver.port, 'POST', '/webhook', JSON.stringify(payload));
+        })
+        .then(response => {
+            assert.strictEqual(response.status, 204);
+            return publishOverMqtt(receiver.port, 'thermascan/alarms/EV-001', JSON.stringify(payload));
+        })
+        .then(reply => {
+            // WebSocket binary frame holding CONNACK, connection accepted
+            assert.deepStrictEqual(reply, [0x82, 0x04, 0x20, 0x02, 0x00, 0x00]);
+            return new Promise(resolve => setTimeout(resolve, 100));
+        })
+        .then(() => request(receiver.port, 'GET', '/messages'))
+        .then(response => {
+            const messages = JSON.parse(response.body);
+            assert.strictEqual(messages.length, 2);
+            assert.strictEqual(messages[0].channel, 'webhook');
+            assert.deepStrictEqual(messages[0].payload, payload);
+            assert.strictEqual(messages[1].channel, 'mqtt');
+            assert.strictEqual(messages[1].topic, 'thermascan/alarms/EV-001');
+            assert.deepStrictEqual(messages[1].payload, payload);
+        })
+        .finally(() => receiver && receiver.child.kill());
+});
@@ -0,0 +1,109 @@
+// ========================================
+// THERMASCAN - Anomaly Rule Tests
+// Threshold Boundaries, Persistence & Hysteresis
+// ========================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadCore } = require('../js/core');
+
+function setup() {
+    const core = loadCore();
+    core.initializeCore();
+    const rules = core.buildAnomalyRules();
+    return { core, rule: id => rules.find(rule => rule.id === id) };
+}
+
+// Feed a sequence of [time (ms), value] samples to one rule on a fresh
+// target and return whether the rule fired after each
+function run(core, rule, samples) {
+    const target = { ruleState: {} };
+    return samples.map(([time, value]) => core.evaluateRule(rule, target, value, time) !== null);
+}
+
+test('strict comparators do not fire at exactly the threshold', () => {
+    const { core, rule } = setup();
+    const { ELEVATED_MAX, CRITICAL } = core.CONFIG.TEMP_THRESHOLDS;
+
+    assert.deepStrictEqual(run(core, rule('TEMP_WARNING'), [[0, ELEVATED_MAX]]), [false]);
+    assert.deepStrictEqual(run(core, rule('TEMP_WARNING'), [[0, ELEVATED_MAX + 0.01]]), [true]);
+    assert.deepStrictEqual(run(core, rule('TEMP_CRITICAL'), [[0, CRITICAL]]), [false]);
+    assert.deepStrictEqual(run(core, rule('TEMP_CRITICAL'), [[0, CRITICAL + 0.01]]), [true]);
+});
+
+test('inclusive comparators fire at exactly the threshold', () => {
+    const { core, rule } = setup();
+    const { RISK_WARNING, RISK_CRITICAL } = core.CONFIG.DETECTION;
+
+    assert.deepStrictEqual(run(core, rule('RUNAWAY_RISK_ELEVATED'), [[0, RISK_WARNING - 0.01]]), [false]);
+    assert.deepStrictEqual(run(core, rule('RUNAWAY_RISK_ELEVATED'), [[0, RISK_WARNING]]), [true]);
+    assert.deepStrictEqual(run(core, rule('RUNAWAY_RISK'), [[0, RISK_CRITICAL]]), [true]);
+});
+
+test('below-threshold rules fire only under the threshold', () => {
+    const { core, rule } = setup();
+    const { SOH_CRITICAL } = core.CONFIG;
+
+    assert.deepStrictEqual(run(core, rule('SOH_CRITICAL'), [[0, SOH_CRITICAL]]), [false]);
+    assert.deepStrictEqual(run(core, rule('SOH_CRITICAL'), [[0, SOH_CRITICAL - 0.01]]), [true]);
+});
+
+test('an active rule clears only once back past the hysteresis margin', () => {
+    const { core, rule } = setup();
+    const warning = rule('TEMP_WARNING');
+    const limit = warning.threshold;
+
+    // Above the threshold, back to it, to just above the margin, then onto the margin
+    const fired = run(core, warning, [
+        [0, limit + 1], [1000, limit], [2000, limit - warning.hysteresis + 0.01], [3000, limit - warning.hysteresis]
+    ]);
+    assert.deepStrictEqual(fired, [true, true, true, false]);
+});
+
+test('an inclusive rule clears below the hysteresis margin, not on it', () => {
+    const { core, rule } = setup();
+    const risk = rule('RUNAWAY_RISK_ELEVATED');
+    const margin = risk.threshold - risk.hysteresis;
+
+    const fired = run(core, risk, [[0, risk.threshold], [1000, margin], [2000, margin - 0.01]]);
+    assert.deepStrictEqual(fired, [true, true, false]);
+});
+
+test('a rule with a duration fires only once the condition has held that long', () => {
+    const { core, rule } = setup();
+    const sustained = rule('TEMP_SUSTAINED');
+    const hot = sustained.threshold + 1;
+
+    const fired = run(core, sustained, [
+        [0, hot], [sustained.duration - 1, hot], [sustained.duration, hot]
+    ]);
+    assert.deepStrictEqual(fired, [false, false, true]);
+});
+
+test('dropping below the threshold restarts the persistence timer', () => {
+    const { core, rule } = setup();
+    const sustained = rule('TEMP_SUSTAINED');
+    const hot = sustained.threshold + 1;
+    const duration = sustained.duration;
+
+    const fired = run(core, sustained, [
+        [0, hot], [duration / 2, sustained.threshold], [duration / 2 + 1000, hot],
+        [duration, hot], [duration * 1.5 + 1000, hot]
+    ]);
+    assert.deepStrictEqual(fired, [false, false, false, false, true]);
+});
+
+test('pack evaluation flags the temperature boundary on the right cells', () => {
+    const { core } = setup();
+    const vehicle = new core.Vehicle('EV-001');
+    const limit = core.CONFIG.TEMP_THRESHOLDS.ELEVATED_MAX;
+
+    vehicle.cells.forEach(cell => { cell.temperature = 30; });
+    vehicle.cells[10].temperature = limit;
+    vehicle.cells[20].temperature = limit + 0.01;
+    core.evaluatePackRules(vehicle, 0, 1);
+
+    const flagged = vehicle.cells.filter(cell => cell.activeRules.some(r => r.id === 'TEMP_WARNING'));
+    assert.deepStrictEqual(flagged.map(cell => cell.id), [vehicle.cells[20].id]);
+    assert.strictEqual(vehicle.cells[20].anomalyStatus, 'WARNING');
+});
@@ -0,0 +1,125 @@
+// ========================================
+// THERMASCAN - Charge Session Tests
+// Session Detection, Throughput & Equivalent Full Cycles
+// ========================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadCore } = require('../js/core');
+
+const STEP = 10000;
+
+// A 12s1p pack of 50 Ah cells at 100% SoH, so 1C is 50 A
+function setup() {
+    const core = loadCore();
+    core.initializeCore({ layout: { rows: 1, cols: 12 }, series: 12, parallel: 1 });
+    const vehicle = new core.Vehicle('EV-001');
+    vehicle.cells.forEach(cell => {
+        cell.soh = 100;
+        cell.soc = 50;
+        cell.temperature = 30;
+        cell.voltage = 3.7;
+    });
+    return { core, vehicle };
+}
+
+// Drive the pack at the given current for a number of 10-second samples
+function run(core, vehicle, clock, current, samples) {
+    for (let i = 0; i < samples; i++) {
+        clock.now += STEP;
+        vehicle.cells.forEach(cell => {
+            cell.current = current;
+            cell.lastUpdate = clock.now;
+        });
+        core.trackSession(vehicle, clock.now, 1);
+    }
+}
+
+test('constant discharge forms one session and counts its throughput', () => {
+    const { core, vehicle } = setup();
+    const clock = { now: 0 };
+    run(core, vehicle, clock, 50, 37);
+
+    const sessions = core.getVehicleSessions(vehicle);
+    assert.strictEqual(sessions.length, 1);
+    const [session] = sessions;
+
+    // The first sample opens the session; the other 36 add 360 s at 1C
+    assert.strictEqual(session.type, 'discharge');
+    assert.strictEqual(session.ongoing, true);
+    assert.strictEqual(session.duration, 360);
+    assert.ok(Math.abs(session.ah - 5) < 1e-9);
+    assert.ok(Math.abs(session.kwh - 5 * 12 * 3.7 / 1000) < 1e-9);
+    assert.ok(Math.abs(session.cycles - 0.05) < 1e-9);
+    assert.ok(Math.abs(vehicle.cycles - 0.05) < 1e-9);
+});
+
+test('regen pulses shorter than the minimum stay part of the drive', () => {
+    const { core, vehicle } = setup();
+    const clock = { now: 0 };
+    run(core, vehicle, clock, 40, 10);
+    run(core, vehicle, clock, -30, 3);
+    run(core, vehicle, clock, 40, 10);
+
+    const sessions = core.getVehicleSessions(vehicle);
+    assert.strictEqual(sessions.length, 1);
+    assert.strictEqual(sessions[0].type, 'discharge');
+    assert.strictEqual(sessions[0].duration, 220);
+    assert.ok(Math.abs(sessions[0].ah - (40 * 190 + 30 * 30) / 3600) < 1e-9);
+});
+
+test('a lasting change of state finishes the session', () => {
+    const { core, vehicle } = setup();
+    const clock = { now: 0 };
+    run(core, vehicle, clock, 40, 10);
+    vehicle.cells.forEach(cell => { cell.soc = 40; });
+    run(core, vehicle, clock, -50, 15);
+
+    const [drive, charge] = core.getVehicleSessions(vehicle);
+    assert.strictEqual(drive.type, 'discharge');
+    assert.strictEqual(drive.ongoing, false);
+    assert.strictEqual(drive.end, 100000);
+    assert.strictEqual(drive.socStart, 50);
+    assert.strictEqual(drive.socEnd, 50);
+
+    // The charge began after the drive's last sample
+    assert.strictEqual(charge.type, 'charge');
+    assert.strictEqual(charge.id, 2);
+    assert.strictEqual(charge.start, 100000);
+    assert.strictEqual(charge.duration, 150);
+    assert.strictEqual(charge.socStart, 50);
+    assert.strictEqual(charge.socEnd, 40);
+
+    // Equivalent full cycles cover both directions
+    assert.ok(Math.abs(vehicle.cycles - (drive.cycles + charge.cycles)) < 1e-9);
+});
+
+test('small currents are rest and anomalies count against the open state', () => {
+    const { core, vehicle } = setup();
+    const clock = { now: 0 };
+    run(core, vehicle, clock, 1, 5);
+    assert.strictEqual(core.getVehicleSessions(vehicle)[0].type, 'rest');
+
+    vehicle.cells[3].temperature = 52;
+    run(core, vehicle, clock, 40, 1);
+    core.recordSessionAnomalies([vehicle], [{ vehicle: 'EV-001', cell: 'CELL-004', rule: 'TEMP_WARNING' }]);
+    run(core, vehicle, clock, 40, 12);
+
+    const [rest, drive] = core.getVehicleSessions(vehicle);
+    assert.strictEqual(rest.anomalies, 0);
+    assert.strictEqual(drive.anomalies, 1);
+    assert.strictEqual(drive.peakTemp, 52);
+    assert.ok(Math.abs(drive.maxTempSpread - 22) < 1e-9);
+});
+
+test('samples without fresh readings or at the same time add nothing', () => {
+    const { core, vehicle } = setup();
+    const clock = { now: 0 };
+    run(core, vehicle, clock, 50, 3);
+    const before = core.getVehicleSessions(vehicle)[0].ah;
+
+    core.trackSession(vehicle, clock.now, 1);
+    clock.now += core.CONFIG.TELEMETRY.STALE_AFTER * 2;
+    core.trackSession(vehicle, clock.now, 1);
+    assert.strictEqual(core.getVehicleSessions(vehicle)[0].ah, before);
+});
@@ -0,0 +1,107 @@
+// ========================================
+// THERMASCAN - Pack Topology Tests
+// getNeighbors() at Corners, Edges, Gaps & Single Rows; Definition Validation
+// ========================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadCore } = require('../js/core');
+
+// Index of the cell at a layout position; generated packs number cells
+// module by module, so positions and indices differ
+function indexAt(core, row, col) {
+    return core.getPackTopology().cells.findIndex(cell => cell.row === row && cell.col === col);
+}
+
+function neighborPositions(core, row, col) {
+    const cells = core.getPackTopology().cells;
+    return core.getNeighbors(indexAt(core, row, col))
+        .map(index => `${cells[index].row},${cells[index].col}`)
+        .sort();
+}
+
+test('corner cells of the default pack have 3 neighbors', () => {
+    const core = loadCore();
+    core.initializeCore();
+
+    assert.deepStrictEqual(neighborPositions(core, 0, 0), ['0,1', '1,0', '1,1']);
+    assert.deepStrictEqual(neighborPositions(core, 0, 11), ['0,10', '1,10', '1,11']);
+    assert.deepStrictEqual(neighborPositions(core, 7, 0), ['6,0', '6,1', '7,1']);
+    assert.deepStrictEqual(neighborPositions(core, 7, 11), ['6,10', '6,11', '7,10']);
+});
+
+test('edge cells have 5 neighbors and interior cells 8', () => {
+    const core = loadCore();
+    core.initializeCore();
+
+    assert.deepStrictEqual(neighborPositions(core, 0, 5), ['0,4', '0,6', '1,4', '1,5', '1,6']);
+    assert.deepStrictEqual(neighborPositions(core, 4, 11), ['3,10', '3,11', '4,10', '5,10', '5,11']);
+    assert.strictEqual(neighborPositions(core, 3, 5).length, 8);
+});
+
+test('neighbors cross module boundaries', () => {
+    const core = loadCore();
+    core.initializeCore();
+
+    // Modules are 4 rows by 3 columns; (3,2) sits in a module corner
+    const cells = core.getPackTopology().cells;
+    const modules = new Set(core.getNeighbors(indexAt(core, 3, 2)).map(index => cells[index].module));
+    assert.strictEqual(modules.size, 4);
+});
+
+test('every cell of a 2-parallel pack is a neighbor of its neighbors', () => {
+    const core = loadCore();
+    core.initializeCore({ layout: { rows: 12, cols: 16 }, series: 96, parallel: 2, modules: { rows: 3, cols: 4 } });
+
+    const cells = core.getPackTopology().cells;
+    cells.forEach((_, index) => {
+        core.getNeighbors(index).forEach(n => assert.ok(core.getNeighbors(n).includes(index)));
+    });
+});
+
+test('gaps in an explicit layout are not neighbors', () => {
+    const core = loadCore();
+    // A 3×3 block with the middle position left empty
+    const cells = [];
+    for (let row = 0; row < 3; row++) {
+        for (let col = 0; col < 3; col++) {
+            if (row === 1 && col === 1) continue;
+            cells.push({ id: `C${row}${col}`, row: row, col: col, group: cells.length });
+        }
+    }
+    core.initializeCore({ cells: cells });
+
+    assert.deepStrictEqual(neighborPositions(core, 0, 0), ['0,1', '1,0']);
+    assert.deepStrictEqual(neighborPositions(core, 0, 1), ['0,0', '0,2', '1,0', '1,2']);
+});
+
+test('a single row has two neighbors inside and one at each end', () => {
+    const core = loadCore();
+    core.initializeCore({ layout: { rows: 1, cols: 6 }, series: 6, parallel: 1 });
+
+    assert.deepStrictEqual(core.getNeighbors(0), [1]);
+    assert.deepStrictEqual(core.getNeighbors(3), [2, 4]);
+    assert.deepStrictEqual(core.getNeighbors(5), [4]);
+});
+
+test('a single cell has no neighbors', () => {
+    const core = loadCore();
+    core.initializeCore({ layout: { rows: 1, cols: 1 }, series: 1, parallel: 1 });
+
+    assert.deepStrictEqual(core.getNeighbors(0), []);
+});
+
+test('a null entry in an explicit layout is reported by its index', () => {
+    const core = loadCore();
+    const cells = [{ id: 'C0', row: 0, col: 0, group: 0 }, null];
+
+    assert.throws(() => core.buildPackTopology({ cells: cells }), /cells\[1\] must be an object/);
+});
+
+test('generated modules must hold whole parallel groups', () => {
+    const core = loadCore();
+    // Modules of 3 cells cannot hold 2p groups without splitting one
+    const definition = { layout: { rows: 2, cols: 6 }, series: 6, parallel: 2, modules: { rows: 2, cols: 2 } };
+
+    assert.throws(() => core.buildPackTopology(definition), /cannot hold whole 2p groups/);
+});
@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+// ========================================
+// THERMASCAN - Log Analyzer
+// Runs the dashboard's analytics over a recorded telemetry log
+// ========================================
+//
+// Usage:
+//   node tools/analyze-log.js <log.csv|log.json> [--pack packs/pack-96s2p.json]
+//                             [--chemistry NMC|LFP|NCA] [--format text|json|csv]
+//                             [--out report.txt] [--verbose]
+//
+// The log is replayed frame by frame through the same detection the dashboard
+// uses (js/core/): anomaly rules, thermal cluster tracking, charge sessions,
+// fault diagnosis and pack metrics, with the thresholds of the given cell
+// chemistry (NMC by default). Text prints a summary with the anomaly events,
+// clusters, sessions and the faults diagnosed at the end, json the full
+// result, csv one row per anomaly event. The process exits with status 2 when
+// any pack ends the log in CRITICAL state, so the tool can gate scripts.
+
+const fs = require('fs');
+const path = require('path');
+const { loadCore } = require('../js/core');
+
+const FORMATS = ['text', 'json', 'csv'];
+
+// ========================================
+// OPTIONS
+// ========================================
+function parseArgs(argv) {
+    const options = { log: null, pack: null, chemistry: 'NMC', format: 'text', out: null, verbose: false };
+    const names = { '--pack': 'pack', '--chemistry': 'chemistry', '--format': 'format', '--out': 'out' };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--verbose') {
+            options.verbose = true;
+        } else if (names[arg] && argv[i + 1] !== undefined) {
+            options[names[arg]] = argv[++i];
+        } else if (!arg.startsWith('--') && !options.log) {
+            options.log = arg;
+        } else {
+            fail(`Unknown or invalid option: ${arg}`);
+        }
+    }
+
+    if (!options.log) fail('Usage: node tools/analyze-log.js <log.csv|log.json> [--pack file.json] [--chemistry NMC|LFP|NCA] [--format text|json|csv] [--out file] [--verbose]');
+    if (!FORMATS.includes(options.format)) fail(`Unknown format: ${options.format} (expected ${FORMATS.join(', ')})`);
+
+    return options;
+}
+
+function fail(message) {
+    console.error(message);
+    process.exit(1);
+}
+
+function readFile(file) {
+    try {
+        return fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        fail(`Cannot read ${file}: ${error.message}`);
+    }
+}
+
+// ========================================
+// REPORTS
+// ========================================
+function formatTime(ms) {
+    return new Date(ms).toISOString();
+}
+
+function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+function pad(value, width) {
+    return String(value).padEnd(width);
+}
+
+// "--" for a quantity the log does not contain (NaN in the result)
+function formatNumber(value, digits) {
+    return Number.isFinite(value) ? value.toFixed(digits) : '--';
+}
+
+function formatText(result, file, pack, chemistry, core) {
+    const lines = [
+        `ThermaScan log analysis: ${path.basename(file)}`,
+        `Pack:     ${pack.name} (${pack.cells.length} cells, ${pack.series}s${pack.parallel}p, ${chemistry})`,
+        `Readings: ${result.readings} in ${result.frames} frames` +
+            (result.skipped > 0 ? ` (${result.skipped} for unknown cells skipped)` : ''),
+        `Cells:    ${result.packs.map(p => `${p.vehicle} ${p.reportedCells} of ${p.cells} reported`).join(', ')}`,
+        `Span:     ${formatTime(result.start)} to ${formatTime(result.end)} (${formatDuration(result.end - result.start)})`,
+        '',
+        'PACKS (at end of log)',
+        [pad('Vehicle', 10), pad('Status', 9), pad('Avg °C', 8), pad('Max °C', 8), pad('SOC %', 7),
+            pad('Usable %', 9), pad('kWh', 7), pad('Volts', 8), pad('Cycles', 7), pad('Warn', 5), pad('Crit', 5), 'Stale'].join(' ')
+    ];
+
+    result.packs.forEach(p => {
+        lines.push([pad(p.vehicle, 10), pad(p.status, 9), pad(formatNumber(p.avgTemp, 1), 8), pad(formatNumber(p.maxTemp, 1), 8),
+            pad(formatNumber(p.avgSoc, 1), 7), pad(formatNumber(p.usableSoc, 1), 9), pad(formatNumber(p.energyKwh, 1), 7),
+            pad(formatNumber(p.voltage, 1), 8), pad(formatNumber(p.cycles, 2), 7), pad(p.warningCells, 5),
+            pad(p.faultyCells, 5), p.staleCells].join(' '));
+    });
+
+    lines.push('', `ANOMALY EVENTS (${result.events.length})`);
+    if (result.events.length === 0) lines.push('  none');
+    result.events.forEach(event => {
+        const cleared = event.clearedAt === null ? 'still active' : `cleared after ${formatDuration(event.clearedAt - event.raisedAt)}`;
+        lines.push(`  ${formatTime(event.raisedAt)}  ${pad(event.severity, 8)} ${event.vehicle} ${event.cell || 'PACK'}: ` +
+            `${event.description} (${cleared})`);
+    });
+
+    lines.push('', `THERMAL CLUSTERS (${result.clusters.length})`);
+    if (result.clusters.length === 0) lines.push('  none');
+    result.clusters.forEach(cluster => {
+        lines.push(`  ${cluster.vehicle} cluster ${cluster.id}: up to ${cluster.maxSize} cells, peak ${cluster.peakTemp.toFixed(1)}°C, ` +
+            `seen ${formatDuration(cluster.lastSeen - cluster.firstSeen)} from ${formatTime(cluster.firstSeen)}`);
+        lines.push(`    cells: ${cluster.cells.join(', ')}`);
+        cluster.escalations.forEach(e => lines.push(`    escalated ${formatTime(e.at)}: ${e.reason}`));
+    });
+
+    lines.push('', `SESSIONS (${result.sessions.length})`);
+    if (result.sessions.length === 0) lines.push('  none');
+    result.sessions.forEach(session => {
+        lines.push(`  ${formatTime(session.start)}  ${pad(session.type, 9)} ${session.vehicle} #${session.id}: ` +
+            `${formatDuration(session.duration * 1000)}, ${formatNumber(session.ah, 1)} Ah, ${formatNumber(session.kwh, 2)} kWh, ` +
+            `SoC ${formatNumber(session.socStart, 1)}→${formatNumber(session.socEnd, 1)}%, peak ${formatNumber(session.peakTemp, 1)}°C, ` +
+            `spread ${formatNumber(session.maxTempSpread, 1)}°C / ${formatNumber(session.maxVoltageSpread, 0)} mV, ` +
+            `${session.anomalies} anomalies${session.ongoing ? ' (ongoing at end of log)' : ''}`);
+    });
+
+    lines.push('', `DIAGNOSES (at end of log, ${result.diagnoses.length})`);
+    if (result.diagnoses.length === 0) lines.push('  none');
+    result.diagnoses.forEach(diagnosis => {
+        lines.push(`  ${pad(diagnosis.severity, 8)} ${diagnosis.vehicle} ${diagnosis.region}: ` +
+            `${core.FAULT_TYPES[diagnosis.type].label} (${Math.round(diagnosis.confidence * 100)}% confidence)`);
+        lines.push(`    ${diagnosis.evidence}`);
+        if (diagnosis.cells.length > 1) lines.push(`    cells: ${diagnosis.cells.join(', ')}`);
+        lines.push(`    action: ${diagnosis.action}`);
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+function formatCsv(result, core) {
+    const columns = ['vehicle', 'cell', 'rule', 'severity', 'description', 'value', 'raisedAt', 'clearedAt'];
+    const rows = result.events.map(event => columns.map(column => {
+        const value = column.endsWith('At') && event[column] !== null ? formatTime(event[column]) : event[column];
+        return core.toCsvValue(value);
+    }).join(','));
+
+    return [columns.join(','), ...rows].join('\n') + '\n';
+}
+
+// ========================================
+// MAIN
+// ========================================
+const options = parseArgs(process.argv.slice(2));
+const quiet = { log: () => {}, warn: console.warn, error: console.error };
+const core = loadCore({ console: options.verbose ? console : quiet });
+
+if (!core.CHEMISTRY_PROFILES[options.chemistry]) {
+    fail(`Unknown chemistry: ${options.chemistry} (expected ${Object.keys(core.CHEMISTRY_PROFILES).join(', ')})`);
+}
+core.setChemistry(options.chemistry);
+
+let result;
+try {
+    core.initializeCore(options.pack ? JSON.parse(readFile(options.pack)) : core.DEFAULT_PACK_DEFINITION);
+    result = core.analyzeReadings(core.parseLogFile(options.log, readFile(options.log)));
+} catch (error) {
+    fail(`Analysis failed: ${error.message}`);
+}
+
+const pack = core.getPackTopology();
+let report;
+if (options.format === 'json') {
+    report = JSON.stringify(Object.assign({ file: path.basename(options.log), pack: pack.name, chemistry: options.chemistry }, result), null, 2) + '\n';
+} else if (options.format === 'csv') {
+    report = formatCsv(result, core);
+} else {
+    report = formatText(result, options.log, pack, options.chemistry, core);
+}
+
+if (options.out) {
+    fs.writeFileSync(options.out, report);
+    console.error(`Report written to ${options.out}`);
+} else {
+    process.stdout.write(report);
+}
+
+process.exitCode = result.packs.some(p => p.status === 'CRITICAL') ? 2 : 0;
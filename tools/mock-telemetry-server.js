@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+// ========================================
+// THERMASCAN - Mock Telemetry Server
+// Streams simulated per-cell readings over WebSocket and SSE
+// ========================================
+//
+// Usage:
+//   node tools/mock-telemetry-server.js [--port 8080] [--vehicles 3]
+//                                       [--interval 1000] [--dead-cells 2]
+//
+// Endpoints:
+//   ws://localhost:8080/ws        WebSocket stream
+//   http://localhost:8080/events  Server-Sent Events stream
+//
+// Every tick each vehicle sends one JSON array of cell readings. The first
+// --dead-cells cells of every vehicle never report, so the dashboard's stale
+// indication can be exercised. No dependencies beyond Node itself.
+
+const http = require('http');
+const crypto = require('crypto');
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// ========================================
+// OPTIONS
+// ========================================
+function parseArgs(argv) {
+    const options = { port: 8080, vehicles: 3, interval: 1000, deadCells: 2 };
+    const names = { '--port': 'port', '--vehicles': 'vehicles', '--interval': 'interval', '--dead-cells': 'deadCells' };
+
+    for (let i = 0; i < argv.length; i += 2) {
+        const key = names[argv[i]];
+        const value = Number(argv[i + 1]);
+        if (!key || !isFinite(value)) {
+            console.error(`Unknown or invalid option: ${argv[i]} ${argv[i + 1] || ''}`);
+            process.exit(1);
+        }
+        options[key] = value;
+    }
+
+    return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+
+// ========================================
+// SIMULATED FLEET
+// ========================================
+function randomInRange(min, max) {
+    return Math.random() * (max - min) + min;
+}
+
+function createVehicle(index) {
+    const cells = [];
+    for (let i = 1; i <= 96; i++) {
+        cells.push({
+            id: `CELL-${String(i).padStart(3, '0')}`,
+            temperature: randomInRange(25, 35),
+            voltage: randomInRange(3.6, 3.8),
+            current: randomInRange(-5, 20),
+            soc: randomInRange(60, 100),
+            soh: randomInRange(80, 100),
+            resistance: randomInRange(1, 5),
+            cycles: Math.floor(randomInRange(200, 1200))
+        });
+    }
+    return { id: `EV-${String(index).padStart(3, '0')}`, cells: cells };
+}
+
+const vehicles = [];
+for (let i = 1; i <= options.vehicles; i++) {
+    vehicles.push(createVehicle(i));
+}
+
+function stepVehicle(vehicle) {
+    const timestamp = new Date().toISOString();
+
+    return vehicle.cells.slice(options.deadCells).map(cell => {
+        cell.temperature = Math.max(20, Math.min(60, cell.temperature + (Math.random() - 0.5) * 0.5));
+        cell.voltage = Math.max(3.0, Math.min(4.2, cell.voltage + (Math.random() - 0.5) * 0.01));
+        cell.current += (Math.random() - 0.5) * 2;
+        cell.soc = Math.max(0, Math.min(100, cell.soc + (Math.random() - 0.5) * 0.5));
+
+        return Object.assign({ vehicle: vehicle.id }, cell, { timestamp: timestamp });
+    });
+}
+
+// ========================================
+// WEBSOCKET (RFC 6455, server-to-client text frames only)
+// ========================================
+const sockets = new Set();
+
+function encodeFrame(text) {
+    const payload = Buffer.from(text);
+    let header;
+
+    if (payload.length < 126) {
+        header = Buffer.from([0x81, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x81;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x81;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+
+    return Buffer.concat([header, payload]);
+}
+
+function handleUpgrade(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if (req.url !== '/ws' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+
+    sockets.add(socket);
+    console.log(`🔌 WebSocket client connected (${sockets.size} total)`);
+
+    socket.on('data', (data) => {
+        // Opcode 0x8 is a close frame; incoming messages are otherwise ignored
+        if ((data[0] & 0x0f) === 0x8) socket.end(Buffer.from([0x88, 0x00]));
+    });
+    socket.on('close', () => {
+        sockets.delete(socket);
+        console.log(`🔌 WebSocket client disconnected (${sockets.size} total)`);
+    });
+    socket.on('error', () => sockets.delete(socket));
+}
+
+// ========================================
+// SERVER-SENT EVENTS
+// ========================================
+const sseClients = new Set();
+
+function handleRequest(req, res) {
+    if (req.url !== '/events') {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('THERMASCAN mock telemetry: use /events (SSE) or /ws (WebSocket)\n');
+        return;
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.write('retry: 5000\n\n');
+
+    sseClients.add(res);
+    console.log(`📡 SSE client connected (${sseClients.size} total)`);
+
+    req.on('close', () => {
+        sseClients.delete(res);
+        console.log(`📡 SSE client disconnected (${sseClients.size} total)`);
+    });
+}
+
+// ========================================
+// BROADCAST LOOP
+// ========================================
+function broadcast() {
+    vehicles.forEach(vehicle => {
+        const message = JSON.stringify(stepVehicle(vehicle));
+
+        if (sockets.size > 0) {
+            const frame = encodeFrame(message);
+            sockets.forEach(socket => socket.write(frame));
+        }
+        sseClients.forEach(res => res.write(`data: ${message}\n\n`));
+    });
+}
+
+const server = http.createServer(handleRequest);
+server.on('upgrade', handleUpgrade);
+server.listen(options.port, () => {
+    console.log(`🚀 Mock telemetry for ${options.vehicles} vehicle(s) every ${options.interval}ms`);
+    console.log(`   WebSocket: ws://localhost:${options.port}/ws`);
+    console.log(`   SSE:       http://localhost:${options.port}/events`);
+});
+
+setInterval(broadcast, options.interval);
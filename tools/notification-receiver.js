@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+// ========================================
+// THERMASCAN - Notification Receiver
+// Local stand-in for a webhook endpoint and an MQTT broker
+// ========================================
+//
+// Usage:
+//   node tools/notification-receiver.js [--port 8090] [--quiet]
+//
+// Endpoints:
+//   POST http://localhost:8090/webhook   Webhook deliveries (JSON body)
+//   ws://localhost:8090/mqtt             MQTT 3.1.1 over WebSocket
+//   GET  http://localhost:8090/messages  Everything received so far, as JSON
+//
+// Every message received is printed and kept (the newest 200) for /messages,
+// so the dashboard's notification channels can be tested without external
+// services. The MQTT side accepts any client and acknowledges CONNECT and
+// PINGREQ; published messages are recorded, not forwarded. No dependencies
+// beyond Node itself.
+
+const http = require('http');
+const crypto = require('crypto');
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGES = 200;
+
+// ========================================
+// OPTIONS
+// ========================================
+function parseArgs(argv) {
+    const options = { port: 8090, quiet: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--quiet') {
+            options.quiet = true;
+        } else if (argv[i] === '--port' && isFinite(Number(argv[i + 1]))) {
+            options.port = Number(argv[++i]);
+        } else {
+            console.error(`Unknown or invalid option: ${argv[i]}`);
+            process.exit(1);
+        }
+    }
+
+    return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+
+// ========================================
+// RECEIVED MESSAGES
+// ========================================
+const messages = [];
+
+function record(channel, topic, body) {
+    let payload = body;
+    try {
+        payload = JSON.parse(body);
+    } catch (error) {
+        // Kept as text; the dashboard always sends JSON
+    }
+
+    messages.push({ channel: channel, topic: topic, receivedAt: new Date().toISOString(), payload: payload });
+    if (messages.length > MAX_MESSAGES) messages.shift();
+
+    if (options.quiet) return;
+    const alarm = payload && payload.alarm;
+    const summary = alarm
+        ? `${payload.type} ${alarm.severity} ${alarm.vehicle} ${alarm.cell || 'pack'} ${alarm.rule}` +
+            (payload.suppressed > 0 ? ` (+${payload.suppressed} suppressed)` : '')
+        : String(body).slice(0, 120);
+    console.log(`${channel === 'webhook' ? '🪝' : '📨'} ${channel}${topic ? ` ${topic}` : ''}: ${summary}`);
+}
+
+// ========================================
+// WEBHOOK & MESSAGE LIST
+// ========================================
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+function handleRequest(req, res) {
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, CORS_HEADERS);
+        res.end();
+        return;
+    }
+
+    if (req.method === 'POST' && req.url === '/webhook') {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            record('webhook', null, body);
+            res.writeHead(204, CORS_HEADERS);
+            res.end();
+        });
+        return;
+    }
+
+    if (req.method === 'GET' && req.url === '/messages') {
+        res.writeHead(200, Object.assign({ 'Content-Type': 'application/json' }, CORS_HEADERS));
+        res.end(JSON.stringify(messages, null, 2));
+        return;
+    }
+
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('THERMASCAN notification receiver: POST /webhook, ws /mqtt, GET /messages\n');
+}
+
+// ========================================
+// WEBSOCKET FRAMES (RFC 6455)
+// ========================================
+function encodeFrame(payload) {
+    // Binary frames; MQTT packets from this side are always short
+    return Buffer.concat([Buffer.from([0x82, payload.length]), payload]);
+}
+
+// Complete frames at the start of buffer: [{ opcode, payload }] and the
+// number of bytes they used. Client frames are always masked.
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 2) {
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let header = 2;
+
+        if (length === 126) {
+            if (buffer.length - offset < 4) break;
+            length = buffer.readUInt16BE(offset + 2);
+            header = 4;
+        } else if (length === 127) {
+            if (buffer.length - offset < 10) break;
+            length = Number(buffer.readBigUInt64BE(offset + 2));
+            header = 10;
+        }
+
+        const maskStart = offset + header;
+        const dataStart = maskStart + (masked ? 4 : 0);
+        if (buffer.length < dataStart + length) break;
+
+        const payload = Buffer.from(buffer.subarray(dataStart, dataStart + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskStart + (i % 4)];
+        }
+        frames.push({ opcode: opcode, payload: payload });
+        offset = dataStart + length;
+    }
+
+    return { frames: frames, used: offset };
+}
+
+// ========================================
+// MQTT (3.1.1)
+// ========================================
+// Complete packets at the start of buffer and the bytes they used
+function decodeMqttPackets(buffer) {
+    const packets = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 2) {
+        let length = 0;
+        let multiplier = 1;
+        let index = offset + 1;
+        let byte;
+        do {
+            if (index >= buffer.length) return { packets: packets, used: offset };
+            byte = buffer[index++];
+            length += (byte & 0x7f) * multiplier;
+            multiplier *= 128;
+        } while (byte & 0x80);
+
+        if (buffer.length < index + length) break;
+        packets.push({ type: buffer[offset] >> 4, flags: buffer[offset] & 0x0f, body: buffer.subarray(index, index + length) });
+        offset = index + length;
+    }
+
+    return { packets: packets, used: offset };
+}
+
+function handleMqttPacket(socket, client, packet) {
+    const send = bytes => socket.write(encodeFrame(Buffer.from(bytes)));
+
+    if (packet.type === 1) {
+        // CONNECT: client id follows the 10-byte variable header
+        const idLength = packet.body.readUInt16BE(10);
+        client.id = packet.body.subarray(12, 12 + idLength).toString();
+        send([0x20, 0x02, 0x00, 0x00]);
+        if (!options.quiet) console.log(`📨 MQTT client ${client.id} connected`);
+    } else if (packet.type === 3) {
+        // PUBLISH: topic, then a packet id when QoS > 0, then the message
+        const qos = (packet.flags >> 1) & 0x03;
+        const topicLength = packet.body.readUInt16BE(0);
+        const topic = packet.body.subarray(2, 2 + topicLength).toString();
+        const start = 2 + topicLength + (qos > 0 ? 2 : 0);
+        record('mqtt', topic, packet.body.subarray(start).toString());
+        if (qos === 1) send([0x40, 0x02, packet.body[2 + topicLength], packet.body[3 + topicLength]]);
+    } else if (packet.type === 12) {
+        send([0xd0, 0x00]);
+    } else if (packet.type === 14) {
+        socket.end(Buffer.from([0x88, 0x00]));
+    }
+}
+
+function handleUpgrade(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if (req.url !== '/mqtt' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    const protocols = (req.headers['sec-websocket-protocol'] || '').split(',').map(p => p.trim());
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        ...(protocols.includes('mqtt') ? ['Sec-WebSocket-Protocol: mqtt'] : []),
+        '', ''
+    ].join('\r\n'));
+
+    const client = { id: null };
+    let frameBuffer = Buffer.alloc(0);
+    let mqttBuffer = Buffer.alloc(0);
+
+    socket.on('data', (data) => {
+        frameBuffer = Buffer.concat([frameBuffer, data]);
+        const { frames, used } = decodeFrames(frameBuffer);
+        frameBuffer = frameBuffer.subarray(used);
+
+        frames.forEach(frame => {
+            if (frame.opcode === 0x8) {
+                socket.end(Buffer.from([0x88, 0x00]));
+                return;
+            }
+            // MQTT packets may span WebSocket messages, so bytes are buffered
+            mqttBuffer = Buffer.concat([mqttBuffer, frame.payload]);
+            const { packets, used: consumed } = decodeMqttPackets(mqttBuffer);
+            mqttBuffer = mqttBuffer.subarray(consumed);
+            packets.forEach(packet => handleMqttPacket(socket, client, packet));
+        });
+    });
+    socket.on('close', () => {
+        if (!options.quiet && client.id) console.log(`📨 MQTT client ${client.id} disconnected`);
+    });
+    socket.on('error', () => {});
+}
+
+// ========================================
+// SERVER
+// ========================================
+const server = http.createServer(handleRequest);
+server.on('upgrade', handleUpgrade);
+server.listen(options.port, () => {
+    const port = server.address().port;
+    console.log(`🚀 Notification receiver listening on port ${port}`);
+    console.log(`   Webhook:  http://localhost:${port}/webhook`);
+    console.log(`   MQTT:     ws://localhost:${port}/mqtt`);
+    console.log(`   Messages: http://localhost:${port}/messages`);
+});